@@ -1,46 +1,181 @@
 const groupsHandler = require('./groups');
+const Admin = require('../models/admin');
 
-// List of admin user IDs (add your admin Telegram IDs here)
-const ADMIN_USER_IDS = [
-    // 123456789, // Add your admin Telegram ID here
-];
+// Actions available to each admin role
+const ROLE_PERMISSIONS = {
+    owner: ['panel', 'groups.view', 'groups.manage', 'settings.manage', 'scoring.manage', 'stats', 'reports.review', 'users.moderate', 'staff.manage'],
+    moderator: ['panel', 'groups.view', 'groups.manage', 'settings.manage', 'scoring.manage', 'stats', 'reports.review', 'users.moderate'],
+    support: ['panel', 'groups.view', 'stats', 'reports.review']
+};
+
+const ADMIN_ROLES = Object.keys(ROLE_PERMISSIONS);
+
+// Session storage for admin text input (granting roles)
+const adminSessions = new Map();
+
+/**
+ * Get admin role of a Telegram user
+ * @returns {Promise<string|null>}
+ */
+const getAdminRole = async (userId) => {
+    const admin = await Admin.findByTelegramId(userId);
+    return admin ? admin.role : null;
+};
+
+/**
+ * Check if a role allows an action
+ */
+const hasPermission = (role, permission) => {
+    return !!role && ROLE_PERMISSIONS[role].includes(permission);
+};
 
 /**
  * Check if user is admin
  */
-const isAdmin = (userId) => {
-    return ADMIN_USER_IDS.includes(userId);
+const isAdmin = async (userId) => {
+    return !!(await getAdminRole(userId));
 };
 
 /**
- * Admin middleware
+ * Get Telegram IDs of all admins
+ * @param {string} permission - only admins whose role allows this action
+ */
+const getAdminIds = async (permission = null) => {
+    const admins = await Admin.find({}, 'telegramId role');
+
+    return admins
+        .filter(admin => !permission || hasPermission(admin.role, permission))
+        .map(admin => admin.telegramId);
+};
+
+/**
+ * Make the owner from ADMIN_OWNER_ID env variable
  */
-const requireAdmin = (ctx, next) => {
-    if (!isAdmin(ctx.from.id)) {
-        ctx.reply(global.i18n.t(ctx, 'admin.access_denied'));
+const bootstrapOwner = async () => {
+    const ownerId = parseInt(process.env.ADMIN_OWNER_ID);
+
+    if (!ownerId) {
         return;
     }
+
+    await Admin.updateOne(
+        { telegramId: ownerId },
+        { $set: { role: 'owner' } },
+        { upsert: true }
+    );
+
+    global.logger.logAction('admin_owner_bootstrapped', { telegramId: ownerId });
+};
+
+/**
+ * Send a message to every admin in their own language
+ * @param {Object} telegram - Telegraf telegram instance
+ * @param {Function} buildMessage - (ctx) => text
+ * @param {Function} buildExtra - (ctx) => extra options
+ * @param {string} permission - only admins whose role allows this action
+ */
+const notifyAdmins = async (telegram, buildMessage, buildExtra = null, permission = null) => {
+    const User = require('../models/user');
+    const adminIds = await getAdminIds(permission);
+    const admins = await User.find({ telegramId: { $in: adminIds } }, 'telegramId language');
+
+    let sent = 0;
+
+    for (const adminId of adminIds) {
+        const admin = admins.find(a => a.telegramId === adminId);
+        const ctx = { locale: admin?.language || 'ru' };
+
+        try {
+            await telegram.sendMessage(adminId, buildMessage(ctx), buildExtra ? buildExtra(ctx) : {});
+            sent++;
+        } catch (error) {
+            global.logger.logWarn('Failed to notify admin:', {}, { adminId, error: error.message });
+        }
+    }
+
+    return sent;
+};
+
+/**
+ * Admin permission middleware
+ * @param {string} permission - action to check against the admin's role
+ */
+const requirePermission = (permission) => async (ctx, next) => {
+    const role = await getAdminRole(ctx.from.id);
+
+    if (!hasPermission(role, permission)) {
+        if (ctx.callbackQuery) {
+            await ctx.answerCbQuery(global.i18n.t(ctx, 'admin.access_denied'));
+        } else {
+            await ctx.reply(global.i18n.t(ctx, 'admin.access_denied'));
+        }
+
+        global.logger.logAction('admin_permission_denied', {
+            userId: ctx.from.id,
+            role,
+            permission
+        });
+        return;
+    }
+
+    ctx.adminRole = role;
     return next();
 };
 
+/**
+ * Admin middleware
+ */
+const requireAdmin = requirePermission('panel');
+
 /**
  * Show admin menu
  */
 const showAdminMenu = async (ctx) => {
     try {
-        const keyboard = [
-            [
+        const role = ctx.adminRole || await getAdminRole(ctx.from.id);
+        const keyboard = [];
+
+        if (hasPermission(role, 'groups.manage')) {
+            keyboard.push(
+                [
+                    { text: global.i18n.t(ctx, 'admin.groups_list'), callback_data: 'admin:groups:list' },
+                    { text: global.i18n.t(ctx, 'admin.add_group'), callback_data: 'admin:groups:add' }
+                ],
+                [
+                    { text: global.i18n.t(ctx, 'admin.groups_settings'), callback_data: 'admin:groups:settings' },
+                    { text: global.i18n.t(ctx, 'admin.reload_config'), callback_data: 'admin:groups:reload' }
+                ]
+            );
+        } else if (hasPermission(role, 'groups.view')) {
+            keyboard.push([
                 { text: global.i18n.t(ctx, 'admin.groups_list'), callback_data: 'admin:groups:list' },
-                { text: global.i18n.t(ctx, 'admin.add_group'), callback_data: 'admin:groups:add' }
-            ],
-            [
-                { text: global.i18n.t(ctx, 'admin.groups_settings'), callback_data: 'admin:groups:settings' },
-                { text: global.i18n.t(ctx, 'admin.reload_config'), callback_data: 'admin:groups:reload' }
-            ],
-            [
-                { text: global.i18n.t(ctx, 'admin.statistics'), callback_data: 'admin:stats' }
-            ]
-        ];
+                { text: global.i18n.t(ctx, 'admin.groups_settings'), callback_data: 'admin:groups:settings' }
+            ]);
+        }
+
+        if (hasPermission(role, 'stats')) {
+            keyboard.push([{ text: global.i18n.t(ctx, 'admin.statistics'), callback_data: 'admin:stats' }]);
+        }
+
+        if (hasPermission(role, 'scoring.manage')) {
+            keyboard.push([{ text: global.i18n.t(ctx, 'admin.scoring_button'), callback_data: 'admin:scoring:list' }]);
+        }
+
+        if (hasPermission(role, 'reports.review')) {
+            keyboard.push([{ text: global.i18n.t(ctx, 'admin.reports_button'), callback_data: 'admin:reports:0' }]);
+        }
+
+        if (hasPermission(role, 'users.moderate')) {
+            keyboard.push([{ text: global.i18n.t(ctx, 'admin.users_button'), callback_data: 'admin:users:find' }]);
+        }
+
+        if (hasPermission(role, 'staff.manage')) {
+            keyboard.push([{ text: global.i18n.t(ctx, 'admin.staff_button'), callback_data: 'admin:staff:list' }]);
+        }
+
+        if (ctx.callbackQuery) {
+            await ctx.answerCbQuery();
+        }
 
         await ctx.reply(
             global.i18n.t(ctx, 'admin.panel_title'),
@@ -49,7 +184,8 @@ const showAdminMenu = async (ctx) => {
 
         global.logger.logAction('admin_menu_accessed', {
             adminId: ctx.from.id,
-            username: ctx.from.username
+            username: ctx.from.username,
+            role
         });
 
     } catch (error) {
@@ -63,7 +199,7 @@ const showAdminMenu = async (ctx) => {
  */
 const showGroupsList = async (ctx) => {
     try {
-        const groups = groupsHandler.getGroupsList();
+        const groups = await groupsHandler.getGroupsList();
 
         if (groups.length === 0) {
             await ctx.answerCbQuery();
@@ -87,13 +223,21 @@ const showGroupsList = async (ctx) => {
             message += '\n';
         });
 
-        const keyboard = [
+        // Inactive groups can be set up and enabled from here
+        const keyboard = groups
+            .filter(group => !group.active)
+            .map(group => [{
+                text: global.i18n.t(ctx, 'admin.setup_group_button', { groupName: group.name }),
+                callback_data: `admin:gsetup:view:${group.id}`
+            }]);
+
+        keyboard.push(
             [
                 { text: global.i18n.t(ctx, 'admin.add_group'), callback_data: 'admin:groups:add' },
                 { text: global.i18n.t(ctx, 'buttons.reload'), callback_data: 'admin:groups:reload' }
             ],
             [{ text: global.i18n.t(ctx, 'buttons.back'), callback_data: 'admin:menu' }]
-        ];
+        );
 
         await ctx.answerCbQuery();
         await ctx.editMessageText(
@@ -112,7 +256,7 @@ const showGroupsList = async (ctx) => {
  */
 const showGroupsSettings = async (ctx) => {
     try {
-        const settings = groupsHandler.getGroupsSettings();
+        const settings = await groupsHandler.getGroupsSettings();
 
         let message = global.i18n.t(ctx, 'admin.settings_title');
         message += global.i18n.t(ctx, 'admin.auto_posting', {
@@ -151,10 +295,10 @@ const showGroupsSettings = async (ctx) => {
  */
 const toggleAutoPosting = async (ctx) => {
     try {
-        const settings = groupsHandler.getGroupsSettings();
+        const settings = await groupsHandler.getGroupsSettings();
         const newValue = !settings.auto_posting_enabled;
 
-        groupsHandler.updateGroupsSettings({
+        await groupsHandler.updateGroupsSettings({
             auto_posting_enabled: newValue
         });
 
@@ -178,7 +322,7 @@ const toggleAutoPosting = async (ctx) => {
  */
 const reloadGroupsConfig = async (ctx) => {
     try {
-        const result = groupsHandler.reloadGroupsConfig();
+        const result = await groupsHandler.reloadGroupsConfig();
 
         const message = global.i18n.t(ctx, 'admin.config_reloaded', {
             groupsCount: result.groupsCount,
@@ -199,6 +343,378 @@ const reloadGroupsConfig = async (ctx) => {
     }
 };
 
+/**
+ * Format group setup message
+ */
+const getGroupSetupText = (ctx, group) => {
+    const regions = group.regions.length > 0 ? group.regions.join(', ') : global.i18n.t(ctx, 'buttons.all_regions');
+
+    return global.i18n.t(ctx, 'admin.group_setup_prompt', {
+        groupName: group.name,
+        groupId: group.chatId,
+        addedBy: group.addedBy || '—'
+    }) + '\n\n' + global.i18n.t(ctx, 'admin.group_setup_regions', { regions });
+};
+
+/**
+ * Region picker and enable button for a pending group
+ */
+const getGroupSetupKeyboard = (ctx, group) => {
+    const keyboard = [];
+
+    for (let i = 0; i < groupsHandler.REGION_TAGS.length; i += 3) {
+        keyboard.push(groupsHandler.REGION_TAGS.slice(i, i + 3).map((tag, offset) => ({
+            text: `${group.regions.includes(tag) ? '✅ ' : ''}${tag}`,
+            callback_data: `admin:gsetup:region:${group.chatId}:${i + offset}`
+        })));
+    }
+
+    keyboard.push([
+        { text: global.i18n.t(ctx, 'admin.all_regions_button'), callback_data: `admin:gsetup:all:${group.chatId}` }
+    ]);
+    keyboard.push([
+        { text: global.i18n.t(ctx, 'admin.enable_group'), callback_data: `admin:gsetup:enable:${group.chatId}` }
+    ]);
+
+    return { inline_keyboard: keyboard };
+};
+
+/**
+ * Ask admins to enable a chat the bot was promoted in
+ */
+const sendGroupSetupPrompt = async (telegram, group) => {
+    const sent = await notifyAdmins(
+        telegram,
+        (ctx) => getGroupSetupText(ctx, group),
+        (ctx) => ({ reply_markup: getGroupSetupKeyboard(ctx, group) }),
+        'groups.manage'
+    );
+
+    global.logger.logAction('group_setup_prompt_sent', {
+        groupId: group.chatId,
+        groupName: group.name,
+        adminsNotified: sent
+    });
+};
+
+/**
+ * Show setup screen for a group
+ */
+const showGroupSetup = async (ctx, chatId) => {
+    try {
+        const Group = require('../models/group');
+        const group = await Group.findByChatId(parseInt(chatId));
+
+        if (!group) {
+            await ctx.answerCbQuery(global.i18n.t(ctx, 'admin.group_not_found'));
+            return;
+        }
+
+        await ctx.answerCbQuery();
+        await ctx.editMessageText(
+            getGroupSetupText(ctx, group),
+            { reply_markup: getGroupSetupKeyboard(ctx, group) }
+        );
+
+    } catch (error) {
+        await ctx.answerCbQuery(global.i18n.t(ctx, 'errors.general'));
+        throw error;
+    }
+};
+
+/**
+ * Toggle a region tag of a pending group
+ * @param {string|null} regionIndex - index in REGION_TAGS, null clears all tags
+ */
+const toggleGroupRegion = async (ctx, chatId, regionIndex = null) => {
+    try {
+        const Group = require('../models/group');
+        const group = await Group.findByChatId(parseInt(chatId));
+        const tag = regionIndex === null ? null : groupsHandler.REGION_TAGS[parseInt(regionIndex)];
+
+        if (!group || (regionIndex !== null && !tag)) {
+            await ctx.answerCbQuery(global.i18n.t(ctx, 'admin.group_not_found'));
+            return;
+        }
+
+        if (tag === null) {
+            group.regions = [];
+        } else if (group.regions.includes(tag)) {
+            group.regions.pull(tag);
+        } else {
+            group.regions.push(tag);
+        }
+
+        await group.save();
+
+        await ctx.answerCbQuery();
+        await ctx.editMessageText(
+            getGroupSetupText(ctx, group),
+            { reply_markup: getGroupSetupKeyboard(ctx, group) }
+        );
+
+    } catch (error) {
+        await ctx.answerCbQuery(global.i18n.t(ctx, 'errors.general'));
+        throw error;
+    }
+};
+
+/**
+ * Enable posting to a group
+ */
+const enableGroup = async (ctx, chatId) => {
+    try {
+        const Group = require('../models/group');
+        const group = await Group.findByChatId(parseInt(chatId));
+
+        if (!group) {
+            await ctx.answerCbQuery(global.i18n.t(ctx, 'admin.group_not_found'));
+            return;
+        }
+
+        await group.activate();
+
+        const regions = group.regions.length > 0 ? group.regions.join(', ') : global.i18n.t(ctx, 'buttons.all_regions');
+
+        await ctx.answerCbQuery();
+        await ctx.editMessageText(
+            global.i18n.t(ctx, 'admin.group_enabled', { groupName: group.name, regions }),
+            { reply_markup: { inline_keyboard: [[{ text: global.i18n.t(ctx, 'admin.groups_list'), callback_data: 'admin:groups:list' }]] } }
+        );
+
+        global.logger.logAction('admin_enabled_group', {
+            adminId: ctx.from.id,
+            groupId: group.chatId,
+            groupName: group.name,
+            regions: group.regions
+        });
+
+    } catch (error) {
+        await ctx.answerCbQuery(global.i18n.t(ctx, 'errors.general'));
+        throw error;
+    }
+};
+
+/**
+ * Get translated role name
+ */
+const getRoleLabel = (ctx, role) => {
+    return global.i18n.t(ctx, `admin.roles.${role}`);
+};
+
+/**
+ * Role picker keyboard for a staff member
+ */
+const getRoleKeyboard = (ctx, telegramId, currentRole = null) => {
+    return ADMIN_ROLES.map(role => [{
+        text: `${role === currentRole ? '✅ ' : ''}${getRoleLabel(ctx, role)}`,
+        callback_data: `admin:staff:role:${telegramId}:${role}`
+    }]);
+};
+
+/**
+ * Show admins list for owners
+ */
+const showStaffList = async (ctx) => {
+    try {
+        const User = require('../models/user');
+        adminSessions.delete(ctx.from.id);
+
+        const admins = await Admin.find().sort({ createdAt: 1 });
+        const users = await User.find({ telegramId: { $in: admins.map(a => a.telegramId) } }, 'telegramId profile');
+
+        let message = global.i18n.t(ctx, 'admin.staff_title') + '\n\n';
+        const keyboard = [];
+
+        admins.forEach((admin, index) => {
+            const user = users.find(u => u.telegramId === admin.telegramId);
+            const name = user ? user.profile.fullName : admin.telegramId;
+
+            message += `${index + 1}. ${name} (${admin.telegramId}) — ${getRoleLabel(ctx, admin.role)}\n`;
+            keyboard.push([{ text: `${name}`, callback_data: `admin:staff:view:${admin.telegramId}` }]);
+        });
+
+        keyboard.push([{ text: global.i18n.t(ctx, 'admin.staff_add'), callback_data: 'admin:staff:add' }]);
+        keyboard.push([{ text: global.i18n.t(ctx, 'buttons.back'), callback_data: 'admin:menu' }]);
+
+        await ctx.answerCbQuery();
+        await ctx.editMessageText(message, { reply_markup: { inline_keyboard: keyboard } });
+
+    } catch (error) {
+        await ctx.answerCbQuery(global.i18n.t(ctx, 'errors.general'));
+        throw error;
+    }
+};
+
+/**
+ * Show a staff member with role controls
+ */
+const showStaffMember = async (ctx, telegramId) => {
+    try {
+        const admin = await Admin.findByTelegramId(parseInt(telegramId));
+
+        if (!admin) {
+            await ctx.answerCbQuery(global.i18n.t(ctx, 'admin.staff_not_found'));
+            return;
+        }
+
+        const keyboard = getRoleKeyboard(ctx, admin.telegramId, admin.role);
+        keyboard.push([{ text: global.i18n.t(ctx, 'admin.staff_revoke'), callback_data: `admin:staff:revoke:${admin.telegramId}` }]);
+        keyboard.push([{ text: global.i18n.t(ctx, 'buttons.back'), callback_data: 'admin:staff:list' }]);
+
+        await ctx.answerCbQuery();
+        await ctx.editMessageText(
+            global.i18n.t(ctx, 'admin.staff_member', {
+                telegramId: admin.telegramId,
+                role: getRoleLabel(ctx, admin.role),
+                grantedBy: admin.grantedBy || '—'
+            }),
+            { reply_markup: { inline_keyboard: keyboard } }
+        );
+
+    } catch (error) {
+        await ctx.answerCbQuery(global.i18n.t(ctx, 'errors.general'));
+        throw error;
+    }
+};
+
+/**
+ * Ask owner for the Telegram ID of a new admin
+ */
+const startStaffGrant = async (ctx) => {
+    try {
+        adminSessions.set(ctx.from.id, { step: 'grant_user_id' });
+
+        await ctx.answerCbQuery();
+        await ctx.editMessageText(
+            global.i18n.t(ctx, 'admin.staff_enter_id'),
+            { reply_markup: { inline_keyboard: [[{ text: global.i18n.t(ctx, 'buttons.cancel'), callback_data: 'admin:staff:list' }]] } }
+        );
+
+    } catch (error) {
+        await ctx.answerCbQuery(global.i18n.t(ctx, 'errors.general'));
+        throw error;
+    }
+};
+
+/**
+ * Handle admin text input
+ * @returns {boolean} - true if the message was handled
+ */
+const handleAdminInputStep = async (ctx) => {
+    try {
+        const session = adminSessions.get(ctx.from.id);
+
+        if (!session || session.step !== 'grant_user_id') {
+            return false;
+        }
+
+        // Accept a plain ID or a message forwarded from the future admin
+        const telegramId = ctx.message.forward_from?.id || parseInt(ctx.message.text);
+
+        if (!telegramId || telegramId <= 0) {
+            await ctx.reply(global.i18n.t(ctx, 'admin.staff_invalid_id'));
+            return true;
+        }
+
+        adminSessions.delete(ctx.from.id);
+
+        await ctx.reply(
+            global.i18n.t(ctx, 'admin.staff_choose_role', { telegramId }),
+            { reply_markup: { inline_keyboard: getRoleKeyboard(ctx, telegramId) } }
+        );
+
+        return true;
+    } catch (error) {
+        await ctx.reply(global.i18n.t(ctx, 'errors.general'));
+        throw error;
+    }
+};
+
+/**
+ * Grant or change admin role
+ */
+const setStaffRole = async (ctx, telegramId, role) => {
+    try {
+        telegramId = parseInt(telegramId);
+
+        if (!ADMIN_ROLES.includes(role)) {
+            await ctx.answerCbQuery(global.i18n.t(ctx, 'errors.general'));
+            return;
+        }
+
+        const existing = await Admin.findByTelegramId(telegramId);
+
+        // Never leave the bot without an owner
+        if (existing && existing.role === 'owner' && role !== 'owner' && await Admin.countOwners() <= 1) {
+            await ctx.answerCbQuery(global.i18n.t(ctx, 'admin.staff_last_owner'), { show_alert: true });
+            return;
+        }
+
+        await Admin.updateOne(
+            { telegramId },
+            { $set: { role, grantedBy: ctx.from.id } },
+            { upsert: true }
+        );
+
+        try {
+            await ctx.telegram.sendMessage(
+                telegramId,
+                global.i18n.t(ctx, 'admin.staff_granted_notice', { role: getRoleLabel(ctx, role) })
+            );
+        } catch (error) {
+            global.logger.logWarn('Failed to notify new admin:', ctx, { telegramId, error: error.message });
+        }
+
+        global.logger.logAction('admin_role_granted', {
+            adminId: ctx.from.id,
+            telegramId,
+            role,
+            previousRole: existing ? existing.role : null
+        });
+
+        await showStaffMember(ctx, telegramId);
+
+    } catch (error) {
+        await ctx.answerCbQuery(global.i18n.t(ctx, 'errors.general'));
+        throw error;
+    }
+};
+
+/**
+ * Revoke admin role
+ */
+const revokeStaff = async (ctx, telegramId) => {
+    try {
+        telegramId = parseInt(telegramId);
+        const admin = await Admin.findByTelegramId(telegramId);
+
+        if (!admin) {
+            await ctx.answerCbQuery(global.i18n.t(ctx, 'admin.staff_not_found'));
+            return;
+        }
+
+        if (admin.role === 'owner' && await Admin.countOwners() <= 1) {
+            await ctx.answerCbQuery(global.i18n.t(ctx, 'admin.staff_last_owner'), { show_alert: true });
+            return;
+        }
+
+        await Admin.deleteOne({ telegramId });
+
+        global.logger.logAction('admin_role_revoked', {
+            adminId: ctx.from.id,
+            telegramId,
+            role: admin.role
+        });
+
+        await showStaffList(ctx);
+
+    } catch (error) {
+        await ctx.answerCbQuery(global.i18n.t(ctx, 'errors.general'));
+        throw error;
+    }
+};
+
 /**
  * Start add group process
  */
@@ -234,7 +750,7 @@ const showStatistics = async (ctx) => {
         const activeOrders = await Order.countDocuments({ status: 'active' });
         const completedOrders = await Order.countDocuments({ status: 'completed' });
 
-        const groups = groupsHandler.getGroupsList();
+        const groups = await groupsHandler.getGroupsList();
         const activeGroups = groups.filter(g => g.active).length;
 
         let message = global.i18n.t(ctx, 'admin.stats_title');
@@ -274,7 +790,8 @@ const showStatistics = async (ctx) => {
  */
 const handleAdminCommand = async (ctx) => {
     try {
-        const command = ctx.message.text.toLowerCase().trim();
+        const text = ctx.message.text.trim();
+        const command = text.toLowerCase();
 
         if (command === '/admin') {
             return showAdminMenu(ctx);
@@ -282,14 +799,14 @@ const handleAdminCommand = async (ctx) => {
 
         // Handle addgroup command: /addgroup -1001234567890 "Group Name" "region"
         if (command.startsWith('/addgroup ')) {
-            const parts = command.match(/\/addgroup\s+(-?\d+)\s+"([^"]+)"\s+"([^"]+)"/);
+            const parts = text.match(/\/addgroup\s+(-?\d+)\s+"([^"]+)"\s+"([^"]+)"/i);
             if (!parts) {
                 await ctx.reply(global.i18n.t(ctx, 'admin.addgroup_invalid_format'));
                 return;
             }
 
             const [, groupId, groupName, region] = parts;
-            const success = groupsHandler.addGroup(parseInt(groupId), groupName, region, '', true);
+            const success = await groupsHandler.addGroup(parseInt(groupId), groupName, region, '', true);
 
             if (success) {
                 const successMessage = global.i18n.t(ctx, 'admin.group_added_success', {
@@ -318,13 +835,30 @@ const handleAdminCommand = async (ctx) => {
 };
 
 module.exports = {
+    ROLE_PERMISSIONS,
     isAdmin,
+    getAdminRole,
+    hasPermission,
+    getAdminIds,
+    bootstrapOwner,
+    notifyAdmins,
+    requirePermission,
     requireAdmin,
     showAdminMenu,
     showGroupsList,
     showGroupsSettings,
     toggleAutoPosting,
     reloadGroupsConfig,
+    sendGroupSetupPrompt,
+    showGroupSetup,
+    toggleGroupRegion,
+    enableGroup,
+    showStaffList,
+    showStaffMember,
+    startStaffGrant,
+    handleAdminInputStep,
+    setStaffRole,
+    revokeStaff,
     startAddGroup,
     showStatistics,
     handleAdminCommand
@@ -0,0 +1,817 @@
+const User = require('../models/user');
+const Order = require('../models/order');
+const { getChatButton } = require('./chat');
+const { logDealReveal } = require('./contacts');
+const { getScoreInputs } = require('./matching');
+
+// Session storage for bids being written: telegramId -> { orderId, vehicleId, step, data }
+const bidSessions = new Map();
+
+const MAX_NOTE_LENGTH = 300;
+
+// Offers per bid, both sides together, before only accepting or withdrawing is left
+const MAX_BID_OFFERS = 10;
+
+// Bid ranking: reputation, price against the client's price, pickup time
+const BID_RATING_POINTS = 10; // Per star
+const BID_DEAL_POINTS = 1; // Per completed deal
+const BID_MAX_DEAL_POINTS = 20;
+const BID_PRICE_POINTS = 30; // Bid at half the client's price, negative when twice as high
+const BID_LATE_PICKUP_POINTS = 15; // Pickup after the order date
+const BID_PICKUP_DAY_POINTS = 2; // Per day of waiting for orders without a date
+const BID_MAX_PICKUP_DAYS = 7;
+
+// "25.06.2025" or "25.06.2025 14:30"
+const PICKUP_PATTERN = /(\d{1,2})\.(\d{1,2})\.(\d{4})(?:\s+(\d{1,2}):(\d{2}))?/;
+
+/**
+ * Parse pickup date and optional time
+ * @returns {Date|null} - null when unreadable, not a real date or in the past
+ */
+const parsePickupDate = (text) => {
+    const match = (text || '').match(PICKUP_PATTERN);
+    if (!match) return null;
+
+    const [, day, month, year, hours, minutes] = match;
+    const date = new Date(year, month - 1, day, hours || 0, minutes || 0);
+
+    // Date rolls "31.02" over to March and "25:00" to the next day, such input is a typo
+    if (date.getDate() !== Number(day) || date.getMonth() !== month - 1 || date.getFullYear() !== Number(year) ||
+        date.getHours() !== Number(hours || 0) || date.getMinutes() !== Number(minutes || 0)) {
+        return null;
+    }
+
+    // Today without a time is still a valid pickup day
+    const startOfToday = new Date();
+    startOfToday.setHours(0, 0, 0, 0);
+
+    return date >= startOfToday ? date : null;
+};
+
+/**
+ * Score a bid for the client's ranking, higher is better
+ */
+const scoreBid = (bid, order) => {
+    const driver = bid.driverId;
+    let score = (driver.reputation?.rating || 0) * BID_RATING_POINTS;
+    score += Math.min((driver.reputation?.completedDeals || 0) * BID_DEAL_POINTS, BID_MAX_DEAL_POINTS);
+
+    if (bid.price && order.cargo.price) {
+        const saving = (order.cargo.price - bid.price) / order.cargo.price;
+        score += Math.max(-BID_PRICE_POINTS, Math.min(BID_PRICE_POINTS, saving * 2 * BID_PRICE_POINTS));
+    }
+
+    if (bid.pickupAt) {
+        if (order.cargo.scheduledDate) {
+            if (new Date(bid.pickupAt) > new Date(order.cargo.scheduledDate)) {
+                score -= BID_LATE_PICKUP_POINTS;
+            }
+        } else {
+            const daysUntil = Math.max(0, (new Date(bid.pickupAt) - Date.now()) / (1000 * 60 * 60 * 24));
+            score -= Math.min(daysUntil, BID_MAX_PICKUP_DAYS) * BID_PICKUP_DAY_POINTS;
+        }
+    }
+
+    return Math.round(score);
+};
+
+/**
+ * Order bids best first, interested drivers must be populated
+ * @returns {Array<Object>} - [{ bid, score }]
+ */
+const rankBids = (order) => {
+    return order.interestedDrivers
+        .filter(bid => bid.driverId)
+        .map(bid => ({ bid, score: scoreBid(bid, order) }))
+        .sort((a, b) => b.score - a.score);
+};
+
+/**
+ * Format bid price, pickup and note, one per line
+ */
+const formatBid = (ctx, bid) => {
+    const lines = [];
+
+    lines.push(global.i18n.t(ctx, 'bids.price_line', {
+        price: bid.price ? `${bid.price} сум` : global.i18n.t(ctx, 'bids.no_price')
+    }));
+
+    if (bid.pickupAt) {
+        lines.push(global.i18n.t(ctx, 'bids.pickup_line', { pickup: new Date(bid.pickupAt).toLocaleString('ru-RU') }));
+    }
+    if (bid.note) {
+        lines.push(global.i18n.t(ctx, 'bids.note_line', { note: bid.note }));
+    }
+
+    return lines.join('\n');
+};
+
+/**
+ * Side whose answer a bid is waiting for, a bid without offers waits for the client
+ * @returns {string} - client or driver
+ */
+const getBidTurn = (bid) => {
+    const lastOffer = bid.offers[bid.offers.length - 1];
+    return lastOffer && lastOffer.by === 'client' ? 'driver' : 'client';
+};
+
+/**
+ * Format the negotiation history, empty until the client counters
+ */
+const formatOffers = (ctx, bid) => {
+    if (!bid.offers.some(offer => offer.by === 'client')) return '';
+
+    return [
+        global.i18n.t(ctx, 'bids.history'),
+        ...bid.offers.map(offer => global.i18n.t(ctx, `bids.offer_${offer.by}`, {
+            price: offer.price,
+            date: new Date(offer.createdAt).toLocaleString('ru-RU')
+        }))
+    ].join('\n');
+};
+
+/**
+ * Client's answers to a driver's price: accept, counter or look at all bids
+ */
+const getClientAnswerKeyboard = (ctx, orderId, driverId, bid) => {
+    const keyboard = [[{
+        text: global.i18n.t(ctx, 'bids.accept_price_button', { price: bid.price }),
+        callback_data: `myorder:select:${orderId}:${driverId}`
+    }]];
+
+    if (bid.offers.length < MAX_BID_OFFERS) {
+        keyboard.push([{ text: global.i18n.t(ctx, 'bids.counter'), callback_data: `bid:counter:${orderId}:${driverId}` }]);
+    }
+    keyboard.push([{ text: global.i18n.t(ctx, 'bids.view_button'), callback_data: `myorder:drivers:${orderId}` }]);
+
+    return { reply_markup: { inline_keyboard: keyboard } };
+};
+
+/**
+ * Driver's answers to a client's counter-offer: accept, counter or withdraw
+ */
+const getDriverAnswerKeyboard = (ctx, orderId, bid) => {
+    const keyboard = [[{
+        text: global.i18n.t(ctx, 'bids.accept_price_button', { price: bid.price }),
+        callback_data: `bid:agree:${orderId}`
+    }]];
+
+    if (bid.offers.length < MAX_BID_OFFERS) {
+        keyboard.push([{ text: global.i18n.t(ctx, 'bids.counter'), callback_data: `bid:counter:${orderId}` }]);
+    }
+    keyboard.push([{ text: global.i18n.t(ctx, 'bids.withdraw'), callback_data: `bid:withdraw:${orderId}` }]);
+
+    return { reply_markup: { inline_keyboard: keyboard } };
+};
+
+const getCancelButton = (ctx) => [{ text: global.i18n.t(ctx, 'buttons.cancel'), callback_data: 'bid:cancel' }];
+
+/**
+ * Start a bid for an order, asks for the price
+ * Called by showInterestInOrder once the driver and vehicle passed the checks
+ */
+const startBid = async (ctx, order, vehicle = null) => {
+    bidSessions.set(ctx.from.id, {
+        orderId: order._id.toString(),
+        vehicleId: vehicle ? vehicle._id : null,
+        step: 'price',
+        data: {}
+    });
+
+    const keyboard = [];
+    if (order.cargo.price) {
+        keyboard.push([{
+            text: global.i18n.t(ctx, 'bids.client_price_button', { price: order.cargo.price }),
+            callback_data: 'bid:price:client'
+        }]);
+    }
+    keyboard.push(getCancelButton(ctx));
+
+    await ctx.answerCbQuery();
+    await ctx.reply(
+        global.i18n.t(ctx, 'bids.enter_price', { order: order.summary }),
+        { reply_markup: { inline_keyboard: keyboard } }
+    );
+};
+
+/**
+ * Ask for the earliest pickup
+ */
+const askPickup = async (ctx, session) => {
+    session.step = 'pickup';
+
+    await ctx.reply(global.i18n.t(ctx, 'bids.enter_pickup'), {
+        reply_markup: {
+            inline_keyboard: [
+                [
+                    { text: global.i18n.t(ctx, 'bids.today'), callback_data: 'bid:pickup:today' },
+                    { text: global.i18n.t(ctx, 'bids.tomorrow'), callback_data: 'bid:pickup:tomorrow' }
+                ],
+                [{ text: global.i18n.t(ctx, 'orders.skip'), callback_data: 'bid:pickup:skip' }],
+                getCancelButton(ctx)
+            ]
+        }
+    });
+};
+
+/**
+ * Ask for a note to the client
+ */
+const askNote = async (ctx, session) => {
+    session.step = 'note';
+
+    await ctx.reply(global.i18n.t(ctx, 'bids.enter_note', { max: MAX_NOTE_LENGTH }), {
+        reply_markup: {
+            inline_keyboard: [
+                [{ text: global.i18n.t(ctx, 'orders.skip'), callback_data: 'bid:note:skip' }],
+                getCancelButton(ctx)
+            ]
+        }
+    });
+};
+
+/**
+ * Show the bid before sending
+ */
+const askConfirmation = async (ctx, session) => {
+    session.step = 'confirm';
+
+    await ctx.reply(global.i18n.t(ctx, 'bids.confirm', { bid: formatBid(ctx, session.data) }), {
+        reply_markup: {
+            inline_keyboard: [
+                [{ text: global.i18n.t(ctx, 'bids.submit'), callback_data: 'bid:submit' }],
+                getCancelButton(ctx)
+            ]
+        }
+    });
+};
+
+/**
+ * Handle typed price, pickup and note
+ * @returns {boolean} - true if the message was handled
+ */
+const handleBidInput = async (ctx) => {
+    try {
+        const session = bidSessions.get(ctx.from.id);
+
+        if (!session) {
+            return false;
+        }
+
+        const text = ctx.message.text.trim();
+
+        switch (session.step) {
+            case 'price': {
+                const price = parseInt(text.replace(/[^\d]/g, ''));
+
+                if (isNaN(price) || price <= 0) {
+                    await ctx.reply(global.i18n.t(ctx, 'bids.invalid_price'));
+                    return true;
+                }
+
+                session.data.price = price;
+                await askPickup(ctx, session);
+                return true;
+            }
+
+            case 'pickup': {
+                const pickupAt = parsePickupDate(text);
+
+                if (!pickupAt) {
+                    await ctx.reply(global.i18n.t(ctx, 'bids.invalid_pickup'));
+                    return true;
+                }
+
+                session.data.pickupAt = pickupAt;
+                await askNote(ctx, session);
+                return true;
+            }
+
+            case 'note':
+                if (text.length > MAX_NOTE_LENGTH) {
+                    await ctx.reply(global.i18n.t(ctx, 'bids.note_too_long', { max: MAX_NOTE_LENGTH }));
+                    return true;
+                }
+
+                session.data.note = text;
+                await askConfirmation(ctx, session);
+                return true;
+
+            case 'counter': {
+                const price = parseInt(text.replace(/[^\d]/g, ''));
+
+                if (isNaN(price) || price <= 0) {
+                    await ctx.reply(global.i18n.t(ctx, 'bids.invalid_price'));
+                    return true;
+                }
+
+                await submitCounter(ctx, session, price);
+                return true;
+            }
+
+            default:
+                await ctx.reply(global.i18n.t(ctx, 'cargo.use_buttons'));
+                return true;
+        }
+    } catch (error) {
+        await ctx.reply(global.i18n.t(ctx, 'errors.general'));
+        throw error;
+    }
+};
+
+/**
+ * Take the client's price as the bid
+ */
+const acceptClientPrice = async (ctx) => {
+    try {
+        const session = bidSessions.get(ctx.from.id);
+        const order = session && session.step === 'price' ? await Order.findById(session.orderId) : null;
+
+        if (!order || !order.cargo.price) {
+            await ctx.answerCbQuery(global.i18n.t(ctx, 'errors.general'));
+            return;
+        }
+
+        session.data.price = order.cargo.price;
+
+        await ctx.answerCbQuery();
+        await askPickup(ctx, session);
+
+    } catch (error) {
+        await ctx.answerCbQuery(global.i18n.t(ctx, 'errors.general'));
+        throw error;
+    }
+};
+
+/**
+ * Handle pickup buttons: today, tomorrow or skip
+ */
+const selectPickup = async (ctx, choice) => {
+    try {
+        const session = bidSessions.get(ctx.from.id);
+
+        if (!session || session.step !== 'pickup') {
+            await ctx.answerCbQuery(global.i18n.t(ctx, 'errors.general'));
+            return;
+        }
+
+        if (choice !== 'skip') {
+            const pickupAt = new Date();
+            pickupAt.setHours(0, 0, 0, 0);
+            if (choice === 'tomorrow') {
+                pickupAt.setDate(pickupAt.getDate() + 1);
+            }
+            session.data.pickupAt = pickupAt;
+        }
+
+        await ctx.answerCbQuery();
+        await askNote(ctx, session);
+
+    } catch (error) {
+        await ctx.answerCbQuery(global.i18n.t(ctx, 'errors.general'));
+        throw error;
+    }
+};
+
+/**
+ * Skip the note
+ */
+const skipNote = async (ctx) => {
+    try {
+        const session = bidSessions.get(ctx.from.id);
+
+        if (!session || session.step !== 'note') {
+            await ctx.answerCbQuery(global.i18n.t(ctx, 'errors.general'));
+            return;
+        }
+
+        await ctx.answerCbQuery();
+        await askConfirmation(ctx, session);
+
+    } catch (error) {
+        await ctx.answerCbQuery(global.i18n.t(ctx, 'errors.general'));
+        throw error;
+    }
+};
+
+/**
+ * Cancel the bid or the counter-offer being typed
+ */
+const cancelBid = async (ctx) => {
+    try {
+        const session = bidSessions.get(ctx.from.id);
+        bidSessions.delete(ctx.from.id);
+
+        const isCounter = session && session.step === 'counter';
+
+        await ctx.answerCbQuery();
+        await ctx.editMessageText(global.i18n.t(ctx, isCounter ? 'bids.counter_cancelled' : 'bids.cancelled'));
+
+    } catch (error) {
+        await ctx.answerCbQuery(global.i18n.t(ctx, 'errors.general'));
+        throw error;
+    }
+};
+
+/**
+ * Send the bid and let the client know
+ */
+const submitBid = async (ctx) => {
+    try {
+        const session = bidSessions.get(ctx.from.id);
+        const user = ctx.user;
+
+        if (!session || session.step !== 'confirm') {
+            await ctx.answerCbQuery(global.i18n.t(ctx, 'errors.general'));
+            return;
+        }
+
+        bidSessions.delete(ctx.from.id);
+
+        const order = await Order.findById(session.orderId).populate('clientId', 'telegramId language');
+
+        if (!order || !order.canBeMatched()) {
+            await ctx.answerCbQuery(global.i18n.t(ctx, 'errors.order_not_found'));
+            return;
+        }
+
+        if (!user.canTakeMoreOrders()) {
+            await ctx.answerCbQuery(global.i18n.t(ctx, 'orders.cannot_take_more'));
+            return;
+        }
+
+        if (order.getBid(user._id)) {
+            await ctx.answerCbQuery(global.i18n.t(ctx, 'orders.already_interested'));
+            return;
+        }
+
+        await order.addInterestedDriver(user._id, session.vehicleId, {
+            ...session.data,
+            scoreInputs: getScoreInputs(user, order)
+        });
+
+        await ctx.answerCbQuery(global.i18n.t(ctx, 'orders.interest_sent'));
+        await ctx.editMessageText(
+            global.i18n.t(ctx, 'bids.sent', { bid: formatBid(ctx, session.data) }),
+            order.relayChat ? { reply_markup: { inline_keyboard: [[getChatButton(ctx, order._id, null, 'chat.open_client_button')]] } } : {}
+        );
+
+        await notifyClientAboutBid(ctx, order, user, session.data);
+
+        global.logger.logAction('driver_showed_interest', {
+            driverId: user._id,
+            vehicleId: session.vehicleId,
+            orderId: order._id,
+            clientId: order.clientId._id,
+            price: session.data.price
+        });
+
+    } catch (error) {
+        await ctx.answerCbQuery(global.i18n.t(ctx, 'errors.general'));
+        throw error;
+    }
+};
+
+/**
+ * Send the client a new bid with a link to all bids
+ */
+const notifyClientAboutBid = async (ctx, order, driver, bid) => {
+    const client = order.clientId;
+    const clientCtx = { locale: client.language };
+
+    const keyboard = [[{ text: global.i18n.t(clientCtx, 'bids.view_button'), callback_data: `myorder:drivers:${order._id}` }]];
+    if (order.relayChat) {
+        keyboard.push([getChatButton(clientCtx, order._id, driver._id, 'chat.open_driver_button')]);
+    }
+
+    try {
+        await ctx.telegram.sendMessage(
+            client.telegramId,
+            global.i18n.t(clientCtx, 'bids.client_notice', {
+                orderId: order._id.toString().slice(-6),
+                driverName: driver.profile.fullName,
+                rating: driver.reputation.rating.toFixed(1),
+                bid: formatBid(clientCtx, bid),
+                count: order.interestedDrivers.length
+            }),
+            { reply_markup: { inline_keyboard: keyboard } }
+        );
+    } catch (error) {
+        global.logger.logWarn('Failed to notify client about bid:', ctx, { orderId: order._id, error: error.message });
+    }
+};
+
+/**
+ * Tell drivers their bids lost to another driver
+ */
+const notifyRejectedBidders = async (ctx, order, driverIds) => {
+    if (driverIds.length === 0) return;
+
+    const drivers = await User.find({ _id: { $in: driverIds } }).select('telegramId language');
+
+    for (const driver of drivers) {
+        try {
+            await ctx.telegram.sendMessage(
+                driver.telegramId,
+                global.i18n.t({ locale: driver.language }, 'bids.rejected', {
+                    orderId: order._id.toString().slice(-6),
+                    order: order.summary
+                })
+            );
+
+            // Small delay to avoid hitting rate limits
+            await new Promise(resolve => setTimeout(resolve, 100));
+
+        } catch (error) {
+            global.logger.logWarn('Failed to notify rejected bidder:', ctx, { driverId: driver._id, error: error.message });
+        }
+    }
+
+    global.logger.logAction('rejected_bidders_notified', {
+        orderId: order._id,
+        count: drivers.length
+    });
+};
+
+/**
+ * Ask for a counter-offer on a bid
+ * Clients pass the bid's driver, drivers counter on their own bid
+ */
+const startCounter = async (ctx, orderId, driverId = null) => {
+    try {
+        const user = ctx.user;
+        const side = driverId ? 'client' : 'driver';
+        const bidDriverId = driverId || user._id.toString();
+        const order = await Order.findById(orderId);
+
+        if (!order || (side === 'client' && order.clientId.toString() !== user._id.toString())) {
+            await ctx.answerCbQuery(global.i18n.t(ctx, 'errors.access_denied'));
+            return;
+        }
+
+        const bid = order.getBid(bidDriverId);
+
+        if (!bid || bid.status !== 'pending' || !order.canBeMatched()) {
+            await ctx.answerCbQuery(global.i18n.t(ctx, 'bids.not_available'));
+            return;
+        }
+
+        if (getBidTurn(bid) !== side) {
+            await ctx.answerCbQuery(global.i18n.t(ctx, 'bids.not_your_turn'));
+            return;
+        }
+
+        if (bid.offers.length >= MAX_BID_OFFERS) {
+            await ctx.answerCbQuery(global.i18n.t(ctx, 'bids.too_many_offers'));
+            return;
+        }
+
+        bidSessions.set(ctx.from.id, { orderId, driverId: bidDriverId, side, step: 'counter' });
+
+        await ctx.answerCbQuery();
+        await ctx.reply(
+            global.i18n.t(ctx, 'bids.enter_counter', { price: bid.price || global.i18n.t(ctx, 'bids.no_price') }),
+            { reply_markup: { inline_keyboard: [getCancelButton(ctx)] } }
+        );
+
+    } catch (error) {
+        await ctx.answerCbQuery(global.i18n.t(ctx, 'errors.general'));
+        throw error;
+    }
+};
+
+/**
+ * Put the typed counter-offer on the bid and pass the turn to the other side
+ */
+const submitCounter = async (ctx, session, price) => {
+    bidSessions.delete(ctx.from.id);
+
+    const order = await Order.findById(session.orderId).populate('clientId', 'telegramId language');
+    const bid = order ? order.getBid(session.driverId) : null;
+
+    if (!bid || bid.status !== 'pending' || !order.canBeMatched() || getBidTurn(bid) !== session.side) {
+        await ctx.reply(global.i18n.t(ctx, 'bids.not_available'));
+        return;
+    }
+
+    if (price === bid.price) {
+        await ctx.reply(global.i18n.t(ctx, 'bids.same_price'));
+        return;
+    }
+
+    await order.addCounterOffer(session.driverId, session.side, price);
+
+    await ctx.reply(global.i18n.t(ctx, 'bids.counter_sent', { price }));
+
+    if (session.side === 'client') {
+        await notifyDriverAboutCounter(ctx, order, bid);
+    } else {
+        await notifyClientAboutCounter(ctx, order, ctx.user, bid);
+    }
+
+    global.logger.logAction('bid_countered', {
+        orderId: order._id,
+        driverId: session.driverId,
+        by: session.side,
+        price
+    });
+};
+
+/**
+ * Send the driver the client's counter-offer
+ */
+const notifyDriverAboutCounter = async (ctx, order, bid) => {
+    const driver = await User.findById(bid.driverId).select('telegramId language');
+    const driverCtx = { locale: driver.language };
+
+    try {
+        await ctx.telegram.sendMessage(
+            driver.telegramId,
+            global.i18n.t(driverCtx, 'bids.counter_from_client', {
+                orderId: order._id.toString().slice(-6),
+                order: order.summary,
+                price: bid.price,
+                history: formatOffers(driverCtx, bid)
+            }),
+            getDriverAnswerKeyboard(driverCtx, order._id, bid)
+        );
+    } catch (error) {
+        global.logger.logWarn('Failed to notify driver about counter-offer:', ctx, { orderId: order._id, error: error.message });
+    }
+};
+
+/**
+ * Send the client the driver's counter-offer
+ */
+const notifyClientAboutCounter = async (ctx, order, driver, bid) => {
+    const client = order.clientId;
+    const clientCtx = { locale: client.language };
+
+    try {
+        await ctx.telegram.sendMessage(
+            client.telegramId,
+            global.i18n.t(clientCtx, 'bids.counter_from_driver', {
+                orderId: order._id.toString().slice(-6),
+                driverName: driver.profile.fullName,
+                price: bid.price,
+                history: formatOffers(clientCtx, bid)
+            }),
+            getClientAnswerKeyboard(clientCtx, order._id, driver._id, bid)
+        );
+    } catch (error) {
+        global.logger.logWarn('Failed to notify client about counter-offer:', ctx, { orderId: order._id, error: error.message });
+    }
+};
+
+/**
+ * Driver accepts the client's counter-offer, which closes the deal at that price
+ */
+const agreeToCounter = async (ctx, orderId) => {
+    try {
+        const user = ctx.user;
+        const order = await Order.findById(orderId).populate('clientId', 'telegramId language profile');
+        const bid = order ? order.getBid(user._id) : null;
+
+        if (!bid || bid.status !== 'pending' || !order.canBeMatched() || getBidTurn(bid) !== 'driver') {
+            await ctx.answerCbQuery(global.i18n.t(ctx, 'bids.not_available'));
+            return;
+        }
+
+        if (!user.canTakeMoreOrders()) {
+            await ctx.answerCbQuery(global.i18n.t(ctx, 'orders.cannot_take_more'));
+            return;
+        }
+
+        // Drivers whose bids lose to this one
+        const rejectedDriverIds = order.interestedDrivers
+            .filter(item => item.status === 'pending' && item !== bid)
+            .map(item => item.driverId);
+
+        await order.assignDriver(user._id);
+
+        user.activeOrders += 1;
+        await user.save();
+
+        const { updateOrderInGroups } = require('./groups');
+        await updateOrderInGroups(order, 'matched', ctx);
+
+        const client = order.clientId;
+
+        await ctx.answerCbQuery();
+        await ctx.editMessageText(global.i18n.t(ctx, 'bids.agreed', {
+            order: order.summary,
+            price: order.agreedPrice,
+            phone: order.contactInfo.phoneNumber || client.profile.phoneNumber || '—'
+        }));
+        await logDealReveal(order, user);
+
+        try {
+            const clientCtx = { locale: client.language };
+
+            await ctx.telegram.sendMessage(
+                client.telegramId,
+                global.i18n.t(clientCtx, 'bids.driver_agreed', {
+                    orderId: order._id.toString().slice(-6),
+                    driverName: user.profile.fullName,
+                    price: order.agreedPrice
+                }),
+                {
+                    reply_markup: {
+                        inline_keyboard: [[{
+                            text: global.i18n.t(clientCtx, 'bids.open_order'),
+                            callback_data: `myorder:view:${order._id}`
+                        }]]
+                    }
+                }
+            );
+        } catch (error) {
+            global.logger.logWarn('Failed to notify client about agreed price:', ctx, { orderId: order._id, error: error.message });
+        }
+
+        await notifyRejectedBidders(ctx, order, rejectedDriverIds);
+
+        global.logger.logAction('driver_selected', {
+            orderId: order._id,
+            driverId: user._id,
+            clientId: client._id,
+            agreedPrice: order.agreedPrice
+        });
+
+    } catch (error) {
+        await ctx.answerCbQuery(global.i18n.t(ctx, 'errors.general'));
+        throw error;
+    }
+};
+
+/**
+ * Driver withdraws their bid
+ */
+const withdrawBid = async (ctx, orderId) => {
+    try {
+        const user = ctx.user;
+        const order = await Order.findById(orderId).populate('clientId', 'telegramId language');
+        const bid = order ? order.getBid(user._id) : null;
+
+        if (!bid || bid.status !== 'pending' || !order.canBeMatched()) {
+            await ctx.answerCbQuery(global.i18n.t(ctx, 'bids.not_available'));
+            return;
+        }
+
+        bidSessions.delete(ctx.from.id);
+        await order.withdrawBid(user._id);
+
+        await ctx.answerCbQuery();
+        await ctx.editMessageText(global.i18n.t(ctx, 'bids.withdrawn', { order: order.summary }));
+
+        const client = order.clientId;
+
+        try {
+            const clientCtx = { locale: client.language };
+
+            await ctx.telegram.sendMessage(
+                client.telegramId,
+                global.i18n.t(clientCtx, 'bids.withdrawn_notice', {
+                    orderId: order._id.toString().slice(-6),
+                    driverName: user.profile.fullName
+                }),
+                {
+                    reply_markup: {
+                        inline_keyboard: [[{
+                            text: global.i18n.t(clientCtx, 'bids.view_button'),
+                            callback_data: `myorder:drivers:${order._id}`
+                        }]]
+                    }
+                }
+            );
+        } catch (error) {
+            global.logger.logWarn('Failed to notify client about withdrawn bid:', ctx, { orderId: order._id, error: error.message });
+        }
+
+        global.logger.logAction('bid_withdrawn', {
+            orderId: order._id,
+            driverId: user._id
+        });
+
+    } catch (error) {
+        await ctx.answerCbQuery(global.i18n.t(ctx, 'errors.general'));
+        throw error;
+    }
+};
+
+module.exports = {
+    rankBids,
+    formatBid,
+    getBidTurn,
+    formatOffers,
+    startBid,
+    handleBidInput,
+    acceptClientPrice,
+    selectPickup,
+    skipNote,
+    cancelBid,
+    submitBid,
+    startCounter,
+    agreeToCounter,
+    withdrawBid,
+    notifyRejectedBidders
+};
\ No newline at end of file
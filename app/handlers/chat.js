@@ -0,0 +1,246 @@
+const User = require('../models/user');
+const Order = require('../models/order');
+
+// Open relay chats: telegramId -> { orderId, peerId, driverId, lastActivityAt }
+const chatSessions = new Map();
+
+// A relay nobody wrote into for this long is closed
+const CHAT_IDLE_TTL_MS = 2 * 60 * 60 * 1000;
+
+// Order statuses with an open relay, completing or cancelling the order closes it
+const CHAT_ORDER_STATUSES = ['active', 'matched', 'in_progress'];
+
+// Bids that may still talk to the client
+const CHAT_BID_STATUSES = ['pending', 'accepted'];
+
+// Phone-like runs of digits, separators allowed
+const PHONE_PATTERN = /\+?\d[\d\s\-()]{7,}\d/g;
+const MIN_PHONE_DIGITS = 9;
+
+/**
+ * Hide phone numbers until a driver is assigned
+ */
+const maskPhones = (text) => {
+    return text.replace(PHONE_PATTERN, match => (
+        match.replace(/\D/g, '').length >= MIN_PHONE_DIGITS ? '📵' : match
+    ));
+};
+
+/**
+ * Find who a user talks to about an order
+ * Clients talk to a bidding driver, drivers to the client; once assigned only the chosen driver is left
+ * @param {string|null} driverId - bidding driver, given by the client
+ * @returns {Object|null} - { isClient, driverId, peerId } or null if there is no relay
+ */
+const getChatPeer = (order, user, driverId = null) => {
+    if (!order.relayChat || !CHAT_ORDER_STATUSES.includes(order.status)) {
+        return null;
+    }
+
+    const clientId = (order.clientId._id || order.clientId).toString();
+    const isClient = clientId === user._id.toString();
+    const bidDriverId = isClient ? driverId : user._id.toString();
+
+    if (!bidDriverId) return null;
+
+    const bid = order.getBid(bidDriverId);
+    if (!bid || !CHAT_BID_STATUSES.includes(bid.status)) return null;
+
+    const assignedId = order.driverId ? (order.driverId._id || order.driverId).toString() : null;
+    if (assignedId && assignedId !== bidDriverId.toString()) return null;
+
+    return {
+        isClient,
+        driverId: bidDriverId.toString(),
+        peerId: isClient ? bidDriverId.toString() : clientId
+    };
+};
+
+/**
+ * Get the user's open relay, dropping it once it went idle
+ */
+const getChatSession = (telegramId) => {
+    const session = chatSessions.get(telegramId);
+
+    if (session && Date.now() - session.lastActivityAt > CHAT_IDLE_TTL_MS) {
+        chatSessions.delete(telegramId);
+        return null;
+    }
+
+    return session || null;
+};
+
+/**
+ * Leave the relay when the user starts another flow
+ */
+const clearChatSession = (telegramId) => {
+    chatSessions.delete(telegramId);
+};
+
+/**
+ * Button opening the relay with the other side
+ * @param {string|null} driverId - bidding driver, for the client's button
+ */
+const getChatButton = (ctx, orderId, driverId = null, textKey = 'chat.open_button') => {
+    return {
+        text: global.i18n.t(ctx, textKey),
+        callback_data: driverId ? `chat:open:${orderId}:${driverId}` : `chat:open:${orderId}`
+    };
+};
+
+/**
+ * Open the relay, the user's next messages go to the other side
+ */
+const openChat = async (ctx, orderId, driverId = null) => {
+    try {
+        const order = await Order.findById(orderId);
+        const peer = order ? getChatPeer(order, ctx.user, driverId) : null;
+
+        if (!peer) {
+            await ctx.answerCbQuery(global.i18n.t(ctx, 'chat.not_available'));
+            return;
+        }
+
+        const peerUser = await User.findById(peer.peerId).select('profile');
+
+        // The other side deleted their account
+        if (!peerUser) {
+            await ctx.answerCbQuery(global.i18n.t(ctx, 'chat.not_available'));
+            return;
+        }
+
+        chatSessions.set(ctx.from.id, {
+            orderId: order._id.toString(),
+            peerId: peer.peerId,
+            driverId: peer.driverId,
+            lastActivityAt: Date.now()
+        });
+
+        await ctx.answerCbQuery();
+        await ctx.reply(
+            global.i18n.t(ctx, 'chat.opened', {
+                orderId: order._id.toString().slice(-6),
+                order: order.summary,
+                name: peer.isClient ? peerUser.profile.fullName : order.contactInfo.contactName || peerUser.profile.fullName
+            }),
+            { reply_markup: { inline_keyboard: [[{ text: global.i18n.t(ctx, 'chat.close_button'), callback_data: 'chat:close' }]] } }
+        );
+
+        global.logger.logAction('relay_chat_opened', {
+            orderId: order._id,
+            userId: ctx.user._id,
+            peerId: peer.peerId
+        });
+
+    } catch (error) {
+        await ctx.answerCbQuery(global.i18n.t(ctx, 'errors.general'));
+        throw error;
+    }
+};
+
+/**
+ * Leave the relay
+ */
+const closeChat = async (ctx) => {
+    try {
+        chatSessions.delete(ctx.from.id);
+
+        await ctx.answerCbQuery();
+        await ctx.editMessageText(global.i18n.t(ctx, 'chat.left'));
+
+    } catch (error) {
+        await ctx.answerCbQuery(global.i18n.t(ctx, 'errors.general'));
+        throw error;
+    }
+};
+
+/**
+ * Relay text, photo, voice or location to the other side with an order header
+ * @returns {boolean} - true if the message was handled
+ */
+const handleChatMessage = async (ctx) => {
+    try {
+        const session = getChatSession(ctx.from.id);
+
+        if (!session) {
+            return false;
+        }
+
+        const user = ctx.user;
+        const order = await Order.findById(session.orderId);
+        const peer = order ? getChatPeer(order, user, session.driverId) : null;
+
+        // Order completed or cancelled, or the bid is out
+        if (!peer) {
+            chatSessions.delete(ctx.from.id);
+            await ctx.reply(global.i18n.t(ctx, 'chat.closed'));
+            return true;
+        }
+
+        const message = ctx.message;
+        if (!message.text && !message.photo && !message.voice && !message.location) {
+            await ctx.reply(global.i18n.t(ctx, 'chat.unsupported'));
+            return true;
+        }
+
+        const peerUser = await User.findById(peer.peerId).select('telegramId language');
+
+        if (!peerUser) {
+            chatSessions.delete(ctx.from.id);
+            await ctx.reply(global.i18n.t(ctx, 'chat.closed'));
+            return true;
+        }
+
+        session.lastActivityAt = Date.now();
+        const peerCtx = { locale: peerUser.language };
+
+        const header = global.i18n.t(peerCtx, peer.isClient ? 'chat.header_client' : 'chat.header_driver', {
+            orderId: order._id.toString().slice(-6),
+            name: peer.isClient ? order.contactInfo.contactName || user.profile.fullName : user.profile.fullName
+        });
+
+        // Phones stay hidden until a driver is assigned
+        const relayText = (text) => (order.driverId ? text : maskPhones(text));
+
+        // The peer answers into the same conversation
+        const extra = {
+            reply_markup: {
+                inline_keyboard: [[
+                    getChatButton(peerCtx, order._id, peer.isClient ? null : peer.driverId, 'chat.reply_button')
+                ]]
+            }
+        };
+
+        try {
+            if (message.text) {
+                await ctx.telegram.sendMessage(peerUser.telegramId, `${header}\n\n${relayText(message.text)}`, extra);
+            } else if (message.photo) {
+                // Telegram sends several sizes, the last one is the largest
+                const caption = message.caption ? `${header}\n\n${relayText(message.caption)}` : header;
+                await ctx.telegram.sendPhoto(peerUser.telegramId, message.photo[message.photo.length - 1].file_id, { caption, ...extra });
+            } else if (message.voice) {
+                await ctx.telegram.sendVoice(peerUser.telegramId, message.voice.file_id, { caption: header, ...extra });
+            } else {
+                await ctx.telegram.sendMessage(peerUser.telegramId, header);
+                await ctx.telegram.sendLocation(peerUser.telegramId, message.location.latitude, message.location.longitude, extra);
+            }
+        } catch (error) {
+            global.logger.logWarn('Failed to relay chat message:', ctx, { orderId: order._id, peerId: peer.peerId, error: error.message });
+            await ctx.reply(global.i18n.t(ctx, 'chat.delivery_failed'));
+        }
+
+        return true;
+    } catch (error) {
+        await ctx.reply(global.i18n.t(ctx, 'errors.general'));
+        throw error;
+    }
+};
+
+module.exports = {
+    getChatPeer,
+    getChatButton,
+    openChat,
+    closeChat,
+    clearChatSession,
+    handleChatMessage
+};
\ No newline at end of file
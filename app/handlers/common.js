@@ -1,4 +1,7 @@
 const User = require('../models/user');
+const gazetteer = require('../services/gazetteer');
+const { formatWeight, formatVolume } = require('../utils/cargo');
+
 /**
  * Get or create user (simplified version)
  */
@@ -195,9 +198,54 @@ const formatUserInfo = (user, ctx) => {
         });
     }
 
+    if (user.isDriver()) {
+        info += formatVehicleCapability(user.driverInfo, ctx);
+    }
+
     return info;
 };
 
+/**
+ * Format what a driver's vehicle can carry, empty when nothing is filled in
+ */
+const formatVehicleCapability = (driverInfo, ctx) => {
+    const { bodyType, payloadKg, volumeM3, cargoTypes } = driverInfo || {};
+    if (!bodyType && !payloadKg && !volumeM3) return '';
+
+    const special = (cargoTypes || []).map(type => global.i18n.t(ctx, `cargo.types.${type}`));
+
+    return global.i18n.t(ctx, 'cargo.capability_info', {
+        body: bodyType ? global.i18n.t(ctx, `cargo.bodies.${bodyType}`) : '—',
+        payload: payloadKg ? formatWeight(ctx, payloadKg) : '—',
+        volume: volumeM3 ? formatVolume(ctx, volumeM3) : '—',
+        special: special.length > 0 ? special.join(', ') : '—'
+    });
+};
+
+/**
+ * Format structured cargo lines for order texts, one line per known field
+ */
+const formatCargoDetails = (cargo, ctx) => {
+    const lines = [];
+
+    if (cargo.weightKg) {
+        lines.push(global.i18n.t(ctx, 'cargo.weight_line', { weight: formatWeight(ctx, cargo.weightKg) }));
+    } else if (cargo.weight) {
+        lines.push(global.i18n.t(ctx, 'cargo.weight_line', { weight: cargo.weight }));
+    }
+    if (cargo.volumeM3) {
+        lines.push(global.i18n.t(ctx, 'cargo.volume_line', { volume: formatVolume(ctx, cargo.volumeM3) }));
+    }
+    if (cargo.cargoType && cargo.cargoType !== 'general') {
+        lines.push(global.i18n.t(ctx, 'cargo.type_line', { type: global.i18n.t(ctx, `cargo.types.${cargo.cargoType}`) }));
+    }
+    if (cargo.bodyType) {
+        lines.push(global.i18n.t(ctx, 'cargo.body_line', { body: global.i18n.t(ctx, `cargo.bodies.${cargo.bodyType}`) }));
+    }
+
+    return lines.join('\n');
+};
+
 /**
  * Format order summary for display
  */
@@ -211,6 +259,7 @@ const formatOrderSummary = (order, ctx) => {
     const description = order.cargo.description || 'Не указано';
     const contact = order.contactInfo?.contactName || 'См. профиль';
     const status = global.i18n.t(ctx, `status.${order.status}`);
+    const cargoDetails = formatCargoDetails(order.cargo, ctx);
 
     return global.i18n.t(ctx, 'orders.order_details', {
         orderId: order._id.toString().slice(-6),
@@ -220,7 +269,8 @@ const formatOrderSummary = (order, ctx) => {
         price,
         description,
         contact,
-        status
+        status,
+        cargo: cargoDetails ? cargoDetails + '\n' : ''
     });
 };
 
@@ -258,33 +308,19 @@ const formatPhoneNumber = (phone) => {
 };
 
 /**
- * Get distance between two cities (simplified implementation)
+ * Get distance between two locations in kilometers
+ * @returns {number|null} - null when a location is missing or not in the gazetteer
  */
-const calculateDistance = (city1, city2) => {
-    // Simplified distance calculation
-    // In a real implementation, you would use geocoding API
-    if (!city1 || !city2) return 0;
-
-    city1 = city1.toLowerCase().trim();
-    city2 = city2.toLowerCase().trim();
-
-    if (city1 === city2) return 0;
-
-    // Mock distances for common Uzbek cities
-    const distances = {
-        'ташкент-самарканд': 280,
-        'ташкент-бухара': 440,
-        'ташкент-андижан': 370,
-        'ташкент-наманган': 310,
-        'ташкент-фергана': 340,
-        'самарканд-бухара': 160,
-        'бухара-хива': 450
-    };
+const calculateDistance = (location1, location2) => {
+    if (!location1 || !location2) return null;
 
-    const key1 = `${city1}-${city2}`;
-    const key2 = `${city2}-${city1}`;
+    const distance = gazetteer.getDistance(location1, location2);
+
+    if (distance === null && location1.toLowerCase().trim() === location2.toLowerCase().trim()) {
+        return 0;
+    }
 
-    return distances[key1] || distances[key2] || Math.floor(Math.random() * 500) + 100;
+    return distance;
 };
 
 module.exports = {
@@ -300,6 +336,8 @@ module.exports = {
     getPaginationKeyboard,
     formatUserInfo,
     formatOrderSummary,
+    formatCargoDetails,
+    formatVehicleCapability,
     escapeMarkdown,
     validatePhoneNumber,
     formatPhoneNumber,
@@ -0,0 +1,146 @@
+const ContactReveal = require('../models/contactReveal');
+
+const CONTACT_PRIVACY_LEVELS = ['everyone', 'drivers', 'accepted'];
+
+// Distinct orders a Telegram user may see phones of per day
+const DAILY_REVEAL_LIMIT = parseInt(process.env.CONTACT_REVEALS_PER_DAY) || 20;
+const REVEAL_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Check an order's privacy setting for the user asking for the phone
+ * @param {Object|null} viewer - registered user or null
+ */
+const isRevealAllowed = (order, viewer) => {
+    switch (order.contactPrivacy) {
+        case 'drivers':
+            return !!viewer && viewer.registrationCompleted && viewer.isDriver();
+        case 'accepted':
+            return !!viewer && !!order.driverId && (order.driverId._id || order.driverId).toString() === viewer._id.toString();
+        default:
+            return true;
+    }
+};
+
+/**
+ * Show the contact card as an alert, client must be populated with profile
+ */
+const showContact = async (ctx, order) => {
+    await ctx.answerCbQuery(global.i18n.t(ctx, 'contacts.card', {
+        name: order.contactInfo.contactName || order.clientId.profile.fullName,
+        phone: order.contactInfo.phoneNumber || global.i18n.t(ctx, 'contacts.no_phone')
+    }), { show_alert: true });
+};
+
+/**
+ * Log the phone shown to the driver assigned to the order
+ * The deal partner always gets it, so there is no privacy or limit check
+ */
+const logDealReveal = async (order, driver) => {
+    await ContactReveal.create({
+        orderId: order._id,
+        viewerId: driver._id,
+        viewerTelegramId: driver.telegramId,
+        source: 'deal',
+        revealed: true
+    });
+
+    global.logger.logAction('contact_revealed', {
+        orderId: order._id,
+        telegramId: driver.telegramId,
+        userId: driver._id,
+        source: 'deal'
+    });
+};
+
+/**
+ * Let admins know about an account that ran into the daily limit
+ */
+const flagScraper = async (ctx, viewer, revealCount) => {
+    const { notifyAdmins } = require('./admin');
+
+    await notifyAdmins(
+        ctx.telegram,
+        (adminCtx) => global.i18n.t(adminCtx, 'contacts.admin_scraper', {
+            name: viewer ? viewer.profile.fullName : ctx.from.first_name,
+            username: ctx.from.username ? `@${ctx.from.username}` : '—',
+            telegramId: ctx.from.id,
+            registered: global.i18n.t(adminCtx, viewer ? 'buttons.yes' : 'buttons.no'),
+            count: revealCount
+        }),
+        viewer ? (adminCtx) => ({
+            reply_markup: {
+                inline_keyboard: [[{ text: global.i18n.t(adminCtx, 'contacts.open_user'), callback_data: `admin:umod:view:${ctx.from.id}` }]]
+            }
+        }) : null,
+        'users.moderate'
+    );
+
+    global.logger.logAction('contact_scraper_flagged', {
+        telegramId: ctx.from.id,
+        userId: viewer ? viewer._id : null,
+        count: revealCount
+    });
+};
+
+/**
+ * Reveal an order's phone to the user who pressed the button
+ * Checks the order's privacy and the daily limit, logs every attempt and flags scrapers once a day
+ * @param {string} source - group or bot
+ */
+const revealContact = async (ctx, order, source) => {
+    const viewer = ctx.user || null;
+
+    // Clients see their own phone
+    if (viewer && viewer._id.toString() === (order.clientId._id || order.clientId).toString()) {
+        await showContact(ctx, order);
+        return;
+    }
+
+    const attempt = {
+        orderId: order._id,
+        viewerId: viewer ? viewer._id : null,
+        viewerTelegramId: ctx.from.id,
+        source,
+        groupId: source === 'group' ? ctx.chat.id : undefined
+    };
+
+    if (!isRevealAllowed(order, viewer)) {
+        await ContactReveal.create({ ...attempt, revealed: false, deniedReason: 'privacy' });
+        await ctx.answerCbQuery(global.i18n.t(ctx, `contacts.hidden.${order.contactPrivacy}`), { show_alert: true });
+        return;
+    }
+
+    const since = new Date(Date.now() - REVEAL_WINDOW_MS);
+    const revealedOrderIds = await ContactReveal.findRevealedOrderIds(ctx.from.id, since);
+    const seenBefore = revealedOrderIds.some(id => id.toString() === order._id.toString());
+
+    // Phones seen again the same day do not count
+    if (!seenBefore && revealedOrderIds.length >= DAILY_REVEAL_LIMIT) {
+        const deniedBefore = await ContactReveal.countDenied(ctx.from.id, 'limit', since);
+        await ContactReveal.create({ ...attempt, revealed: false, deniedReason: 'limit' });
+
+        await ctx.answerCbQuery(global.i18n.t(ctx, 'contacts.limit_reached', { limit: DAILY_REVEAL_LIMIT }), { show_alert: true });
+
+        if (deniedBefore === 0) {
+            await flagScraper(ctx, viewer, revealedOrderIds.length);
+        }
+        return;
+    }
+
+    await ContactReveal.create({ ...attempt, revealed: true });
+    await showContact(ctx, order);
+
+    global.logger.logAction('contact_revealed', {
+        orderId: order._id,
+        telegramId: ctx.from.id,
+        userId: viewer ? viewer._id : null,
+        source
+    });
+};
+
+module.exports = {
+    CONTACT_PRIVACY_LEVELS,
+    isRevealAllowed,
+    revealContact,
+    logDealReveal
+};
\ No newline at end of file
@@ -0,0 +1,132 @@
+const mongoose = require('mongoose');
+const User = require('../models/user');
+const Order = require('../models/order');
+const { sendOrderDetails } = require('./orders');
+const { sendReviewPrompt } = require('./reviews');
+
+// Telegram group and channel IDs, negative for groups
+const CHAT_ID_PATTERN = /^-?\d+$/;
+
+/**
+ * Remember where a new user came from, the first deep link wins
+ */
+const recordAttribution = async (user, link) => {
+    if (user.registrationCompleted || user.attribution?.payload) return;
+
+    user.attribution.payload = link.payload;
+    user.attribution.startedAt = new Date();
+
+    if (link.type === 'ref' && mongoose.isValidObjectId(link.value) && link.value !== user._id.toString()) {
+        const referrer = await User.exists({ _id: link.value });
+        if (referrer) {
+            user.attribution.referredBy = link.value;
+        }
+    }
+
+    // group_<chatId> links or order links posted in a group
+    const groupChatId = link.type === 'group' ? link.value : link.groupChatId;
+    if (groupChatId && CHAT_ID_PATTERN.test(groupChatId)) {
+        user.attribution.groupChatId = Number(groupChatId);
+    }
+
+    await user.save();
+};
+
+/**
+ * Show an order opened from a link
+ * Parties of the order get their order card, everyone else the details drivers see
+ */
+const showLinkedOrder = async (ctx, user, orderId) => {
+    const order = mongoose.isValidObjectId(orderId)
+        ? await Order.findById(orderId).populate('clientId', 'profile')
+        : null;
+
+    if (!order) {
+        await ctx.reply(global.i18n.t(ctx, 'errors.order_not_found'));
+        return;
+    }
+
+    const isParty = order.clientId._id.toString() === user._id.toString() ||
+        (order.driverId && order.driverId.toString() === user._id.toString());
+
+    if (isParty) {
+        await ctx.reply(global.i18n.t(ctx, 'deeplinks.your_order', { order: order.summary }), {
+            reply_markup: {
+                inline_keyboard: [[{ text: global.i18n.t(ctx, 'deeplinks.open_order'), callback_data: `myorder:view:${order._id}` }]]
+            }
+        });
+        return;
+    }
+
+    await sendOrderDetails(ctx, order);
+};
+
+/**
+ * Route a /start payload: order_<id>[_g<chatId>], ref_<userId>, review_<orderId>, group_<chatId>
+ * Orders opened before registration are kept until it is done; ref and group only attribute the user
+ * @param {Object|null} link - parsed payload from parseStartPayload
+ */
+const handleStartPayload = async (ctx, user, link) => {
+    if (!link) return;
+
+    if (!link.type) {
+        global.logger.logWarn('Unknown start payload:', ctx, { payload: link.payload });
+        return;
+    }
+
+    await recordAttribution(user, link);
+
+    switch (link.type) {
+        case 'order':
+            if (user.registrationCompleted) {
+                await showLinkedOrder(ctx, user, link.value);
+            } else if (mongoose.isValidObjectId(link.value)) {
+                user.pendingOrderId = link.value;
+                await user.save();
+                await ctx.reply(global.i18n.t(ctx, 'deeplinks.order_after_registration'));
+            }
+            break;
+
+        case 'review':
+            if (user.registrationCompleted) {
+                await sendReviewPrompt(ctx, link.value);
+            } else {
+                await ctx.reply(global.i18n.t(ctx, 'errors.registration_required'));
+            }
+            break;
+
+        default:
+            break;
+    }
+
+    global.logger.logAction('deep_link_opened', {
+        userId: user._id,
+        type: link.type,
+        value: link.value,
+        groupChatId: link.groupChatId,
+        registered: user.registrationCompleted
+    });
+};
+
+/**
+ * Show the order a user opened before registering, once they are registered
+ */
+const openPendingOrder = async (ctx, user) => {
+    if (!user.registrationCompleted || !user.pendingOrderId) return;
+
+    const orderId = user.pendingOrderId.toString();
+    user.pendingOrderId = null;
+    await user.save();
+
+    await showLinkedOrder(ctx, user, orderId);
+
+    global.logger.logAction('pending_order_opened', {
+        userId: user._id,
+        orderId
+    });
+};
+
+module.exports = {
+    handleStartPayload,
+    openPendingOrder
+};
\ No newline at end of file
@@ -0,0 +1,790 @@
+const Offer = require('../models/offer');
+const {
+    getBackButton,
+    getConfirmationKeyboard
+} = require('./common');
+
+// Session storage for offer creation and editing
+const offerSessions = new Map();
+
+const VEHICLE_CATEGORIES = ['light', 'medium', 'heavy', 'special'];
+const EDITABLE_FIELDS = ['from', 'to', 'dates', 'capacity', 'price'];
+
+/**
+ * Parse a DD.MM.YYYY date
+ */
+const parseDate = (text) => {
+    const match = text.match(/(\d{1,2})\.(\d{1,2})\.(\d{4})/);
+    if (!match) return null;
+
+    const [_, day, month, year] = match;
+    const date = new Date(year, month - 1, day);
+    return isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Parse availability window: "DD.MM.YYYY" or "DD.MM.YYYY - DD.MM.YYYY"
+ */
+const parseDateWindow = (text) => {
+    const parts = text.split(/\s*[-–—]\s*/);
+    const availableFrom = parseDate(parts[0]);
+
+    if (!availableFrom) return null;
+
+    const availableTo = parts[1] ? parseDate(parts[1]) : new Date(availableFrom);
+    if (!availableTo || availableTo < availableFrom) return null;
+
+    // The window covers the whole last day
+    availableTo.setHours(23, 59, 59, 999);
+
+    return { availableFrom, availableTo };
+};
+
+/**
+ * Parse a positive number, accepting comma as decimal separator
+ */
+const parsePositiveNumber = (text) => {
+    const value = parseFloat(text.replace(',', '.').replace(/[^\d.]/g, ''));
+    return !isNaN(value) && value > 0 ? value : null;
+};
+
+/**
+ * Get skip/cancel keyboard for optional steps
+ */
+const getStepKeyboard = (ctx) => {
+    return {
+        reply_markup: {
+            inline_keyboard: [
+                [{ text: global.i18n.t(ctx, 'orders.skip'), callback_data: 'offer:skip' }],
+                [{ text: global.i18n.t(ctx, 'buttons.cancel'), callback_data: 'offer:cancel' }]
+            ]
+        }
+    };
+};
+
+/**
+ * Get vehicle category keyboard
+ */
+const getCategoryKeyboard = (ctx) => {
+    const keyboard = VEHICLE_CATEGORIES.map(category => [{
+        text: global.i18n.t(ctx, `registration.vehicle_categories.${category}`),
+        callback_data: `offer:category:${category}`
+    }]);
+
+    keyboard.push([{ text: global.i18n.t(ctx, 'buttons.cancel'), callback_data: 'offer:cancel' }]);
+
+    return { reply_markup: { inline_keyboard: keyboard } };
+};
+
+/**
+ * Format offer data (document or session data) for display
+ */
+const formatOfferSummary = (offer, ctx) => {
+    const route = offer.route || offer;
+    const formatDate = (date) => new Date(date).toLocaleDateString('ru-RU');
+
+    let dates = global.i18n.t(ctx, 'drivers.any_date');
+    if (offer.availableFrom) {
+        dates = formatDate(offer.availableFrom);
+        if (offer.availableTo && formatDate(offer.availableTo) !== dates) {
+            dates += ` - ${formatDate(offer.availableTo)}`;
+        }
+    }
+
+    return global.i18n.t(ctx, 'drivers.offer_details', {
+        from: route.from,
+        to: route.to || global.i18n.t(ctx, 'drivers.any_direction'),
+        dates,
+        vehicleCategory: offer.vehicleCategory
+            ? global.i18n.t(ctx, `registration.vehicle_categories.${offer.vehicleCategory}`)
+            : global.i18n.t(ctx, 'drivers.not_specified'),
+        capacity: offer.capacity
+            ? global.i18n.t(ctx, 'drivers.capacity_value', { capacity: offer.capacity })
+            : global.i18n.t(ctx, 'drivers.not_specified'),
+        price: offer.price ? `${offer.price} сум` : global.i18n.t(ctx, 'drivers.negotiable')
+    });
+};
+
+/**
+ * Start offer creation process
+ */
+const startOfferCreation = async (ctx) => {
+    try {
+        const user = ctx.user;
+
+        if (!user.isDriver()) {
+            await ctx.reply(global.i18n.t(ctx, 'errors.access_denied'));
+            return;
+        }
+
+        // Initialize offer session
+        offerSessions.set(ctx.from.id, {
+            step: 'from',
+            data: {
+                driverId: user._id
+            }
+        });
+
+        await ctx.reply(
+            global.i18n.t(ctx, 'drivers.create_title') + '\n\n' + global.i18n.t(ctx, 'drivers.enter_available_location'),
+            getBackButton(ctx, 'offer:cancel')
+        );
+
+        global.logger.logAction('offer_creation_started', {
+            userId: user._id
+        });
+    } catch (error) {
+        await ctx.reply(global.i18n.t(ctx, 'errors.general'));
+        throw error;
+    }
+};
+
+/**
+ * Handle offer creation and editing steps
+ */
+const handleOfferCreationStep = async (ctx) => {
+    try {
+        const session = offerSessions.get(ctx.from.id);
+
+        if (!session) {
+            return false; // No active session
+        }
+
+        const messageText = ctx.message.text?.trim();
+
+        if (session.step === 'edit') {
+            return await handleEditStep(ctx, session, messageText);
+        }
+
+        // Handle skip button
+        if (messageText === global.i18n.t(ctx, 'orders.skip')) {
+            return await handleSkipStep(ctx, session);
+        }
+
+        switch (session.step) {
+            case 'from':
+                return await handleFromStep(ctx, session, messageText);
+            case 'to':
+                return await handleToStep(ctx, session, messageText);
+            case 'dates':
+                return await handleDatesStep(ctx, session, messageText);
+            case 'category':
+                // Category is chosen with inline buttons
+                await ctx.reply(global.i18n.t(ctx, 'registration.choose_vehicle_category'), getCategoryKeyboard(ctx));
+                return true;
+            case 'capacity':
+                return await handleCapacityStep(ctx, session, messageText);
+            case 'price':
+                return await handlePriceStep(ctx, session, messageText);
+            default:
+                return false;
+        }
+    } catch (error) {
+        await ctx.reply(global.i18n.t(ctx, 'errors.general'));
+        throw error;
+    }
+};
+
+/**
+ * Handle 'from' location step
+ */
+const handleFromStep = async (ctx, session, messageText) => {
+    if (!messageText || messageText.length < 2) {
+        await ctx.reply(global.i18n.t(ctx, 'errors.invalid_input'));
+        return true;
+    }
+
+    session.data.from = messageText;
+    session.step = 'to';
+    offerSessions.set(ctx.from.id, session);
+
+    await ctx.reply(global.i18n.t(ctx, 'drivers.enter_destination'), getStepKeyboard(ctx));
+    return true;
+};
+
+/**
+ * Handle 'to' location step
+ */
+const handleToStep = async (ctx, session, messageText) => {
+    if (messageText && messageText.length >= 2) {
+        session.data.to = messageText;
+    }
+
+    session.step = 'dates';
+    offerSessions.set(ctx.from.id, session);
+
+    await ctx.reply(global.i18n.t(ctx, 'drivers.enter_dates'), getStepKeyboard(ctx));
+    return true;
+};
+
+/**
+ * Handle availability window step
+ */
+const handleDatesStep = async (ctx, session, messageText) => {
+    if (messageText) {
+        const window = parseDateWindow(messageText);
+
+        if (!window) {
+            await ctx.reply(global.i18n.t(ctx, 'drivers.invalid_dates'));
+            return true;
+        }
+
+        session.data.availableFrom = window.availableFrom;
+        session.data.availableTo = window.availableTo;
+    }
+
+    session.step = 'category';
+    offerSessions.set(ctx.from.id, session);
+
+    await ctx.reply(global.i18n.t(ctx, 'registration.choose_vehicle_category'), getCategoryKeyboard(ctx));
+    return true;
+};
+
+/**
+ * Handle vehicle category selection
+ */
+const handleCategorySelection = async (ctx, category) => {
+    try {
+        const session = offerSessions.get(ctx.from.id);
+
+        if (!session || session.step !== 'category' || !VEHICLE_CATEGORIES.includes(category)) {
+            await ctx.answerCbQuery(global.i18n.t(ctx, 'errors.general'));
+            return;
+        }
+
+        session.data.vehicleCategory = category;
+        session.step = 'capacity';
+        offerSessions.set(ctx.from.id, session);
+
+        await ctx.answerCbQuery();
+        await ctx.editMessageText(
+            global.i18n.t(ctx, 'registration.choose_vehicle_category') + '\n\n' +
+            global.i18n.t(ctx, `registration.vehicle_categories.${category}`)
+        );
+
+        await ctx.reply(global.i18n.t(ctx, 'drivers.enter_capacity'), getStepKeyboard(ctx));
+    } catch (error) {
+        await ctx.answerCbQuery(global.i18n.t(ctx, 'errors.general'));
+        throw error;
+    }
+};
+
+/**
+ * Handle capacity step
+ */
+const handleCapacityStep = async (ctx, session, messageText) => {
+    if (messageText) {
+        const capacity = parsePositiveNumber(messageText);
+
+        if (!capacity) {
+            await ctx.reply(global.i18n.t(ctx, 'drivers.invalid_number'));
+            return true;
+        }
+
+        session.data.capacity = capacity;
+    }
+
+    session.step = 'price';
+    offerSessions.set(ctx.from.id, session);
+
+    await ctx.reply(global.i18n.t(ctx, 'drivers.enter_price'), getStepKeyboard(ctx));
+    return true;
+};
+
+/**
+ * Handle price step and show confirmation
+ */
+const handlePriceStep = async (ctx, session, messageText) => {
+    if (messageText) {
+        const price = parseInt(messageText.replace(/[^\d]/g, ''));
+        if (!isNaN(price) && price > 0) {
+            session.data.price = price;
+        }
+    }
+
+    await showOfferConfirmation(ctx, session);
+    return true;
+};
+
+/**
+ * Handle skip step
+ */
+const handleSkipStep = async (ctx, session) => {
+    switch (session.step) {
+        case 'to':
+            return await handleToStep(ctx, session, null);
+        case 'dates':
+            return await handleDatesStep(ctx, session, null);
+        case 'capacity':
+            return await handleCapacityStep(ctx, session, null);
+        case 'price':
+            return await handlePriceStep(ctx, session, null);
+        default:
+            return false;
+    }
+};
+
+/**
+ * Handle skip button callback
+ */
+const skipOfferStep = async (ctx) => {
+    try {
+        const session = offerSessions.get(ctx.from.id);
+
+        await ctx.answerCbQuery();
+
+        if (!session) {
+            return;
+        }
+
+        await handleSkipStep(ctx, session);
+    } catch (error) {
+        await ctx.answerCbQuery(global.i18n.t(ctx, 'errors.general'));
+        throw error;
+    }
+};
+
+/**
+ * Show offer confirmation
+ */
+const showOfferConfirmation = async (ctx, session) => {
+    session.step = 'confirmation';
+    offerSessions.set(ctx.from.id, session);
+
+    await ctx.reply(
+        global.i18n.t(ctx, 'drivers.confirm_offer', { offerSummary: formatOfferSummary(session.data, ctx) }),
+        getConfirmationKeyboard(ctx, 'offer:confirm', 'offer:cancel')
+    );
+};
+
+/**
+ * Confirm and create offer
+ */
+const confirmOffer = async (ctx) => {
+    try {
+        const sessionId = ctx.from.id;
+        const session = offerSessions.get(sessionId);
+        const user = ctx.user;
+
+        if (!session || session.step !== 'confirmation') {
+            await ctx.answerCbQuery(global.i18n.t(ctx, 'errors.general'));
+            return;
+        }
+
+        const offer = new Offer({
+            driverId: user._id,
+            route: {
+                from: session.data.from,
+                to: session.data.to
+            },
+            availableFrom: session.data.availableFrom,
+            availableTo: session.data.availableTo,
+            vehicleCategory: session.data.vehicleCategory || user.driverInfo.vehicleCategory,
+            capacity: session.data.capacity,
+            price: session.data.price
+        });
+        await offer.save();
+
+        // Clear session
+        offerSessions.delete(sessionId);
+
+        await ctx.answerCbQuery();
+        await ctx.editMessageText(global.i18n.t(ctx, 'drivers.offer_created'));
+
+        // Show orders that already fit the offer
+        const { findOrdersForOffer } = require('./matching');
+        const matches = await findOrdersForOffer(offer, 1);
+        if (matches.length > 0) {
+            await ctx.reply(
+                global.i18n.t(ctx, 'drivers.matching_orders_available'),
+                { reply_markup: { inline_keyboard: [[{ text: global.i18n.t(ctx, 'drivers.matching_orders_button'), callback_data: `offer:matches:${offer._id}` }]] } }
+            );
+        }
+
+        global.logger.logAction('offer_created', {
+            userId: user._id,
+            offerId: offer._id,
+            from: offer.route.from,
+            to: offer.route.to,
+            price: offer.price
+        });
+
+    } catch (error) {
+        await ctx.answerCbQuery(global.i18n.t(ctx, 'errors.general'));
+        throw error;
+    }
+};
+
+/**
+ * Cancel offer creation or editing
+ */
+const cancelOfferCreation = async (ctx) => {
+    try {
+        offerSessions.delete(ctx.from.id);
+
+        await ctx.answerCbQuery();
+        await ctx.editMessageText(global.i18n.t(ctx, 'buttons.cancel'));
+
+        const keyboardMenus = require('./keyboardMenus');
+        await keyboardMenus.showMainMenu(ctx, ctx.user);
+    } catch (error) {
+        await ctx.answerCbQuery(global.i18n.t(ctx, 'errors.general'));
+        throw error;
+    }
+};
+
+/**
+ * Show driver's offers
+ */
+const showMyOffers = async (ctx, page = 1) => {
+    try {
+        const user = ctx.user;
+        const limit = 5;
+        const skip = (page - 1) * limit;
+
+        if (!user.isDriver()) {
+            await ctx.reply(global.i18n.t(ctx, 'errors.access_denied'));
+            return;
+        }
+
+        const offers = await Offer.findDriverOffers(user._id)
+            .skip(skip)
+            .limit(limit);
+
+        if (offers.length === 0) {
+            await ctx.reply(
+                global.i18n.t(ctx, 'drivers.no_offers'),
+                getBackButton(ctx, 'menu:main')
+            );
+            return;
+        }
+
+        let messageText = global.i18n.t(ctx, 'drivers.my_offers_title', { page }) + '\n\n';
+
+        offers.forEach((offer, index) => {
+            const offerNum = skip + index + 1;
+            const status = global.i18n.t(ctx, `drivers.status.${offer.status}`);
+
+            messageText += `${offerNum}. ${offer.summary}\n`;
+            messageText += `   ${status}\n\n`;
+        });
+
+        // Create keyboard with offer buttons
+        const keyboard = offers.map((offer, index) => [{
+            text: global.i18n.t(ctx, 'drivers.offer_button', { number: skip + index + 1 }),
+            callback_data: `offer:view:${offer._id}`
+        }]);
+
+        // Add pagination if needed
+        const totalOffers = await Offer.countDocuments({ driverId: user._id });
+        const totalPages = Math.ceil(totalOffers / limit);
+
+        if (totalPages > 1) {
+            const paginationRow = [];
+            if (page > 1) {
+                paginationRow.push({ text: '◀️', callback_data: `myoffers:${page - 1}` });
+            }
+            if (page < totalPages) {
+                paginationRow.push({ text: '▶️', callback_data: `myoffers:${page + 1}` });
+            }
+            keyboard.push(paginationRow);
+        }
+
+        keyboard.push([{ text: global.i18n.t(ctx, 'buttons.back'), callback_data: 'menu:main' }]);
+
+        await ctx.reply(messageText, { reply_markup: { inline_keyboard: keyboard } });
+
+    } catch (error) {
+        await ctx.reply(global.i18n.t(ctx, 'errors.general'));
+        throw error;
+    }
+};
+
+/**
+ * Find an offer owned by the current driver
+ */
+const findOwnOffer = async (ctx, offerId) => {
+    const offer = await Offer.findById(offerId);
+
+    if (!offer) {
+        await ctx.answerCbQuery(global.i18n.t(ctx, 'drivers.offer_not_found'));
+        return null;
+    }
+
+    if (offer.driverId.toString() !== ctx.user._id.toString()) {
+        await ctx.answerCbQuery(global.i18n.t(ctx, 'errors.access_denied'));
+        return null;
+    }
+
+    return offer;
+};
+
+/**
+ * View driver's specific offer
+ */
+const viewMyOffer = async (ctx, offerId) => {
+    try {
+        const offer = await findOwnOffer(ctx, offerId);
+        if (!offer) return;
+
+        const offerDetails = global.i18n.t(ctx, 'drivers.offer_title', { offerId: offer._id.toString().slice(-6) }) + '\n\n' +
+            formatOfferSummary(offer, ctx) + '\n\n' +
+            global.i18n.t(ctx, `drivers.status.${offer.status}`);
+
+        const keyboard = [];
+
+        if (offer.isOpen()) {
+            keyboard.push([{ text: global.i18n.t(ctx, 'drivers.matching_orders_button'), callback_data: `offer:matches:${offerId}` }]);
+            keyboard.push([
+                { text: global.i18n.t(ctx, 'drivers.edit_button'), callback_data: `offer:edit:${offerId}` },
+                { text: global.i18n.t(ctx, 'drivers.close_button'), callback_data: `offer:close:${offerId}` }
+            ]);
+        }
+
+        keyboard.push([{ text: global.i18n.t(ctx, 'buttons.back'), callback_data: 'myoffers:1' }]);
+
+        await ctx.answerCbQuery();
+        await ctx.editMessageText(offerDetails, { reply_markup: { inline_keyboard: keyboard } });
+
+    } catch (error) {
+        await ctx.answerCbQuery(global.i18n.t(ctx, 'errors.general'));
+        throw error;
+    }
+};
+
+/**
+ * Show offer edit menu
+ */
+const showOfferEditMenu = async (ctx, offerId) => {
+    try {
+        const offer = await findOwnOffer(ctx, offerId);
+        if (!offer) return;
+
+        if (!offer.isOpen()) {
+            await ctx.answerCbQuery(global.i18n.t(ctx, 'drivers.offer_closed_already'));
+            return;
+        }
+
+        const keyboard = EDITABLE_FIELDS.map(field => [{
+            text: global.i18n.t(ctx, `drivers.edit_fields.${field}`),
+            callback_data: `offer:editfield:${offerId}:${field}`
+        }]);
+
+        keyboard.push([{ text: global.i18n.t(ctx, 'buttons.back'), callback_data: `offer:view:${offerId}` }]);
+
+        await ctx.answerCbQuery();
+        await ctx.editMessageText(
+            global.i18n.t(ctx, 'drivers.edit_title'),
+            { reply_markup: { inline_keyboard: keyboard } }
+        );
+
+    } catch (error) {
+        await ctx.answerCbQuery(global.i18n.t(ctx, 'errors.general'));
+        throw error;
+    }
+};
+
+/**
+ * Start editing a single offer field
+ */
+const startOfferFieldEdit = async (ctx, offerId, field) => {
+    try {
+        const offer = await findOwnOffer(ctx, offerId);
+        if (!offer) return;
+
+        if (!EDITABLE_FIELDS.includes(field)) {
+            await ctx.answerCbQuery(global.i18n.t(ctx, 'errors.general'));
+            return;
+        }
+
+        offerSessions.set(ctx.from.id, {
+            step: 'edit',
+            offerId,
+            field
+        });
+
+        const prompts = {
+            from: 'drivers.enter_available_location',
+            to: 'drivers.enter_destination',
+            dates: 'drivers.enter_dates',
+            capacity: 'drivers.enter_capacity',
+            price: 'drivers.enter_price'
+        };
+
+        await ctx.answerCbQuery();
+        await ctx.editMessageText(
+            global.i18n.t(ctx, prompts[field]),
+            getBackButton(ctx, 'offer:cancel')
+        );
+
+    } catch (error) {
+        await ctx.answerCbQuery(global.i18n.t(ctx, 'errors.general'));
+        throw error;
+    }
+};
+
+/**
+ * Handle text input while editing an offer field
+ */
+const handleEditStep = async (ctx, session, messageText) => {
+    const offer = await Offer.findById(session.offerId);
+
+    if (!offer || !offer.isOpen() || offer.driverId.toString() !== ctx.user._id.toString()) {
+        offerSessions.delete(ctx.from.id);
+        await ctx.reply(global.i18n.t(ctx, 'drivers.offer_not_found'));
+        return true;
+    }
+
+    if (!messageText || (messageText.length < 2 && ['from', 'to'].includes(session.field))) {
+        await ctx.reply(global.i18n.t(ctx, 'errors.invalid_input'));
+        return true;
+    }
+
+    switch (session.field) {
+        case 'from':
+            offer.route.from = messageText;
+            break;
+        case 'to':
+            offer.route.to = messageText;
+            break;
+        case 'dates': {
+            const window = parseDateWindow(messageText);
+            if (!window) {
+                await ctx.reply(global.i18n.t(ctx, 'drivers.invalid_dates'));
+                return true;
+            }
+            offer.availableFrom = window.availableFrom;
+            offer.availableTo = window.availableTo;
+            break;
+        }
+        case 'capacity': {
+            const capacity = parsePositiveNumber(messageText);
+            if (!capacity) {
+                await ctx.reply(global.i18n.t(ctx, 'drivers.invalid_number'));
+                return true;
+            }
+            offer.capacity = capacity;
+            break;
+        }
+        case 'price': {
+            const price = parseInt(messageText.replace(/[^\d]/g, ''));
+            if (isNaN(price) || price <= 0) {
+                await ctx.reply(global.i18n.t(ctx, 'drivers.invalid_number'));
+                return true;
+            }
+            offer.price = price;
+            break;
+        }
+        default:
+            return false;
+    }
+
+    await offer.save();
+    offerSessions.delete(ctx.from.id);
+
+    await ctx.reply(
+        global.i18n.t(ctx, 'drivers.offer_updated') + '\n\n' + formatOfferSummary(offer, ctx),
+        { reply_markup: { inline_keyboard: [[{ text: global.i18n.t(ctx, 'drivers.back_to_offer'), callback_data: `offer:view:${offer._id}` }]] } }
+    );
+
+    global.logger.logAction('offer_updated', {
+        userId: ctx.user._id,
+        offerId: offer._id,
+        field: session.field
+    });
+
+    return true;
+};
+
+/**
+ * Close offer
+ */
+const closeOffer = async (ctx, offerId) => {
+    try {
+        const offer = await findOwnOffer(ctx, offerId);
+        if (!offer) return;
+
+        if (!offer.isOpen()) {
+            await ctx.answerCbQuery(global.i18n.t(ctx, 'drivers.offer_closed_already'));
+            return;
+        }
+
+        await offer.close();
+
+        await ctx.answerCbQuery(global.i18n.t(ctx, 'drivers.offer_closed'));
+
+        // Update the message
+        await viewMyOffer(ctx, offerId);
+
+        global.logger.logAction('offer_closed', {
+            userId: ctx.user._id,
+            offerId: offer._id
+        });
+
+    } catch (error) {
+        await ctx.answerCbQuery(global.i18n.t(ctx, 'errors.general'));
+        throw error;
+    }
+};
+
+/**
+ * Show active orders matching an offer
+ */
+const showMatchingOrders = async (ctx, offerId) => {
+    try {
+        const offer = await findOwnOffer(ctx, offerId);
+        if (!offer) return;
+
+        const { findOrdersForOffer } = require('./matching');
+        const matches = await findOrdersForOffer(offer, 5);
+
+        const keyboard = [];
+        let messageText;
+
+        if (matches.length === 0) {
+            messageText = global.i18n.t(ctx, 'drivers.no_matching_orders');
+        } else {
+            messageText = global.i18n.t(ctx, 'drivers.matching_orders_title') + '\n\n';
+
+            matches.forEach((match, index) => {
+                const order = match.order;
+                const date = order.cargo.scheduledDate
+                    ? new Date(order.cargo.scheduledDate).toLocaleDateString('ru-RU')
+                    : global.i18n.t(ctx, 'drivers.any_date');
+
+                messageText += `${index + 1}. ${order.cargo.to ? `${order.cargo.from} → ${order.cargo.to}` : order.cargo.from}\n`;
+                messageText += `   📅 ${date} | 💰 ${order.cargo.price ? `${order.cargo.price} сум` : global.i18n.t(ctx, 'drivers.negotiable')}\n\n`;
+
+                keyboard.push([{
+                    text: `📦 ${index + 1}`,
+                    callback_data: `order:view:${order._id}`
+                }]);
+            });
+        }
+
+        keyboard.push([{ text: global.i18n.t(ctx, 'buttons.back'), callback_data: `offer:view:${offerId}` }]);
+
+        await ctx.answerCbQuery();
+        await ctx.editMessageText(messageText, { reply_markup: { inline_keyboard: keyboard } });
+
+    } catch (error) {
+        await ctx.answerCbQuery(global.i18n.t(ctx, 'errors.general'));
+        throw error;
+    }
+};
+
+module.exports = {
+    startOfferCreation,
+    handleOfferCreationStep,
+    handleCategorySelection,
+    skipOfferStep,
+    confirmOffer,
+    cancelOfferCreation,
+    showMyOffers,
+    viewMyOffer,
+    showOfferEditMenu,
+    startOfferFieldEdit,
+    closeOffer,
+    showMatchingOrders,
+    formatOfferSummary
+};
\ No newline at end of file
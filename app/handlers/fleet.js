@@ -0,0 +1,755 @@
+const Order = require('../models/order');
+const Vehicle = require('../models/vehicle');
+const { getBackButton } = require('./common');
+const {
+    BODY_TYPES,
+    PERMIT_CARGO_TYPES,
+    parseWeightKg,
+    parseVolumeM3,
+    isVehicleCompatible,
+    formatWeight,
+    formatVolume
+} = require('../utils/cargo');
+
+// Session storage for adding and editing vehicles
+const fleetSessions = new Map();
+
+// An unfinished vehicle add or edit is dropped after this long
+const FLEET_SESSION_TTL_MS = 30 * 60 * 1000;
+
+const VEHICLE_CATEGORIES = ['light', 'medium', 'heavy', 'special'];
+
+// Latin, Cyrillic letters and digits, e.g. "01 A 123 BC"
+const PLATE_PATTERN = /^[A-ZА-ЯЁ0-9 ]{4,15}$/i;
+
+const MIN_MODEL_LENGTH = 2;
+const MAX_MODEL_LENGTH = 60;
+
+/**
+ * Vehicle fields in the shape of driverInfo, for the cargo compatibility helpers
+ */
+const toVehicleInfo = (vehicle) => ({
+    vehicleCategory: vehicle.category,
+    payloadKg: vehicle.payloadKg,
+    volumeM3: vehicle.volumeM3,
+    bodyType: vehicle.bodyType,
+    cargoTypes: vehicle.cargoTypes
+});
+
+/**
+ * Active vehicles of a driver that can carry the order's cargo
+ */
+const getCompatibleVehicles = async (driverId, order) => {
+    const vehicles = await Vehicle.findActiveByOwner(driverId);
+    return vehicles.filter(vehicle => isVehicleCompatible(toVehicleInfo(vehicle), order.cargo));
+};
+
+/**
+ * Copy fleet capability to driverInfo and recalculate max orders
+ * Matching filters on driverInfo, so it holds what at least one vehicle can do;
+ * the vehicle picked when responding is checked exactly
+ */
+const syncDriverFleet = async (user) => {
+    const vehicles = await Vehicle.findActiveByOwner(user._id);
+    const driverInfo = user.driverInfo;
+
+    if (vehicles.length > 0) {
+        const largest = vehicles.reduce((best, vehicle) => (vehicle.payloadKg || 0) > (best.payloadKg || 0) ? vehicle : best);
+        const bodyTypes = new Set(vehicles.map(vehicle => vehicle.bodyType));
+
+        driverInfo.vehicleModel = vehicles.map(vehicle => vehicle.model).join(', ');
+        driverInfo.vehicleCategory = largest.category;
+        driverInfo.payloadKg = largest.payloadKg;
+        driverInfo.volumeM3 = vehicles.every(vehicle => vehicle.volumeM3)
+            ? Math.max(...vehicles.map(vehicle => vehicle.volumeM3))
+            : undefined;
+        driverInfo.bodyType = bodyTypes.size === 1 ? largest.bodyType : undefined;
+        driverInfo.cargoTypes = [...new Set(vehicles.flatMap(vehicle => vehicle.cargoTypes))];
+    } else {
+        // The last vehicle was retired, matching must not filter on a fleet that is gone
+        driverInfo.vehicleModel = undefined;
+        driverInfo.payloadKg = undefined;
+        driverInfo.volumeM3 = undefined;
+        driverInfo.bodyType = undefined;
+        driverInfo.cargoTypes = undefined;
+    }
+
+    user.maxOrders = user.calculateMaxOrders(vehicles.length);
+    await user.save();
+};
+
+/**
+ * Get the user's vehicle add or edit, dropping it once it went stale
+ */
+const getFleetSession = (telegramId) => {
+    const session = fleetSessions.get(telegramId);
+
+    if (session && Date.now() - session.startedAt > FLEET_SESSION_TTL_MS) {
+        fleetSessions.delete(telegramId);
+        return null;
+    }
+
+    return session || null;
+};
+
+/**
+ * Drop an unfinished vehicle edit, e.g. when the user leaves to the profile or starts another flow
+ */
+const clearFleetSession = (telegramId) => {
+    fleetSessions.delete(telegramId);
+};
+
+/**
+ * Load a vehicle of the current user, answers the callback when it is not theirs
+ */
+const getOwnVehicle = async (ctx, vehicleId) => {
+    const vehicle = await Vehicle.findOne({ _id: vehicleId, ownerId: ctx.user._id, status: 'active' });
+
+    if (!vehicle) {
+        await ctx.answerCbQuery(global.i18n.t(ctx, 'fleet.vehicle_not_found'));
+        return null;
+    }
+
+    return vehicle;
+};
+
+/**
+ * Show the driver's active vehicles
+ */
+const showFleet = async (ctx) => {
+    try {
+        const user = ctx.user;
+        fleetSessions.delete(ctx.from.id);
+
+        if (!user.isDriver()) {
+            await ctx.answerCbQuery(global.i18n.t(ctx, 'errors.access_denied'));
+            return;
+        }
+
+        const vehicles = await Vehicle.findActiveByOwner(user._id);
+
+        let message = global.i18n.t(ctx, 'fleet.title', { count: vehicles.length, maxOrders: user.maxOrders });
+        if (vehicles.length === 0) {
+            message += '\n\n' + global.i18n.t(ctx, 'fleet.empty');
+        }
+
+        const keyboard = vehicles.map(vehicle => [{
+            text: `🚛 ${vehicle.label}`,
+            callback_data: `fleet:view:${vehicle._id}`
+        }]);
+        keyboard.push([{ text: global.i18n.t(ctx, 'fleet.add_button'), callback_data: 'fleet:add' }]);
+        keyboard.push([{ text: global.i18n.t(ctx, 'buttons.back'), callback_data: 'profile:view' }]);
+
+        await ctx.answerCbQuery();
+        await ctx.editMessageText(message, { reply_markup: { inline_keyboard: keyboard } });
+
+    } catch (error) {
+        await ctx.answerCbQuery(global.i18n.t(ctx, 'errors.general'));
+        throw error;
+    }
+};
+
+/**
+ * Format vehicle details
+ */
+const formatVehicle = (ctx, vehicle) => {
+    const special = vehicle.cargoTypes.map(type => global.i18n.t(ctx, `cargo.types.${type}`));
+
+    return global.i18n.t(ctx, 'fleet.vehicle_details', {
+        model: vehicle.model,
+        plate: vehicle.plateNumber,
+        category: global.i18n.t(ctx, `registration.vehicle_categories.${vehicle.category}`),
+        body: vehicle.bodyType ? global.i18n.t(ctx, `cargo.bodies.${vehicle.bodyType}`) : '—',
+        payload: vehicle.payloadKg ? formatWeight(ctx, vehicle.payloadKg) : '—',
+        volume: vehicle.volumeM3 ? formatVolume(ctx, vehicle.volumeM3) : '—',
+        special: special.length > 0 ? special.join(', ') : '—',
+        photos: vehicle.photos.length
+    });
+};
+
+/**
+ * Build vehicle action buttons
+ */
+const getVehicleKeyboard = (ctx, vehicle) => {
+    const id = vehicle._id;
+    const keyboard = [
+        [
+            { text: global.i18n.t(ctx, 'fleet.edit_plate'), callback_data: `fleet:edit:${id}:plate` },
+            { text: global.i18n.t(ctx, 'fleet.edit_model'), callback_data: `fleet:edit:${id}:model` }
+        ],
+        [{ text: global.i18n.t(ctx, 'fleet.edit_specs'), callback_data: `fleet:edit:${id}:specs` }],
+        [{ text: global.i18n.t(ctx, 'fleet.add_photo'), callback_data: `fleet:photo:${id}` }]
+    ];
+
+    if (vehicle.photos.length > 0) {
+        keyboard[2].push({
+            text: global.i18n.t(ctx, 'fleet.show_photos', { count: vehicle.photos.length }),
+            callback_data: `fleet:photos:${id}`
+        });
+    }
+
+    keyboard.push([{ text: global.i18n.t(ctx, 'fleet.retire'), callback_data: `fleet:retire:${id}` }]);
+    keyboard.push([{ text: global.i18n.t(ctx, 'buttons.back'), callback_data: 'fleet:list' }]);
+
+    return { reply_markup: { inline_keyboard: keyboard } };
+};
+
+/**
+ * Show one vehicle
+ */
+const viewVehicle = async (ctx, vehicleId) => {
+    try {
+        fleetSessions.delete(ctx.from.id);
+
+        const vehicle = await getOwnVehicle(ctx, vehicleId);
+        if (!vehicle) return;
+
+        await ctx.answerCbQuery();
+        await ctx.editMessageText(formatVehicle(ctx, vehicle), getVehicleKeyboard(ctx, vehicle));
+
+    } catch (error) {
+        await ctx.answerCbQuery(global.i18n.t(ctx, 'errors.general'));
+        throw error;
+    }
+};
+
+/**
+ * Start adding a vehicle with the plate number
+ */
+const startVehicleAdd = async (ctx) => {
+    try {
+        if (!ctx.user.isDriver()) {
+            await ctx.answerCbQuery(global.i18n.t(ctx, 'errors.access_denied'));
+            return;
+        }
+
+        // Before fleets drivers ticked special cargo in the profile, the first vehicle starts from that
+        const hasVehicles = (await Vehicle.findActiveByOwner(ctx.user._id)).length > 0;
+        const cargoTypes = hasVehicles ? [] : [...(ctx.user.driverInfo.cargoTypes || [])];
+
+        fleetSessions.set(ctx.from.id, { step: 'plate', vehicleId: null, data: { cargoTypes }, startedAt: Date.now() });
+
+        await ctx.answerCbQuery();
+        await ctx.editMessageText(global.i18n.t(ctx, 'fleet.enter_plate'), getBackButton(ctx, 'fleet:list'));
+
+    } catch (error) {
+        await ctx.answerCbQuery(global.i18n.t(ctx, 'errors.general'));
+        throw error;
+    }
+};
+
+/**
+ * Start editing a vehicle field: plate, model or specs
+ * Specs go through the same steps as adding, starting with the category
+ */
+const startVehicleEdit = async (ctx, vehicleId, field) => {
+    try {
+        const vehicle = await getOwnVehicle(ctx, vehicleId);
+        if (!vehicle) return;
+
+        const session = { step: field, vehicleId: vehicle._id, data: { cargoTypes: [...vehicle.cargoTypes] }, startedAt: Date.now() };
+        fleetSessions.set(ctx.from.id, session);
+
+        await ctx.answerCbQuery();
+
+        if (field === 'plate') {
+            await ctx.editMessageText(global.i18n.t(ctx, 'fleet.enter_plate'), getBackButton(ctx, `fleet:view:${vehicle._id}`));
+        } else if (field === 'model') {
+            await ctx.editMessageText(global.i18n.t(ctx, 'fleet.enter_model'), getBackButton(ctx, `fleet:view:${vehicle._id}`));
+        } else {
+            await askCategory(ctx, session, true);
+        }
+
+    } catch (error) {
+        await ctx.answerCbQuery(global.i18n.t(ctx, 'errors.general'));
+        throw error;
+    }
+};
+
+/**
+ * Ask for the vehicle category
+ */
+const askCategory = async (ctx, session, edit = false) => {
+    session.step = 'category';
+
+    const keyboard = VEHICLE_CATEGORIES.map(category => [{
+        text: global.i18n.t(ctx, `registration.vehicle_categories.${category}`),
+        callback_data: `fleet:cat:${category}`
+    }]);
+    keyboard.push([{ text: global.i18n.t(ctx, 'buttons.cancel'), callback_data: 'fleet:list' }]);
+
+    const text = global.i18n.t(ctx, 'fleet.choose_category');
+    const extra = { reply_markup: { inline_keyboard: keyboard } };
+
+    if (edit) {
+        await ctx.editMessageText(text, extra);
+    } else {
+        await ctx.reply(text, extra);
+    }
+};
+
+/**
+ * Save a single edited field and show the vehicle
+ */
+const saveVehicleField = async (ctx, session, field, value) => {
+    fleetSessions.delete(ctx.from.id);
+
+    const vehicle = await Vehicle.findOne({ _id: session.vehicleId, ownerId: ctx.user._id, status: 'active' });
+    if (!vehicle) {
+        await ctx.reply(global.i18n.t(ctx, 'fleet.vehicle_not_found'));
+        return;
+    }
+
+    vehicle[field] = value;
+
+    try {
+        await vehicle.save();
+    } catch (error) {
+        if (error.code !== 11000) throw error;
+
+        await ctx.reply(global.i18n.t(ctx, 'fleet.plate_taken'));
+        return;
+    }
+
+    if (field === 'model') {
+        await syncDriverFleet(ctx.user);
+    }
+
+    await ctx.reply(formatVehicle(ctx, vehicle), getVehicleKeyboard(ctx, vehicle));
+};
+
+/**
+ * Handle text steps of adding and editing vehicles
+ * @returns {boolean} - true if the message was handled
+ */
+const handleFleetInput = async (ctx) => {
+    try {
+        const session = getFleetSession(ctx.from.id);
+
+        if (!session) {
+            return false;
+        }
+
+        const text = ctx.message.text.trim().replace(/\s+/g, ' ');
+
+        switch (session.step) {
+            case 'plate':
+                if (!PLATE_PATTERN.test(text)) {
+                    await ctx.reply(global.i18n.t(ctx, 'fleet.invalid_plate'));
+                    return true;
+                }
+
+                if (session.vehicleId) {
+                    await saveVehicleField(ctx, session, 'plateNumber', text);
+                    return true;
+                }
+
+                session.data.plateNumber = text;
+                session.step = 'model';
+                await ctx.reply(global.i18n.t(ctx, 'fleet.enter_model'));
+                return true;
+
+            case 'model':
+                if (text.length < MIN_MODEL_LENGTH || text.length > MAX_MODEL_LENGTH) {
+                    await ctx.reply(global.i18n.t(ctx, 'fleet.invalid_model', { min: MIN_MODEL_LENGTH, max: MAX_MODEL_LENGTH }));
+                    return true;
+                }
+
+                if (session.vehicleId) {
+                    await saveVehicleField(ctx, session, 'model', text);
+                    return true;
+                }
+
+                session.data.model = text;
+                await askCategory(ctx, session);
+                return true;
+
+            case 'payload': {
+                const payloadKg = parseWeightKg(text);
+
+                if (!payloadKg) {
+                    await ctx.reply(global.i18n.t(ctx, 'cargo.invalid_weight'));
+                    return true;
+                }
+
+                session.data.payloadKg = payloadKg;
+                session.step = 'volume';
+
+                await ctx.reply(global.i18n.t(ctx, 'cargo.vehicle_enter_volume'), {
+                    reply_markup: {
+                        inline_keyboard: [
+                            [{ text: global.i18n.t(ctx, 'orders.skip'), callback_data: 'fleet:skip' }],
+                            [{ text: global.i18n.t(ctx, 'buttons.cancel'), callback_data: 'fleet:list' }]
+                        ]
+                    }
+                });
+                return true;
+            }
+
+            case 'volume': {
+                const volumeM3 = parseVolumeM3(text);
+
+                if (!volumeM3) {
+                    await ctx.reply(global.i18n.t(ctx, 'cargo.invalid_volume'));
+                    return true;
+                }
+
+                session.data.volumeM3 = volumeM3;
+                await askSpecialCargo(ctx, session);
+                return true;
+            }
+
+            case 'photo':
+                await ctx.reply(global.i18n.t(ctx, 'fleet.send_photo', { max: Vehicle.MAX_PHOTOS }));
+                return true;
+
+            default:
+                await ctx.reply(global.i18n.t(ctx, 'cargo.use_buttons'));
+                return true;
+        }
+    } catch (error) {
+        await ctx.reply(global.i18n.t(ctx, 'errors.general'));
+        throw error;
+    }
+};
+
+/**
+ * Handle category button and ask for body type
+ */
+const selectCategory = async (ctx, category) => {
+    try {
+        const session = getFleetSession(ctx.from.id);
+
+        if (!session || session.step !== 'category' || !VEHICLE_CATEGORIES.includes(category)) {
+            await ctx.answerCbQuery(global.i18n.t(ctx, 'errors.general'));
+            return;
+        }
+
+        session.data.category = category;
+        session.step = 'body';
+
+        const keyboard = BODY_TYPES.map(type => [{
+            text: global.i18n.t(ctx, `cargo.bodies.${type}`),
+            callback_data: `fleet:body:${type}`
+        }]);
+        keyboard.push([{ text: global.i18n.t(ctx, 'buttons.cancel'), callback_data: 'fleet:list' }]);
+
+        await ctx.answerCbQuery();
+        await ctx.editMessageText(global.i18n.t(ctx, 'cargo.vehicle_choose_body'), {
+            reply_markup: { inline_keyboard: keyboard }
+        });
+
+    } catch (error) {
+        await ctx.answerCbQuery(global.i18n.t(ctx, 'errors.general'));
+        throw error;
+    }
+};
+
+/**
+ * Handle body type button and ask for payload
+ */
+const selectBody = async (ctx, bodyType) => {
+    try {
+        const session = getFleetSession(ctx.from.id);
+
+        if (!session || session.step !== 'body' || !BODY_TYPES.includes(bodyType)) {
+            await ctx.answerCbQuery(global.i18n.t(ctx, 'errors.general'));
+            return;
+        }
+
+        session.data.bodyType = bodyType;
+        session.step = 'payload';
+
+        await ctx.answerCbQuery();
+        await ctx.editMessageText(global.i18n.t(ctx, 'cargo.vehicle_enter_payload'), getBackButton(ctx, 'fleet:list'));
+
+    } catch (error) {
+        await ctx.answerCbQuery(global.i18n.t(ctx, 'errors.general'));
+        throw error;
+    }
+};
+
+/**
+ * Skip the volume step
+ */
+const skipVolume = async (ctx) => {
+    try {
+        const session = getFleetSession(ctx.from.id);
+
+        if (!session || session.step !== 'volume') {
+            await ctx.answerCbQuery(global.i18n.t(ctx, 'errors.general'));
+            return;
+        }
+
+        session.data.volumeM3 = null;
+
+        await ctx.answerCbQuery();
+        await askSpecialCargo(ctx, session);
+
+    } catch (error) {
+        await ctx.answerCbQuery(global.i18n.t(ctx, 'errors.general'));
+        throw error;
+    }
+};
+
+/**
+ * Build special cargo toggles, checked types are marked
+ */
+const getSpecialCargoKeyboard = (ctx, cargoTypes) => {
+    const keyboard = PERMIT_CARGO_TYPES.map(type => [{
+        text: (cargoTypes.includes(type) ? '✅ ' : '⬜ ') + global.i18n.t(ctx, `cargo.types.${type}`),
+        callback_data: `fleet:cargo:${type}`
+    }]);
+    keyboard.push([{ text: global.i18n.t(ctx, 'cargo.vehicle_save'), callback_data: 'fleet:save' }]);
+
+    return { reply_markup: { inline_keyboard: keyboard } };
+};
+
+/**
+ * Ask which special cargo the vehicle may carry
+ */
+const askSpecialCargo = async (ctx, session) => {
+    session.step = 'special';
+
+    await ctx.reply(
+        global.i18n.t(ctx, 'cargo.vehicle_special'),
+        getSpecialCargoKeyboard(ctx, session.data.cargoTypes)
+    );
+};
+
+/**
+ * Toggle a special cargo type
+ */
+const toggleCargoType = async (ctx, cargoType) => {
+    try {
+        const session = getFleetSession(ctx.from.id);
+
+        if (!session || session.step !== 'special' || !PERMIT_CARGO_TYPES.includes(cargoType)) {
+            await ctx.answerCbQuery(global.i18n.t(ctx, 'errors.general'));
+            return;
+        }
+
+        const cargoTypes = session.data.cargoTypes;
+        const index = cargoTypes.indexOf(cargoType);
+        if (index === -1) {
+            cargoTypes.push(cargoType);
+        } else {
+            cargoTypes.splice(index, 1);
+        }
+
+        await ctx.answerCbQuery();
+        await ctx.editMessageReplyMarkup(getSpecialCargoKeyboard(ctx, cargoTypes).reply_markup);
+
+    } catch (error) {
+        await ctx.answerCbQuery(global.i18n.t(ctx, 'errors.general'));
+        throw error;
+    }
+};
+
+/**
+ * Create the vehicle or store its new specs, then show it
+ */
+const saveVehicle = async (ctx) => {
+    try {
+        const session = getFleetSession(ctx.from.id);
+
+        if (!session || session.step !== 'special') {
+            await ctx.answerCbQuery(global.i18n.t(ctx, 'errors.general'));
+            return;
+        }
+
+        fleetSessions.delete(ctx.from.id);
+
+        const user = ctx.user;
+        const { category, bodyType, payloadKg, volumeM3, cargoTypes } = session.data;
+        let vehicle;
+
+        if (session.vehicleId) {
+            vehicle = await Vehicle.findOne({ _id: session.vehicleId, ownerId: user._id, status: 'active' });
+
+            if (!vehicle) {
+                await ctx.answerCbQuery(global.i18n.t(ctx, 'fleet.vehicle_not_found'));
+                return;
+            }
+
+            Object.assign(vehicle, { category, bodyType, payloadKg, volumeM3, cargoTypes });
+            await vehicle.save();
+        } else {
+            try {
+                vehicle = await Vehicle.create({
+                    ownerId: user._id,
+                    plateNumber: session.data.plateNumber,
+                    model: session.data.model,
+                    category,
+                    bodyType,
+                    payloadKg,
+                    volumeM3,
+                    cargoTypes
+                });
+            } catch (error) {
+                if (error.code !== 11000) throw error;
+
+                await ctx.answerCbQuery(global.i18n.t(ctx, 'fleet.plate_taken'), { show_alert: true });
+                return;
+            }
+        }
+
+        await syncDriverFleet(user);
+
+        await ctx.answerCbQuery(global.i18n.t(ctx, 'cargo.vehicle_saved'));
+        await ctx.editMessageText(formatVehicle(ctx, vehicle), getVehicleKeyboard(ctx, vehicle));
+
+        global.logger.logAction(session.vehicleId ? 'vehicle_updated' : 'vehicle_added', {
+            userId: user._id,
+            vehicleId: vehicle._id,
+            category,
+            bodyType,
+            payloadKg,
+            maxOrders: user.maxOrders
+        });
+
+    } catch (error) {
+        await ctx.answerCbQuery(global.i18n.t(ctx, 'errors.general'));
+        throw error;
+    }
+};
+
+/**
+ * Ask for vehicle photos
+ */
+const startPhotoUpload = async (ctx, vehicleId) => {
+    try {
+        const vehicle = await getOwnVehicle(ctx, vehicleId);
+        if (!vehicle) return;
+
+        fleetSessions.set(ctx.from.id, { step: 'photo', vehicleId: vehicle._id, data: {}, startedAt: Date.now() });
+
+        await ctx.answerCbQuery();
+        await ctx.editMessageText(
+            global.i18n.t(ctx, 'fleet.send_photo', { max: Vehicle.MAX_PHOTOS }),
+            { reply_markup: { inline_keyboard: [[{ text: global.i18n.t(ctx, 'fleet.photos_done'), callback_data: `fleet:view:${vehicle._id}` }]] } }
+        );
+
+    } catch (error) {
+        await ctx.answerCbQuery(global.i18n.t(ctx, 'errors.general'));
+        throw error;
+    }
+};
+
+/**
+ * Handle a vehicle photo
+ * @returns {boolean} - true if the message was handled
+ */
+const handleFleetPhoto = async (ctx) => {
+    try {
+        const session = getFleetSession(ctx.from.id);
+
+        if (!session || session.step !== 'photo') {
+            return false;
+        }
+
+        const vehicle = await Vehicle.findOne({ _id: session.vehicleId, ownerId: ctx.user._id, status: 'active' });
+        if (!vehicle) {
+            fleetSessions.delete(ctx.from.id);
+            await ctx.reply(global.i18n.t(ctx, 'fleet.vehicle_not_found'));
+            return true;
+        }
+
+        // Telegram sends several sizes, the last one is the largest
+        const photos = ctx.message.photo;
+        await vehicle.addPhoto(photos[photos.length - 1].file_id);
+
+        await ctx.reply(
+            global.i18n.t(ctx, 'fleet.photo_added', { count: vehicle.photos.length, max: Vehicle.MAX_PHOTOS }),
+            { reply_markup: { inline_keyboard: [[{ text: global.i18n.t(ctx, 'fleet.photos_done'), callback_data: `fleet:view:${vehicle._id}` }]] } }
+        );
+        return true;
+    } catch (error) {
+        await ctx.reply(global.i18n.t(ctx, 'errors.general'));
+        throw error;
+    }
+};
+
+/**
+ * Send vehicle photos
+ */
+const showVehiclePhotos = async (ctx, vehicleId) => {
+    try {
+        const vehicle = await getOwnVehicle(ctx, vehicleId);
+        if (!vehicle) return;
+
+        await ctx.answerCbQuery();
+
+        for (const fileId of vehicle.photos) {
+            await ctx.replyWithPhoto(fileId, { caption: vehicle.label });
+        }
+
+    } catch (error) {
+        await ctx.answerCbQuery(global.i18n.t(ctx, 'errors.general'));
+        throw error;
+    }
+};
+
+/**
+ * Retire a vehicle, asks for confirmation first
+ * Vehicles on an unfinished order cannot be retired
+ */
+const retireVehicle = async (ctx, vehicleId, confirmed = false) => {
+    try {
+        const vehicle = await getOwnVehicle(ctx, vehicleId);
+        if (!vehicle) return;
+
+        const busy = await Order.exists({ vehicleId: vehicle._id, status: { $in: ['matched', 'in_progress'] } });
+        if (busy) {
+            await ctx.answerCbQuery(global.i18n.t(ctx, 'fleet.vehicle_busy'), { show_alert: true });
+            return;
+        }
+
+        if (!confirmed) {
+            await ctx.answerCbQuery();
+            await ctx.editMessageText(global.i18n.t(ctx, 'fleet.retire_confirm', { vehicle: vehicle.label }), {
+                reply_markup: {
+                    inline_keyboard: [[
+                        { text: global.i18n.t(ctx, 'buttons.yes'), callback_data: `fleet:retire_yes:${vehicle._id}` },
+                        { text: global.i18n.t(ctx, 'buttons.no'), callback_data: `fleet:view:${vehicle._id}` }
+                    ]]
+                }
+            });
+            return;
+        }
+
+        await vehicle.retire();
+        await syncDriverFleet(ctx.user);
+        await showFleet(ctx);
+
+        global.logger.logAction('vehicle_retired', {
+            userId: ctx.user._id,
+            vehicleId: vehicle._id,
+            maxOrders: ctx.user.maxOrders
+        });
+
+    } catch (error) {
+        await ctx.answerCbQuery(global.i18n.t(ctx, 'errors.general'));
+        throw error;
+    }
+};
+
+module.exports = {
+    getCompatibleVehicles,
+    syncDriverFleet,
+    clearFleetSession,
+    showFleet,
+    viewVehicle,
+    startVehicleAdd,
+    startVehicleEdit,
+    handleFleetInput,
+    selectCategory,
+    selectBody,
+    skipVolume,
+    toggleCargoType,
+    saveVehicle,
+    startPhotoUpload,
+    handleFleetPhoto,
+    showVehiclePhotos,
+    retireVehicle
+};
\ No newline at end of file
@@ -1,46 +1,58 @@
-/**
- * Configuration for Telegram groups where orders should be posted
- * Add your group chat IDs here when ready
- */
-const LOGISTICS_GROUPS = [
-    // {
-    //   id: -1001234567890, // Example group ID
-    //   name: 'Логистика Ташкент',
-    //   region: 'ташкент',
-    //   active: true
-    // },
-    // {
-    //   id: -1001234567891,
-    //   name: 'Грузоперевозки Самарканд',
-    //   region: 'самарканд',
-    //   active: true
-    // }
+const path = require('path');
+const fs = require('fs');
+const Group = require('../models/group');
+const Settings = require('../models/settings');
+const gazetteer = require('../services/gazetteer');
+const { formatCargoDetails } = require('./common');
+const { getOrderLink } = require('../utils/deepLinks');
+
+// Seed file for groups and posting settings
+const GROUPS_CONFIG_PATH = path.join(__dirname, '../data/groups.json');
+
+const SETTINGS_KEY = 'groups';
+
+// Failed posts are retried with exponential back-off
+const POST_RETRY_BASE_DELAY_MS = 5 * 60 * 1000;
+const MAX_POST_ATTEMPTS = 4;
+const POST_RETRY_CLAIM_MS = 10 * 60 * 1000;
+const POST_RETRY_BATCH_SIZE = 20;
+
+const DEFAULT_SETTINGS = {
+    auto_posting_enabled: true,
+    max_groups_per_order: 3,
+    posting_delay_ms: 1000,
+    retry_failed_posts: true
+};
+
+// Region tags offered when setting up a new group
+const REGION_TAGS = [
+    'ташкент', 'самарканд', 'бухара', 'андижан', 'наманган', 'фергана', 'нукус',
+    'ургенч', 'карши', 'термез', 'навои', 'джизак', 'гулистан'
 ];
 
 /**
  * Get active groups for posting
  */
-const getActiveGroups = () => {
-    return LOGISTICS_GROUPS.filter(group => group.active);
+const getActiveGroups = async () => {
+    return Group.findActiveGroups();
 };
 
 /**
  * Get groups by region
+ * Groups without region tags match every region
  */
-const getGroupsByRegion = (region) => {
-    if (!region) return getActiveGroups();
-
-    const searchRegion = region.toLowerCase();
-    return LOGISTICS_GROUPS.filter(group =>
-        group.active &&
-        group.region.toLowerCase().includes(searchRegion)
-    );
+const getGroupsByRegion = async (region) => {
+    const groups = await getActiveGroups();
+
+    if (!region) return groups;
+
+    return groups.filter(group => group.matchesRegion(region));
 };
 
 /**
  * Format order message for group posting
  */
-const formatOrderForGroup = (order, ctx) => {
+const formatOrderForGroup = (order, ctx, header = '🚛 НОВЫЙ ЗАКАЗ') => {
     const from = order.cargo.from;
     const to = order.cargo.to || 'По договоренности';
     const date = order.cargo.scheduledDate
@@ -48,11 +60,10 @@ const formatOrderForGroup = (order, ctx) => {
         : 'По договоренности';
     const price = order.cargo.price ? `${order.cargo.price} сум` : 'По договоренности';
     const description = order.cargo.description || '';
-    const weight = order.cargo.weight || '';
+    const cargoDetails = formatCargoDetails(order.cargo, ctx);
     const contact = order.contactInfo.contactName || 'Заказчик';
-    const phone = order.contactInfo.phoneNumber || '';
 
-    let message = `🚛 НОВЫЙ ЗАКАЗ\n\n`;
+    let message = `${header}\n\n`;
     message += `📍 Откуда: ${from}\n`;
     message += `📍 Куда: ${to}\n`;
     message += `📅 Дата: ${date}\n`;
@@ -62,14 +73,15 @@ const formatOrderForGroup = (order, ctx) => {
         message += `📝 Описание: ${description}\n`;
     }
 
-    if (weight) {
-        message += `⚖️ Вес: ${weight}\n`;
+    if (cargoDetails) {
+        message += `${cargoDetails}\n`;
     }
 
     message += `\n👤 Контакт: ${contact}\n`;
 
-    if (phone) {
-        message += `📱 Телефон: ${phone}\n`;
+    // The phone is only shown by the contact button, which checks privacy and logs the reveal
+    if (order.contactPrivacy === 'accepted') {
+        message += `🔒 Связь через бота\n`;
     }
 
     message += `\n🆔 Заказ #${order._id.toString().slice(-6)}`;
@@ -78,9 +90,9 @@ const formatOrderForGroup = (order, ctx) => {
 };
 
 /**
- * Create inline keyboard for group message
+ * Create inline keyboard for group message, the bot link names the group for attribution
  */
-const createGroupKeyboard = (orderId) => {
+const createGroupKeyboard = (orderId, chatId) => {
     return {
         inline_keyboard: [
             [
@@ -96,83 +108,161 @@ const createGroupKeyboard = (orderId) => {
             [
                 {
                     text: '📋 Подробнее',
-                    url: `https://t.me/${process.env.BOT_USERNAME}?start=order_${orderId}`
+                    url: getOrderLink(orderId, chatId)
                 }
             ]
         ]
     };
 };
 
+/**
+ * Score how relevant a group is for an order
+ * Departure region beats destination, untagged groups come last
+ */
+const getRegionRelevance = (group, order) => {
+    if (group.regions.length === 0) return 1;
+
+    const { fromPlaceId, toPlaceId } = order.cargo;
+    const from = order.cargo.from.toLowerCase();
+    const to = (order.cargo.to || '').toLowerCase();
+    let score = 0;
+
+    group.regions.forEach(tag => {
+        const tagPlaceId = gazetteer.findPlace(tag)?.id;
+
+        // Compare resolved places first, so any spelling of a city hits its group
+        if (tagPlaceId && fromPlaceId) {
+            if (tagPlaceId === fromPlaceId) {
+                score = Math.max(score, 4);
+                return;
+            } else if (gazetteer.isSameArea(tagPlaceId, fromPlaceId)) {
+                score = Math.max(score, 3);
+                return;
+            }
+        }
+        if (tagPlaceId && toPlaceId && gazetteer.isSameArea(tagPlaceId, toPlaceId)) {
+            score = Math.max(score, 2);
+            return;
+        }
+
+        if (from === tag) {
+            score = Math.max(score, 4);
+        } else if (from.includes(tag) || tag.includes(from)) {
+            score = Math.max(score, 3);
+        } else if (to && (to.includes(tag) || tag.includes(to))) {
+            score = Math.max(score, 2);
+        }
+    });
+
+    return score;
+};
+
+/**
+ * Pick groups for an order, best region match first, capped by settings
+ */
+const rankGroupsForOrder = (order, groups, maxGroups) => {
+    const ranked = groups
+        .map(group => ({ group, relevance: getRegionRelevance(group, order) }))
+        .sort((a, b) => b.relevance - a.relevance);
+
+    const relevant = ranked.filter(item => item.relevance > 0);
+
+    // Fallback to all active groups if no regional match
+    return (relevant.length > 0 ? relevant : ranked)
+        .slice(0, maxGroups)
+        .map(item => item.group);
+};
+
+/**
+ * Send order to a single group through the posting queue
+ */
+const postOrderToSingleGroup = async (order, group, telegram, settings, ctx) => {
+    const postingQueue = require('../services/postingQueue');
+
+    try {
+        const sentMessage = await postingQueue.send(
+            telegram,
+            group.chatId,
+            formatOrderForGroup(order, ctx),
+            { reply_markup: createGroupKeyboard(order._id, group.chatId) },
+            settings.posting_delay_ms
+        );
+
+        // Store every posted message for status updates
+        order.addGroupMessage(group.chatId, sentMessage.message_id);
+
+        global.logger.logAction('order_posted_to_group', {
+            orderId: order._id,
+            groupId: group.chatId,
+            groupName: group.name,
+            messageId: sentMessage.message_id
+        });
+
+        return {
+            groupId: group.chatId,
+            groupName: group.name,
+            success: true,
+            messageId: sentMessage.message_id
+        };
+
+    } catch (error) {
+        global.logger.logAction('group_posting_failed', {
+            orderId: order._id,
+            groupId: group.chatId,
+            groupName: group.name,
+            error: error.message
+        });
+
+        return {
+            groupId: group.chatId,
+            groupName: group.name,
+            success: false,
+            error: error.message
+        };
+    }
+};
+
 /**
  * Post order to relevant groups
  */
 const postToGroups = async (order, ctx) => {
     try {
-        if (LOGISTICS_GROUPS.length === 0) {
+        const settings = await getGroupsSettings();
+
+        if (!settings.auto_posting_enabled) {
             global.logger.logAction('group_posting_skipped', {
                 orderId: order._id,
-                reason: 'no_groups_configured'
+                reason: 'auto_posting_disabled'
             });
             return;
         }
 
-        const orderLocation = order.cargo.from.toLowerCase();
-        const relevantGroups = getGroupsByRegion(orderLocation);
+        const activeGroups = (await getActiveGroups()).filter(group => group.acceptsOrder(order));
 
-        if (relevantGroups.length === 0) {
-            // Fallback to all active groups if no regional match
-            relevantGroups.push(...getActiveGroups());
+        if (activeGroups.length === 0) {
+            global.logger.logAction('group_posting_skipped', {
+                orderId: order._id,
+                reason: 'no_groups_configured'
+            });
+            return;
         }
 
-        const message = formatOrderForGroup(order, ctx);
-        const keyboard = createGroupKeyboard(order._id);
-
+        const selectedGroups = rankGroupsForOrder(order, activeGroups, settings.max_groups_per_order);
         const postingResults = [];
 
-        for (const group of relevantGroups) {
-            try {
-                const sentMessage = await ctx.telegram.sendMessage(
-                    group.id,
-                    message,
-                    { reply_markup: keyboard }
-                );
-
-                // Store the message ID for potential updates
-                if (!order.groupMessageId) {
-                    order.groupMessageId = sentMessage.message_id;
-                    order.publishedToGroup = true;
-                    await order.save();
-                }
-
-                postingResults.push({
-                    groupId: group.id,
-                    groupName: group.name,
-                    success: true,
-                    messageId: sentMessage.message_id
-                });
+        for (const group of selectedGroups) {
+            const result = await postOrderToSingleGroup(order, group, ctx.telegram, settings, ctx);
 
-                global.logger.logAction('order_posted_to_group', {
-                    orderId: order._id,
-                    groupId: group.id,
-                    groupName: group.name,
-                    messageId: sentMessage.message_id
-                });
+            if (!result.success && settings.retry_failed_posts) {
+                order.addFailedGroupPost(group.chatId, result.error, Date.now() + POST_RETRY_BASE_DELAY_MS);
+                result.willRetry = true;
+            }
 
-            } catch (error) {
-                postingResults.push({
-                    groupId: group.id,
-                    groupName: group.name,
-                    success: false,
-                    error: error.message
-                });
+            postingResults.push(result);
+        }
 
-                global.logger.logAction('group_posting_failed', {
-                    orderId: order._id,
-                    groupId: group.id,
-                    groupName: group.name,
-                    error: error.message
-                });
-            }
+        if (order.isModified('groupMessages') || order.isModified('failedGroupPosts')) {
+            await order.save();
         }
 
         return postingResults;
@@ -186,6 +276,86 @@ const postToGroups = async (order, ctx) => {
     }
 };
 
+/**
+ * Retry failed group posts that are due
+ * Orders are claimed atomically so several instances never post twice
+ */
+const retryFailedPosts = async (telegram) => {
+    const Order = require('../models/order');
+    const settings = await getGroupsSettings();
+
+    if (!settings.retry_failed_posts || !settings.auto_posting_enabled) {
+        return;
+    }
+
+    const now = new Date();
+    const claimedUntil = new Date(now.getTime() + POST_RETRY_CLAIM_MS);
+
+    for (let processed = 0; processed < POST_RETRY_BATCH_SIZE; processed++) {
+        const order = await Order.findOneAndUpdate(
+            { status: 'active', failedGroupPosts: { $elemMatch: { nextRetryAt: { $lte: now } } } },
+            { $set: { 'failedGroupPosts.$[due].nextRetryAt': claimedUntil } },
+            { new: true, arrayFilters: [{ 'due.nextRetryAt': { $lte: now } }] }
+        );
+
+        if (!order) break;
+
+        const duePosts = order.failedGroupPosts.filter(post => post.nextRetryAt.getTime() === claimedUntil.getTime());
+
+        for (const post of duePosts) {
+            const group = await Group.findByChatId(post.groupId);
+
+            if (!group || !group.active) {
+                order.failedGroupPosts.pull(post._id);
+                continue;
+            }
+
+            const result = await postOrderToSingleGroup(order, group, telegram, settings, { locale: group.language });
+
+            if (result.success) {
+                order.failedGroupPosts.pull(post._id);
+                continue;
+            }
+
+            post.attempts += 1;
+            post.lastError = result.error;
+
+            if (post.attempts >= MAX_POST_ATTEMPTS) {
+                order.failedGroupPosts.pull(post._id);
+
+                global.logger.logAction('group_posting_abandoned', {
+                    orderId: order._id,
+                    groupId: post.groupId,
+                    attempts: post.attempts,
+                    error: result.error
+                });
+            } else {
+                post.nextRetryAt = new Date(Date.now() + POST_RETRY_BASE_DELAY_MS * Math.pow(2, post.attempts - 1));
+            }
+        }
+
+        await order.save();
+    }
+};
+
+/**
+ * Format posting results for the client
+ */
+const formatPostingResults = (ctx, results) => {
+    let message = global.i18n.t(ctx, 'orders.posting_results_title') + '\n';
+
+    results.forEach(result => {
+        if (result.success) {
+            message += global.i18n.t(ctx, 'orders.posting_result_success', { groupName: result.groupName }) + '\n';
+        } else {
+            const key = result.willRetry ? 'orders.posting_result_retry' : 'orders.posting_result_failed';
+            message += global.i18n.t(ctx, key, { groupName: result.groupName }) + '\n';
+        }
+    });
+
+    return message.trim();
+};
+
 /**
  * Handle group callback queries
  */
@@ -195,12 +365,9 @@ const handleGroupInterest = async (ctx) => {
         const user = ctx.from;
 
         // Direct user to bot for full registration/interaction
-        const botUsername = process.env.BOT_USERNAME || 'your_bot_username';
-        const deepLink = `https://t.me/${botUsername}?start=order_${orderId}`;
-
         await ctx.answerCbQuery(
             'Для отклика на заказ перейдите в личные сообщения с ботом',
-            { url: deepLink }
+            { url: getOrderLink(orderId, ctx.chat.id) }
         );
 
         global.logger.logAction('group_interest_redirected', {
@@ -231,15 +398,8 @@ const handleGroupContact = async (ctx) => {
             return;
         }
 
-        const contactInfo = `👤 ${order.contactInfo.contactName || order.clientId.profile.fullName}\n📱 ${order.contactInfo.phoneNumber || 'Не указан'}`;
-
-        await ctx.answerCbQuery(contactInfo, { show_alert: true });
-
-        global.logger.logAction('group_contact_shown', {
-            orderId,
-            userId: ctx.from.id,
-            groupId: ctx.chat.id
-        });
+        const { revealContact } = require('./contacts');
+        await revealContact(ctx, order, 'group');
 
     } catch (error) {
         await ctx.answerCbQuery('Произошла ошибка при получении контактов');
@@ -249,21 +409,45 @@ const handleGroupContact = async (ctx) => {
 
 /**
  * Update order status in groups
+ * Edits every posted message with the status banner and removes its buttons
  */
 const updateOrderInGroups = async (order, newStatus, ctx) => {
     try {
-        if (!order.publishedToGroup || !order.groupMessageId) {
+        const groupMessages = order.groupMessages || [];
+
+        if (!order.publishedToGroup || groupMessages.length === 0) {
             return;
         }
 
-        const statusMessage = getStatusUpdateMessage(order, newStatus, ctx);
+        const message = formatOrderForGroup(order, ctx, getStatusUpdateMessage(order, newStatus, ctx));
+        let updated = 0;
+
+        for (const { groupId, messageId } of groupMessages) {
+            try {
+                await ctx.telegram.editMessageText(
+                    groupId,
+                    messageId,
+                    undefined,
+                    message,
+                    { reply_markup: { inline_keyboard: [] } }
+                );
+                updated++;
+            } catch (error) {
+                // Message may have been deleted or the bot removed from the group
+                global.logger.logWarn('Failed to update group message:', ctx, {
+                    orderId: order._id,
+                    groupId,
+                    messageId,
+                    error: error.message
+                });
+            }
+        }
 
-        // In a real implementation, you would update the original messages
-        // For now, we'll just log the update
         global.logger.logAction('order_status_updated_in_groups', {
             orderId: order._id,
             newStatus,
-            groupMessageId: order.groupMessageId
+            updated,
+            total: groupMessages.length
         });
 
     } catch (error) {
@@ -279,77 +463,235 @@ const updateOrderInGroups = async (order, newStatus, ctx) => {
  */
 const getStatusUpdateMessage = (order, status, ctx) => {
     const statusEmoji = {
-        'matched': 'ЗАКАЗ ПРИНЯТ',
+        'matched': '🤝 ЗАКАЗ ПРИНЯТ',
         'in_progress': '🚛 В ПУТИ',
-        'completed': 'ВЫПОЛНЕН',
-        'cancelled': 'ОТМЕНЕН'
+        'completed': '✅ ВЫПОЛНЕН',
+        'cancelled': '❌ ОТМЕНЕН',
+        'removed': '🚫 СНЯТ МОДЕРАТОРОМ'
     };
 
     return statusEmoji[status] || '📋 ОБНОВЛЕН';
 };
 
 /**
- * Add new group to configuration
+ * Handle bot membership changes in groups and channels
+ * Promotion registers the chat as pending and asks admins to set it up,
+ * removal deactivates it
  */
-const addGroup = (groupId, groupName, region = '') => {
-    const existingGroup = LOGISTICS_GROUPS.find(g => g.id === groupId);
-
-    if (existingGroup) {
-        existingGroup.active = true;
-        existingGroup.name = groupName;
-        existingGroup.region = region.toLowerCase();
-    } else {
-        LOGISTICS_GROUPS.push({
-            id: groupId,
-            name: groupName,
-            region: region.toLowerCase(),
-            active: true
-        });
+const handleMyChatMember = async (ctx) => {
+    try {
+        const { chat, from, new_chat_member: member } = ctx.myChatMember;
+
+        if (chat.type === 'private') {
+            return;
+        }
+
+        const { notifyAdmins, sendGroupSetupPrompt } = require('./admin');
+        const status = member.status;
+        const canPost = status === 'administrator' || (status === 'member' && chat.type !== 'channel');
+
+        if (status === 'administrator') {
+            let group = await Group.findByChatId(chat.id);
+
+            if (!group) {
+                group = await Group.create({
+                    chatId: chat.id,
+                    name: chat.title,
+                    type: chat.type,
+                    active: false,
+                    addedBy: from.id
+                });
+            } else {
+                group.name = chat.title;
+                group.type = chat.type;
+                await group.save();
+            }
+
+            global.logger.logAction('bot_promoted_in_group', {
+                groupId: chat.id,
+                groupName: chat.title,
+                promotedBy: from.id,
+                active: group.active
+            });
+
+            if (!group.active) {
+                await sendGroupSetupPrompt(ctx.telegram, group);
+            }
+            return;
+        }
+
+        if (!canPost) {
+            const group = await removeGroup(chat.id);
+
+            if (group) {
+                await notifyAdmins(ctx.telegram, (adminCtx) => global.i18n.t(adminCtx, 'admin.group_bot_removed', {
+                    groupName: group.name,
+                    groupId: group.chatId
+                }), null, 'groups.view');
+            }
+        }
+
+    } catch (error) {
+        global.logger.logError(error, ctx, { context: 'my_chat_member handler error' });
     }
+};
 
-    global.logger.logAction('group_added', {
-        groupId,
-        groupName,
-        region
-    });
+/**
+ * Add new group or update existing one
+ */
+const addGroup = async (groupId, groupName, region = '', description = '', active = true) => {
+    try {
+        const regions = region
+            .split(',')
+            .map(tag => tag.trim().toLowerCase())
+            .filter(Boolean);
+
+        const group = await Group.findOneAndUpdate(
+            { chatId: groupId },
+            {
+                $set: {
+                    name: groupName,
+                    regions,
+                    description,
+                    active,
+                    deactivatedAt: active ? null : new Date()
+                }
+            },
+            { new: true, upsert: true, setDefaultsOnInsert: true }
+        );
+
+        global.logger.logAction('group_added', {
+            groupId,
+            groupName,
+            region
+        });
+
+        return group;
+
+    } catch (error) {
+        global.logger.logError(error, {}, { context: 'Failed to add group', groupId });
+        return null;
+    }
 };
 
 /**
- * Remove group from configuration
+ * Deactivate group
  */
-const removeGroup = (groupId) => {
-    const groupIndex = LOGISTICS_GROUPS.findIndex(g => g.id === groupId);
+const removeGroup = async (groupId) => {
+    const group = await Group.findByChatId(groupId);
 
-    if (groupIndex !== -1) {
-        LOGISTICS_GROUPS[groupIndex].active = false;
+    if (group && group.active) {
+        await group.deactivate();
 
         global.logger.logAction('group_removed', {
             groupId,
-            groupName: LOGISTICS_GROUPS[groupIndex].name
+            groupName: group.name
         });
     }
+
+    return group;
 };
 
 /**
  * Get groups list for admin
  */
-const getGroupsList = () => {
-    return LOGISTICS_GROUPS.map(group => ({
-        id: group.id,
+const getGroupsList = async () => {
+    const groups = await Group.find().sort({ active: -1, createdAt: 1 });
+
+    return groups.map(group => ({
+        id: group.chatId,
         name: group.name,
         region: group.region,
+        regions: group.regions,
+        language: group.language,
+        description: group.description,
         active: group.active
     }));
 };
 
+/**
+ * Get posting settings shared by all instances
+ */
+const getGroupsSettings = async () => {
+    return Settings.getValue(SETTINGS_KEY, DEFAULT_SETTINGS);
+};
+
+/**
+ * Update posting settings
+ */
+const updateGroupsSettings = async (updates) => {
+    const settings = await Settings.updateValue(SETTINGS_KEY, updates);
+
+    global.logger.logAction('groups_settings_updated', updates);
+
+    return { ...DEFAULT_SETTINGS, ...settings };
+};
+
+/**
+ * Read the seed file, falling back to an empty config
+ */
+const readGroupsConfigFile = () => {
+    try {
+        return JSON.parse(fs.readFileSync(GROUPS_CONFIG_PATH, 'utf8'));
+    } catch (error) {
+        global.logger.logWarn('Failed to read groups config file:', {}, { path: GROUPS_CONFIG_PATH, error: error.message });
+        return {};
+    }
+};
+
+/**
+ * Seed groups and settings from app/data/groups.json
+ * Only adds what is missing, so changes made by admins are kept
+ */
+const reloadGroupsConfig = async () => {
+    const config = readGroupsConfigFile();
+
+    await Settings.seedValue(SETTINGS_KEY, { ...DEFAULT_SETTINGS, ...(config.settings || {}) });
+
+    for (const group of config.logistics_groups || []) {
+        const regions = Array.isArray(group.regions) ? group.regions : (group.region ? [group.region] : []);
+
+        await Group.updateOne(
+            { chatId: group.id },
+            {
+                $setOnInsert: {
+                    name: group.name,
+                    regions: regions.map(tag => tag.toLowerCase()),
+                    description: group.description,
+                    language: group.language || 'ru',
+                    active: group.active !== false
+                }
+            },
+            { upsert: true }
+        );
+    }
+
+    const groupsCount = await Group.countDocuments();
+    const activeGroups = await Group.countDocuments({ active: true });
+
+    global.logger.logAction('groups_config_loaded', {
+        groupsCount,
+        activeGroups
+    });
+
+    return { groupsCount, activeGroups };
+};
+
 module.exports = {
+    REGION_TAGS,
     getActiveGroups,
     getGroupsByRegion,
     postToGroups,
+    retryFailedPosts,
+    formatPostingResults,
     handleGroupInterest,
     handleGroupContact,
+    handleMyChatMember,
     updateOrderInGroups,
     addGroup,
     removeGroup,
-    getGroupsList
+    getGroupsList,
+    getGroupsSettings,
+    updateGroupsSettings,
+    reloadGroupsConfig
 };
\ No newline at end of file
@@ -134,8 +134,8 @@ const handleKeyboardMenu = async (ctx) => {
 
             case global.i18n.t(ctx, 'menu.my_orders'):
                 if (user.isClient()) {
-                    const orderHandlers = require('./orders');
-                    await orderHandlers.showMyOrders(ctx);
+                    const profileHandlers = require('./profile');
+                    await profileHandlers.showMyOrders(ctx);
                     return true;
                 }
                 break;
@@ -1,123 +1,357 @@
 const User = require('../models/user');
 const Order = require('../models/order');
+const Offer = require('../models/offer');
 const { calculateDistance } = require('./common');
+const gazetteer = require('../services/gazetteer');
+const redisService = require('../services/redisService');
+const ScoringProfile = require('../models/scoringProfile');
+const Vehicle = require('../models/vehicle');
+const { parseWeightKg, getWeightClass, getDriverVehicleConditions, getOrderVehicleConditions } = require('../utils/cargo');
+
+// Weights used when no scoring profile is given, offers are always scored with them
+const DEFAULT_WEIGHTS = ScoringProfile.getDefaultWeights();
+
+// Minimum score for an offer and an order to be considered a pair
+const OFFER_MIN_SCORE = 40;
+
+// Drivers further than this from the pickup get no location points, so they are not loaded at all
+const MATCH_REGION_RADIUS_KM = 300;
+
+// Candidates are scored in batches of this size
+const MATCH_BATCH_SIZE = 200;
+
+// Only the best drivers are kept in the ranking
+const MAX_RANKED_DRIVERS = 200;
+
+// Ranking is cached per order version, so an edited order is ranked again
+const MATCH_CACHE_TTL = parseInt(process.env.MATCH_CACHE_TTL) || 300;
+
+// Route endpoints this close to an order's places count as the same corridor
+const ROUTE_MATCH_RADIUS_KM = 30;
+
+// Drivers notified about an order on their preferred route, on top of the best matches
+const MAX_ROUTE_NOTIFICATIONS = 20;
+
+// Driver fields needed for scoring
+const DRIVER_SCORE_FIELDS = 'driverInfo reputation activeOrders maxOrders lastActivity';
+
+// Words used instead of an amount in older orders, in Russian, Uzbek and English
+const HEAVY_CARGO_WORDS = ['тяжел', 'тонн', 'heavy', 'ogir', 'оғир'];
+const MEDIUM_CARGO_WORDS = ['средн', 'medium', 'orta', 'ўрта'];
+
+/**
+ * Classify cargo weight as light, medium or heavy
+ * Structured weight first, then the amount or words in the weight text
+ * @returns {string|null} - null when the order has no weight
+ */
+const getCargoWeightClass = (order) => {
+    const weightKg = order.cargo.weightKg || parseWeightKg(order.cargo.weight);
+    if (weightKg) return getWeightClass(weightKg);
+
+    const weight = (order.cargo.weight || '').toLowerCase().replace(/['`ʻʼ‘’]/g, '');
+    if (!weight) return null;
+
+    if (HEAVY_CARGO_WORDS.some(word => weight.includes(word))) return 'heavy';
+    if (MEDIUM_CARGO_WORDS.some(word => weight.includes(word))) return 'medium';
+    return 'light';
+};
+
+/**
+ * Build the query for drivers free to take an order
+ * Capacity, moderation and vehicle are checked by the database
+ */
+const buildDriverAvailabilityQuery = (order) => {
+    const query = {
+        'profile.role': 'driver',
+        registrationCompleted: true,
+        $expr: { $lt: ['$activeOrders', '$maxOrders'] },
+        $nor: [
+            { 'moderation.status': 'banned' },
+            {
+                'moderation.status': 'suspended',
+                $or: [{ 'moderation.until': null }, { 'moderation.until': { $gt: new Date() } }]
+            }
+        ]
+    };
+
+    // Vehicles that cannot carry the cargo are never candidates
+    const vehicleConditions = getDriverVehicleConditions(order.cargo);
+    if (vehicleConditions.length > 0) {
+        query.$and = vehicleConditions;
+    }
+
+    return query;
+};
+
+/**
+ * Build the query for drivers that can take an order, narrowed to the pickup region
+ */
+const buildDriverCandidateQuery = (order) => {
+    const query = buildDriverAvailabilityQuery(order);
+
+    // Unresolved pickup text can only be matched by text, so every driver stays a candidate,
+    // and so do drivers whose own location is unresolved (null)
+    const placeIds = gazetteer.getPlaceIdsWithin(order.cargo.fromPlaceId, MATCH_REGION_RADIUS_KM);
+    if (placeIds.length > 0) {
+        query['driverInfo.currentPlaceId'] = { $in: [...placeIds, null] };
+    }
+
+    return query;
+};
+
+// ==================== Preferred routes ====================
+
+/**
+ * Check whether a driver's preferred route covers an order, in either direction
+ * Both ends must be gazetteer places; routes without days fit any day
+ */
+const isRouteForOrder = (route, order) => {
+    const { fromPlaceId, toPlaceId, scheduledDate } = order.cargo;
+    if (!fromPlaceId || !toPlaceId || !route.fromPlaceId || !route.toPlaceId) return false;
+
+    if (route.days?.length > 0 && scheduledDate && !route.days.includes(new Date(scheduledDate).getDay())) {
+        return false;
+    }
+
+    const fromIds = gazetteer.getPlaceIdsWithin(fromPlaceId, ROUTE_MATCH_RADIUS_KM);
+    const toIds = gazetteer.getPlaceIdsWithin(toPlaceId, ROUTE_MATCH_RADIUS_KM);
+
+    return (fromIds.includes(route.fromPlaceId) && toIds.includes(route.toPlaceId)) ||
+        (fromIds.includes(route.toPlaceId) && toIds.includes(route.fromPlaceId));
+};
+
+/**
+ * Find the driver's preferred route that covers an order
+ * @returns {Object|null}
+ */
+const findPreferredRoute = (driver, order) => {
+    return (driver.driverInfo?.preferredRoutes || []).find(route => isRouteForOrder(route, order)) || null;
+};
 
 /**
- * Find suitable drivers for an order using simple location-based matching
+ * Find available drivers with a preferred route covering an order, same rules as isRouteForOrder
  */
-const findSuitableDrivers = async (order, limit = 10) => {
+const findRouteDrivers = async (order) => {
+    const fromIds = gazetteer.getPlaceIdsWithin(order.cargo.fromPlaceId, ROUTE_MATCH_RADIUS_KM);
+    const toIds = gazetteer.getPlaceIdsWithin(order.cargo.toPlaceId, ROUTE_MATCH_RADIUS_KM);
+
+    if (fromIds.length === 0 || toIds.length === 0) {
+        return [];
+    }
+
+    const routeConditions = [{
+        $or: [
+            { fromPlaceId: { $in: fromIds }, toPlaceId: { $in: toIds } },
+            { fromPlaceId: { $in: toIds }, toPlaceId: { $in: fromIds } }
+        ]
+    }];
+
+    if (order.cargo.scheduledDate) {
+        const day = new Date(order.cargo.scheduledDate).getDay();
+        routeConditions.push({ $or: [{ 'days.0': { $exists: false } }, { days: day }] });
+    }
+
+    const query = buildDriverAvailabilityQuery(order);
+    query['driverInfo.preferredRoutes'] = { $elemMatch: { $and: routeConditions } };
+
+    return User.find(query)
+        .select(`${DRIVER_SCORE_FIELDS} telegramId language`)
+        .limit(MAX_ROUTE_NOTIFICATIONS)
+        .lean();
+};
+
+/**
+ * Get the redis key of an order's driver ranking under a scoring profile
+ */
+const getRankingCacheKey = (order, profile) => {
+    const version = order.updatedAt ? new Date(order.updatedAt).getTime() : 0;
+    return `matching:order:${order._id}:${version}:${profile.getVersion()}`;
+};
+
+/**
+ * Score all candidate drivers for an order, best first
+ * @returns {Array<Object>} - [{ driverId, score, factors, distance }]
+ */
+const rankDriversForOrder = async (order, weights) => {
+    const orderLocation = getOrderLocation(order);
+    const ranking = [];
+
+    const cursor = User.find(buildDriverCandidateQuery(order))
+        .select(DRIVER_SCORE_FIELDS)
+        .lean()
+        .cursor({ batchSize: MATCH_BATCH_SIZE });
+
+    for await (const driver of cursor) {
+        ranking.push({
+            driverId: driver._id.toString(),
+            ...explainDriverScore(driver, order, weights, orderLocation),
+            distance: getLocationDistance(orderLocation, getDriverLocation(driver))
+        });
+
+        // Trim as we go so a large region does not pile up in memory
+        if (ranking.length >= MAX_RANKED_DRIVERS + MATCH_BATCH_SIZE) {
+            ranking.sort((a, b) => b.score - a.score);
+            ranking.length = MAX_RANKED_DRIVERS;
+        }
+    }
+
+    ranking.sort((a, b) => b.score - a.score);
+    return ranking.slice(0, MAX_RANKED_DRIVERS);
+};
+
+/**
+ * Find suitable drivers for an order, one page of the ranking at a time
+ */
+const findSuitableDrivers = async (order, limit = 10, page = 0) => {
     try {
-        const orderLocation = order.cargo.from.toLowerCase().trim();
+        const profile = await ScoringProfile.getActive();
+        const cacheKey = getRankingCacheKey(order, profile);
+        let ranking = await redisService.getCache(cacheKey);
+
+        if (!ranking) {
+            ranking = await rankDriversForOrder(order, profile.getWeights());
+            await redisService.setCache(cacheKey, ranking, MATCH_CACHE_TTL);
+        }
 
-        // Get all active drivers
-        const drivers = await User.find({
-            'profile.role': 'driver',
-            registrationCompleted: true,
-            activeOrders: { $lt: '$maxOrders' } // Can take more orders
-        }).lean();
+        // The cached ranking may be stale, drivers are checked for capacity, moderation and vehicle again
+        // before paging, so drivers who dropped out do not leave pages short
+        const available = await User.find({
+            ...buildDriverAvailabilityQuery(order),
+            _id: { $in: ranking.map(item => item.driverId) }
+        }).select('_id').lean();
+        const availableIds = new Set(available.map(driver => driver._id.toString()));
 
-        if (drivers.length === 0) {
+        const pageRanking = ranking
+            .filter(item => availableIds.has(item.driverId))
+            .slice(page * limit, (page + 1) * limit);
+        if (pageRanking.length === 0) {
             return [];
         }
 
-        // Calculate match scores for each driver
-        const driverScores = drivers.map(driver => {
-            const score = calculateDriverScore(driver, order, orderLocation);
-            return {
-                driver,
-                score,
-                distance: calculateDistance(orderLocation, driver.driverInfo?.currentLocation || '')
-            };
-        });
-
-        // Sort by score (higher is better)
-        driverScores.sort((a, b) => b.score - a.score);
+        const drivers = await User.find({ _id: { $in: pageRanking.map(item => item.driverId) } }).lean();
+        const driversById = new Map(drivers.map(driver => [driver._id.toString(), driver]));
 
-        // Return top matches
-        return driverScores.slice(0, limit);
+        // Drivers deleted in the meantime are skipped
+        return pageRanking
+            .filter(item => driversById.has(item.driverId))
+            .map(item => ({
+                driver: driversById.get(item.driverId),
+                score: item.score,
+                factors: item.factors,
+                distance: item.distance
+            }));
 
     } catch (error) {
-        global.logger.global.logger.logError('Error in findSuitableDrivers:', {}, error);
+        global.logger.logError('Error in findSuitableDrivers:', {}, error);
         return [];
     }
 };
 
 /**
- * Calculate driver match score for an order
+ * Add a factor to a score breakdown, zero points are left out
  */
-const calculateDriverScore = (driver, order, orderLocation) => {
-    let score = 0;
+const addFactor = (factors, factor, points) => {
+    if (points) {
+        factors.push({ factor, points: Math.round(points * 10) / 10 });
+    }
+};
 
-    // Base score
-    score += 10;
+/**
+ * Sum a score breakdown
+ * @returns {Object} - { score, factors }
+ */
+const toScore = (factors) => ({
+    score: Math.max(0, factors.reduce((sum, item) => sum + item.points, 0)),
+    factors
+});
+
+// Vehicle fit for each cargo weight class: category -> weight key
+const VEHICLE_FIT = {
+    heavy: { heavy: 'vehicleBest', medium: 'vehicleGood', light: 'vehicleUnsuitable' },
+    medium: { medium: 'vehicleBest', heavy: 'vehicleGood', light: 'vehicleFair' },
+    light: { light: 'vehicleBest', medium: 'vehicleGood' }
+};
+
+/**
+ * Snapshot of the driver fields explainDriverScore reads, kept on a bid
+ * Scoring profiles are replayed on it later, before the order's own outcome changed the driver's stats
+ */
+const getScoreInputs = (driver, order) => {
+    const driverInfo = driver.driverInfo || {};
+    const route = findPreferredRoute(driver, order);
+
+    return {
+        driverInfo: {
+            vehicleCategory: driverInfo.vehicleCategory,
+            currentLocation: driverInfo.currentLocation,
+            currentPlaceId: driverInfo.currentPlaceId,
+            currentCoordinates: driverInfo.currentCoordinates?.coordinates?.length ? driverInfo.currentCoordinates : undefined,
+            preferredRoutes: route ? [route] : []
+        },
+        reputation: {
+            rating: driver.reputation?.rating || 0,
+            completedDeals: driver.reputation?.completedDeals || 0
+        },
+        activeOrders: driver.activeOrders,
+        maxOrders: driver.maxOrders,
+        lastActivity: driver.lastActivity
+    };
+};
+
+/**
+ * Explain driver match score for an order factor by factor
+ * @param {number} now - moment the score is computed for, activity is counted up to it
+ * @returns {Object} - { score, factors: [{ factor, points }] }
+ */
+const explainDriverScore = (driver, order, weights = DEFAULT_WEIGHTS, orderLocation = getOrderLocation(order), now = Date.now()) => {
+    const factors = [];
+
+    addFactor(factors, 'base', weights.base);
 
     // Location matching (most important factor)
-    const driverLocation = (driver.driverInfo?.currentLocation || '').toLowerCase().trim();
-    if (driverLocation) {
-        if (driverLocation === orderLocation) {
-            score += 50; // Exact location match
-        } else if (driverLocation.includes(orderLocation) || orderLocation.includes(driverLocation)) {
-            score += 30; // Partial location match
-        } else {
-            // Calculate distance penalty
-            const distance = calculateDistance(orderLocation, driverLocation);
-            if (distance <= 50) {
-                score += 20; // Very close
-            } else if (distance <= 150) {
-                score += 10; // Reasonably close
-            } else if (distance <= 300) {
-                score += 5; // Somewhat far
-            }
-            // No points for very far locations
-        }
-    }
+    addFactor(factors, 'location', calculateLocationScore(orderLocation, getDriverLocation(driver), weights));
 
-    // Reputation score
+    // Reputation
     const rating = driver.reputation?.rating || 0;
     const completedDeals = driver.reputation?.completedDeals || 0;
 
-    score += rating * 5; // Rating contributes up to 25 points
-    score += Math.min(completedDeals * 2, 20); // Experience contributes up to 20 points
+    addFactor(factors, 'rating', rating * weights.ratingPerStar);
+    addFactor(factors, 'experience', Math.min(completedDeals * weights.experiencePerDeal, weights.experienceMax));
 
-    // Availability bonus
+    // Availability
     const activeOrders = driver.activeOrders || 0;
     const maxOrders = driver.maxOrders || 1;
-    const availabilityRatio = (maxOrders - activeOrders) / maxOrders;
-    score += availabilityRatio * 10;
-
-    // Vehicle category matching (basic implementation)
-    if (order.cargo.weight) {
-        const weight = order.cargo.weight.toLowerCase();
-        const vehicleCategory = driver.driverInfo?.vehicleCategory || '';
-
-        if (weight.includes('тяжел') || weight.includes('тонн')) {
-            if (vehicleCategory === 'heavy') score += 15;
-            else if (vehicleCategory === 'medium') score += 10;
-            else if (vehicleCategory === 'light') score -= 10;
-        } else if (weight.includes('средн')) {
-            if (vehicleCategory === 'medium') score += 15;
-            else if (vehicleCategory === 'heavy') score += 10;
-            else if (vehicleCategory === 'light') score += 5;
-        } else {
-            if (vehicleCategory === 'light') score += 15;
-            else if (vehicleCategory === 'medium') score += 10;
-        }
+    addFactor(factors, 'availability', (maxOrders - activeOrders) / maxOrders * weights.availability);
+
+    // Order on one of the driver's preferred routes
+    addFactor(factors, 'route', findPreferredRoute(driver, order) ? weights.routeMatch : 0);
+
+    // Vehicle category against cargo weight
+    const weightClass = getCargoWeightClass(order);
+    if (weightClass) {
+        const fit = VEHICLE_FIT[weightClass][driver.driverInfo?.vehicleCategory];
+        addFactor(factors, 'vehicle', fit ? weights[fit] : 0);
     }
 
-    // Recent activity bonus
-    const lastActivity = new Date(driver.lastActivity);
-    const daysSinceActivity = (Date.now() - lastActivity.getTime()) / (1000 * 60 * 60 * 24);
+    // Recent activity, no points for inactive users
+    const daysSinceActivity = (now - new Date(driver.lastActivity).getTime()) / (1000 * 60 * 60 * 24);
 
     if (daysSinceActivity <= 1) {
-        score += 15; // Very recent activity
+        addFactor(factors, 'activity', weights.activityDay);
     } else if (daysSinceActivity <= 7) {
-        score += 10; // Recent activity
+        addFactor(factors, 'activity', weights.activityWeek);
     } else if (daysSinceActivity <= 30) {
-        score += 5; // Somewhat recent
+        addFactor(factors, 'activity', weights.activityMonth);
     }
-    // No bonus for inactive users
 
-    return Math.max(0, score);
+    return toScore(factors);
+};
+
+/**
+ * Calculate driver match score for an order
+ */
+const calculateDriverScore = (driver, order, orderLocation = getOrderLocation(order), weights = DEFAULT_WEIGHTS) => {
+    return explainDriverScore(driver, order, weights, orderLocation).score;
 };
 
 /**
@@ -137,6 +371,8 @@ const getMatchingDriversForOrder = async (order, ctx) => {
 
         let driversText = '';
         const drivers = [];
+        const keyboard = [];
+        const { getReportButton } = require('./reports');
 
         matches.forEach((match, index) => {
             const driver = match.driver;
@@ -155,6 +391,11 @@ const getMatchingDriversForOrder = async (order, ctx) => {
 
             drivers.push(driverInfo);
 
+            keyboard.push([
+                getWhyDriverButton(ctx, order._id, driver._id),
+                getReportButton(ctx, `report:user:${driver._id}:${order._id}`)
+            ]);
+
             driversText += global.i18n.t(ctx, 'matching.driver_info', {
                 name: driverInfo.name,
                 rating: driverInfo.rating.toFixed(1),
@@ -166,7 +407,8 @@ const getMatchingDriversForOrder = async (order, ctx) => {
         return {
             found: true,
             message: global.i18n.t(ctx, 'matching.found_drivers', { drivers: driversText }),
-            drivers: drivers
+            drivers: drivers,
+            keyboard: keyboard
         };
 
     } catch (error) {
@@ -180,13 +422,15 @@ const getMatchingDriversForOrder = async (order, ctx) => {
 };
 
 /**
- * Notify drivers about new orders in their area
+ * Notify drivers about new orders in their area and on their preferred routes
+ * @param {Set<string>} alreadyNotified - driver IDs that already got a message about this order
  */
-const notifyRelevantDrivers = async (order, ctx) => {
+const notifyRelevantDrivers = async (order, ctx, alreadyNotified = new Set()) => {
     try {
         const matches = await findSuitableDrivers(order, 10);
+        const routeDrivers = await findRouteDrivers(order);
 
-        if (matches.length === 0) {
+        if (matches.length === 0 && routeDrivers.length === 0) {
             global.logger.logAction('no_drivers_to_notify', {
                 orderId: order._id,
                 orderLocation: order.cargo.from
@@ -194,6 +438,12 @@ const notifyRelevantDrivers = async (order, ctx) => {
             return;
         }
 
+        // Top 5 matching drivers, then everyone with the order on a preferred route
+        const recipients = [
+            ...matches.slice(0, 5).map(match => ({ driver: match.driver, score: match.score, distance: match.distance })),
+            ...routeDrivers.map(driver => ({ driver, score: null, distance: null }))
+        ];
+
         const notificationText = global.i18n.t(ctx, 'notifications.new_order_available', {
             orderSummary: order.summary
         });
@@ -213,36 +463,51 @@ const notifyRelevantDrivers = async (order, ctx) => {
             ]
         };
 
+        const notifiedDrivers = new Set(alreadyNotified);
         let notifiedCount = 0;
 
-        // Notify top matching drivers
-        for (const match of matches.slice(0, 5)) { // Top 5 drivers
+        for (const recipient of recipients) {
+            const driver = recipient.driver;
+            const driverKey = driver._id.toString();
+
+            if (notifiedDrivers.has(driverKey)) {
+                continue;
+            }
+            notifiedDrivers.add(driverKey);
+
+            // Drivers on a preferred route see which of their routes it is
+            const route = findPreferredRoute(driver, order);
+            const text = route
+                ? global.i18n.t({ locale: driver.language }, 'routes.order_on_route', {
+                    route: `${route.from} → ${route.to}`,
+                    orderSummary: order.summary
+                })
+                : notificationText;
+
             try {
-                await ctx.telegram.sendMessage(
-                    match.driver.telegramId,
-                    notificationText,
-                    { reply_markup: keyboard }
-                );
+                await ctx.telegram.sendMessage(driver.telegramId, text, { reply_markup: keyboard });
                 notifiedCount++;
 
                 global.logger.logAction('driver_notified', {
                     orderId: order._id,
-                    driverId: match.driver._id,
-                    matchScore: match.score,
-                    distance: match.distance
+                    driverId: driver._id,
+                    matchScore: recipient.score,
+                    distance: recipient.distance,
+                    onRoute: Boolean(route)
                 });
 
                 // Small delay to avoid hitting rate limits
                 await new Promise(resolve => setTimeout(resolve, 100));
 
             } catch (error) {
-                global.logger.global.logger.logWarn(`Failed to notify driver ${match.driver._id}:`, ctx, error.message);
+                global.logger.logWarn(`Failed to notify driver ${driver._id}:`, ctx, error.message);
             }
         }
 
         global.logger.logAction('drivers_notification_completed', {
             orderId: order._id,
             totalMatches: matches.length,
+            routeDrivers: routeDrivers.length,
             notifiedCount: notifiedCount
         });
 
@@ -251,7 +516,7 @@ const notifyRelevantDrivers = async (order, ctx) => {
             orderId: order._id,
             error: error.message
         });
-        global.logger.global.logger.logError('Error notifying drivers:', ctx, error);
+        global.logger.logError('Error notifying drivers:', ctx, error);
     }
 };
 
@@ -260,13 +525,21 @@ const notifyRelevantDrivers = async (order, ctx) => {
  */
 const findOrdersForDriver = async (driver, limit = 10) => {
     try {
-        const driverLocation = driver.driverInfo?.currentLocation?.toLowerCase().trim() || '';
+        const driverLocation = getDriverLocation(driver);
+        const weights = (await ScoringProfile.getActive()).getWeights();
 
-        // Get active orders
-        const orders = await Order.find({
+        // Get active orders the driver's vehicle can carry
+        const query = {
             status: 'active',
             driverId: null // Not yet assigned
-        })
+        };
+
+        const vehicleConditions = getOrderVehicleConditions(driver.driverInfo);
+        if (vehicleConditions.length > 0) {
+            query.$and = vehicleConditions;
+        }
+
+        const orders = await Order.find(query)
             .populate('clientId', 'profile')
             .lean();
 
@@ -275,14 +548,11 @@ const findOrdersForDriver = async (driver, limit = 10) => {
         }
 
         // Calculate match scores for each order
-        const orderScores = orders.map(order => {
-            const score = calculateOrderScore(order, driver, driverLocation);
-            return {
-                order,
-                score,
-                distance: calculateDistance(driverLocation, order.cargo.from.toLowerCase().trim())
-            };
-        });
+        const orderScores = orders.map(order => ({
+            order,
+            ...explainOrderScore(order, driver, weights, driverLocation),
+            distance: getLocationDistance(driverLocation, getOrderLocation(order))
+        }));
 
         // Sort by score (higher is better)
         orderScores.sort((a, b) => b.score - a.score);
@@ -296,73 +566,302 @@ const findOrdersForDriver = async (driver, limit = 10) => {
 };
 
 /**
- * Calculate order match score for a driver
+ * Explain order match score for a driver factor by factor
+ * @returns {Object} - { score, factors: [{ factor, points }] }
  */
-const calculateOrderScore = (order, driver, driverLocation) => {
-    let score = 0;
+const explainOrderScore = (order, driver, weights = DEFAULT_WEIGHTS, driverLocation = getDriverLocation(driver)) => {
+    const factors = [];
 
-    // Base score
-    score += 10;
+    addFactor(factors, 'base', weights.base);
 
     // Location matching
-    const orderLocation = order.cargo.from.toLowerCase().trim();
-    if (driverLocation) {
-        if (driverLocation === orderLocation) {
-            score += 50; // Exact location match
-        } else if (driverLocation.includes(orderLocation) || orderLocation.includes(driverLocation)) {
-            score += 30; // Partial location match
-        } else {
-            const distance = calculateDistance(driverLocation, orderLocation);
-            if (distance <= 50) {
-                score += 20;
-            } else if (distance <= 150) {
-                score += 10;
-            } else if (distance <= 300) {
-                score += 5;
-            }
-        }
-    }
+    addFactor(factors, 'location', calculateLocationScore(driverLocation, getOrderLocation(order), weights));
+
+    // Order on one of the driver's preferred routes
+    addFactor(factors, 'route', findPreferredRoute(driver, order) ? weights.routeMatch : 0);
 
     // Price attractiveness
-    if (order.cargo.price) {
-        if (order.cargo.price >= 500000) { // 500k+ sum
-            score += 20;
-        } else if (order.cargo.price >= 200000) { // 200k+ sum
-            score += 15;
-        } else if (order.cargo.price >= 100000) { // 100k+ sum
-            score += 10;
-        } else if (order.cargo.price >= 50000) { // 50k+ sum
-            score += 5;
-        }
+    const price = order.cargo.price;
+    if (price >= 500000) { // 500k+ sum
+        addFactor(factors, 'price', weights.priceTop);
+    } else if (price >= 200000) {
+        addFactor(factors, 'price', weights.priceHigh);
+    } else if (price >= 100000) {
+        addFactor(factors, 'price', weights.priceMedium);
+    } else if (price >= 50000) {
+        addFactor(factors, 'price', weights.priceLow);
     }
 
     // Urgency bonus for scheduled orders
     if (order.cargo.scheduledDate) {
         const daysUntil = (new Date(order.cargo.scheduledDate) - new Date()) / (1000 * 60 * 60 * 24);
         if (daysUntil <= 1) {
-            score += 15; // Very urgent
+            addFactor(factors, 'urgency', weights.urgencyDay);
         } else if (daysUntil <= 3) {
-            score += 10; // Somewhat urgent
+            addFactor(factors, 'urgency', weights.urgencyThreeDays);
         } else if (daysUntil <= 7) {
-            score += 5; // Planning ahead
+            addFactor(factors, 'urgency', weights.urgencyWeek);
         }
     }
 
-    // Order age penalty (older orders are less attractive)
+    // Order age (older orders are less attractive)
     const orderAge = (Date.now() - new Date(order.createdAt).getTime()) / (1000 * 60 * 60);
     if (orderAge <= 2) {
-        score += 10; // Very fresh
+        addFactor(factors, 'freshness', weights.orderFresh);
     } else if (orderAge <= 24) {
-        score += 5; // Fresh
-    } else if (orderAge <= 72) {
-        score += 0; // Neutral
-    } else {
-        score -= 5; // Getting stale
+        addFactor(factors, 'freshness', weights.orderRecent);
+    } else if (orderAge > 72) {
+        addFactor(factors, 'freshness', weights.orderStale);
+    }
+
+    return toScore(factors);
+};
+
+/**
+ * Calculate order match score for a driver
+ */
+const calculateOrderScore = (order, driver, driverLocation = getDriverLocation(driver), weights = DEFAULT_WEIGHTS) => {
+    return explainOrderScore(order, driver, weights, driverLocation).score;
+};
+
+/**
+ * Comparable location: lowercase text, gazetteer place ID and GeoJSON point
+ */
+const toLocation = (text, placeId = null, coordinates = null) => ({
+    text: (text || '').toLowerCase().trim(),
+    placeId: placeId || null,
+    coordinates: coordinates?.coordinates?.length ? coordinates : null
+});
+
+const getOrderLocation = (order, field = 'from') => toLocation(
+    order.cargo[field],
+    order.cargo[`${field}PlaceId`],
+    order.cargo[`${field}Coordinates`]
+);
+
+const getDriverLocation = (driver) => toLocation(
+    driver.driverInfo?.currentLocation,
+    driver.driverInfo?.currentPlaceId,
+    driver.driverInfo?.currentCoordinates
+);
+
+const getOfferLocation = (offer, field = 'from') => toLocation(offer.route[field], offer.route[`${field}PlaceId`]);
+
+/**
+ * Distance between two locations
+ * Exact coordinates first, then gazetteer places, then free-text lookup
+ * @returns {number|null} - kilometers, null when unknown
+ */
+const getLocationDistance = (locationA, locationB) => {
+    if (locationA.coordinates && locationB.coordinates) {
+        return gazetteer.getPointDistance(locationA.coordinates, locationB.coordinates);
+    }
+
+    if (locationA.placeId && locationB.placeId) {
+        return gazetteer.getPlaceDistance(locationA.placeId, locationB.placeId);
+    }
+
+    return calculateDistance(locationA.text, locationB.text);
+};
+
+/**
+ * Score how well two locations match
+ * Resolved place IDs win over text comparison, so "Тошкент" and "Tashkent" are the same place
+ */
+const calculateLocationScore = (locationA, locationB, weights = DEFAULT_WEIGHTS) => {
+    const { placeId: placeIdA, text: textA } = locationA;
+    const { placeId: placeIdB, text: textB } = locationB;
+
+    if (placeIdA && placeIdB) {
+        if (placeIdA === placeIdB) return weights.locationSamePlace;
+        if (gazetteer.isSameArea(placeIdA, placeIdB)) return weights.locationSameArea; // Same city, different district
     }
 
+    if (textA && textB) {
+        if (textA === textB) {
+            return weights.locationSamePlace; // Exact location match
+        } else if (textA.includes(textB) || textB.includes(textA)) {
+            return weights.locationSameArea; // Partial location match
+        }
+    }
+
+    // Places missing from the gazetteer get no distance points
+    const distance = getLocationDistance(locationA, locationB);
+    if (distance === null) return 0;
+    if (distance <= 50) return weights.locationWithin50;
+    if (distance <= 150) return weights.locationWithin150;
+    if (distance <= 300) return weights.locationWithin300;
+    return 0;
+};
+
+/**
+ * Check whether an offer's availability window covers an order's date
+ */
+const isOfferAvailableForOrder = (offer, order) => {
+    if (!order.cargo.scheduledDate) return true;
+
+    const date = new Date(order.cargo.scheduledDate);
+    if (offer.availableFrom && date < new Date(offer.availableFrom)) return false;
+    if (offer.availableTo && date > new Date(offer.availableTo)) return false;
+    return true;
+};
+
+/**
+ * Calculate match score between a driver offer and an order
+ */
+const calculateOfferScore = (offer, order) => {
+    let score = 0;
+
+    // Base score
+    score += 10;
+
+    // Pickup location against offer start (most important factor)
+    score += calculateLocationScore(getOrderLocation(order), getOfferLocation(offer));
+
+    // Destination against offer direction
+    if (order.cargo.to && offer.route.to) {
+        score += Math.round(calculateLocationScore(getOrderLocation(order, 'to'), getOfferLocation(offer, 'to')) / 2);
+    }
+
+    // Date inside the availability window
+    if (order.cargo.scheduledDate && (offer.availableFrom || offer.availableTo)) {
+        score += 15;
+    }
+
+    // Price compatibility
+    if (order.cargo.price && offer.price) {
+        if (offer.price <= order.cargo.price) {
+            score += 15; // Driver asks no more than the client offers
+        } else if (offer.price <= order.cargo.price * 1.2) {
+            score += 5; // Close enough to negotiate
+        }
+    }
+
+    // Driver reputation
+    const rating = offer.driverId?.reputation?.rating || 0;
+    score += rating * 5;
+
     return Math.max(0, score);
 };
 
+/**
+ * Find active orders matching a driver offer
+ */
+const findOrdersForOffer = async (offer, limit = 10) => {
+    try {
+        const orders = await Order.find({
+            status: 'active',
+            driverId: null
+        })
+            .populate('clientId', 'profile')
+            .lean();
+
+        const orderScores = orders
+            .filter(order => isOfferAvailableForOrder(offer, order))
+            .map(order => ({
+                order,
+                score: calculateOfferScore(offer, order)
+            }))
+            .filter(match => match.score >= OFFER_MIN_SCORE);
+
+        // Sort by score (higher is better)
+        orderScores.sort((a, b) => b.score - a.score);
+
+        return orderScores.slice(0, limit);
+
+    } catch (error) {
+        global.logger.logError('Error finding orders for offer:', {}, error);
+        return [];
+    }
+};
+
+/**
+ * Find open driver offers matching an order
+ */
+const findOffersForOrder = async (order, limit = 10) => {
+    try {
+        const offers = await Offer.findOpenOffers().lean();
+
+        const offerScores = offers
+            .filter(offer => offer.driverId && isOfferAvailableForOrder(offer, order))
+            .map(offer => ({
+                offer,
+                score: calculateOfferScore(offer, order)
+            }))
+            .filter(match => match.score >= OFFER_MIN_SCORE);
+
+        // Sort by score (higher is better)
+        offerScores.sort((a, b) => b.score - a.score);
+
+        return offerScores.slice(0, limit);
+
+    } catch (error) {
+        global.logger.logError('Error finding offers for order:', {}, error);
+        return [];
+    }
+};
+
+/**
+ * Notify drivers whose open offers match a new order
+ * @returns {Set<string>} - IDs of the notified drivers
+ */
+const notifyMatchingOffers = async (order, ctx) => {
+    try {
+        const matches = await findOffersForOrder(order, 10);
+
+        // One notification per driver, for their best matching offer
+        const notifiedDrivers = new Set();
+        let notifiedCount = 0;
+
+        for (const match of matches) {
+            const driver = match.offer.driverId;
+            const driverKey = driver._id.toString();
+
+            if (notifiedDrivers.has(driverKey) || driverKey === order.clientId.toString()) {
+                continue;
+            }
+            notifiedDrivers.add(driverKey);
+
+            try {
+                await ctx.telegram.sendMessage(
+                    driver.telegramId,
+                    global.i18n.t(ctx, 'notifications.order_matches_offer', {
+                        orderSummary: order.summary,
+                        offerSummary: `${match.offer.route.from}${match.offer.route.to ? ` → ${match.offer.route.to}` : ''}`
+                    }),
+                    {
+                        reply_markup: {
+                            inline_keyboard: [[
+                                { text: '👀 Посмотреть заказ', callback_data: `order:view:${order._id}` },
+                                { text: '✋ Откликнуться', callback_data: `order:interest:${order._id}` }
+                            ]]
+                        }
+                    }
+                );
+                notifiedCount++;
+
+                // Small delay to avoid hitting rate limits
+                await new Promise(resolve => setTimeout(resolve, 100));
+
+            } catch (error) {
+                global.logger.logWarn(`Failed to notify offer owner ${driverKey}:`, ctx, { error: error.message });
+            }
+        }
+
+        global.logger.logAction('offer_owners_notified', {
+            orderId: order._id,
+            totalMatches: matches.length,
+            notifiedCount
+        });
+
+        return notifiedDrivers;
+
+    } catch (error) {
+        global.logger.logError('Error notifying offer owners:', ctx, error);
+        return new Set();
+    }
+};
+
 /**
  * Update driver experience level and max orders
  */
@@ -373,12 +872,8 @@ const updateDriverExperience = async (driverId) => {
 
         const completedDeals = driver.reputation.completedDeals;
 
-        // Increase max orders based on experience
-        if (completedDeals >= 10 && driver.maxOrders < 3) {
-            driver.maxOrders = 3;
-        } else if (completedDeals >= 25 && driver.maxOrders < 5) {
-            driver.maxOrders = 5;
-        }
+        // Experience and fleet size set max orders
+        driver.maxOrders = driver.calculateMaxOrders(await Vehicle.countActive(driver._id));
 
         await driver.save();
 
@@ -393,6 +888,430 @@ const updateDriverExperience = async (driverId) => {
     }
 };
 
+// ==================== Score explanation ====================
+
+/**
+ * Format a score breakdown, one factor per line
+ */
+const formatScoreBreakdown = (ctx, factors) => {
+    return factors
+        .map(({ factor, points }) => `${global.i18n.t(ctx, `scoring.factors.${factor}`)}: ${points > 0 ? '+' : ''}${points}`)
+        .join('\n');
+};
+
+/**
+ * Show a client why a driver matches their order
+ */
+const explainDriverMatch = async (ctx, orderId, driverId) => {
+    try {
+        const order = await Order.findById(orderId);
+
+        if (!order) {
+            await ctx.answerCbQuery(global.i18n.t(ctx, 'errors.order_not_found'));
+            return;
+        }
+
+        if (order.clientId.toString() !== ctx.user._id.toString()) {
+            await ctx.answerCbQuery(global.i18n.t(ctx, 'errors.access_denied'));
+            return;
+        }
+
+        const driver = await User.findById(driverId).lean();
+
+        if (!driver) {
+            await ctx.answerCbQuery(global.i18n.t(ctx, 'moderation.user_not_found'));
+            return;
+        }
+
+        const profile = await ScoringProfile.getActive();
+        const { score, factors } = explainDriverScore(driver, order, profile.getWeights());
+
+        const message = global.i18n.t(ctx, 'scoring.why_title', {
+            name: `${driver.profile.firstName} ${driver.profile.lastName || ''}`.trim(),
+            score: Math.round(score)
+        }) + '\n\n' + formatScoreBreakdown(ctx, factors);
+
+        await ctx.answerCbQuery();
+        await ctx.editMessageText(message, {
+            reply_markup: {
+                inline_keyboard: [[{ text: global.i18n.t(ctx, 'buttons.back'), callback_data: `myorder:drivers:${order._id}` }]]
+            }
+        });
+
+    } catch (error) {
+        await ctx.answerCbQuery(global.i18n.t(ctx, 'errors.general'));
+        throw error;
+    }
+};
+
+/**
+ * Button that explains a driver's match score to the client
+ */
+const getWhyDriverButton = (ctx, orderId, driverId) => ({
+    text: global.i18n.t(ctx, 'scoring.why_button'),
+    callback_data: `myorder:why:${orderId}:${driverId}`
+});
+
+// ==================== Deals ====================
+
+// Statuses shown on the deals dashboard
+const DEAL_STATUSES = ['matched', 'in_progress', 'completed'];
+
+/**
+ * Check whether the user is the client of an order
+ */
+const isOrderClient = (order, user) => {
+    const clientId = order.clientId._id || order.clientId;
+    return clientId.toString() === user._id.toString();
+};
+
+/**
+ * Check whether the user is the assigned driver of an order
+ */
+const isOrderDriver = (order, user) => {
+    const driverId = order.driverId?._id || order.driverId;
+    return !!driverId && driverId.toString() === user._id.toString();
+};
+
+/**
+ * Show user's deals grouped by status
+ */
+const showMyDeals = async (ctx) => {
+    try {
+        const user = ctx.user;
+
+        const orders = await Order.findUserOrders(user._id)
+            .where('status').in(DEAL_STATUSES)
+            .limit(50);
+
+        // Group deals; completed ones are limited to the most recent
+        const groups = {
+            awaiting_confirmation: orders.filter(order => order.isAwaitingConfirmation()),
+            matched: orders.filter(order => order.status === 'matched' && !order.isAwaitingConfirmation()),
+            in_progress: orders.filter(order => order.status === 'in_progress' && !order.isAwaitingConfirmation()),
+            completed: orders.filter(order => order.status === 'completed').slice(0, 5)
+        };
+
+        let messageText = global.i18n.t(ctx, 'deals.title') + '\n\n';
+        const keyboard = [];
+        let dealNum = 0;
+
+        Object.entries(groups).forEach(([group, groupOrders]) => {
+            if (groupOrders.length === 0) return;
+
+            messageText += global.i18n.t(ctx, `deals.groups.${group}`) + '\n';
+
+            groupOrders.forEach(order => {
+                dealNum++;
+                const role = isOrderClient(order, user) ? '📦' : '🚛';
+                messageText += `${dealNum}. ${role} ${order.summary}\n`;
+
+                keyboard.push([{
+                    text: global.i18n.t(ctx, 'deals.deal_button', { number: dealNum, orderId: order._id.toString().slice(-6) }),
+                    callback_data: `deal:view:${order._id}`
+                }]);
+            });
+
+            messageText += '\n';
+        });
+
+        if (dealNum === 0) {
+            messageText = global.i18n.t(ctx, 'deals.no_deals') + '\n\n';
+        }
+
+        // Pending orders and offers that are not deals yet
+        if (user.isDriver()) {
+            const openOffers = await Offer.countDocuments({ driverId: user._id, status: 'open' });
+            messageText += global.i18n.t(ctx, 'deals.open_offers', { count: openOffers });
+            keyboard.push([{ text: global.i18n.t(ctx, 'menu.my_offers'), callback_data: 'myoffers:1' }]);
+        } else {
+            const activeOrders = await Order.countDocuments({ clientId: user._id, status: 'active' });
+            messageText += global.i18n.t(ctx, 'deals.active_orders', { count: activeOrders });
+            keyboard.push([{ text: global.i18n.t(ctx, 'menu.my_orders'), callback_data: 'myorders:1' }]);
+        }
+
+        const markup = { reply_markup: { inline_keyboard: keyboard } };
+
+        if (ctx.callbackQuery) {
+            await ctx.answerCbQuery();
+            await ctx.editMessageText(messageText, markup);
+        } else {
+            await ctx.reply(messageText, markup);
+        }
+
+        global.logger.logAction('deals_viewed', {
+            userId: user._id,
+            dealsCount: dealNum
+        });
+
+    } catch (error) {
+        await ctx.reply(global.i18n.t(ctx, 'errors.general'));
+        throw error;
+    }
+};
+
+/**
+ * Load a deal the current user takes part in
+ */
+const findUserDeal = async (ctx, orderId) => {
+    const order = await Order.findById(orderId)
+        .populate('clientId', 'profile telegramId')
+        .populate('driverId', 'profile telegramId');
+
+    if (!order) {
+        await ctx.answerCbQuery(global.i18n.t(ctx, 'errors.order_not_found'));
+        return null;
+    }
+
+    if (!isOrderClient(order, ctx.user) && !isOrderDriver(order, ctx.user)) {
+        await ctx.answerCbQuery(global.i18n.t(ctx, 'errors.access_denied'));
+        return null;
+    }
+
+    return order;
+};
+
+/**
+ * View a single deal with available actions
+ */
+const viewDeal = async (ctx, orderId) => {
+    try {
+        const user = ctx.user;
+        const order = await findUserDeal(ctx, orderId);
+        if (!order) return;
+
+        const isClient = isOrderClient(order, user);
+        const { formatOrderSummary } = require('./common');
+        let dealDetails = formatOrderSummary(order, ctx);
+
+        // Counterpart information
+        const counterpart = isClient ? order.driverId : order.clientId;
+        if (counterpart) {
+            dealDetails += '\n\n' + global.i18n.t(ctx, isClient ? 'deals.driver' : 'deals.client', {
+                name: counterpart.profile.fullName,
+                phone: counterpart.profile.phoneNumber || '—'
+            });
+        }
+
+        // Completion confirmations
+        if (order.isDealInProgress()) {
+            const confirmed = (flag) => global.i18n.t(ctx, flag ? 'deals.confirmed' : 'deals.not_confirmed');
+            dealDetails += '\n\n' + global.i18n.t(ctx, 'deals.confirmations', {
+                client: confirmed(order.dealCompletedBy.client),
+                driver: confirmed(order.dealCompletedBy.driver)
+            });
+        }
+
+        const keyboard = [];
+        const confirmedByMe = isClient ? order.dealCompletedBy.client : order.dealCompletedBy.driver;
+
+        if (order.status === 'matched' && !isClient) {
+            keyboard.push([{ text: global.i18n.t(ctx, 'deals.start_button'), callback_data: `deal:start:${orderId}` }]);
+        }
+
+        // Live location while the cargo is on the way
+        if (order.status === 'in_progress') {
+            keyboard.push([isClient
+                ? { text: global.i18n.t(ctx, 'tracking.where_button'), callback_data: `track:where:${orderId}` }
+                : { text: global.i18n.t(ctx, 'tracking.share_button'), callback_data: `track:share:${orderId}` }
+            ]);
+        }
+
+        if (order.isDealInProgress()) {
+            if (!confirmedByMe) {
+                keyboard.push([{ text: global.i18n.t(ctx, 'deals.complete_button'), callback_data: `deal:complete:${orderId}` }]);
+            }
+            keyboard.push([{ text: global.i18n.t(ctx, 'deals.cancel_button'), callback_data: `deal:cancel:${orderId}` }]);
+        }
+
+        // Review left by this user, or a button to leave one
+        if (order.isCompleted()) {
+            const myReview = order.reviews[isClient ? 'clientReview' : 'driverReview'];
+
+            if (myReview?.rating) {
+                const { formatStars } = require('./reviews');
+                dealDetails += '\n\n' + global.i18n.t(ctx, 'reviews.your_review', { stars: formatStars(myReview.rating) });
+            } else {
+                keyboard.push([{ text: global.i18n.t(ctx, 'reviews.leave_button'), callback_data: `review:start:${orderId}` }]);
+            }
+        }
+
+        keyboard.push([{ text: global.i18n.t(ctx, 'buttons.back'), callback_data: 'deals:list' }]);
+
+        await ctx.answerCbQuery();
+        await ctx.editMessageText(dealDetails, { reply_markup: { inline_keyboard: keyboard } });
+
+    } catch (error) {
+        await ctx.answerCbQuery(global.i18n.t(ctx, 'errors.general'));
+        throw error;
+    }
+};
+
+/**
+ * Driver starts executing a matched deal
+ */
+const startDeal = async (ctx, orderId) => {
+    try {
+        const user = ctx.user;
+        const order = await findUserDeal(ctx, orderId);
+        if (!order) return;
+
+        if (!isOrderDriver(order, user)) {
+            await ctx.answerCbQuery(global.i18n.t(ctx, 'errors.access_denied'));
+            return;
+        }
+
+        if (order.status !== 'matched') {
+            await ctx.answerCbQuery(global.i18n.t(ctx, 'deals.cannot_start'));
+            return;
+        }
+
+        await order.startProgress();
+
+        // Notify client
+        try {
+            await ctx.telegram.sendMessage(
+                order.clientId.telegramId,
+                global.i18n.t(ctx, 'deals.started_notification', { orderId: order._id.toString().slice(-6) }),
+                { reply_markup: { inline_keyboard: [[{ text: global.i18n.t(ctx, 'deals.open_deal'), callback_data: `deal:view:${orderId}` }]] } }
+            );
+        } catch (error) {
+            global.logger.logWarn('Failed to notify client about deal start:', ctx, { error: error.message });
+        }
+
+        const { updateOrderInGroups } = require('./groups');
+        await updateOrderInGroups(order, 'in_progress', ctx);
+
+        await viewDeal(ctx, orderId);
+
+        global.logger.logAction('deal_started', {
+            orderId: order._id,
+            driverId: user._id
+        });
+
+    } catch (error) {
+        await ctx.answerCbQuery(global.i18n.t(ctx, 'errors.general'));
+        throw error;
+    }
+};
+
+/**
+ * Confirm deal completion from the deals dashboard
+ */
+const completeDeal = async (ctx, orderId) => {
+    try {
+        const order = await Order.findById(orderId);
+
+        if (!order) {
+            await ctx.answerCbQuery(global.i18n.t(ctx, 'errors.order_not_found'));
+            return;
+        }
+
+        if (!order.isDealInProgress()) {
+            await ctx.answerCbQuery(global.i18n.t(ctx, 'deals.not_in_progress'));
+            return;
+        }
+
+        const { confirmDealCompletion } = require('./profile');
+        const result = await confirmDealCompletion(ctx, order, ctx.user);
+
+        if (!result) {
+            await ctx.answerCbQuery(global.i18n.t(ctx, 'errors.access_denied'));
+            return;
+        }
+
+        await viewDeal(ctx, orderId);
+
+    } catch (error) {
+        await ctx.answerCbQuery(global.i18n.t(ctx, 'errors.general'));
+        throw error;
+    }
+};
+
+/**
+ * Ask for confirmation before cancelling a deal
+ */
+const cancelDeal = async (ctx, orderId) => {
+    try {
+        const order = await findUserDeal(ctx, orderId);
+        if (!order) return;
+
+        if (!order.isDealInProgress()) {
+            await ctx.answerCbQuery(global.i18n.t(ctx, 'deals.not_in_progress'));
+            return;
+        }
+
+        await ctx.answerCbQuery();
+        await ctx.editMessageText(
+            global.i18n.t(ctx, 'deals.cancel_confirm', { orderId: order._id.toString().slice(-6) }),
+            {
+                reply_markup: {
+                    inline_keyboard: [[
+                        { text: global.i18n.t(ctx, 'buttons.yes'), callback_data: `deal:cancelconfirm:${orderId}` },
+                        { text: global.i18n.t(ctx, 'buttons.no'), callback_data: `deal:view:${orderId}` }
+                    ]]
+                }
+            }
+        );
+
+    } catch (error) {
+        await ctx.answerCbQuery(global.i18n.t(ctx, 'errors.general'));
+        throw error;
+    }
+};
+
+/**
+ * Cancel a matched or in-progress deal
+ */
+const confirmCancelDeal = async (ctx, orderId) => {
+    try {
+        const user = ctx.user;
+        const order = await findUserDeal(ctx, orderId);
+        if (!order) return;
+
+        if (!order.isDealInProgress()) {
+            await ctx.answerCbQuery(global.i18n.t(ctx, 'deals.not_in_progress'));
+            return;
+        }
+
+        const isClient = isOrderClient(order, user);
+        const counterpart = isClient ? order.driverId : order.clientId;
+
+        await order.markCancelled();
+
+        // Release active order slots for both parties
+        await User.updateMany(
+            { _id: { $in: [order.clientId._id, order.driverId._id] }, activeOrders: { $gt: 0 } },
+            { $inc: { activeOrders: -1 } }
+        );
+
+        // Notify the other party
+        try {
+            await ctx.telegram.sendMessage(
+                counterpart.telegramId,
+                global.i18n.t(ctx, 'deals.cancelled_notification', { orderId: order._id.toString().slice(-6) })
+            );
+        } catch (error) {
+            global.logger.logWarn('Failed to notify other party about deal cancellation:', ctx, { error: error.message });
+        }
+
+        const { updateOrderInGroups } = require('./groups');
+        await updateOrderInGroups(order, 'cancelled', ctx);
+
+        await viewDeal(ctx, orderId);
+
+        global.logger.logAction('deal_cancelled', {
+            orderId: order._id,
+            userId: user._id,
+            role: isClient ? 'client' : 'driver'
+        });
+
+    } catch (error) {
+        await ctx.answerCbQuery(global.i18n.t(ctx, 'errors.general'));
+        throw error;
+    }
+};
+
 module.exports = {
     findSuitableDrivers,
     getMatchingDriversForOrder,
@@ -400,5 +1319,21 @@ module.exports = {
     findOrdersForDriver,
     updateDriverExperience,
     calculateDriverScore,
-    calculateOrderScore
+    calculateOrderScore,
+    explainDriverScore,
+    getScoreInputs,
+    explainOrderScore,
+    formatScoreBreakdown,
+    explainDriverMatch,
+    getWhyDriverButton,
+    calculateOfferScore,
+    findOrdersForOffer,
+    findOffersForOrder,
+    notifyMatchingOffers,
+    showMyDeals,
+    viewDeal,
+    startDeal,
+    completeDeal,
+    cancelDeal,
+    confirmCancelDeal
 };
\ No newline at end of file
@@ -0,0 +1,459 @@
+const User = require('../models/user');
+const Order = require('../models/order');
+const Offer = require('../models/offer');
+const Admin = require('../models/admin');
+const Vehicle = require('../models/vehicle');
+
+// Session storage for lookup and reason input
+const moderationSessions = new Map();
+
+const SUSPEND_DAYS_OPTIONS = [1, 3, 7, 30];
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_REASON_LENGTH = 300;
+
+// Staff can only moderate roles below their own
+const ROLE_RANK = { support: 1, moderator: 2, owner: 3 };
+
+/**
+ * Find user by Telegram ID or phone number
+ */
+const findUserByQuery = async (query) => {
+    const digits = query.replace(/\D/g, '');
+
+    if (!digits) {
+        return null;
+    }
+
+    if (/^\d+$/.test(query.trim())) {
+        const user = await User.findByTelegramId(parseInt(digits));
+        if (user) return user;
+    }
+
+    // Compare by the last 9 digits so +998, 998 and local formats all match
+    if (digits.length >= 7) {
+        return User.findOne({ 'profile.phoneNumber': new RegExp(`${digits.slice(-9)}$`) });
+    }
+
+    return null;
+};
+
+/**
+ * Check that the moderator outranks the target's staff role
+ * @returns {string|null} - i18n key of the refusal or null if the action is allowed
+ */
+const getModerationRefusal = async (ctx, user, action) => {
+    const targetAdmin = await Admin.findByTelegramId(user.telegramId);
+
+    if (!targetAdmin) {
+        return null;
+    }
+
+    if (targetAdmin.role === 'owner' && ['ban', 'suspend'].includes(action) && await Admin.countOwners() <= 1) {
+        return 'moderation.last_owner';
+    }
+
+    const actor = await Admin.findByTelegramId(ctx.from.id);
+
+    if (!actor || ROLE_RANK[targetAdmin.role] >= ROLE_RANK[actor.role]) {
+        return 'moderation.target_is_staff';
+    }
+
+    return null;
+};
+
+/**
+ * Format user card for moderators
+ */
+const formatUserCard = (ctx, user) => {
+    const moderation = user.moderation || {};
+    const status = global.i18n.t(ctx, `moderation.status.${moderation.status || 'active'}`);
+
+    let message = global.i18n.t(ctx, 'moderation.user_card', {
+        name: user.profile.fullName,
+        telegramId: user.telegramId,
+        phone: user.profile.phoneNumber || '—',
+        role: user.profile.role || '—',
+        status,
+        activeOrders: user.activeOrders,
+        maxOrders: user.maxOrders,
+        rating: user.reputation.rating
+    });
+
+    if (moderation.status === 'suspended' && moderation.until) {
+        message += '\n' + global.i18n.t(ctx, 'moderation.suspended_until', { until: moderation.until.toLocaleString('ru-RU') });
+    }
+
+    if (hasOrdersLimit(user)) {
+        message += '\n' + global.i18n.t(ctx, 'moderation.orders_limit', { limit: moderation.maxOrdersLimit });
+    }
+
+    if (moderation.reason) {
+        message += '\n' + global.i18n.t(ctx, 'moderation.last_reason', { reason: moderation.reason });
+    }
+
+    return message;
+};
+
+/**
+ * Check if moderators capped the user's order limit
+ */
+const hasOrdersLimit = (user) => {
+    const limit = user.moderation?.maxOrdersLimit;
+    return limit !== undefined && limit !== null;
+};
+
+/**
+ * Get moderation actions keyboard
+ */
+const getUserCardKeyboard = (ctx, user) => {
+    const id = user.telegramId;
+    const keyboard = [];
+
+    if (user.isBlocked()) {
+        keyboard.push([{ text: global.i18n.t(ctx, 'moderation.unban_button'), callback_data: `admin:umod:unban:${id}` }]);
+    } else {
+        keyboard.push([
+            { text: global.i18n.t(ctx, 'moderation.ban_button'), callback_data: `admin:umod:ban:${id}` },
+            { text: global.i18n.t(ctx, 'moderation.suspend_button'), callback_data: `admin:umod:suspend:${id}` }
+        ]);
+    }
+
+    const limitRow = [];
+    if (user.maxOrders > 0) {
+        limitRow.push({ text: global.i18n.t(ctx, 'moderation.limit_button'), callback_data: `admin:umod:limit:${id}` });
+    }
+    if (hasOrdersLimit(user)) {
+        limitRow.push({ text: global.i18n.t(ctx, 'moderation.unlimit_button'), callback_data: `admin:umod:unlimit:${id}` });
+    }
+    if (limitRow.length > 0) {
+        keyboard.push(limitRow);
+    }
+
+    keyboard.push([
+        { text: global.i18n.t(ctx, 'moderation.find_another'), callback_data: 'admin:users:find' },
+        { text: global.i18n.t(ctx, 'buttons.back'), callback_data: 'admin:menu' }
+    ]);
+
+    return { inline_keyboard: keyboard };
+};
+
+/**
+ * Ask moderator for a Telegram ID or phone
+ */
+const startUserLookup = async (ctx) => {
+    try {
+        moderationSessions.set(ctx.from.id, { step: 'lookup' });
+
+        await ctx.answerCbQuery();
+        await ctx.editMessageText(
+            global.i18n.t(ctx, 'moderation.enter_query'),
+            { reply_markup: { inline_keyboard: [[{ text: global.i18n.t(ctx, 'buttons.back'), callback_data: 'admin:menu' }]] } }
+        );
+
+    } catch (error) {
+        await ctx.answerCbQuery(global.i18n.t(ctx, 'errors.general'));
+        throw error;
+    }
+};
+
+/**
+ * Show user card
+ */
+const showUserCard = async (ctx, telegramId) => {
+    try {
+        moderationSessions.delete(ctx.from.id);
+        const user = await User.findByTelegramId(parseInt(telegramId));
+
+        if (!user) {
+            await ctx.answerCbQuery(global.i18n.t(ctx, 'moderation.user_not_found'));
+            return;
+        }
+
+        await ctx.answerCbQuery();
+        await ctx.editMessageText(formatUserCard(ctx, user), { reply_markup: getUserCardKeyboard(ctx, user) });
+
+    } catch (error) {
+        await ctx.answerCbQuery(global.i18n.t(ctx, 'errors.general'));
+        throw error;
+    }
+};
+
+/**
+ * Pick moderation action parameters, then ask for a reason
+ * @param {string} action - ban, unban, suspend, limit or unlimit
+ * @param {string} param - suspension days or new maxOrders
+ */
+const chooseModerationAction = async (ctx, telegramId, action, param = null) => {
+    try {
+        const user = await User.findByTelegramId(parseInt(telegramId));
+
+        if (!user) {
+            await ctx.answerCbQuery(global.i18n.t(ctx, 'moderation.user_not_found'));
+            return;
+        }
+
+        const refusal = await getModerationRefusal(ctx, user, action);
+        if (refusal) {
+            await ctx.answerCbQuery(global.i18n.t(ctx, refusal), { show_alert: true });
+            return;
+        }
+
+        const back = [{ text: global.i18n.t(ctx, 'buttons.back'), callback_data: `admin:umod:view:${user.telegramId}` }];
+
+        if (action === 'suspend' && param === null) {
+            await ctx.answerCbQuery();
+            await ctx.editMessageText(global.i18n.t(ctx, 'moderation.choose_duration'), {
+                reply_markup: {
+                    inline_keyboard: [
+                        SUSPEND_DAYS_OPTIONS.map(days => ({
+                            text: global.i18n.t(ctx, 'moderation.days', { days }),
+                            callback_data: `admin:umod:suspend:${user.telegramId}:${days}`
+                        })),
+                        back
+                    ]
+                }
+            });
+            return;
+        }
+
+        if (action === 'limit' && param === null) {
+            const options = [];
+            for (let limit = 0; limit < user.maxOrders; limit++) {
+                options.push({ text: `${limit}`, callback_data: `admin:umod:limit:${user.telegramId}:${limit}` });
+            }
+
+            await ctx.answerCbQuery();
+            await ctx.editMessageText(global.i18n.t(ctx, 'moderation.choose_limit', { maxOrders: user.maxOrders }), {
+                reply_markup: { inline_keyboard: [options.slice(0, 8), back] }
+            });
+            return;
+        }
+
+        moderationSessions.set(ctx.from.id, {
+            step: 'reason',
+            telegramId: user.telegramId,
+            action,
+            param: param === null ? null : parseInt(param)
+        });
+
+        await ctx.answerCbQuery();
+        await ctx.editMessageText(
+            global.i18n.t(ctx, 'moderation.enter_reason', {
+                action: global.i18n.t(ctx, `moderation.actions.${action}`),
+                name: user.profile.fullName
+            }),
+            { reply_markup: { inline_keyboard: [back] } }
+        );
+
+    } catch (error) {
+        await ctx.answerCbQuery(global.i18n.t(ctx, 'errors.general'));
+        throw error;
+    }
+};
+
+/**
+ * Handle moderator text input
+ * @returns {boolean} - true if the message was handled
+ */
+const handleModerationInputStep = async (ctx) => {
+    try {
+        const session = moderationSessions.get(ctx.from.id);
+
+        if (!session) {
+            return false;
+        }
+
+        const text = ctx.message.text.trim();
+
+        if (session.step === 'lookup') {
+            const user = await findUserByQuery(text);
+
+            if (!user) {
+                await ctx.reply(global.i18n.t(ctx, 'moderation.user_not_found'));
+                return true;
+            }
+
+            moderationSessions.delete(ctx.from.id);
+            await ctx.reply(formatUserCard(ctx, user), { reply_markup: getUserCardKeyboard(ctx, user) });
+            return true;
+        }
+
+        if (session.step === 'reason') {
+            if (text.length < 3 || text.length > MAX_REASON_LENGTH) {
+                await ctx.reply(global.i18n.t(ctx, 'moderation.invalid_reason', { max: MAX_REASON_LENGTH }));
+                return true;
+            }
+
+            moderationSessions.delete(ctx.from.id);
+            await applyModerationAction(ctx, session, text);
+            return true;
+        }
+
+        return false;
+    } catch (error) {
+        await ctx.reply(global.i18n.t(ctx, 'errors.general'));
+        throw error;
+    }
+};
+
+/**
+ * Apply moderation action with a reason
+ */
+const applyModerationAction = async (ctx, session, reason) => {
+    const user = await User.findByTelegramId(session.telegramId);
+
+    if (!user) {
+        await ctx.reply(global.i18n.t(ctx, 'moderation.user_not_found'));
+        return;
+    }
+
+    // Roles may have changed while the reason was typed
+    const refusal = await getModerationRefusal(ctx, user, session.action);
+    if (refusal) {
+        await ctx.reply(global.i18n.t(ctx, refusal));
+        return;
+    }
+
+    const cancelledOrders = await moderateUser(ctx, user, session.action, session.param, reason);
+
+    await ctx.reply(
+        global.i18n.t(ctx, 'moderation.action_applied', {
+            action: global.i18n.t(ctx, `moderation.actions.${session.action}`),
+            cancelledOrders
+        }) + '\n\n' + formatUserCard(ctx, user),
+        { reply_markup: getUserCardKeyboard(ctx, user) }
+    );
+};
+
+/**
+ * Change user's moderation state, record it and notify the user
+ * @param {string} action - ban, unban, suspend, limit, unlimit or warn
+ * @param {number} param - suspension days or new maxOrders
+ * @returns {number} - number of orders cancelled by a ban
+ */
+const moderateUser = async (ctx, user, action, param, reason) => {
+    const entry = { action, reason, adminId: ctx.from.id };
+
+    if (action === 'ban') {
+        user.moderation.status = 'banned';
+        user.moderation.until = null;
+    } else if (action === 'suspend') {
+        user.moderation.status = 'suspended';
+        user.moderation.until = new Date(Date.now() + param * DAY_MS);
+        entry.until = user.moderation.until;
+    } else if (action === 'unban') {
+        user.moderation.status = 'active';
+        user.moderation.until = null;
+    } else if (action === 'limit') {
+        user.maxOrders = param;
+        user.moderation.maxOrdersLimit = param;
+        entry.maxOrders = param;
+    } else if (action === 'unlimit') {
+        user.moderation.maxOrdersLimit = null;
+        user.maxOrders = user.calculateMaxOrders(await Vehicle.countActive(user._id));
+        entry.maxOrders = user.maxOrders;
+    }
+
+    // Warnings only go to the history
+    if (action !== 'warn') {
+        user.moderation.reason = reason;
+        user.moderation.updatedBy = ctx.from.id;
+        user.moderation.updatedAt = new Date();
+    }
+
+    user.moderationHistory.push(entry);
+    await user.save();
+
+    const cancelledOrders = action === 'ban' ? await cancelUserOrders(ctx, user) : 0;
+
+    // Let the user know
+    try {
+        await ctx.telegram.sendMessage(
+            user.telegramId,
+            global.i18n.t({ locale: user.language }, `moderation.user_notice.${action}`, {
+                reason,
+                until: entry.until ? entry.until.toLocaleString('ru-RU') : '',
+                maxOrders: entry.maxOrders
+            })
+        );
+    } catch (error) {
+        global.logger.logWarn('Failed to notify moderated user:', ctx, { userId: user._id, error: error.message });
+    }
+
+    global.logger.logAction('user_moderated', {
+        adminId: ctx.from.id,
+        userId: user._id,
+        telegramId: user.telegramId,
+        action,
+        param,
+        reason,
+        cancelledOrders
+    });
+
+    return cancelledOrders;
+};
+
+/**
+ * Cancel all open orders and deals of a banned user
+ * @returns {number} - number of cancelled orders
+ */
+const cancelUserOrders = async (ctx, user) => {
+    const { updateOrderInGroups } = require('./groups');
+
+    const orders = await Order.find({
+        $or: [{ clientId: user._id }, { driverId: user._id }],
+        status: { $in: ['active', 'matched', 'in_progress'] }
+    });
+
+    for (const order of orders) {
+        const isClient = order.clientId.toString() === user._id.toString();
+        const counterpartId = isClient ? order.driverId : order.clientId;
+        const wasDeal = order.isDealInProgress();
+
+        await order.markCancelled();
+
+        if (wasDeal && counterpartId) {
+            const counterpart = await User.findOneAndUpdate(
+                { _id: counterpartId, activeOrders: { $gt: 0 } },
+                { $inc: { activeOrders: -1 } },
+                { new: true }
+            ) || await User.findById(counterpartId);
+
+            if (counterpart) {
+                try {
+                    await ctx.telegram.sendMessage(
+                        counterpart.telegramId,
+                        global.i18n.t({ locale: counterpart.language }, 'moderation.order_cancelled_notice', {
+                            orderId: order._id.toString().slice(-6)
+                        })
+                    );
+                } catch (error) {
+                    global.logger.logWarn('Failed to notify counterpart about moderation:', ctx, { orderId: order._id, error: error.message });
+                }
+            }
+        }
+
+        await updateOrderInGroups(order, 'removed', ctx);
+    }
+
+    user.activeOrders = 0;
+    await user.save();
+
+    await Offer.updateMany(
+        { driverId: user._id, status: 'open' },
+        { $set: { status: 'closed', closedAt: new Date() } }
+    );
+
+    return orders.length;
+};
+
+module.exports = {
+    findUserByQuery,
+    startUserLookup,
+    showUserCard,
+    getModerationRefusal,
+    chooseModerationAction,
+    handleModerationInputStep,
+    moderateUser,
+    cancelUserOrders
+};
\ No newline at end of file
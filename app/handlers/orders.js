@@ -1,15 +1,33 @@
 const Order = require('../models/order');
 const User = require('../models/user');
+const Vehicle = require('../models/vehicle');
 const {
     getBackButton,
     getConfirmationKeyboard,
     formatOrderSummary,
     getPaginationKeyboard
 } = require('./common');
+const { resolvePlaceInput, resolveLocationMessage, askPlaceSuggestion, getPickedPlace } = require('./places');
+const { getCompatibleVehicles } = require('./fleet');
+const { startBid } = require('./bids');
+const { CONTACT_PRIVACY_LEVELS, isRevealAllowed, revealContact } = require('./contacts');
+const {
+    CARGO_TYPES,
+    BODY_TYPES,
+    parseWeightKg,
+    parseVolumeM3,
+    isVehicleCompatible,
+    getOrderVehicleConditions,
+    formatWeight,
+    formatVolume
+} = require('../utils/cargo');
 
 // Session storage for order creation process
 const orderSessions = new Map();
 
+// How far from the driver's position to look for pickups
+const NEARBY_ORDERS_RADIUS_KM = 150;
+
 /**
  * Start order creation process
  */
@@ -32,7 +50,8 @@ const startOrderCreation = async (ctx) => {
         });
 
         await ctx.reply(
-            global.i18n.t(ctx, 'orders.create_title') + '\n\n' + global.i18n.t(ctx, 'orders.enter_from'),
+            global.i18n.t(ctx, 'orders.create_title') + '\n\n' + global.i18n.t(ctx, 'orders.enter_from') +
+                '\n' + global.i18n.t(ctx, 'places.location_hint'),
             getBackButton(ctx, 'menu:main')
         );
 
@@ -78,6 +97,12 @@ const handleOrderCreationStep = async (ctx) => {
                 return await handleDescriptionStep(ctx, session, messageText);
             case 'weight':
                 return await handleWeightStep(ctx, session, messageText);
+            case 'volume':
+                return await handleVolumeStep(ctx, session, messageText);
+            case 'cargo_type':
+            case 'body_type':
+                await ctx.reply(global.i18n.t(ctx, 'cargo.use_buttons'));
+                return true;
             case 'contact_name':
                 return await handleContactNameStep(ctx, session, messageText);
             default:
@@ -98,7 +123,24 @@ const handleFromStep = async (ctx, session, messageText) => {
         return true;
     }
 
-    session.data.from = messageText;
+    const { place, suggestions } = resolvePlaceInput(messageText);
+
+    if (!place && suggestions.length > 0) {
+        session.typedPlace = messageText;
+        await askPlaceSuggestion(ctx, messageText, suggestions, 'order:place:from', 'order:cancel');
+        return true;
+    }
+
+    return await setFromPlace(ctx, session, messageText, place ? place.id : null);
+};
+
+/**
+ * Store departure place and ask for destination
+ */
+const setFromPlace = async (ctx, session, from, placeId, coordinates = null) => {
+    session.data.from = from;
+    session.data.fromPlaceId = placeId;
+    session.data.fromCoordinates = coordinates;
     session.step = 'to';
     orderSessions.set(ctx.from.id, session);
 
@@ -111,7 +153,7 @@ const handleFromStep = async (ctx, session, messageText) => {
         }
     };
 
-    await ctx.reply(global.i18n.t(ctx, 'orders.enter_to'), keyboard);
+    await ctx.reply(global.i18n.t(ctx, 'orders.enter_to') + '\n' + global.i18n.t(ctx, 'places.location_hint'), keyboard);
     return true;
 };
 
@@ -119,8 +161,29 @@ const handleFromStep = async (ctx, session, messageText) => {
  * Handle 'to' location step
  */
 const handleToStep = async (ctx, session, messageText) => {
-    if (messageText && messageText.length >= 2) {
-        session.data.to = messageText;
+    if (!messageText || messageText.length < 2) {
+        return await setToPlace(ctx, session, null, null);
+    }
+
+    const { place, suggestions } = resolvePlaceInput(messageText);
+
+    if (!place && suggestions.length > 0) {
+        session.typedPlace = messageText;
+        await askPlaceSuggestion(ctx, messageText, suggestions, 'order:place:to', 'order:cancel');
+        return true;
+    }
+
+    return await setToPlace(ctx, session, messageText, place ? place.id : null);
+};
+
+/**
+ * Store destination place and ask for date
+ */
+const setToPlace = async (ctx, session, to, placeId, coordinates = null) => {
+    if (to) {
+        session.data.to = to;
+        session.data.toPlaceId = placeId;
+        session.data.toCoordinates = coordinates;
     }
 
     session.step = 'date';
@@ -139,6 +202,73 @@ const handleToStep = async (ctx, session, messageText) => {
     return true;
 };
 
+/**
+ * Handle location pin or venue sent on the 'from' or 'to' step
+ * @returns {boolean} - true if the message was handled
+ */
+const handleOrderLocation = async (ctx) => {
+    try {
+        const session = orderSessions.get(ctx.from.id);
+
+        if (!session || !['from', 'to'].includes(session.step)) {
+            return false;
+        }
+
+        const { text, placeId, coordinates } = resolveLocationMessage(ctx, ctx.message);
+        delete session.typedPlace;
+
+        await ctx.reply(global.i18n.t(ctx, 'places.selected', { place: text }));
+
+        if (session.step === 'from') {
+            await setFromPlace(ctx, session, text, placeId, coordinates);
+        } else {
+            await setToPlace(ctx, session, text, placeId, coordinates);
+        }
+
+        return true;
+    } catch (error) {
+        await ctx.reply(global.i18n.t(ctx, 'errors.general'));
+        throw error;
+    }
+};
+
+/**
+ * Handle place picked from suggestions
+ * @param {string} field - from or to
+ */
+const selectOrderPlace = async (ctx, field, placeId) => {
+    try {
+        const session = orderSessions.get(ctx.from.id);
+
+        if (!session || session.step !== field || !session.typedPlace) {
+            await ctx.answerCbQuery(global.i18n.t(ctx, 'errors.general'));
+            return;
+        }
+
+        const picked = getPickedPlace(ctx, placeId, session.typedPlace);
+
+        if (!picked) {
+            await ctx.answerCbQuery(global.i18n.t(ctx, 'errors.general'));
+            return;
+        }
+
+        delete session.typedPlace;
+
+        await ctx.answerCbQuery();
+        await ctx.editMessageText(global.i18n.t(ctx, 'places.selected', { place: picked.text }));
+
+        if (field === 'from') {
+            await setFromPlace(ctx, session, picked.text, picked.placeId);
+        } else {
+            await setToPlace(ctx, session, picked.text, picked.placeId);
+        }
+
+    } catch (error) {
+        await ctx.answerCbQuery(global.i18n.t(ctx, 'errors.general'));
+        throw error;
+    }
+};
+
 /**
  * Handle date step
  */
@@ -226,14 +356,22 @@ const handleDescriptionStep = async (ctx, session, messageText) => {
 };
 
 /**
- * Handle weight step
+ * Handle weight step, the weight needs a unit
  */
 const handleWeightStep = async (ctx, session, messageText) => {
-    if (messageText && messageText.length >= 2) {
+    if (messageText) {
+        const weightKg = parseWeightKg(messageText);
+
+        if (!weightKg) {
+            await ctx.reply(global.i18n.t(ctx, 'cargo.invalid_weight'));
+            return true;
+        }
+
         session.data.weight = messageText;
+        session.data.weightKg = weightKg;
     }
 
-    session.step = 'contact_name';
+    session.step = 'volume';
     orderSessions.set(ctx.from.id, session);
 
     const keyboard = {
@@ -245,10 +383,112 @@ const handleWeightStep = async (ctx, session, messageText) => {
         }
     };
 
-    await ctx.reply(global.i18n.t(ctx, 'orders.enter_contact_name'), keyboard);
+    await ctx.reply(global.i18n.t(ctx, 'cargo.enter_volume'), keyboard);
     return true;
 };
 
+/**
+ * Handle volume step and ask for cargo type
+ */
+const handleVolumeStep = async (ctx, session, messageText) => {
+    if (messageText) {
+        const volumeM3 = parseVolumeM3(messageText);
+
+        if (!volumeM3) {
+            await ctx.reply(global.i18n.t(ctx, 'cargo.invalid_volume'));
+            return true;
+        }
+
+        session.data.dimensions = messageText;
+        session.data.volumeM3 = volumeM3;
+    }
+
+    session.step = 'cargo_type';
+    orderSessions.set(ctx.from.id, session);
+
+    const keyboard = CARGO_TYPES.map(type => [{
+        text: global.i18n.t(ctx, `cargo.types.${type}`),
+        callback_data: `order:cargo:${type}`
+    }]);
+    keyboard.push([{ text: global.i18n.t(ctx, 'buttons.cancel'), callback_data: 'order:cancel' }]);
+
+    await ctx.reply(global.i18n.t(ctx, 'cargo.choose_type'), { reply_markup: { inline_keyboard: keyboard } });
+    return true;
+};
+
+/**
+ * Handle cargo type button and ask for body type
+ */
+const selectCargoType = async (ctx, cargoType) => {
+    try {
+        const session = orderSessions.get(ctx.from.id);
+
+        if (!session || session.step !== 'cargo_type' || !CARGO_TYPES.includes(cargoType)) {
+            await ctx.answerCbQuery(global.i18n.t(ctx, 'errors.general'));
+            return;
+        }
+
+        session.data.cargoType = cargoType;
+        session.step = 'body_type';
+        orderSessions.set(ctx.from.id, session);
+
+        const keyboard = BODY_TYPES.map(type => [{
+            text: global.i18n.t(ctx, `cargo.bodies.${type}`),
+            callback_data: `order:body:${type}`
+        }]);
+        keyboard.push([{ text: global.i18n.t(ctx, 'cargo.any_body'), callback_data: 'order:body:any' }]);
+        keyboard.push([{ text: global.i18n.t(ctx, 'buttons.cancel'), callback_data: 'order:cancel' }]);
+
+        await ctx.answerCbQuery();
+        await ctx.editMessageText(
+            global.i18n.t(ctx, 'cargo.choose_type') + '\n\n' + global.i18n.t(ctx, `cargo.types.${cargoType}`)
+        );
+        await ctx.reply(global.i18n.t(ctx, 'cargo.choose_body'), { reply_markup: { inline_keyboard: keyboard } });
+
+    } catch (error) {
+        await ctx.answerCbQuery(global.i18n.t(ctx, 'errors.general'));
+        throw error;
+    }
+};
+
+/**
+ * Handle body type button and ask for contact name
+ */
+const selectBodyType = async (ctx, bodyType) => {
+    try {
+        const session = orderSessions.get(ctx.from.id);
+
+        if (!session || session.step !== 'body_type' || (bodyType !== 'any' && !BODY_TYPES.includes(bodyType))) {
+            await ctx.answerCbQuery(global.i18n.t(ctx, 'errors.general'));
+            return;
+        }
+
+        session.data.bodyType = bodyType === 'any' ? null : bodyType;
+        session.step = 'contact_name';
+        orderSessions.set(ctx.from.id, session);
+
+        const keyboard = {
+            reply_markup: {
+                inline_keyboard: [
+                    [{ text: global.i18n.t(ctx, 'orders.skip'), callback_data: 'order:skip' }],
+                    [{ text: global.i18n.t(ctx, 'buttons.cancel'), callback_data: 'order:cancel' }]
+                ]
+            }
+        };
+
+        await ctx.answerCbQuery();
+        await ctx.editMessageText(
+            global.i18n.t(ctx, 'cargo.choose_body') + '\n\n' +
+                global.i18n.t(ctx, bodyType === 'any' ? 'cargo.any_body' : `cargo.bodies.${bodyType}`)
+        );
+        await ctx.reply(global.i18n.t(ctx, 'orders.enter_contact_name'), keyboard);
+
+    } catch (error) {
+        await ctx.answerCbQuery(global.i18n.t(ctx, 'errors.general'));
+        throw error;
+    }
+};
+
 /**
  * Handle contact name step and show confirmation
  */
@@ -277,6 +517,8 @@ const handleSkipStep = async (ctx, session) => {
             return await handleDescriptionStep(ctx, session, null);
         case 'weight':
             return await handleWeightStep(ctx, session, null);
+        case 'volume':
+            return await handleVolumeStep(ctx, session, null);
         case 'contact_name':
             return await handleContactNameStep(ctx, session, null);
         default:
@@ -284,6 +526,26 @@ const handleSkipStep = async (ctx, session) => {
     }
 };
 
+/**
+ * Skip current step from the inline button
+ */
+const skipOrderStep = async (ctx) => {
+    try {
+        const session = orderSessions.get(ctx.from.id);
+
+        await ctx.answerCbQuery();
+
+        if (!session) {
+            return;
+        }
+
+        await handleSkipStep(ctx, session);
+    } catch (error) {
+        await ctx.answerCbQuery(global.i18n.t(ctx, 'errors.general'));
+        throw error;
+    }
+};
+
 /**
  * Show order confirmation
  */
@@ -298,7 +560,10 @@ const showOrderConfirmation = async (ctx, session) => {
         `📅 Дата: ${data.scheduledDate ? data.scheduledDate.toLocaleDateString('ru-RU') : 'По договоренности'}`,
         `💰 Цена: ${data.price ? data.price + ' сум' : 'По договоренности'}`,
         `📝 Описание: ${data.description || 'Не указано'}`,
-        `⚖️ Вес: ${data.weight || 'Не указан'}`,
+        `⚖️ Вес: ${data.weightKg ? formatWeight(ctx, data.weightKg) : 'Не указан'}`,
+        `📦 Объём: ${data.volumeM3 ? formatVolume(ctx, data.volumeM3) : 'Не указан'}`,
+        `🏷 Груз: ${global.i18n.t(ctx, `cargo.types.${data.cargoType || 'general'}`)}`,
+        `🚛 Кузов: ${global.i18n.t(ctx, data.bodyType ? `cargo.bodies.${data.bodyType}` : 'cargo.any_body')}`,
         `👤 Контакт: ${data.contactName || user.profile.fullName}`,
         `📱 Телефон: ${user.profile.phoneNumber || 'Из профиля'}`
     ].join('\n');
@@ -308,10 +573,49 @@ const showOrderConfirmation = async (ctx, session) => {
 
     await ctx.reply(
         global.i18n.t(ctx, 'orders.confirm_order', { orderSummary }),
-        getConfirmationKeyboard(ctx, 'order:confirm', 'order:cancel')
+        getOrderConfirmationKeyboard(ctx, session.data.contactPrivacy || 'everyone')
     );
 };
 
+/**
+ * Confirmation buttons with the phone privacy switch
+ */
+const getOrderConfirmationKeyboard = (ctx, contactPrivacy) => {
+    const keyboard = getConfirmationKeyboard(ctx, 'order:confirm', 'order:cancel');
+
+    keyboard.reply_markup.inline_keyboard.unshift([{
+        text: global.i18n.t(ctx, `contacts.privacy.${contactPrivacy}`),
+        callback_data: 'order:privacy'
+    }]);
+
+    return keyboard;
+};
+
+/**
+ * Switch who may see the phone: everyone, registered drivers, or only the accepted driver
+ * The last one also turns on the chat relay
+ */
+const cycleContactPrivacy = async (ctx) => {
+    try {
+        const session = orderSessions.get(ctx.from.id);
+
+        if (!session || session.step !== 'confirmation') {
+            await ctx.answerCbQuery(global.i18n.t(ctx, 'errors.general'));
+            return;
+        }
+
+        const current = CONTACT_PRIVACY_LEVELS.indexOf(session.data.contactPrivacy || 'everyone');
+        session.data.contactPrivacy = CONTACT_PRIVACY_LEVELS[(current + 1) % CONTACT_PRIVACY_LEVELS.length];
+
+        await ctx.answerCbQuery();
+        await ctx.editMessageReplyMarkup(getOrderConfirmationKeyboard(ctx, session.data.contactPrivacy).reply_markup);
+
+    } catch (error) {
+        await ctx.answerCbQuery(global.i18n.t(ctx, 'errors.general'));
+        throw error;
+    }
+};
+
 /**
  * Confirm and create order
  */
@@ -332,15 +636,26 @@ const confirmOrder = async (ctx) => {
             cargo: {
                 from: session.data.from,
                 to: session.data.to,
+                fromPlaceId: session.data.fromPlaceId,
+                toPlaceId: session.data.toPlaceId,
+                fromCoordinates: session.data.fromCoordinates || undefined,
+                toCoordinates: session.data.toCoordinates || undefined,
                 scheduledDate: session.data.scheduledDate,
                 description: session.data.description,
                 price: session.data.price,
-                weight: session.data.weight
+                weight: session.data.weight,
+                weightKg: session.data.weightKg,
+                dimensions: session.data.dimensions,
+                volumeM3: session.data.volumeM3,
+                cargoType: session.data.cargoType,
+                bodyType: session.data.bodyType
             },
             contactInfo: {
                 phoneNumber: user.profile.phoneNumber,
                 contactName: session.data.contactName || user.profile.fullName
-            }
+            },
+            contactPrivacy: session.data.contactPrivacy || 'everyone',
+            relayChat: session.data.contactPrivacy === 'accepted'
         };
 
         const order = new Order(orderData);
@@ -358,8 +673,13 @@ const confirmOrder = async (ctx) => {
             global.i18n.t(ctx, 'orders.order_created', { orderId: order._id.toString().slice(-6) })
         );
 
-        // Post to group (if enabled)
-        await postOrderToGroup(order, ctx);
+        // Post to groups in the background, the shared posting queue can wait on flood limits for a long time
+        postOrderToGroup(order, ctx);
+
+        // Let drivers with matching open offers know, then nearby drivers and those on a preferred route
+        const { notifyMatchingOffers, notifyRelevantDrivers } = require('./matching');
+        const notifiedDrivers = await notifyMatchingOffers(order, ctx);
+        await notifyRelevantDrivers(order, ctx, notifiedDrivers);
 
         // Show main menu
         const { getMainMenuKeyboard } = require('./common');
@@ -375,7 +695,8 @@ const confirmOrder = async (ctx) => {
             orderId: order._id,
             from: order.cargo.from,
             to: order.cargo.to,
-            price: order.cargo.price
+            price: order.cargo.price,
+            contactPrivacy: order.contactPrivacy
         });
 
     } catch (error) {
@@ -411,8 +732,9 @@ const cancelOrderCreation = async (ctx) => {
 
 /**
  * Find orders for drivers
+ * @param {string|null} source - near, place or all; picked on the first page and kept for the next ones
  */
-const findOrdersForDriver = async (ctx, page = 1) => {
+const findOrdersForDriver = async (ctx, page = 1, source = null) => {
     try {
         const user = ctx.user;
         const limit = 5;
@@ -424,18 +746,46 @@ const findOrdersForDriver = async (ctx, page = 1) => {
         }
 
         const location = user.driverInfo.currentLocation;
-        let orders;
+        const coordinates = user.driverInfo.currentCoordinates;
+
+        // Only cargo the driver's vehicle can carry
+        const vehicleConditions = getOrderVehicleConditions(user.driverInfo);
+        const forVehicle = (query) => vehicleConditions.length > 0 ? query.and(vehicleConditions) : query;
+
+        const getListQuery = (listSource) => {
+            switch (listSource) {
+                case 'near':
+                    return Order.findOrdersNear(coordinates, NEARBY_ORDERS_RADIUS_KM); // Closest first
+                case 'place':
+                    return Order.findOrdersByLocation(location, user.driverInfo.currentPlaceId).sort({ createdAt: -1 });
+                default:
+                    return Order.findActiveOrders();
+            }
+        };
 
-        if (location) {
-            orders = await Order.findOrdersByLocation(location)
-                .skip(skip)
-                .limit(limit);
-        } else {
-            orders = await Order.findActiveOrders()
+        // Closest orders first when the driver's position is known, then the driver's city, then everything
+        // Later pages stay on the source of the first one, so orders neither repeat nor go missing
+        const availableSources = [];
+        if (coordinates?.coordinates?.length) availableSources.push('near');
+        availableSources.push(location ? 'place' : 'all');
+
+        const sources = availableSources.includes(source) ? [source] : availableSources;
+
+        let orders = [];
+        for (const listSource of sources) {
+            source = listSource;
+
+            // One extra order tells whether there is a next page
+            orders = await forVehicle(getListQuery(listSource))
                 .skip(skip)
-                .limit(limit);
+                .limit(limit + 1);
+
+            if (orders.length > 0) break;
         }
 
+        const hasNextPage = orders.length > limit;
+        orders = orders.slice(0, limit);
+
         if (orders.length === 0) {
             await ctx.reply(
                 global.i18n.t(ctx, 'orders.no_orders_found'),
@@ -467,26 +817,21 @@ const findOrdersForDriver = async (ctx, page = 1) => {
         });
 
         // Add pagination if needed
-        const totalOrders = await Order.countDocuments({ status: 'active' });
-        const totalPages = Math.ceil(totalOrders / limit);
-
-        if (totalPages > 1) {
-            const paginationRow = [];
-            if (page > 1) {
-                paginationRow.push({
-                    text: '◀️ Предыдущая',
-                    callback_data: `driver:find_orders:${page - 1}`
-                });
-            }
-            if (page < totalPages) {
-                paginationRow.push({
-                    text: 'Следующая ▶️',
-                    callback_data: `driver:find_orders:${page + 1}`
-                });
-            }
-            if (paginationRow.length > 0) {
-                keyboard.push(paginationRow);
-            }
+        const paginationRow = [];
+        if (page > 1) {
+            paginationRow.push({
+                text: '◀️ Предыдущая',
+                callback_data: `driver:find_orders:${page - 1}:${source}`
+            });
+        }
+        if (hasNextPage) {
+            paginationRow.push({
+                text: 'Следующая ▶️',
+                callback_data: `driver:find_orders:${page + 1}:${source}`
+            });
+        }
+        if (paginationRow.length > 0) {
+            keyboard.push(paginationRow);
         }
 
         keyboard.push([{ text: global.i18n.t(ctx, 'buttons.back'), callback_data: 'menu:main' }]);
@@ -499,6 +844,49 @@ const findOrdersForDriver = async (ctx, page = 1) => {
     }
 };
 
+/**
+ * Build order detail buttons for drivers: interest, contact, report
+ */
+const getOrderDetailsKeyboard = (ctx, order) => {
+    const orderId = order._id;
+    const keyboard = [];
+
+    // Add interest button for drivers
+    if (ctx.user.isDriver() && order.canBeMatched()) {
+        const alreadyInterested = order.interestedDrivers.some(
+            d => d.driverId.toString() === ctx.user._id.toString()
+        );
+
+        if (!alreadyInterested && ctx.user.canTakeMoreOrders()) {
+            keyboard.push([{
+                text: global.i18n.t(ctx, 'orders.interested_button'),
+                callback_data: `order:interest:${orderId}`
+            }]);
+        } else if (alreadyInterested) {
+            keyboard.push([{
+                text: global.i18n.t(ctx, 'orders.already_interested'),
+                callback_data: 'noop'
+            }]);
+        } else {
+            keyboard.push([{
+                text: global.i18n.t(ctx, 'orders.cannot_take_more'),
+                callback_data: 'noop'
+            }]);
+        }
+    }
+
+    // Phone on request, within the order's privacy and the daily limit
+    if (order.canBeMatched() && isRevealAllowed(order, ctx.user)) {
+        keyboard.push([{ text: global.i18n.t(ctx, 'contacts.show_button'), callback_data: `order:contact:${orderId}` }]);
+    }
+
+    const { getReportButton } = require('./reports');
+    keyboard.push([getReportButton(ctx, `report:order:${orderId}`)]);
+    keyboard.push([{ text: global.i18n.t(ctx, 'buttons.back'), callback_data: 'driver:find_orders' }]);
+
+    return keyboard;
+};
+
 /**
  * View specific order details
  */
@@ -511,41 +899,42 @@ const viewOrderDetails = async (ctx, orderId) => {
             return;
         }
 
-        const orderDetails = formatOrderSummary(order, ctx);
+        await ctx.answerCbQuery();
+        await ctx.editMessageText(
+            formatOrderSummary(order, ctx),
+            { reply_markup: { inline_keyboard: getOrderDetailsKeyboard(ctx, order) } }
+        );
 
-        const keyboard = [];
+    } catch (error) {
+        await ctx.answerCbQuery(global.i18n.t(ctx, 'errors.general'));
+        throw error;
+    }
+};
 
-        // Add interest button for drivers
-        if (ctx.user.isDriver() && order.canBeMatched()) {
-            const alreadyInterested = order.interestedDrivers.some(
-                d => d.driverId.toString() === ctx.user._id.toString()
-            );
+/**
+ * Send order details as a new message, for deep links
+ */
+const sendOrderDetails = async (ctx, order) => {
+    await ctx.reply(
+        formatOrderSummary(order, ctx),
+        { reply_markup: { inline_keyboard: getOrderDetailsKeyboard(ctx, order) } }
+    );
+};
 
-            if (!alreadyInterested && ctx.user.canTakeMoreOrders()) {
-                keyboard.push([{
-                    text: global.i18n.t(ctx, 'orders.interested_button'),
-                    callback_data: `order:interest:${orderId}`
-                }]);
-            } else if (alreadyInterested) {
-                keyboard.push([{
-                    text: global.i18n.t(ctx, 'orders.already_interested'),
-                    callback_data: 'noop'
-                }]);
-            } else {
-                keyboard.push([{
-                    text: global.i18n.t(ctx, 'orders.cannot_take_more'),
-                    callback_data: 'noop'
-                }]);
-            }
-        }
+/**
+ * Show the client's phone from the order details
+ */
+const showOrderContact = async (ctx, orderId) => {
+    try {
+        const order = await Order.findById(orderId).populate('clientId', 'profile');
 
-        keyboard.push([{ text: global.i18n.t(ctx, 'buttons.back'), callback_data: 'driver:find_orders' }]);
+        // Open and running orders, the accepted level only lets the assigned driver in
+        if (!order || !['active', 'matched', 'in_progress'].includes(order.status)) {
+            await ctx.answerCbQuery(global.i18n.t(ctx, 'errors.order_not_found'));
+            return;
+        }
 
-        await ctx.answerCbQuery();
-        await ctx.editMessageText(
-            orderDetails,
-            { reply_markup: { inline_keyboard: keyboard } }
-        );
+        await revealContact(ctx, order, 'bot');
 
     } catch (error) {
         await ctx.answerCbQuery(global.i18n.t(ctx, 'errors.general'));
@@ -555,8 +944,9 @@ const viewOrderDetails = async (ctx, orderId) => {
 
 /**
  * Show driver interest in order
+ * Drivers with a fleet respond with one of their vehicles that fits the cargo, then write a bid
  */
-const showInterestInOrder = async (ctx, orderId) => {
+const showInterestInOrder = async (ctx, orderId, vehicleId = null) => {
     try {
         const order = await Order.findById(orderId).populate('clientId', 'profile');
         const user = ctx.user;
@@ -571,27 +961,44 @@ const showInterestInOrder = async (ctx, orderId) => {
             return;
         }
 
-        // Add driver to interested list
-        await order.addInterestedDriver(user._id);
+        if (order.getBid(user._id)) {
+            await ctx.answerCbQuery(global.i18n.t(ctx, 'orders.already_interested'));
+            return;
+        }
 
-        await ctx.answerCbQuery(global.i18n.t(ctx, 'orders.interest_sent'));
+        const fleetSize = await Vehicle.countActive(user._id);
+        let vehicle = null;
 
-        // Notify client about interested driver
-        const clientId = order.clientId.telegramId;
-        const notification = global.i18n.t(ctx, 'notifications.driver_interested', {
-            driverName: user.profile.fullName,
-            rating: user.reputation.rating.toFixed(1),
-            phone: user.profile.phoneNumber || 'Не указан'
-        });
+        if (fleetSize > 0) {
+            const vehicles = await getCompatibleVehicles(user._id, order);
+            vehicle = vehicles.find(item => item._id.toString() === vehicleId) || null;
 
-        // Send notification to client (you'll need to implement this)
-        // await ctx.telegram.sendMessage(clientId, notification);
+            if (vehicles.length === 0) {
+                await ctx.answerCbQuery(global.i18n.t(ctx, 'cargo.vehicle_incompatible'), { show_alert: true });
+                return;
+            }
 
-        global.logger.logAction('driver_showed_interest', {
-            driverId: user._id,
-            orderId: order._id,
-            clientId: order.clientId._id
-        });
+            if (vehicles.length === 1) {
+                vehicle = vehicles[0];
+            } else if (!vehicle) {
+                await ctx.answerCbQuery();
+                await ctx.reply(global.i18n.t(ctx, 'fleet.choose_vehicle'), {
+                    reply_markup: {
+                        inline_keyboard: vehicles.map(item => [{
+                            text: `🚛 ${item.label}`,
+                            callback_data: `order:veh:${order._id}:${item._id}`
+                        }])
+                    }
+                });
+                return;
+            }
+        } else if (!isVehicleCompatible(user.driverInfo, order.cargo)) {
+            await ctx.answerCbQuery(global.i18n.t(ctx, 'cargo.vehicle_incompatible'), { show_alert: true });
+            return;
+        }
+
+        // The response is recorded once the driver sends a bid
+        await startBid(ctx, order, vehicle);
 
     } catch (error) {
         await ctx.answerCbQuery(global.i18n.t(ctx, 'errors.general'));
@@ -600,25 +1007,45 @@ const showInterestInOrder = async (ctx, orderId) => {
 };
 
 /**
- * Post order to Telegram group (placeholder)
+ * Post order to Telegram groups and show the client where it went
+ * Runs without the handler waiting for it, so it never throws
  */
 const postOrderToGroup = async (order, ctx) => {
     try {
-        // This will be implemented when group management is ready
-        const { postToGroups } = require('./groups');
-        await postToGroups(order, ctx);
+        const { postToGroups, formatPostingResults, updateOrderInGroups } = require('./groups');
+        const postingResults = await postToGroups(order, ctx);
+
+        if (!postingResults || postingResults.length === 0) {
+            return;
+        }
+
+        // The order may have been taken or cancelled while its posts were queued
+        const current = await Order.findById(order._id).select('status');
+        if (current && current.status !== 'active') {
+            await updateOrderInGroups(order, current.status, ctx);
+        }
+
+        await ctx.reply(formatPostingResults(ctx, postingResults));
     } catch (error) {
-        // Silent fail - groups not yet implemented
-        global.logger.logWarn('Group posting not yet implemented', ctx);
+        // Posting problems must not break order creation
+        global.logger.logWarn('Group posting failed:', ctx, { orderId: order._id, error: error.message });
     }
 };
 
 module.exports = {
     startOrderCreation,
     handleOrderCreationStep,
+    handleOrderLocation,
+    selectOrderPlace,
+    selectCargoType,
+    selectBodyType,
+    skipOrderStep,
+    cycleContactPrivacy,
     confirmOrder,
     cancelOrderCreation,
     findOrdersForDriver,
     viewOrderDetails,
+    sendOrderDetails,
+    showOrderContact,
     showInterestInOrder
 };
\ No newline at end of file
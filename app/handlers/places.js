@@ -0,0 +1,98 @@
+const gazetteer = require('../services/gazetteer');
+
+// Callback value for keeping the typed text without a place
+const KEEP_TYPED = '_';
+
+/**
+ * Resolve typed location
+ * @returns {Object} - { place } on an exact match, otherwise { suggestions }
+ */
+const resolvePlaceInput = (text) => {
+    const place = gazetteer.findPlace(text);
+
+    if (place) {
+        return { place, suggestions: [] };
+    }
+
+    return { place: null, suggestions: gazetteer.suggestPlaces(text) };
+};
+
+/**
+ * Format place name for buttons, districts show their city
+ */
+const formatPlaceName = (ctx, place) => {
+    const language = ctx.locale || 'ru';
+    const name = gazetteer.getPlaceName(place, language);
+
+    if (!place.parent) {
+        return name;
+    }
+
+    return `${name} (${gazetteer.getPlaceName(gazetteer.getPlaceById(place.parent), language)})`;
+};
+
+/**
+ * Ask user to pick one of the suggested places
+ * Buttons send `${callbackPrefix}:${placeId}`, or KEEP_TYPED for the text as typed
+ * Flows that need a gazetteer place pass allowTyped = false to hide that button
+ */
+const askPlaceSuggestion = async (ctx, text, suggestions, callbackPrefix, cancelCallback, allowTyped = true) => {
+    const keyboard = suggestions.map(place => [{
+        text: `📍 ${formatPlaceName(ctx, place)}`,
+        callback_data: `${callbackPrefix}:${place.id}`
+    }]);
+
+    if (allowTyped) {
+        keyboard.push([{ text: global.i18n.t(ctx, 'places.keep_as_typed', { text }), callback_data: `${callbackPrefix}:${KEEP_TYPED}` }]);
+    }
+    keyboard.push([{ text: global.i18n.t(ctx, 'buttons.cancel'), callback_data: cancelCallback }]);
+
+    await ctx.reply(global.i18n.t(ctx, 'places.did_you_mean', { text }), { reply_markup: { inline_keyboard: keyboard } });
+};
+
+/**
+ * Turn a picked suggestion into location text and place ID
+ * @returns {Object|null} - { text, placeId }, null for an unknown place ID
+ */
+const getPickedPlace = (ctx, placeId, typedText) => {
+    if (placeId === KEEP_TYPED) {
+        return { text: typedText, placeId: null };
+    }
+
+    const place = gazetteer.getPlaceById(placeId);
+    if (!place) return null;
+
+    return { text: formatPlaceName(ctx, place), placeId: place.id };
+};
+
+/**
+ * Resolve a shared location pin or venue to text, nearest place and coordinates
+ * @returns {Object} - { text, placeId, coordinates }
+ */
+const resolveLocationMessage = (ctx, message) => {
+    const { latitude, longitude } = message.location;
+    const place = gazetteer.findNearestPlace(latitude, longitude);
+
+    let text;
+    if (message.venue) {
+        text = [message.venue.title, message.venue.address].filter(Boolean).join(', ');
+    } else if (place) {
+        text = formatPlaceName(ctx, place);
+    } else {
+        text = `📍 ${latitude.toFixed(5)}, ${longitude.toFixed(5)}`;
+    }
+
+    return {
+        text,
+        placeId: place ? place.id : null,
+        coordinates: { type: 'Point', coordinates: [longitude, latitude] }
+    };
+};
+
+module.exports = {
+    resolvePlaceInput,
+    resolveLocationMessage,
+    formatPlaceName,
+    askPlaceSuggestion,
+    getPickedPlace
+};
\ No newline at end of file
@@ -5,6 +5,40 @@ const {
     formatUserInfo,
     getMainMenuKeyboard
 } = require('./common');
+const { resolvePlaceInput, resolveLocationMessage, askPlaceSuggestion, getPickedPlace } = require('./places');
+const { clearFleetSession } = require('./fleet');
+const { clearRouteSession } = require('./routes');
+const { rankBids, formatBid, getBidTurn, formatOffers, notifyRejectedBidders } = require('./bids');
+const { getChatPeer, getChatButton } = require('./chat');
+const { logDealReveal } = require('./contacts');
+const { getStartLink } = require('../utils/deepLinks');
+
+// Session storage for location editing
+const locationEditSessions = new Map();
+
+// An unfinished location edit is dropped after this long
+const LOCATION_EDIT_TTL_MS = 10 * 60 * 1000;
+
+/**
+ * Get the user's location edit, dropping it once it went stale
+ */
+const getLocationEditSession = (telegramId) => {
+    const session = locationEditSessions.get(telegramId);
+
+    if (session && Date.now() - session.startedAt > LOCATION_EDIT_TTL_MS) {
+        locationEditSessions.delete(telegramId);
+        return null;
+    }
+
+    return session || null;
+};
+
+/**
+ * Drop an unfinished location edit when the user moves on to something else
+ */
+const clearLocationEdit = (telegramId) => {
+    locationEditSessions.delete(telegramId);
+};
 
 /**
  * Show user profile
@@ -12,8 +46,16 @@ const {
 const showProfile = async (ctx) => {
     try {
         const user = ctx.user;
+        locationEditSessions.delete(ctx.from.id);
+        clearFleetSession(ctx.from.id);
+        clearRouteSession(ctx.from.id);
 
-        const profileInfo = formatUserInfo(user, ctx);
+        const { formatRecentReviews } = require('./reviews');
+        let profileInfo = formatUserInfo(user, ctx) + '\n\n' + await formatRecentReviews(user, ctx);
+
+        // Referral link and how many registered through it
+        const referrals = await User.countDocuments({ 'attribution.referredBy': user._id, registrationCompleted: true });
+        profileInfo += '\n\n' + global.i18n.t(ctx, 'deeplinks.referral', { link: getStartLink(`ref_${user._id}`), count: referrals });
 
         const keyboard = [
             [{ text: global.i18n.t(ctx, 'profile.edit_location'), callback_data: 'profile:edit_location' }]
@@ -22,7 +64,10 @@ const showProfile = async (ctx) => {
         // Add role-specific options
         if (user.isDriver()) {
             keyboard.push([
-                { text: '🚗 Изменить транспорт', callback_data: 'profile:edit_vehicle' }
+                { text: global.i18n.t(ctx, 'fleet.button'), callback_data: 'fleet:list' }
+            ]);
+            keyboard.push([
+                { text: global.i18n.t(ctx, 'routes.button'), callback_data: 'routes:list' }
             ]);
         }
 
@@ -161,6 +206,17 @@ const viewMyOrder = async (ctx, orderId) => {
             orderDetails += `\n\n📦 Заказчик: ${order.clientId.profile.fullName}`;
             if (order.contactInfo.phoneNumber) {
                 orderDetails += `\n📱 Телефон: ${order.contactInfo.phoneNumber}`;
+                await logDealReveal(order, user);
+            }
+        }
+
+        // Agreed price and how it was negotiated
+        if (order.agreedPrice) {
+            orderDetails += '\n\n' + global.i18n.t(ctx, 'bids.agreed_price_line', { price: order.agreedPrice });
+
+            const history = formatOffers(ctx, order.getBid(order.driverId._id));
+            if (history) {
+                orderDetails += '\n' + history;
             }
         }
 
@@ -169,6 +225,14 @@ const viewMyOrder = async (ctx, orderId) => {
             orderDetails += `\n\n👥 Откликнулось водителей: ${order.interestedDrivers.length}`;
         }
 
+        // Show where the order was posted
+        if (isClient && order.status === 'active' && (order.groupMessages.length > 0 || order.failedGroupPosts.length > 0)) {
+            orderDetails += '\n\n' + global.i18n.t(ctx, 'orders.published_in_groups', {
+                count: order.groupMessages.length,
+                pending: order.failedGroupPosts.length
+            });
+        }
+
         const keyboard = [];
 
         // Add action buttons based on status and role
@@ -193,6 +257,17 @@ const viewMyOrder = async (ctx, orderId) => {
             }]);
         }
 
+        // Relay chat with the assigned driver
+        if (order.driverId && getChatPeer(order, user, order.driverId._id.toString())) {
+            keyboard.push([getChatButton(ctx, orderId, isClient ? order.driverId._id : null)]);
+        }
+
+        // Report the other party once there is one
+        if (order.driverId) {
+            const { getReportButton } = require('./reports');
+            keyboard.push([getReportButton(ctx, `report:order:${orderId}`)]);
+        }
+
         keyboard.push([{ text: global.i18n.t(ctx, 'buttons.back'), callback_data: 'myorders:1' }]);
 
         await ctx.answerCbQuery();
@@ -210,12 +285,13 @@ const viewMyOrder = async (ctx, orderId) => {
 /**
  * Show interested drivers for a client's order
  */
-const showInterestedDrivers = async (ctx, orderId) => {
+const showInterestedDrivers = async (ctx, orderId, page = 1) => {
     try {
         const user = ctx.user;
         const order = await Order.findById(orderId)
             .populate('clientId', 'profile')
-            .populate('interestedDrivers.driverId', 'profile reputation driverInfo');
+            .populate('interestedDrivers.driverId', 'profile reputation driverInfo')
+            .populate('interestedDrivers.vehicleId', 'model plateNumber');
 
         if (!order || order.clientId._id.toString() !== user._id.toString()) {
             await ctx.answerCbQuery(global.i18n.t(ctx, 'errors.access_denied'));
@@ -223,35 +299,92 @@ const showInterestedDrivers = async (ctx, orderId) => {
         }
 
         if (order.interestedDrivers.length === 0) {
-            await ctx.answerCbQuery('Пока нет откликов');
+            await ctx.answerCbQuery(global.i18n.t(ctx, 'bids.no_bids'));
             return;
         }
 
-        let messageText = `👥 Заинтересованные водители:\n\n`;
+        // Each bid carries its negotiation history, a few per page keep the message within Telegram's limit
+        const limit = 3;
+        const ranked = rankBids(order);
+        const totalPages = Math.ceil(ranked.length / limit);
+        page = Math.min(Math.max(page, 1), totalPages);
+        const skip = (page - 1) * limit;
+
+        let messageText = global.i18n.t(ctx, 'bids.title') + '\n';
+        if (totalPages > 1) {
+            messageText += global.i18n.t(ctx, 'bids.page', { page, pages: totalPages }) + '\n';
+        }
+        messageText += '\n';
 
         const keyboard = [];
+        const { getReportButton } = require('./reports');
+        const { getWhyDriverButton } = require('./matching');
+        const canAccept = order.canBeMatched();
 
-        order.interestedDrivers.forEach((interested, index) => {
+        // Best bids first: reputation, price and pickup time
+        ranked.slice(skip, skip + limit).forEach(({ bid: interested }, index) => {
             const driver = interested.driverId;
-            const driverNum = index + 1;
+            const driverNum = skip + index + 1;
 
             messageText += `${driverNum}. 🚛 ${driver.profile.fullName}\n`;
-            messageText += `   ⭐ Рейтинг: ${driver.reputation.rating.toFixed(1)}/5\n`;
-            messageText += `   Сделок: ${driver.reputation.completedDeals}\n`;
-            if (driver.driverInfo.vehicleModel) {
+            messageText += `   ${global.i18n.t(ctx, 'bids.driver_rating', { rating: driver.reputation.rating.toFixed(1) })}\n`;
+            messageText += `   ${global.i18n.t(ctx, 'bids.driver_deals', { count: driver.reputation.completedDeals })}\n`;
+            if (interested.vehicleId) {
+                messageText += `   🚗 ${interested.vehicleId.model} (${interested.vehicleId.plateNumber})\n`;
+            } else if (driver.driverInfo.vehicleModel) {
                 messageText += `   🚗 ${driver.driverInfo.vehicleModel}\n`;
             }
-            if (driver.profile.phoneNumber) {
+            // Relay orders reveal phones only once a driver is assigned
+            if (driver.profile.phoneNumber && !(order.relayChat && !order.driverId)) {
                 messageText += `   📱 ${driver.profile.phoneNumber}\n`;
             }
+            messageText += formatBid(ctx, interested).replace(/^/gm, '   ') + '\n';
+
+            const history = formatOffers(ctx, interested);
+            if (history) {
+                messageText += history.replace(/^/gm, '   ') + '\n';
+            }
+
+            const clientTurn = getBidTurn(interested) === 'client';
+            if (interested.status !== 'pending') {
+                messageText += `   ${global.i18n.t(ctx, `bids.status.${interested.status}`)}\n`;
+            } else if (!clientTurn) {
+                messageText += `   ${global.i18n.t(ctx, 'bids.awaiting_driver')}\n`;
+            }
             messageText += `\n`;
 
-            keyboard.push([{
-                text: `Выбрать водителя ${driverNum}`,
-                callback_data: `myorder:select:${orderId}:${driver._id}`
-            }]);
+            if (canAccept && interested.status === 'pending' && clientTurn) {
+                keyboard.push([
+                    {
+                        text: global.i18n.t(ctx, 'bids.accept_button', { number: driverNum }),
+                        callback_data: `myorder:select:${orderId}:${driver._id}`
+                    },
+                    {
+                        text: global.i18n.t(ctx, 'bids.counter_button', { number: driverNum }),
+                        callback_data: `bid:counter:${orderId}:${driver._id}`
+                    }
+                ]);
+            }
+            keyboard.push([
+                getWhyDriverButton(ctx, orderId, driver._id),
+                getReportButton(ctx, `report:user:${driver._id}:${orderId}`)
+            ]);
+            if (getChatPeer(order, user, driver._id.toString())) {
+                keyboard.push([getChatButton(ctx, orderId, driver._id, 'chat.open_driver_button')]);
+            }
         });
 
+        const paginationRow = [];
+        if (page > 1) {
+            paginationRow.push({ text: '◀️', callback_data: `myorder:drivers:${orderId}:${page - 1}` });
+        }
+        if (page < totalPages) {
+            paginationRow.push({ text: '▶️', callback_data: `myorder:drivers:${orderId}:${page + 1}` });
+        }
+        if (paginationRow.length > 0) {
+            keyboard.push(paginationRow);
+        }
+
         keyboard.push([{ text: global.i18n.t(ctx, 'buttons.back'), callback_data: `myorder:view:${orderId}` }]);
 
         await ctx.answerCbQuery();
@@ -285,37 +418,64 @@ const selectDriverForOrder = async (ctx, orderId, driverId) => {
             return;
         }
 
+        const bid = order.getBid(driverId);
+
+        if (!order.canBeMatched() || !bid || bid.status !== 'pending') {
+            await ctx.answerCbQuery(global.i18n.t(ctx, 'bids.not_available'));
+            return;
+        }
+
+        // The driver has not answered the client's counter-offer yet
+        if (getBidTurn(bid) !== 'client') {
+            await ctx.answerCbQuery(global.i18n.t(ctx, 'bids.awaiting_driver'));
+            return;
+        }
+
         if (!driver.canTakeMoreOrders()) {
             await ctx.answerCbQuery('Водитель не может взять больше заказов');
             return;
         }
 
-        // Assign driver to order
+        // Drivers whose bids lose to this one
+        const rejectedDriverIds = order.interestedDrivers
+            .filter(bid => bid.status === 'pending' && bid.driverId.toString() !== driver._id.toString())
+            .map(bid => bid.driverId);
+
+        // Assign driver to order, accepting their bid
         await order.assignDriver(driverId);
 
         // Update driver's active orders count
         driver.activeOrders += 1;
         await driver.save();
 
+        const { updateOrderInGroups } = require('./groups');
+        await updateOrderInGroups(order, 'matched', ctx);
+
         await ctx.answerCbQuery('Водитель назначен!');
 
         // Send notification to driver
         try {
             await ctx.telegram.sendMessage(
                 driver.telegramId,
-                `Вы назначены на заказ!\n\n${order.summary}\n\nСвяжитесь с заказчиком: ${user.profile.phoneNumber || 'См. профиль'}`
+                `Вы назначены на заказ!\n\n${order.summary}\n` +
+                global.i18n.t({ locale: driver.language }, 'bids.agreed_price_line', { price: order.agreedPrice || '—' }) +
+                `\n\nСвяжитесь с заказчиком: ${user.profile.phoneNumber || 'См. профиль'}`
             );
+            await logDealReveal(order, driver);
         } catch (error) {
             global.logger.logWarn('Failed to notify driver:', ctx, error.message);
         }
 
+        await notifyRejectedBidders(ctx, order, rejectedDriverIds);
+
         // Update the message
         await viewMyOrder(ctx, orderId);
 
         global.logger.logAction('driver_selected', {
             orderId: order._id,
             driverId: driver._id,
-            clientId: user._id
+            clientId: user._id,
+            agreedPrice: order.agreedPrice
         });
 
     } catch (error) {
@@ -324,83 +484,113 @@ const selectDriverForOrder = async (ctx, orderId, driverId) => {
     }
 };
 
+/**
+ * Mark deal completion by one party and close the order once both confirmed
+ * @returns {Object|null} - { isClient, fullyCompleted } or null if user is not a party
+ */
+const confirmDealCompletion = async (ctx, order, user) => {
+    const clientId = order.clientId._id || order.clientId;
+    const driverId = order.driverId?._id || order.driverId;
+
+    const isClient = clientId.toString() === user._id.toString();
+    const isDriver = driverId && driverId.toString() === user._id.toString();
+
+    if (!isClient && !isDriver) {
+        return null;
+    }
+
+    // Mark completion by the user
+    if (isClient) {
+        order.dealCompletedBy.client = true;
+    } else if (isDriver) {
+        order.dealCompletedBy.driver = true;
+    }
+
+    const fullyCompleted = order.dealCompletedBy.client && order.dealCompletedBy.driver;
+
+    // If both parties confirmed, complete the order
+    if (fullyCompleted) {
+        await order.markCompleted();
+
+        // Update statistics
+        if (driverId) {
+            const driver = await User.findById(driverId);
+            driver.reputation.completedDeals += 1;
+            driver.activeOrders = Math.max(0, driver.activeOrders - 1);
+            await driver.save();
+        }
+
+        const client = await User.findById(clientId);
+        client.activeOrders = Math.max(0, client.activeOrders - 1);
+        await client.save();
+
+        const { updateOrderInGroups } = require('./groups');
+        await updateOrderInGroups(order, 'completed', ctx);
+
+        // Ask both parties to review each other
+        const { promptReviews } = require('./reviews');
+        await promptReviews(ctx, order);
+
+    } else {
+        await order.save();
+
+        // Notify the other party
+        const otherParty = await User.findById(isClient ? driverId : clientId);
+        try {
+            await ctx.telegram.sendMessage(
+                otherParty.telegramId,
+                `⏰ Напоминание о заказе #${order._id.toString().slice(-6)}\n\nВторая сторона подтвердила завершение сделки. Пожалуйста, также подтвердите завершение в своих заказах.`
+            );
+        } catch (error) {
+            global.logger.logWarn('Failed to notify other party:', ctx, error.message);
+        }
+    }
+
+    global.logger.logAction('order_completion_marked', {
+        orderId: order._id,
+        userId: user._id,
+        role: isClient ? 'client' : 'driver',
+        fullyCompleted
+    });
+
+    return { isClient, fullyCompleted };
+};
+
 /**
  * Complete order
  */
 const completeOrder = async (ctx, orderId) => {
     try {
         const user = ctx.user;
-        const order = await Order.findById(orderId)
-            .populate('clientId', 'profile')
-            .populate('driverId', 'profile');
+        const order = await Order.findById(orderId);
 
         if (!order) {
             await ctx.answerCbQuery(global.i18n.t(ctx, 'errors.order_not_found'));
             return;
         }
 
-        const isClient = order.clientId._id.toString() === user._id.toString();
-        const isDriver = order.driverId && order.driverId._id.toString() === user._id.toString();
-
-        if (!isClient && !isDriver) {
-            await ctx.answerCbQuery(global.i18n.t(ctx, 'errors.access_denied'));
+        if (!order.isDealInProgress()) {
+            await ctx.answerCbQuery(global.i18n.t(ctx, 'deals.not_in_progress'));
             return;
         }
 
-        // Mark completion by the user
-        if (isClient) {
-            order.dealCompletedBy.client = true;
-        } else if (isDriver) {
-            order.dealCompletedBy.driver = true;
-        }
-
-        // If both parties confirmed, complete the order
-        if (order.dealCompletedBy.client && order.dealCompletedBy.driver) {
-            await order.markCompleted();
-
-            // Update statistics
-            if (order.driverId) {
-                const driver = await User.findById(order.driverId._id);
-                driver.reputation.completedDeals += 1;
-                driver.activeOrders = Math.max(0, driver.activeOrders - 1);
-                await driver.save();
-            }
+        const result = await confirmDealCompletion(ctx, order, user);
 
-            const client = await User.findById(order.clientId._id);
-            client.activeOrders = Math.max(0, client.activeOrders - 1);
-            await client.save();
+        if (!result) {
+            await ctx.answerCbQuery(global.i18n.t(ctx, 'errors.access_denied'));
+            return;
+        }
 
+        if (result.fullyCompleted) {
             await ctx.answerCbQuery('Заказ завершен!');
-
-            // TODO: Show review interface
-
         } else {
-            await order.save();
-            const waitingFor = isClient ? 'водителя' : 'заказчика';
+            const waitingFor = result.isClient ? 'водителя' : 'заказчика';
             await ctx.answerCbQuery(`Отмечено! Ожидаем подтверждения от ${waitingFor}`);
-
-            // Notify the other party
-            const otherPartyId = isClient ? order.driverId.telegramId : order.clientId.telegramId;
-            try {
-                await ctx.telegram.sendMessage(
-                    otherPartyId,
-                    `⏰ Напоминание о заказе #${order._id.toString().slice(-6)}\n\nВторая сторона подтвердила завершение сделки. Пожалуйста, также подтвердите завершение в своих заказах.`
-                );
-            } catch (error) {
-                global.logger.logWarn('Failed to notify other party:', ctx, error.message);
-            }
         }
 
         // Update the message
         await viewMyOrder(ctx, orderId);
 
-        global.logger.logAction('order_completion_marked', {
-            orderId: order._id,
-            userId: user._id,
-            role: isClient ? 'client' : 'driver',
-            fullyCompleted: order.dealCompletedBy.client && order.dealCompletedBy.driver
-        });
-
     } catch (error) {
         await ctx.answerCbQuery(global.i18n.t(ctx, 'errors.general'));
         throw error;
@@ -430,13 +620,15 @@ const cancelOrder = async (ctx, orderId) => {
             return;
         }
 
-        order.status = 'cancelled';
-        await order.save();
+        await order.markCancelled();
 
         // Update user's active orders count
         user.activeOrders = Math.max(0, user.activeOrders - 1);
         await user.save();
 
+        const { updateOrderInGroups } = require('./groups');
+        await updateOrderInGroups(order, 'cancelled', ctx);
+
         await ctx.answerCbQuery('Заказ отменен');
 
         // Update the message
@@ -458,16 +650,14 @@ const cancelOrder = async (ctx, orderId) => {
  */
 const startLocationEdit = async (ctx) => {
     try {
+        locationEditSessions.set(ctx.from.id, { step: 'location', startedAt: Date.now() });
+
         await ctx.answerCbQuery();
         await ctx.editMessageText(
-            '📍 Введите ваше новое местоположение (город):',
+            global.i18n.t(ctx, 'profile.enter_location') + '\n' + global.i18n.t(ctx, 'places.location_hint'),
             getBackButton(ctx, 'profile:view')
         );
 
-        // Set user state for location editing
-        ctx.user.tempState = 'editing_location';
-        await ctx.user.save();
-
     } catch (error) {
         await ctx.answerCbQuery(global.i18n.t(ctx, 'errors.general'));
         throw error;
@@ -476,36 +666,51 @@ const startLocationEdit = async (ctx) => {
 
 /**
  * Handle location update
+ * @returns {boolean} - true if the message was handled
  */
 const handleLocationUpdate = async (ctx) => {
     try {
-        const user = ctx.user;
+        const session = getLocationEditSession(ctx.from.id);
+
+        if (!session) {
+            return false;
+        }
+
         const newLocation = ctx.message.text.trim();
 
         if (newLocation.length < 2) {
-            await ctx.reply('Слишком короткое название. Попробуйте еще раз.');
+            await ctx.reply(global.i18n.t(ctx, 'profile.location_too_short'));
             return true;
         }
 
-        if (user.isDriver()) {
-            user.driverInfo.currentLocation = newLocation;
-        }
-
-        user.tempState = null;
-        await user.save();
+        const { place, suggestions } = resolvePlaceInput(newLocation);
 
-        await ctx.reply('Местоположение обновлено!');
+        if (!place && suggestions.length > 0) {
+            session.typedPlace = newLocation;
+            await askPlaceSuggestion(ctx, newLocation, suggestions, 'profile:place', 'profile:view');
+            return true;
+        }
 
-        // Show updated profile
-        setTimeout(async () => {
-            await showProfile(ctx);
-        }, 1000);
+        await saveLocation(ctx, newLocation, place ? place.id : null);
+        return true;
+    } catch (error) {
+        await ctx.reply(global.i18n.t(ctx, 'errors.general'));
+        throw error;
+    }
+};
 
-        global.logger.logAction('location_updated', {
-            userId: user._id,
-            newLocation: newLocation
-        });
+/**
+ * Handle location pin or venue sent while editing location
+ * @returns {boolean} - true if the message was handled
+ */
+const handleLocationPin = async (ctx) => {
+    try {
+        if (!getLocationEditSession(ctx.from.id)) {
+            return false;
+        }
 
+        const { text, placeId, coordinates } = resolveLocationMessage(ctx, ctx.message);
+        await saveLocation(ctx, text, placeId, coordinates);
         return true;
     } catch (error) {
         await ctx.reply(global.i18n.t(ctx, 'errors.general'));
@@ -513,14 +718,72 @@ const handleLocationUpdate = async (ctx) => {
     }
 };
 
+/**
+ * Handle place picked from suggestions
+ */
+const selectLocationPlace = async (ctx, placeId) => {
+    try {
+        const session = getLocationEditSession(ctx.from.id);
+        const picked = session && session.typedPlace ? getPickedPlace(ctx, placeId, session.typedPlace) : null;
+
+        if (!picked) {
+            await ctx.answerCbQuery(global.i18n.t(ctx, 'errors.general'));
+            return;
+        }
+
+        await ctx.answerCbQuery();
+        await ctx.editMessageText(global.i18n.t(ctx, 'places.selected', { place: picked.text }));
+        await saveLocation(ctx, picked.text, picked.placeId);
+
+    } catch (error) {
+        await ctx.answerCbQuery(global.i18n.t(ctx, 'errors.general'));
+        throw error;
+    }
+};
+
+/**
+ * Store new driver location and show the profile
+ * Typed locations drop the previous pin, the model fills the place centre instead
+ */
+const saveLocation = async (ctx, location, placeId, coordinates = undefined) => {
+    const user = ctx.user;
+    locationEditSessions.delete(ctx.from.id);
+
+    if (user.isDriver()) {
+        user.driverInfo.currentLocation = location;
+        user.driverInfo.currentPlaceId = placeId;
+        user.driverInfo.currentCoordinates = coordinates;
+    }
+
+    await user.save();
+
+    await ctx.reply(global.i18n.t(ctx, 'profile.location_updated'));
+
+    // Show updated profile
+    setTimeout(async () => {
+        await showProfile(ctx);
+    }, 1000);
+
+    global.logger.logAction('location_updated', {
+        userId: user._id,
+        newLocation: location,
+        placeId,
+        fromPin: Boolean(coordinates)
+    });
+};
+
 module.exports = {
     showProfile,
     showMyOrders,
     viewMyOrder,
     showInterestedDrivers,
     selectDriverForOrder,
+    confirmDealCompletion,
     completeOrder,
     cancelOrder,
     startLocationEdit,
-    handleLocationUpdate
+    clearLocationEdit,
+    handleLocationUpdate,
+    handleLocationPin,
+    selectLocationPlace
 };
\ No newline at end of file
@@ -0,0 +1,473 @@
+const User = require('../models/user');
+const Order = require('../models/order');
+const Report = require('../models/report');
+
+// Session storage for report creation
+const reportSessions = new Map();
+
+const REPORT_CATEGORIES = ['fraud', 'no_show', 'payment', 'rude', 'spam', 'other'];
+const MIN_TEXT_LENGTH = 10;
+const MAX_TEXT_LENGTH = 1000;
+
+// Outcome of each admin decision
+const RESOLUTION_STATUSES = {
+    dismiss: 'dismissed',
+    warn: 'warned',
+    ban: 'banned'
+};
+
+/**
+ * Get report button for order views and driver cards
+ */
+const getReportButton = (ctx, callbackData) => {
+    return { text: global.i18n.t(ctx, 'reports.report_button'), callback_data: callbackData };
+};
+
+/**
+ * Start report about the other party of an order
+ */
+const startOrderReport = async (ctx, orderId) => {
+    try {
+        const order = await Order.findById(orderId);
+
+        if (!order) {
+            await ctx.answerCbQuery(global.i18n.t(ctx, 'errors.order_not_found'));
+            return;
+        }
+
+        // Client reports the assigned driver, anyone else reports the client
+        const isClient = order.clientId.toString() === ctx.user._id.toString();
+        const targetUserId = isClient ? order.driverId : order.clientId;
+
+        if (!targetUserId) {
+            await ctx.answerCbQuery(global.i18n.t(ctx, 'reports.nobody_to_report'));
+            return;
+        }
+
+        await startReport(ctx, targetUserId, order._id);
+
+    } catch (error) {
+        await ctx.answerCbQuery(global.i18n.t(ctx, 'errors.general'));
+        throw error;
+    }
+};
+
+/**
+ * Start report about a user
+ */
+const startUserReport = async (ctx, targetUserId, orderId = null) => {
+    try {
+        const target = await User.findById(targetUserId);
+
+        if (!target) {
+            await ctx.answerCbQuery(global.i18n.t(ctx, 'moderation.user_not_found'));
+            return;
+        }
+
+        await startReport(ctx, target._id, orderId);
+
+    } catch (error) {
+        await ctx.answerCbQuery(global.i18n.t(ctx, 'errors.general'));
+        throw error;
+    }
+};
+
+/**
+ * Ask for a reason category
+ */
+const startReport = async (ctx, targetUserId, orderId) => {
+    if (targetUserId.toString() === ctx.user._id.toString()) {
+        await ctx.answerCbQuery(global.i18n.t(ctx, 'reports.cannot_report_self'));
+        return;
+    }
+
+    // One pending report per reporter, target and order
+    const duplicate = await Report.exists({
+        reporterId: ctx.user._id,
+        targetUserId,
+        orderId,
+        status: 'pending'
+    });
+
+    if (duplicate) {
+        await ctx.answerCbQuery(global.i18n.t(ctx, 'reports.already_reported'), { show_alert: true });
+        return;
+    }
+
+    reportSessions.set(ctx.from.id, {
+        step: 'category',
+        targetUserId: targetUserId.toString(),
+        orderId: orderId ? orderId.toString() : null
+    });
+
+    const keyboard = REPORT_CATEGORIES.map(category => [{
+        text: global.i18n.t(ctx, `reports.categories.${category}`),
+        callback_data: `report:cat:${category}`
+    }]);
+    keyboard.push([{ text: global.i18n.t(ctx, 'buttons.cancel'), callback_data: 'report:cancel' }]);
+
+    await ctx.answerCbQuery();
+    await ctx.reply(global.i18n.t(ctx, 'reports.choose_category'), { reply_markup: { inline_keyboard: keyboard } });
+};
+
+/**
+ * Handle category selection
+ */
+const handleReportCategory = async (ctx, category) => {
+    try {
+        const session = reportSessions.get(ctx.from.id);
+
+        if (!session || !REPORT_CATEGORIES.includes(category)) {
+            await ctx.answerCbQuery(global.i18n.t(ctx, 'reports.session_expired'));
+            return;
+        }
+
+        session.step = 'text';
+        session.category = category;
+
+        await ctx.answerCbQuery();
+        await ctx.editMessageText(
+            global.i18n.t(ctx, 'reports.enter_text', {
+                category: global.i18n.t(ctx, `reports.categories.${category}`),
+                min: MIN_TEXT_LENGTH
+            }),
+            { reply_markup: { inline_keyboard: [[{ text: global.i18n.t(ctx, 'buttons.cancel'), callback_data: 'report:cancel' }]] } }
+        );
+
+    } catch (error) {
+        await ctx.answerCbQuery(global.i18n.t(ctx, 'errors.general'));
+        throw error;
+    }
+};
+
+/**
+ * Handle report text
+ * @returns {boolean} - true if the message was handled
+ */
+const handleReportTextStep = async (ctx) => {
+    try {
+        const session = reportSessions.get(ctx.from.id);
+
+        if (!session || session.step !== 'text') {
+            return false;
+        }
+
+        const text = ctx.message.text.trim();
+
+        if (text.length < MIN_TEXT_LENGTH || text.length > MAX_TEXT_LENGTH) {
+            await ctx.reply(global.i18n.t(ctx, 'reports.invalid_text', { min: MIN_TEXT_LENGTH, max: MAX_TEXT_LENGTH }));
+            return true;
+        }
+
+        session.step = 'photo';
+        session.text = text;
+
+        await ctx.reply(
+            global.i18n.t(ctx, 'reports.send_photo'),
+            { reply_markup: { inline_keyboard: [[{ text: global.i18n.t(ctx, 'orders.skip'), callback_data: 'report:skip' }]] } }
+        );
+
+        return true;
+    } catch (error) {
+        await ctx.reply(global.i18n.t(ctx, 'errors.general'));
+        throw error;
+    }
+};
+
+/**
+ * Handle photo evidence
+ * @returns {boolean} - true if the message was handled
+ */
+const handleReportPhoto = async (ctx) => {
+    try {
+        const session = reportSessions.get(ctx.from.id);
+
+        if (!session || session.step !== 'photo') {
+            return false;
+        }
+
+        // Telegram sends several sizes, the last one is the largest
+        const photos = ctx.message.photo;
+        session.photoFileId = photos[photos.length - 1].file_id;
+
+        await submitReport(ctx, session);
+        return true;
+    } catch (error) {
+        await ctx.reply(global.i18n.t(ctx, 'errors.general'));
+        throw error;
+    }
+};
+
+/**
+ * Submit report without photo
+ */
+const skipReportPhoto = async (ctx) => {
+    try {
+        const session = reportSessions.get(ctx.from.id);
+
+        if (!session || session.step !== 'photo') {
+            await ctx.answerCbQuery(global.i18n.t(ctx, 'reports.session_expired'));
+            return;
+        }
+
+        await ctx.answerCbQuery();
+        await ctx.editMessageReplyMarkup({ inline_keyboard: [] });
+        await submitReport(ctx, session);
+
+    } catch (error) {
+        await ctx.answerCbQuery(global.i18n.t(ctx, 'errors.general'));
+        throw error;
+    }
+};
+
+/**
+ * Cancel report creation
+ */
+const cancelReport = async (ctx) => {
+    try {
+        reportSessions.delete(ctx.from.id);
+
+        await ctx.answerCbQuery();
+        await ctx.editMessageText(global.i18n.t(ctx, 'reports.cancelled'));
+
+    } catch (error) {
+        await ctx.answerCbQuery(global.i18n.t(ctx, 'errors.general'));
+        throw error;
+    }
+};
+
+/**
+ * Store report and alert moderators
+ */
+const submitReport = async (ctx, session) => {
+    reportSessions.delete(ctx.from.id);
+
+    const report = await Report.create({
+        reporterId: ctx.user._id,
+        targetUserId: session.targetUserId,
+        orderId: session.orderId,
+        category: session.category,
+        text: session.text,
+        photoFileId: session.photoFileId
+    });
+
+    await ctx.reply(global.i18n.t(ctx, 'reports.submitted', { reportId: report._id.toString().slice(-6) }));
+
+    const { notifyAdmins } = require('./admin');
+    await notifyAdmins(
+        ctx.telegram,
+        (adminCtx) => global.i18n.t(adminCtx, 'reports.admin_new_report', {
+            category: global.i18n.t(adminCtx, `reports.categories.${report.category}`),
+            reportId: report._id.toString().slice(-6)
+        }),
+        (adminCtx) => ({
+            reply_markup: {
+                inline_keyboard: [[{ text: global.i18n.t(adminCtx, 'reports.open_queue'), callback_data: 'admin:reports:0' }]]
+            }
+        }),
+        'reports.review'
+    );
+
+    global.logger.logAction('report_submitted', {
+        reportId: report._id,
+        reporterId: ctx.user._id,
+        targetUserId: session.targetUserId,
+        orderId: session.orderId,
+        category: session.category,
+        hasPhoto: !!session.photoFileId
+    });
+};
+
+/**
+ * Show pending reports one at a time, oldest first
+ */
+const showReportsQueue = async (ctx, offset = 0) => {
+    try {
+        const { hasPermission } = require('./admin');
+        const pendingCount = await Report.countDocuments({ status: 'pending' });
+
+        offset = pendingCount > 0 ? offset % pendingCount : 0;
+        const report = pendingCount > 0 ? await Report.findPending(offset) : null;
+
+        // Another admin may have resolved the last report in between
+        if (!report) {
+            await ctx.answerCbQuery();
+            await ctx.editMessageText(
+                global.i18n.t(ctx, 'reports.queue_empty'),
+                { reply_markup: { inline_keyboard: [[{ text: global.i18n.t(ctx, 'buttons.back'), callback_data: 'admin:menu' }]] } }
+            );
+            return;
+        }
+
+        // Either side may have deleted their account since
+        const target = report.targetUserId;
+        const reporter = report.reporterId;
+        const deletedUser = global.i18n.t(ctx, 'reports.deleted_user');
+        const previousReports = target
+            ? await Report.countDocuments({ targetUserId: target._id, _id: { $ne: report._id } })
+            : 0;
+
+        let message = global.i18n.t(ctx, 'reports.queue_title', { position: offset + 1, total: pendingCount }) + '\n\n';
+        message += global.i18n.t(ctx, 'reports.report_details', {
+            reportId: report._id.toString().slice(-6),
+            category: global.i18n.t(ctx, `reports.categories.${report.category}`),
+            reporter: reporter ? `${reporter.profile.fullName} (${reporter.telegramId})` : deletedUser,
+            target: target ? `${target.profile.fullName} (${target.telegramId})` : deletedUser,
+            orderId: report.orderId ? report.orderId.toString().slice(-6) : '—',
+            text: report.text,
+            previousReports,
+            warnings: target ? target.moderationHistory.filter(entry => entry.action === 'warn').length : 0,
+            date: report.createdAt.toLocaleString('ru-RU')
+        });
+
+        const id = report._id;
+        const keyboard = [];
+
+        if (report.photoFileId) {
+            keyboard.push([{ text: global.i18n.t(ctx, 'reports.show_photo'), callback_data: `admin:report:photo:${id}` }]);
+        }
+
+        const actions = [
+            { text: global.i18n.t(ctx, 'reports.dismiss_button'), callback_data: `admin:report:dismiss:${id}` }
+        ];
+
+        // There is nobody to moderate without the reported user
+        if (target) {
+            actions.push({ text: global.i18n.t(ctx, 'reports.warn_button'), callback_data: `admin:report:warn:${id}` });
+        }
+
+        if (target && hasPermission(ctx.adminRole, 'users.moderate')) {
+            actions.push({ text: global.i18n.t(ctx, 'reports.ban_button'), callback_data: `admin:report:ban:${id}` });
+        }
+
+        keyboard.push(actions);
+
+        if (pendingCount > 1) {
+            keyboard.push([{ text: global.i18n.t(ctx, 'reports.next_button'), callback_data: `admin:reports:${offset + 1}` }]);
+        }
+
+        keyboard.push([{ text: global.i18n.t(ctx, 'buttons.back'), callback_data: 'admin:menu' }]);
+
+        await ctx.answerCbQuery();
+        await ctx.editMessageText(message, { reply_markup: { inline_keyboard: keyboard } });
+
+    } catch (error) {
+        await ctx.answerCbQuery(global.i18n.t(ctx, 'errors.general'));
+        throw error;
+    }
+};
+
+/**
+ * Send report photo to the admin
+ */
+const showReportPhoto = async (ctx, reportId) => {
+    try {
+        const report = await Report.findById(reportId);
+
+        if (!report || !report.photoFileId) {
+            await ctx.answerCbQuery(global.i18n.t(ctx, 'reports.not_found'));
+            return;
+        }
+
+        await ctx.answerCbQuery();
+        await ctx.replyWithPhoto(report.photoFileId, {
+            caption: global.i18n.t(ctx, 'reports.photo_caption', { reportId: report._id.toString().slice(-6) })
+        });
+
+    } catch (error) {
+        await ctx.answerCbQuery(global.i18n.t(ctx, 'errors.general'));
+        throw error;
+    }
+};
+
+/**
+ * Resolve a report: dismiss it, warn or ban the reported user
+ */
+const resolveReport = async (ctx, reportId, decision) => {
+    try {
+        const { hasPermission } = require('./admin');
+        const status = RESOLUTION_STATUSES[decision];
+
+        if (!status || (decision === 'ban' && !hasPermission(ctx.adminRole, 'users.moderate'))) {
+            await ctx.answerCbQuery(global.i18n.t(ctx, 'admin.access_denied'));
+            return;
+        }
+
+        if (decision !== 'dismiss') {
+            const { getModerationRefusal } = require('./moderation');
+            const pending = await Report.findById(reportId).populate('targetUserId', 'telegramId');
+
+            if (pending && !pending.targetUserId) {
+                await ctx.answerCbQuery(global.i18n.t(ctx, 'reports.target_deleted'), { show_alert: true });
+                return;
+            }
+
+            const refusal = pending ? await getModerationRefusal(ctx, pending.targetUserId, decision) : null;
+
+            if (refusal) {
+                await ctx.answerCbQuery(global.i18n.t(ctx, refusal), { show_alert: true });
+                return;
+            }
+        }
+
+        // Conditional update so two admins cannot resolve the same report
+        const report = await Report.findOneAndUpdate(
+            { _id: reportId, status: 'pending' },
+            { $set: { status, resolvedBy: ctx.from.id, resolvedAt: new Date() } },
+            { new: true }
+        ).populate('reporterId', 'telegramId language');
+
+        if (!report) {
+            await ctx.answerCbQuery(global.i18n.t(ctx, 'reports.already_resolved'));
+            return;
+        }
+
+        if (decision !== 'dismiss') {
+            const { moderateUser } = require('./moderation');
+            const target = await User.findById(report.targetUserId);
+            const category = global.i18n.t({ locale: target.language }, `reports.categories.${report.category}`);
+
+            await moderateUser(ctx, target, decision, null, `${category}: ${report.text}`);
+        }
+
+        // Tell the reporter how it ended, unless they deleted their account
+        if (report.reporterId) {
+            try {
+                await ctx.telegram.sendMessage(
+                    report.reporterId.telegramId,
+                    global.i18n.t({ locale: report.reporterId.language }, `reports.outcome.${status}`, {
+                        reportId: report._id.toString().slice(-6)
+                    })
+                );
+            } catch (error) {
+                global.logger.logWarn('Failed to notify reporter:', ctx, { reportId: report._id, error: error.message });
+            }
+        }
+
+        global.logger.logAction('report_resolved', {
+            reportId: report._id,
+            adminId: ctx.from.id,
+            decision
+        });
+
+        await showReportsQueue(ctx, 0);
+
+    } catch (error) {
+        await ctx.answerCbQuery(global.i18n.t(ctx, 'errors.general'));
+        throw error;
+    }
+};
+
+module.exports = {
+    getReportButton,
+    startOrderReport,
+    startUserReport,
+    handleReportCategory,
+    handleReportTextStep,
+    handleReportPhoto,
+    skipReportPhoto,
+    cancelReport,
+    showReportsQueue,
+    showReportPhoto,
+    resolveReport
+};
\ No newline at end of file
@@ -0,0 +1,417 @@
+const mongoose = require('mongoose');
+const User = require('../models/user');
+const Order = require('../models/order');
+
+// Session storage for the optional comment step
+const reviewSessions = new Map();
+
+const MAX_COMMENT_LENGTH = 500;
+
+// Later messages are not taken as the comment
+const COMMENT_WINDOW_MS = 10 * 60 * 1000;
+
+/**
+ * Render a rating as stars
+ */
+const formatStars = (rating) => {
+    return '★'.repeat(rating) + '☆'.repeat(5 - rating);
+};
+
+/**
+ * Get the review field written by a user for an order
+ * clientReview is left by the client about the driver, driverReview by the driver about the client
+ */
+const getReviewerRole = (order, user) => {
+    const clientId = order.clientId._id || order.clientId;
+    const driverId = order.driverId?._id || order.driverId;
+
+    if (clientId.toString() === user._id.toString()) return 'client';
+    if (driverId && driverId.toString() === user._id.toString()) return 'driver';
+    return null;
+};
+
+/**
+ * Get 1-5 star rating keyboard
+ */
+const getRatingKeyboard = (orderId) => {
+    return {
+        inline_keyboard: [
+            [1, 2, 3, 4, 5].map(rating => ({
+                text: `${rating}⭐`,
+                callback_data: `review:rate:${orderId}:${rating}`
+            }))
+        ]
+    };
+};
+
+/**
+ * Send review prompts to both parties of a completed order
+ */
+const promptReviews = async (ctx, order) => {
+    const parties = await User.find({ _id: { $in: [order.clientId._id || order.clientId, order.driverId._id || order.driverId] } });
+
+    for (const party of parties) {
+        const role = getReviewerRole(order, party);
+        const counterpartKey = role === 'client' ? 'reviews.about_driver' : 'reviews.about_client';
+
+        try {
+            await ctx.telegram.sendMessage(
+                party.telegramId,
+                global.i18n.t(ctx, 'reviews.prompt', {
+                    orderId: order._id.toString().slice(-6),
+                    counterpart: global.i18n.t(ctx, counterpartKey)
+                }),
+                { reply_markup: getRatingKeyboard(order._id) }
+            );
+        } catch (error) {
+            global.logger.logWarn('Failed to send review prompt:', ctx, { userId: party._id, error: error.message });
+        }
+    }
+
+    global.logger.logAction('review_prompts_sent', {
+        orderId: order._id
+    });
+};
+
+/**
+ * Check that a user can still review an order
+ * @returns {Object} - { role } or { error } with a translation key
+ */
+const getReviewAccess = (order, user) => {
+    if (!order || !order.isCompleted()) {
+        return { error: 'reviews.not_available' };
+    }
+
+    const role = getReviewerRole(order, user);
+    if (!role) {
+        return { error: 'errors.access_denied' };
+    }
+
+    if (order.reviews[`${role}Review`]?.rating) {
+        return { error: 'reviews.already_submitted' };
+    }
+
+    return { role };
+};
+
+const getReviewPrompt = (ctx, order, role) => {
+    return global.i18n.t(ctx, 'reviews.prompt', {
+        orderId: order._id.toString().slice(-6),
+        counterpart: global.i18n.t(ctx, role === 'client' ? 'reviews.about_driver' : 'reviews.about_client')
+    });
+};
+
+/**
+ * Show rating keyboard for a completed order (from deals or profile)
+ */
+const startReview = async (ctx, orderId) => {
+    try {
+        const order = await Order.findById(orderId);
+        const { role, error } = getReviewAccess(order, ctx.user);
+
+        if (error) {
+            await ctx.answerCbQuery(global.i18n.t(ctx, error));
+            return;
+        }
+
+        await ctx.answerCbQuery();
+        await ctx.editMessageText(getReviewPrompt(ctx, order, role), { reply_markup: getRatingKeyboard(order._id) });
+
+    } catch (error) {
+        await ctx.answerCbQuery(global.i18n.t(ctx, 'errors.general'));
+        throw error;
+    }
+};
+
+/**
+ * Send the rating keyboard as a new message, for review deep links
+ */
+const sendReviewPrompt = async (ctx, orderId) => {
+    const order = mongoose.isValidObjectId(orderId) ? await Order.findById(orderId) : null;
+    const { role, error } = getReviewAccess(order, ctx.user);
+
+    if (error) {
+        await ctx.reply(global.i18n.t(ctx, error));
+        return;
+    }
+
+    await ctx.reply(getReviewPrompt(ctx, order, role), { reply_markup: getRatingKeyboard(order._id) });
+};
+
+/**
+ * Handle star rating selection
+ */
+const handleRating = async (ctx, orderId, rating) => {
+    try {
+        rating = parseInt(rating);
+        const order = await Order.findById(orderId);
+
+        if (!order || !order.isCompleted() || isNaN(rating) || rating < 1 || rating > 5) {
+            await ctx.answerCbQuery(global.i18n.t(ctx, 'reviews.not_available'));
+            return;
+        }
+
+        const role = getReviewerRole(order, ctx.user);
+        if (!role) {
+            await ctx.answerCbQuery(global.i18n.t(ctx, 'errors.access_denied'));
+            return;
+        }
+
+        if (order.reviews[`${role}Review`]?.rating) {
+            await ctx.answerCbQuery(global.i18n.t(ctx, 'reviews.already_submitted'));
+            await ctx.editMessageReplyMarkup({ inline_keyboard: [] });
+            return;
+        }
+
+        reviewSessions.set(ctx.from.id, { orderId: order._id.toString(), rating, startedAt: Date.now() });
+
+        await ctx.answerCbQuery();
+        await ctx.editMessageText(
+            global.i18n.t(ctx, 'reviews.enter_comment', { stars: formatStars(rating) }),
+            {
+                reply_markup: {
+                    inline_keyboard: [[
+                        { text: global.i18n.t(ctx, 'orders.skip'), callback_data: `review:skip:${order._id}` }
+                    ]]
+                }
+            }
+        );
+
+    } catch (error) {
+        await ctx.answerCbQuery(global.i18n.t(ctx, 'errors.general'));
+        throw error;
+    }
+};
+
+/**
+ * Handle comment text for a pending review
+ */
+const handleReviewCommentStep = async (ctx) => {
+    try {
+        const session = reviewSessions.get(ctx.from.id);
+
+        if (!session) {
+            return false; // No pending review
+        }
+
+        if (Date.now() - session.startedAt > COMMENT_WINDOW_MS) {
+            reviewSessions.delete(ctx.from.id);
+            return false;
+        }
+
+        const comment = ctx.message.text?.trim();
+
+        if (!comment) {
+            return false;
+        }
+
+        if (comment.length > MAX_COMMENT_LENGTH) {
+            await ctx.reply(global.i18n.t(ctx, 'reviews.comment_too_long', { max: MAX_COMMENT_LENGTH }));
+            return true;
+        }
+
+        reviewSessions.delete(ctx.from.id);
+
+        const submitted = await submitReview(ctx, session.orderId, session.rating, comment);
+        await ctx.reply(global.i18n.t(ctx, submitted ? 'reviews.thanks' : 'reviews.already_submitted'));
+
+        return true;
+    } catch (error) {
+        await ctx.reply(global.i18n.t(ctx, 'errors.general'));
+        throw error;
+    }
+};
+
+/**
+ * Drop a pending comment step when the user moves on to something else
+ */
+const cancelReviewComment = (telegramId) => {
+    reviewSessions.delete(telegramId);
+};
+
+/**
+ * Submit a review without comment
+ */
+const skipReviewComment = async (ctx, orderId) => {
+    try {
+        const session = reviewSessions.get(ctx.from.id);
+
+        if (!session || session.orderId !== orderId) {
+            await ctx.answerCbQuery(global.i18n.t(ctx, 'reviews.not_available'));
+            return;
+        }
+
+        reviewSessions.delete(ctx.from.id);
+
+        const submitted = await submitReview(ctx, session.orderId, session.rating, null);
+
+        await ctx.answerCbQuery();
+        await ctx.editMessageText(global.i18n.t(ctx, submitted ? 'reviews.thanks' : 'reviews.already_submitted'));
+
+    } catch (error) {
+        await ctx.answerCbQuery(global.i18n.t(ctx, 'errors.general'));
+        throw error;
+    }
+};
+
+/**
+ * Store a review once and update the counterpart's reputation
+ * @returns {boolean} - false if the review was already submitted
+ */
+const submitReview = async (ctx, orderId, rating, comment) => {
+    const order = await Order.findById(orderId);
+    const role = order && getReviewerRole(order, ctx.user);
+
+    if (!role || !order.isCompleted()) {
+        return false;
+    }
+
+    const field = `reviews.${role}Review`;
+
+    const update = {
+        [`${field}.rating`]: rating,
+        [`${field}.createdAt`]: new Date()
+    };
+
+    if (comment) {
+        update[`${field}.comment`] = comment;
+    }
+
+    // Conditional update locks the review after the first submission
+    const result = await Order.updateOne(
+        { _id: order._id, [`${field}.rating`]: { $exists: false } },
+        { $set: update }
+    );
+
+    if (result.modifiedCount === 0) {
+        return false;
+    }
+
+    const counterpartId = role === 'client' ? order.driverId : order.clientId;
+    await recalculateReputation(counterpartId);
+
+    // Let the counterpart know
+    const counterpart = await User.findById(counterpartId);
+    if (counterpart) {
+        try {
+            await ctx.telegram.sendMessage(
+                counterpart.telegramId,
+                global.i18n.t(ctx, 'reviews.received', {
+                    orderId: order._id.toString().slice(-6),
+                    stars: formatStars(rating),
+                    comment: comment ? `\n💬 ${comment}` : ''
+                })
+            );
+        } catch (error) {
+            global.logger.logWarn('Failed to notify about new review:', ctx, { userId: counterpartId, error: error.message });
+        }
+    }
+
+    global.logger.logAction('review_submitted', {
+        orderId: order._id,
+        reviewerId: ctx.user._id,
+        counterpartId,
+        role,
+        rating
+    });
+
+    return true;
+};
+
+/**
+ * Recalculate user's rating from all reviews left about them
+ */
+const recalculateReputation = async (userId) => {
+    const id = new mongoose.Types.ObjectId(userId.toString());
+
+    const [stats] = await Order.aggregate([
+        {
+            $match: {
+                $or: [
+                    { driverId: id, 'reviews.clientReview.rating': { $exists: true } },
+                    { clientId: id, 'reviews.driverReview.rating': { $exists: true } }
+                ]
+            }
+        },
+        {
+            $project: {
+                rating: {
+                    $cond: [{ $eq: ['$driverId', id] }, '$reviews.clientReview.rating', '$reviews.driverReview.rating']
+                }
+            }
+        },
+        { $group: { _id: null, average: { $avg: '$rating' }, count: { $sum: 1 } } }
+    ]);
+
+    const rating = stats ? Math.round(stats.average * 10) / 10 : 0;
+    const totalReviews = stats ? stats.count : 0;
+
+    await User.updateOne(
+        { _id: id },
+        { $set: { 'reputation.rating': rating, 'reputation.totalReviews': totalReviews } }
+    );
+
+    global.logger.logAction('reputation_recalculated', {
+        userId: id,
+        rating,
+        totalReviews
+    });
+};
+
+/**
+ * Get latest reviews left about a user
+ */
+const getRecentReviews = async (userId, limit = 3) => {
+    const orders = await Order.find({
+        $or: [
+            { driverId: userId, 'reviews.clientReview.rating': { $exists: true } },
+            { clientId: userId, 'reviews.driverReview.rating': { $exists: true } }
+        ]
+    })
+        .sort({ completedAt: -1 })
+        .limit(limit)
+        .lean();
+
+    return orders.map(order => {
+        const isDriver = order.driverId && order.driverId.toString() === userId.toString();
+        return isDriver ? order.reviews.clientReview : order.reviews.driverReview;
+    });
+};
+
+/**
+ * Format latest reviews block for the profile
+ */
+const formatRecentReviews = async (user, ctx) => {
+    const reviews = await getRecentReviews(user._id);
+
+    if (reviews.length === 0) {
+        return global.i18n.t(ctx, 'reviews.no_reviews');
+    }
+
+    let text = global.i18n.t(ctx, 'reviews.profile_title', { count: user.reputation.totalReviews || reviews.length }) + '\n';
+
+    reviews.forEach(review => {
+        text += `${formatStars(review.rating)}`;
+        if (review.comment) {
+            text += ` — ${review.comment}`;
+        }
+        text += '\n';
+    });
+
+    return text.trim();
+};
+
+module.exports = {
+    formatStars,
+    promptReviews,
+    startReview,
+    sendReviewPrompt,
+    handleRating,
+    handleReviewCommentStep,
+    cancelReviewComment,
+    skipReviewComment,
+    submitReview,
+    recalculateReputation,
+    getRecentReviews,
+    formatRecentReviews
+};
\ No newline at end of file
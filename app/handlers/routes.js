@@ -0,0 +1,333 @@
+const { getBackButton } = require('./common');
+const { resolvePlaceInput, askPlaceSuggestion, getPickedPlace } = require('./places');
+
+// Session storage for adding preferred routes
+const routeSessions = new Map();
+
+// An unfinished route is dropped after this long
+const ROUTE_SESSION_TTL_MS = 30 * 60 * 1000;
+
+const MAX_PREFERRED_ROUTES = 5;
+
+// Weekdays in button order, Monday first; Sunday is 0 as in Date.getDay()
+const WEEK_DAYS = [1, 2, 3, 4, 5, 6, 0];
+
+/**
+ * Format a route with its days
+ */
+const formatRoute = (ctx, route) => {
+    const days = route.days && route.days.length > 0
+        ? WEEK_DAYS.filter(day => route.days.includes(day)).map(day => global.i18n.t(ctx, `routes.days.${day}`)).join(', ')
+        : global.i18n.t(ctx, 'routes.any_day');
+
+    return `${route.from} → ${route.to} (${days})`;
+};
+
+/**
+ * Get the user's unfinished route, dropping it once it went stale
+ */
+const getRouteSession = (telegramId) => {
+    const session = routeSessions.get(telegramId);
+
+    if (session && Date.now() - session.startedAt > ROUTE_SESSION_TTL_MS) {
+        routeSessions.delete(telegramId);
+        return null;
+    }
+
+    return session || null;
+};
+
+/**
+ * Drop an unfinished route, e.g. when the user leaves to the profile or starts another flow
+ */
+const clearRouteSession = (telegramId) => {
+    routeSessions.delete(telegramId);
+};
+
+/**
+ * Show the driver's preferred routes
+ */
+const showRoutes = async (ctx) => {
+    try {
+        const user = ctx.user;
+        routeSessions.delete(ctx.from.id);
+
+        if (!user.isDriver()) {
+            await ctx.answerCbQuery(global.i18n.t(ctx, 'errors.access_denied'));
+            return;
+        }
+
+        const routes = user.driverInfo.preferredRoutes;
+
+        let message = global.i18n.t(ctx, 'routes.title');
+        if (routes.length === 0) {
+            message += '\n\n' + global.i18n.t(ctx, 'routes.empty');
+        } else {
+            message += '\n\n' + routes.map((route, index) => `${index + 1}. ${formatRoute(ctx, route)}`).join('\n');
+        }
+
+        const keyboard = routes.map((route, index) => [{
+            text: global.i18n.t(ctx, 'routes.remove_button', { number: index + 1 }),
+            callback_data: `routes:del:${route._id}`
+        }]);
+
+        if (routes.length < MAX_PREFERRED_ROUTES) {
+            keyboard.push([{ text: global.i18n.t(ctx, 'routes.add_button'), callback_data: 'routes:add' }]);
+        }
+        keyboard.push([{ text: global.i18n.t(ctx, 'buttons.back'), callback_data: 'profile:view' }]);
+
+        await ctx.answerCbQuery();
+        await ctx.editMessageText(message, { reply_markup: { inline_keyboard: keyboard } });
+
+    } catch (error) {
+        await ctx.answerCbQuery(global.i18n.t(ctx, 'errors.general'));
+        throw error;
+    }
+};
+
+/**
+ * Start adding a route with its start
+ */
+const startRouteAdd = async (ctx) => {
+    try {
+        if (!ctx.user.isDriver() || ctx.user.driverInfo.preferredRoutes.length >= MAX_PREFERRED_ROUTES) {
+            await ctx.answerCbQuery(global.i18n.t(ctx, 'routes.limit_reached', { max: MAX_PREFERRED_ROUTES }));
+            return;
+        }
+
+        routeSessions.set(ctx.from.id, { step: 'from', data: { days: [] }, startedAt: Date.now() });
+
+        await ctx.answerCbQuery();
+        await ctx.editMessageText(global.i18n.t(ctx, 'routes.enter_from'), getBackButton(ctx, 'routes:list'));
+
+    } catch (error) {
+        await ctx.answerCbQuery(global.i18n.t(ctx, 'errors.general'));
+        throw error;
+    }
+};
+
+/**
+ * Store a route end and ask for the next step
+ * Corridors are matched by gazetteer places, so both ends need one
+ */
+const setRoutePlace = async (ctx, session, text, placeId) => {
+    if (!placeId) {
+        await ctx.reply(global.i18n.t(ctx, 'routes.place_required'));
+        return;
+    }
+
+    if (session.step === 'from') {
+        session.data.from = text;
+        session.data.fromPlaceId = placeId;
+        session.step = 'to';
+
+        await ctx.reply(global.i18n.t(ctx, 'routes.enter_to'));
+        return;
+    }
+
+    if (placeId === session.data.fromPlaceId) {
+        await ctx.reply(global.i18n.t(ctx, 'routes.same_place'));
+        return;
+    }
+
+    session.data.to = text;
+    session.data.toPlaceId = placeId;
+    session.step = 'days';
+
+    await ctx.reply(global.i18n.t(ctx, 'routes.choose_days'), getDaysKeyboard(ctx, session.data.days));
+};
+
+/**
+ * Handle typed route ends
+ * @returns {boolean} - true if the message was handled
+ */
+const handleRouteInput = async (ctx) => {
+    try {
+        const session = getRouteSession(ctx.from.id);
+
+        if (!session) {
+            return false;
+        }
+
+        if (session.step !== 'from' && session.step !== 'to') {
+            await ctx.reply(global.i18n.t(ctx, 'cargo.use_buttons'));
+            return true;
+        }
+
+        const text = ctx.message.text.trim();
+        const { place, suggestions } = resolvePlaceInput(text);
+
+        if (place) {
+            const picked = getPickedPlace(ctx, place.id, text);
+            await setRoutePlace(ctx, session, picked.text, picked.placeId);
+        } else if (suggestions.length > 0) {
+            session.typedPlace = text;
+            await askPlaceSuggestion(ctx, text, suggestions, 'routes:place', 'routes:list', false);
+        } else {
+            await ctx.reply(global.i18n.t(ctx, 'routes.place_required'));
+        }
+
+        return true;
+    } catch (error) {
+        await ctx.reply(global.i18n.t(ctx, 'errors.general'));
+        throw error;
+    }
+};
+
+/**
+ * Handle place picked from suggestions
+ */
+const selectRoutePlace = async (ctx, placeId) => {
+    try {
+        const session = getRouteSession(ctx.from.id);
+        const picked = session && session.typedPlace ? getPickedPlace(ctx, placeId, session.typedPlace) : null;
+
+        if (!picked) {
+            await ctx.answerCbQuery(global.i18n.t(ctx, 'errors.general'));
+            return;
+        }
+
+        await ctx.answerCbQuery();
+        if (picked.placeId) {
+            await ctx.editMessageText(global.i18n.t(ctx, 'places.selected', { place: picked.text }));
+        }
+        await setRoutePlace(ctx, session, picked.text, picked.placeId);
+
+    } catch (error) {
+        await ctx.answerCbQuery(global.i18n.t(ctx, 'errors.general'));
+        throw error;
+    }
+};
+
+/**
+ * Build weekday toggles, no checked day means any day
+ */
+const getDaysKeyboard = (ctx, days) => {
+    const dayButtons = WEEK_DAYS.map(day => ({
+        text: (days.includes(day) ? '✅ ' : '') + global.i18n.t(ctx, `routes.days.${day}`),
+        callback_data: `routes:day:${day}`
+    }));
+
+    return {
+        reply_markup: {
+            inline_keyboard: [
+                dayButtons.slice(0, 4),
+                dayButtons.slice(4),
+                [{ text: (days.length === 0 ? '✅ ' : '') + global.i18n.t(ctx, 'routes.any_day'), callback_data: 'routes:day:any' }],
+                [{ text: global.i18n.t(ctx, 'routes.save'), callback_data: 'routes:save' }],
+                [{ text: global.i18n.t(ctx, 'buttons.cancel'), callback_data: 'routes:list' }]
+            ]
+        }
+    };
+};
+
+/**
+ * Toggle a weekday, "any" clears them all
+ */
+const toggleRouteDay = async (ctx, day) => {
+    try {
+        const session = getRouteSession(ctx.from.id);
+
+        if (!session || session.step !== 'days') {
+            await ctx.answerCbQuery(global.i18n.t(ctx, 'errors.general'));
+            return;
+        }
+
+        if (day === 'any') {
+            session.data.days = [];
+        } else {
+            const value = parseInt(day);
+            const index = session.data.days.indexOf(value);
+
+            if (index === -1) {
+                session.data.days.push(value);
+            } else {
+                session.data.days.splice(index, 1);
+            }
+        }
+
+        await ctx.answerCbQuery();
+        await ctx.editMessageReplyMarkup(getDaysKeyboard(ctx, session.data.days).reply_markup);
+
+    } catch (error) {
+        await ctx.answerCbQuery(global.i18n.t(ctx, 'errors.general'));
+        throw error;
+    }
+};
+
+/**
+ * Save the route and show the list
+ */
+const saveRoute = async (ctx) => {
+    try {
+        const session = getRouteSession(ctx.from.id);
+        const user = ctx.user;
+
+        if (!session || session.step !== 'days') {
+            await ctx.answerCbQuery(global.i18n.t(ctx, 'errors.general'));
+            return;
+        }
+
+        if (user.driverInfo.preferredRoutes.length >= MAX_PREFERRED_ROUTES) {
+            await ctx.answerCbQuery(global.i18n.t(ctx, 'routes.limit_reached', { max: MAX_PREFERRED_ROUTES }));
+            return;
+        }
+
+        user.driverInfo.preferredRoutes.push(session.data);
+        await user.save();
+
+        await showRoutes(ctx);
+
+        global.logger.logAction('preferred_route_added', {
+            userId: user._id,
+            from: session.data.fromPlaceId,
+            to: session.data.toPlaceId,
+            days: session.data.days
+        });
+
+    } catch (error) {
+        await ctx.answerCbQuery(global.i18n.t(ctx, 'errors.general'));
+        throw error;
+    }
+};
+
+/**
+ * Remove a route
+ */
+const removeRoute = async (ctx, routeId) => {
+    try {
+        const user = ctx.user;
+        const route = user.driverInfo.preferredRoutes.id(routeId);
+
+        if (!route) {
+            await ctx.answerCbQuery(global.i18n.t(ctx, 'routes.not_found'));
+            return;
+        }
+
+        route.deleteOne();
+        await user.save();
+
+        await showRoutes(ctx);
+
+        global.logger.logAction('preferred_route_removed', {
+            userId: user._id,
+            from: route.fromPlaceId,
+            to: route.toPlaceId
+        });
+
+    } catch (error) {
+        await ctx.answerCbQuery(global.i18n.t(ctx, 'errors.general'));
+        throw error;
+    }
+};
+
+module.exports = {
+    clearRouteSession,
+    showRoutes,
+    startRouteAdd,
+    handleRouteInput,
+    selectRoutePlace,
+    toggleRouteDay,
+    saveRoute,
+    removeRoute
+};
\ No newline at end of file
@@ -0,0 +1,460 @@
+const User = require('../models/user');
+const Order = require('../models/order');
+const ScoringProfile = require('../models/scoringProfile');
+const { explainDriverScore } = require('./matching');
+
+// Session storage for admin input (profile name, weight value)
+const scoringSessions = new Map();
+
+// Comparison replays this many of the latest orders with a chosen driver
+const COMPARE_ORDERS_LIMIT = 100;
+
+const MAX_WEIGHT_VALUE = 1000;
+
+/**
+ * Get label of a weight in the admin's language
+ */
+const getWeightLabel = (ctx, key) => global.i18n.t(ctx, `scoring.weights.${key}`);
+
+/**
+ * Show scoring profiles
+ */
+const showScoringProfiles = async (ctx) => {
+    try {
+        scoringSessions.delete(ctx.from.id);
+        await ScoringProfile.ensureDefault();
+
+        const profiles = await ScoringProfile.find().sort({ createdAt: 1 });
+
+        const keyboard = profiles.map(profile => [{
+            text: `${profile.isActive ? '✅ ' : ''}${profile.name}`,
+            callback_data: `admin:scoring:view:${profile._id}`
+        }]);
+
+        keyboard.push([{ text: global.i18n.t(ctx, 'scoring.new_profile'), callback_data: 'admin:scoring:new' }]);
+        keyboard.push([{ text: global.i18n.t(ctx, 'buttons.back'), callback_data: 'admin:menu' }]);
+
+        await ctx.answerCbQuery();
+        await ctx.editMessageText(
+            global.i18n.t(ctx, 'scoring.profiles_title'),
+            { reply_markup: { inline_keyboard: keyboard } }
+        );
+
+    } catch (error) {
+        await ctx.answerCbQuery(global.i18n.t(ctx, 'errors.general'));
+        throw error;
+    }
+};
+
+/**
+ * Profile card text and keyboard
+ */
+const getProfileView = (ctx, profile) => {
+    const weights = profile.getWeights();
+
+    let message = global.i18n.t(ctx, 'scoring.profile_title', { name: profile.name });
+    if (profile.isActive) {
+        message += '\n' + global.i18n.t(ctx, 'scoring.profile_active');
+    }
+    message += '\n\n' + global.i18n.t(ctx, 'scoring.edit_hint');
+
+    const keyboard = [];
+    ScoringProfile.WEIGHT_KEYS.forEach((key, index) => {
+        const button = {
+            text: `${getWeightLabel(ctx, key)}: ${weights[key]}`,
+            callback_data: `admin:scoring:edit:${profile._id}:${key}`
+        };
+
+        if (index % 2 === 0) {
+            keyboard.push([button]);
+        } else {
+            keyboard[keyboard.length - 1].push(button);
+        }
+    });
+
+    const actions = [];
+    if (!profile.isActive) {
+        actions.push({ text: global.i18n.t(ctx, 'scoring.activate'), callback_data: `admin:scoring:activate:${profile._id}` });
+    }
+    actions.push({ text: global.i18n.t(ctx, 'scoring.compare'), callback_data: `admin:scoring:compare:${profile._id}` });
+    keyboard.push(actions);
+
+    if (!profile.isActive) {
+        keyboard.push([{ text: global.i18n.t(ctx, 'scoring.delete'), callback_data: `admin:scoring:delete:${profile._id}` }]);
+    }
+
+    keyboard.push([{ text: global.i18n.t(ctx, 'buttons.back'), callback_data: 'admin:scoring:list' }]);
+
+    return { message, keyboard };
+};
+
+/**
+ * Show a profile with its weights
+ */
+const showScoringProfile = async (ctx, profileId) => {
+    try {
+        scoringSessions.delete(ctx.from.id);
+        const profile = await ScoringProfile.findById(profileId);
+
+        if (!profile) {
+            await ctx.answerCbQuery(global.i18n.t(ctx, 'scoring.profile_not_found'));
+            return;
+        }
+
+        const { message, keyboard } = getProfileView(ctx, profile);
+
+        await ctx.answerCbQuery();
+        await ctx.editMessageText(message, { reply_markup: { inline_keyboard: keyboard } });
+
+    } catch (error) {
+        await ctx.answerCbQuery(global.i18n.t(ctx, 'errors.general'));
+        throw error;
+    }
+};
+
+/**
+ * Ask for a name of a new profile, it starts as a copy of the active one
+ */
+const startProfileCreate = async (ctx) => {
+    try {
+        scoringSessions.set(ctx.from.id, { step: 'name' });
+
+        await ctx.answerCbQuery();
+        await ctx.editMessageText(
+            global.i18n.t(ctx, 'scoring.enter_name'),
+            { reply_markup: { inline_keyboard: [[{ text: global.i18n.t(ctx, 'buttons.cancel'), callback_data: 'admin:scoring:list' }]] } }
+        );
+
+    } catch (error) {
+        await ctx.answerCbQuery(global.i18n.t(ctx, 'errors.general'));
+        throw error;
+    }
+};
+
+/**
+ * Ask for a new value of one weight
+ */
+const startWeightEdit = async (ctx, profileId, key) => {
+    try {
+        const profile = await ScoringProfile.findById(profileId);
+
+        if (!profile || !ScoringProfile.WEIGHT_KEYS.includes(key)) {
+            await ctx.answerCbQuery(global.i18n.t(ctx, 'scoring.profile_not_found'));
+            return;
+        }
+
+        scoringSessions.set(ctx.from.id, { step: 'weight', profileId: profile._id.toString(), key });
+
+        await ctx.answerCbQuery();
+        await ctx.editMessageText(
+            global.i18n.t(ctx, 'scoring.enter_weight', {
+                name: profile.name,
+                weight: getWeightLabel(ctx, key),
+                value: profile.weights[key]
+            }),
+            { reply_markup: { inline_keyboard: [[{ text: global.i18n.t(ctx, 'buttons.cancel'), callback_data: `admin:scoring:view:${profile._id}` }]] } }
+        );
+
+    } catch (error) {
+        await ctx.answerCbQuery(global.i18n.t(ctx, 'errors.general'));
+        throw error;
+    }
+};
+
+/**
+ * Handle admin text input for scoring profiles
+ * @returns {boolean} - true if the message was handled
+ */
+const handleScoringInputStep = async (ctx) => {
+    try {
+        const session = scoringSessions.get(ctx.from.id);
+
+        if (!session) {
+            return false;
+        }
+
+        const text = ctx.message.text.trim();
+
+        if (session.step === 'name') {
+            if (text.length < 2 || text.length > 40) {
+                await ctx.reply(global.i18n.t(ctx, 'scoring.invalid_name'));
+                return true;
+            }
+
+            if (await ScoringProfile.exists({ name: text })) {
+                await ctx.reply(global.i18n.t(ctx, 'scoring.name_taken'));
+                return true;
+            }
+
+            const active = await ScoringProfile.getActive();
+            const profile = await ScoringProfile.create({
+                name: text,
+                weights: active.getWeights(),
+                createdBy: ctx.from.id
+            });
+
+            scoringSessions.delete(ctx.from.id);
+
+            global.logger.logAction('scoring_profile_created', {
+                adminId: ctx.from.id,
+                profileId: profile._id,
+                copiedFrom: active.name
+            });
+
+            const { message, keyboard } = getProfileView(ctx, profile);
+            await ctx.reply(message, { reply_markup: { inline_keyboard: keyboard } });
+            return true;
+        }
+
+        const value = parseFloat(text.replace(',', '.'));
+
+        if (!Number.isFinite(value) || Math.abs(value) > MAX_WEIGHT_VALUE) {
+            await ctx.reply(global.i18n.t(ctx, 'scoring.invalid_weight', { max: MAX_WEIGHT_VALUE }));
+            return true;
+        }
+
+        const profile = await ScoringProfile.findByIdAndUpdate(
+            session.profileId,
+            { $set: { [`weights.${session.key}`]: value } },
+            { new: true }
+        );
+
+        scoringSessions.delete(ctx.from.id);
+
+        if (!profile) {
+            await ctx.reply(global.i18n.t(ctx, 'scoring.profile_not_found'));
+            return true;
+        }
+
+        global.logger.logAction('scoring_weight_changed', {
+            adminId: ctx.from.id,
+            profileId: profile._id,
+            weight: session.key,
+            value
+        });
+
+        const { message, keyboard } = getProfileView(ctx, profile);
+        await ctx.reply(message, { reply_markup: { inline_keyboard: keyboard } });
+        return true;
+
+    } catch (error) {
+        await ctx.reply(global.i18n.t(ctx, 'errors.general'));
+        throw error;
+    }
+};
+
+/**
+ * Use a profile for matching
+ */
+const activateProfile = async (ctx, profileId) => {
+    try {
+        const profile = await ScoringProfile.activate(profileId);
+
+        if (!profile) {
+            await ctx.answerCbQuery(global.i18n.t(ctx, 'scoring.profile_not_found'));
+            return;
+        }
+
+        global.logger.logAction('scoring_profile_activated', {
+            adminId: ctx.from.id,
+            profileId: profile._id,
+            name: profile.name
+        });
+
+        const { message, keyboard } = getProfileView(ctx, profile);
+
+        await ctx.answerCbQuery(global.i18n.t(ctx, 'scoring.activated'));
+        await ctx.editMessageText(message, { reply_markup: { inline_keyboard: keyboard } });
+
+    } catch (error) {
+        await ctx.answerCbQuery(global.i18n.t(ctx, 'errors.general'));
+        throw error;
+    }
+};
+
+/**
+ * Delete an inactive profile
+ */
+const deleteProfile = async (ctx, profileId) => {
+    try {
+        const result = await ScoringProfile.deleteOne({ _id: profileId, isActive: false });
+
+        if (result.deletedCount === 0) {
+            await ctx.answerCbQuery(global.i18n.t(ctx, 'scoring.cannot_delete'), { show_alert: true });
+            return;
+        }
+
+        global.logger.logAction('scoring_profile_deleted', { adminId: ctx.from.id, profileId });
+
+        await showScoringProfiles(ctx);
+
+    } catch (error) {
+        await ctx.answerCbQuery(global.i18n.t(ctx, 'errors.general'));
+        throw error;
+    }
+};
+
+/**
+ * Pick the second profile to compare with
+ */
+const chooseComparison = async (ctx, profileId) => {
+    try {
+        const profiles = await ScoringProfile.find({ _id: { $ne: profileId } }).sort({ createdAt: 1 });
+
+        if (profiles.length === 0) {
+            await ctx.answerCbQuery(global.i18n.t(ctx, 'scoring.nothing_to_compare'), { show_alert: true });
+            return;
+        }
+
+        const keyboard = profiles.map(profile => [{
+            text: `${profile.isActive ? '✅ ' : ''}${profile.name}`,
+            callback_data: `admin:scmp:${profileId}:${profile._id}`
+        }]);
+        keyboard.push([{ text: global.i18n.t(ctx, 'buttons.back'), callback_data: `admin:scoring:view:${profileId}` }]);
+
+        await ctx.answerCbQuery();
+        await ctx.editMessageText(
+            global.i18n.t(ctx, 'scoring.choose_comparison'),
+            { reply_markup: { inline_keyboard: keyboard } }
+        );
+
+    } catch (error) {
+        await ctx.answerCbQuery(global.i18n.t(ctx, 'errors.general'));
+        throw error;
+    }
+};
+
+/**
+ * Rank an order's responding drivers with a profile's weights
+ * @param {Array<Object>} candidates - [{ id, driver, scoredAt }], driver data as of scoredAt
+ * @returns {Array<string>} - driver IDs, best first
+ */
+const rankCandidates = (order, candidates, weights) => {
+    return candidates
+        .map(({ id, driver, scoredAt }) => ({ id, score: explainDriverScore(driver, order, weights, undefined, scoredAt).score }))
+        .sort((a, b) => b.score - a.score)
+        .map(item => item.id);
+};
+
+/**
+ * Compare two profiles on past orders
+ * For each order with several responding drivers, check where each profile ranks the driver the client chose
+ * Drivers are scored on their data from when they bid; older bids without it fall back to current data,
+ * which already includes the order's outcome, and the result says how many did
+ */
+const compareProfiles = async (ctx, profileIdA, profileIdB) => {
+    try {
+        const [profileA, profileB] = await Promise.all([
+            ScoringProfile.findById(profileIdA),
+            ScoringProfile.findById(profileIdB)
+        ]);
+
+        if (!profileA || !profileB) {
+            await ctx.answerCbQuery(global.i18n.t(ctx, 'scoring.profile_not_found'));
+            return;
+        }
+
+        await ctx.answerCbQuery(global.i18n.t(ctx, 'scoring.comparing'));
+
+        const orders = await Order.find({
+            driverId: { $ne: null },
+            status: { $in: ['matched', 'in_progress', 'completed'] },
+            'interestedDrivers.1': { $exists: true }
+        })
+            .sort({ createdAt: -1 })
+            .limit(COMPARE_ORDERS_LIMIT)
+            .lean();
+
+        const driverIds = [...new Set(orders.flatMap(order => order.interestedDrivers.map(item => item.driverId.toString())))];
+        const drivers = await User.find({ _id: { $in: driverIds } })
+            .select('driverInfo reputation activeOrders maxOrders lastActivity')
+            .lean();
+        const driversById = new Map(drivers.map(driver => [driver._id.toString(), driver]));
+
+        const weightsA = profileA.getWeights();
+        const weightsB = profileB.getWeights();
+        const stats = { orders: 0, hitsA: 0, hitsB: 0, rankSumA: 0, rankSumB: 0, differ: 0, currentData: 0 };
+
+        for (const order of orders) {
+            const chosenId = order.driverId.toString();
+            const candidates = order.interestedDrivers
+                .map(item => {
+                    const id = item.driverId.toString();
+
+                    if (item.scoreInputs?.lastActivity) {
+                        return { id, driver: item.scoreInputs, scoredAt: new Date(item.respondedAt).getTime() };
+                    }
+
+                    const driver = driversById.get(id);
+                    return driver ? { id, driver, scoredAt: Date.now(), isCurrent: true } : null;
+                })
+                .filter(Boolean);
+
+            if (candidates.length < 2 || !candidates.some(candidate => candidate.id === chosenId)) continue;
+
+            stats.currentData += candidates.filter(candidate => candidate.isCurrent).length;
+
+            const rankingA = rankCandidates(order, candidates, weightsA);
+            const rankingB = rankCandidates(order, candidates, weightsB);
+
+            stats.orders++;
+            stats.rankSumA += rankingA.indexOf(chosenId) + 1;
+            stats.rankSumB += rankingB.indexOf(chosenId) + 1;
+            if (rankingA[0] === chosenId) stats.hitsA++;
+            if (rankingB[0] === chosenId) stats.hitsB++;
+            if (rankingA[0] !== rankingB[0]) stats.differ++;
+        }
+
+        const keyboard = [[{ text: global.i18n.t(ctx, 'buttons.back'), callback_data: `admin:scoring:view:${profileA._id}` }]];
+
+        if (stats.orders === 0) {
+            await ctx.editMessageText(global.i18n.t(ctx, 'scoring.compare_no_orders'), { reply_markup: { inline_keyboard: keyboard } });
+            return;
+        }
+
+        const percent = (hits) => Math.round(hits / stats.orders * 100);
+        const averageRank = (rankSum) => (rankSum / stats.orders).toFixed(2);
+
+        let message = global.i18n.t(ctx, 'scoring.compare_result', {
+            orders: stats.orders,
+            nameA: profileA.name,
+            hitsA: stats.hitsA,
+            percentA: percent(stats.hitsA),
+            rankA: averageRank(stats.rankSumA),
+            nameB: profileB.name,
+            hitsB: stats.hitsB,
+            percentB: percent(stats.hitsB),
+            rankB: averageRank(stats.rankSumB),
+            differ: stats.differ
+        });
+
+        if (stats.currentData > 0) {
+            message += '\n\n' + global.i18n.t(ctx, 'scoring.compare_current_data', { count: stats.currentData });
+        }
+
+        await ctx.editMessageText(message, { reply_markup: { inline_keyboard: keyboard } });
+
+        global.logger.logAction('scoring_profiles_compared', {
+            adminId: ctx.from.id,
+            profileA: profileA._id,
+            profileB: profileB._id,
+            ...stats
+        });
+
+    } catch (error) {
+        await ctx.reply(global.i18n.t(ctx, 'errors.general'));
+        throw error;
+    }
+};
+
+module.exports = {
+    showScoringProfiles,
+    showScoringProfile,
+    startProfileCreate,
+    startWeightEdit,
+    handleScoringInputStep,
+    activateProfile,
+    deleteProfile,
+    chooseComparison,
+    compareProfiles
+};
\ No newline at end of file
@@ -0,0 +1,249 @@
+const User = require('../models/user');
+const Order = require('../models/order');
+const Track = require('../models/track');
+const gazetteer = require('../services/gazetteer');
+
+// Live location edits arrive every few seconds, store one point per minute
+const TRACK_POINT_INTERVAL_MS = parseInt(process.env.TRACK_POINT_INTERVAL_MS) || 60 * 1000;
+
+// Average truck speed used for the ETA
+const AVERAGE_SPEED_KMH = parseInt(process.env.TRACK_AVERAGE_SPEED_KMH) || 50;
+
+// Position older than this is shown with a warning
+const STALE_POSITION_MS = 30 * 60 * 1000;
+
+// Drivers asked to share live location: telegramId -> orderId
+const pendingShares = new Map();
+
+/**
+ * Convert Telegram location to a GeoJSON point
+ */
+const toPoint = (location) => ({ type: 'Point', coordinates: [location.longitude, location.latitude] });
+
+/**
+ * Ask driver to share live location for an order on the way
+ */
+const startLiveSharing = async (ctx, orderId) => {
+    try {
+        const order = await Order.findById(orderId);
+
+        if (!order) {
+            await ctx.answerCbQuery(global.i18n.t(ctx, 'errors.order_not_found'));
+            return;
+        }
+
+        if (!order.driverId || order.driverId.toString() !== ctx.user._id.toString()) {
+            await ctx.answerCbQuery(global.i18n.t(ctx, 'errors.access_denied'));
+            return;
+        }
+
+        if (order.status !== 'in_progress') {
+            await ctx.answerCbQuery(global.i18n.t(ctx, 'tracking.not_in_progress'));
+            return;
+        }
+
+        pendingShares.set(ctx.from.id, order._id.toString());
+
+        await ctx.answerCbQuery();
+        await ctx.reply(global.i18n.t(ctx, 'tracking.share_instructions', { orderId: order._id.toString().slice(-6) }));
+
+    } catch (error) {
+        await ctx.answerCbQuery(global.i18n.t(ctx, 'errors.general'));
+        throw error;
+    }
+};
+
+/**
+ * Find the order a live location is shared for
+ * The order the driver pressed "share" for, or their only order on the way
+ */
+const findOrderForLiveLocation = async (ctx) => {
+    const pendingOrderId = pendingShares.get(ctx.from.id);
+
+    if (pendingOrderId) {
+        return Order.findOne({ _id: pendingOrderId, driverId: ctx.user._id, status: 'in_progress' });
+    }
+
+    const orders = await Order.find({ driverId: ctx.user._id, status: 'in_progress' }).limit(2);
+    return orders.length === 1 ? orders[0] : null;
+};
+
+/**
+ * Handle a new live location message from a driver
+ * @returns {boolean} - true if the message was handled
+ */
+const handleLiveLocationStart = async (ctx) => {
+    try {
+        const message = ctx.message;
+
+        if (!message.live_period || !ctx.user.isDriver()) {
+            return false;
+        }
+
+        const order = await findOrderForLiveLocation(ctx);
+        pendingShares.delete(ctx.from.id);
+
+        if (!order) {
+            await ctx.reply(global.i18n.t(ctx, 'tracking.no_order'));
+            return true;
+        }
+
+        // A new live message replaces the previous one for this order
+        const track = await Track.findOneAndUpdate(
+            { orderId: order._id },
+            {
+                $set: {
+                    driverId: ctx.user._id,
+                    chatId: message.chat.id,
+                    messageId: message.message_id,
+                    status: 'active',
+                    lastUpdateAt: null
+                },
+                $unset: { stopReason: '', stoppedAt: '' }
+            },
+            { upsert: true, new: true }
+        );
+
+        await Track.recordPosition(track._id, toPoint(message.location), TRACK_POINT_INTERVAL_MS);
+
+        const orderId = order._id.toString().slice(-6);
+        await ctx.reply(global.i18n.t(ctx, 'tracking.started', { orderId }));
+
+        await notifyClient(ctx, order, orderId);
+
+        global.logger.logAction('live_tracking_started', {
+            orderId: order._id,
+            driverId: ctx.user._id,
+            livePeriod: message.live_period
+        });
+
+        return true;
+    } catch (error) {
+        await ctx.reply(global.i18n.t(ctx, 'errors.general'));
+        throw error;
+    }
+};
+
+/**
+ * Let the client know the cargo can be followed
+ */
+const notifyClient = async (ctx, order, orderId) => {
+    const client = await User.findById(order.clientId);
+    if (!client) return;
+
+    try {
+        await ctx.telegram.sendMessage(
+            client.telegramId,
+            global.i18n.t({ locale: client.language }, 'tracking.client_notice', { orderId }),
+            {
+                reply_markup: {
+                    inline_keyboard: [[{
+                        text: global.i18n.t({ locale: client.language }, 'tracking.where_button'),
+                        callback_data: `track:where:${order._id}`
+                    }]]
+                }
+            }
+        );
+    } catch (error) {
+        global.logger.logWarn('Failed to notify client about tracking:', ctx, { orderId: order._id, error: error.message });
+    }
+};
+
+/**
+ * Store position from an edited live location message
+ * @returns {boolean} - true if the update belongs to a tracked order
+ */
+const handleLiveLocationUpdate = async (ctx) => {
+    const message = ctx.editedMessage;
+    const track = await Track.findActiveByMessage(message.chat.id, message.message_id);
+
+    if (!track) {
+        return false;
+    }
+
+    await Track.recordPosition(track._id, toPoint(message.location), TRACK_POINT_INTERVAL_MS);
+    return true;
+};
+
+/**
+ * Format ETA for a remaining distance
+ */
+const formatEta = (ctx, distanceKm) => {
+    const totalMinutes = Math.round(distanceKm / AVERAGE_SPEED_KMH * 60);
+
+    return global.i18n.t(ctx, 'tracking.eta', {
+        hours: Math.floor(totalMinutes / 60),
+        minutes: totalMinutes % 60
+    });
+};
+
+/**
+ * Show client the last known cargo position and ETA
+ */
+const showCargoLocation = async (ctx, orderId) => {
+    try {
+        const order = await Order.findById(orderId);
+
+        if (!order) {
+            await ctx.answerCbQuery(global.i18n.t(ctx, 'errors.order_not_found'));
+            return;
+        }
+
+        const userId = ctx.user._id.toString();
+        if (order.clientId.toString() !== userId && order.driverId?.toString() !== userId) {
+            await ctx.answerCbQuery(global.i18n.t(ctx, 'errors.access_denied'));
+            return;
+        }
+
+        const track = await Track.findOne({ orderId: order._id });
+
+        if (!track || !track.lastPosition) {
+            await ctx.answerCbQuery(global.i18n.t(ctx, 'tracking.no_position'), { show_alert: true });
+            return;
+        }
+
+        const [longitude, latitude] = track.lastPosition.coordinates;
+        const nearest = gazetteer.findNearestPlace(latitude, longitude);
+        const distance = gazetteer.getPointDistance(track.lastPosition, order.cargo.toCoordinates);
+
+        let message = global.i18n.t(ctx, 'tracking.position', {
+            orderId: order._id.toString().slice(-6),
+            place: nearest ? gazetteer.getPlaceName(nearest, ctx.locale) : '—',
+            updated: track.lastUpdateAt.toLocaleString('ru-RU')
+        });
+
+        if (!track.isActive()) {
+            message += '\n\n' + global.i18n.t(ctx, 'tracking.stopped');
+        } else if (distance === null) {
+            message += '\n\n' + global.i18n.t(ctx, 'tracking.eta_unknown');
+        } else {
+            message += '\n\n' + global.i18n.t(ctx, 'tracking.remaining', { distance, eta: formatEta(ctx, distance) });
+        }
+
+        if (track.isActive() && Date.now() - track.lastUpdateAt.getTime() > STALE_POSITION_MS) {
+            message += '\n\n' + global.i18n.t(ctx, 'tracking.stale');
+        }
+
+        await ctx.answerCbQuery();
+        await ctx.replyWithLocation(latitude, longitude);
+        await ctx.reply(message, {
+            reply_markup: {
+                inline_keyboard: [
+                    [{ text: global.i18n.t(ctx, 'tracking.refresh_button'), callback_data: `track:where:${order._id}` }],
+                    [{ text: global.i18n.t(ctx, 'deals.open_deal'), callback_data: `deal:view:${order._id}` }]
+                ]
+            }
+        });
+
+    } catch (error) {
+        await ctx.answerCbQuery(global.i18n.t(ctx, 'errors.general'));
+        throw error;
+    }
+};
+
+module.exports = {
+    startLiveSharing,
+    handleLiveLocationStart,
+    handleLiveLocationUpdate,
+    showCargoLocation
+};
\ No newline at end of file
@@ -8,6 +8,12 @@ require('./logger');
 // Import Redis service
 const redisService = require('./services/redisService');
 
+// Import reminder scheduler
+const reminderService = require('./services/reminderService');
+
+// Import group posting queue
+const postingQueue = require('./services/postingQueue');
+
 // Import the translation helper
 require('./utils/i18nHelper');
 
@@ -15,14 +21,25 @@ require('./utils/i18nHelper');
 const registrationHandlers = require('./handlers/registration');
 const orderHandlers = require('./handlers/orders');
 const profileHandlers = require('./handlers/profile');
+const fleetHandlers = require('./handlers/fleet');
+const routeHandlers = require('./handlers/routes');
+const bidHandlers = require('./handlers/bids');
+const chatHandlers = require('./handlers/chat');
 const languageHandlers = require('./handlers/language');
 const groupHandlers = require('./handlers/groups');
 const matchingHandlers = require('./handlers/matching');
 const adminHandlers = require('./handlers/admin');
 const keyboardMenus = require('./handlers/keyboardMenus');
+const driverHandlers = require('./handlers/drivers');
+const reviewHandlers = require('./handlers/reviews');
+const moderationHandlers = require('./handlers/moderation');
+const reportHandlers = require('./handlers/reports');
+const trackingHandlers = require('./handlers/tracking');
+const scoringHandlers = require('./handlers/scoring');
 
 // Import middleware
 const { userStateMiddleware, resetUserState } = require('./middleware/userStateMiddleware');
+const { moderationMiddleware } = require('./middleware/moderationMiddleware');
 
 // Check required environment variables
 const requiredEnvVars = ['BOT_TOKEN', 'MONGO_URI'];
@@ -105,6 +122,40 @@ const userMiddleware = async (ctx, next) => {
     }
 };
 
+// Block banned and suspended users
+bot.use(moderationMiddleware);
+
+// Buttons, commands and menu items start other flows, their input must not end up in an unfinished text step
+bot.use((ctx, next) => {
+    const data = ctx.callbackQuery?.data;
+    const text = ctx.message?.text;
+
+    if (!ctx.from || (!data && !text)) {
+        return next();
+    }
+
+    const isOtherFlow = text && (text.startsWith('/') || keyboardMenus.isKeyboardMenuItem(text, ctx));
+    const leaves = (...prefixes) => isOtherFlow || (data && !prefixes.some(prefix => data.startsWith(prefix)));
+
+    if (leaves('review:')) {
+        reviewHandlers.cancelReviewComment(ctx.from.id);
+    }
+    if (leaves('profile:edit_location', 'profile:place:')) {
+        profileHandlers.clearLocationEdit(ctx.from.id);
+    }
+    if (leaves('fleet:')) {
+        fleetHandlers.clearFleetSession(ctx.from.id);
+    }
+    if (leaves('routes:')) {
+        routeHandlers.clearRouteSession(ctx.from.id);
+    }
+    if (leaves('chat:')) {
+        chatHandlers.clearChatSession(ctx.from.id);
+    }
+
+    return next();
+});
+
 // State management middleware
 bot.use(userStateMiddleware);
 
@@ -175,20 +226,165 @@ bot.command('menu', userMiddleware, async (ctx) => {
 
 // Admin commands
 bot.command('admin', adminHandlers.requireAdmin, adminHandlers.showAdminMenu);
-bot.command('addgroup', adminHandlers.requireAdmin, adminHandlers.handleAdminCommand);
+bot.command('addgroup', adminHandlers.requirePermission('groups.manage'), adminHandlers.handleAdminCommand);
 
 // ==================== Inline Callback Handlers (Group Posts Only) ====================
 
 // Group callback handlers (keep these for channel posts)
 bot.action(/group:interest:(.+)/, groupHandlers.handleGroupInterest);
-bot.action(/group:contact:(.+)/, groupHandlers.handleGroupContact);
+bot.action(/group:contact:(.+)/, userMiddleware, groupHandlers.handleGroupContact);
 
 // Admin callback handlers
-bot.action('admin:groups', adminHandlers.requireAdmin, adminHandlers.showGroupsManagement);
-bot.action('admin:groups:add', adminHandlers.requireAdmin, adminHandlers.startAddGroup);
-bot.action('admin:groups:reload', adminHandlers.requireAdmin, adminHandlers.reloadGroupsConfig);
-bot.action('admin:settings:toggle_posting', adminHandlers.requireAdmin, adminHandlers.toggleAutoPosting);
-bot.action('admin:stats', adminHandlers.requireAdmin, adminHandlers.showStatistics);
+bot.action('admin:menu', adminHandlers.requireAdmin, adminHandlers.showAdminMenu);
+bot.action(/^admin:groups(:list)?$/, adminHandlers.requirePermission('groups.view'), adminHandlers.showGroupsList);
+bot.action('admin:groups:settings', adminHandlers.requirePermission('groups.view'), adminHandlers.showGroupsSettings);
+bot.action('admin:groups:add', adminHandlers.requirePermission('groups.manage'), adminHandlers.startAddGroup);
+bot.action('admin:groups:reload', adminHandlers.requirePermission('groups.manage'), adminHandlers.reloadGroupsConfig);
+bot.action('admin:settings:toggle_posting', adminHandlers.requirePermission('settings.manage'), adminHandlers.toggleAutoPosting);
+bot.action('admin:stats', adminHandlers.requirePermission('stats'), adminHandlers.showStatistics);
+bot.action(/^admin:gsetup:view:(-?\d+)$/, adminHandlers.requirePermission('groups.manage'), (ctx) => adminHandlers.showGroupSetup(ctx, ctx.match[1]));
+bot.action(/^admin:gsetup:region:(-?\d+):(\d+)$/, adminHandlers.requirePermission('groups.manage'), (ctx) => adminHandlers.toggleGroupRegion(ctx, ctx.match[1], ctx.match[2]));
+bot.action(/^admin:gsetup:all:(-?\d+)$/, adminHandlers.requirePermission('groups.manage'), (ctx) => adminHandlers.toggleGroupRegion(ctx, ctx.match[1]));
+bot.action(/^admin:gsetup:enable:(-?\d+)$/, adminHandlers.requirePermission('groups.manage'), (ctx) => adminHandlers.enableGroup(ctx, ctx.match[1]));
+bot.action('admin:users:find', adminHandlers.requirePermission('users.moderate'), moderationHandlers.startUserLookup);
+bot.action(/^admin:umod:view:(\d+)$/, adminHandlers.requirePermission('users.moderate'), (ctx) => moderationHandlers.showUserCard(ctx, ctx.match[1]));
+bot.action(/^admin:umod:(ban|unban|suspend|limit|unlimit):(\d+)(?::(\d+))?$/, adminHandlers.requirePermission('users.moderate'), (ctx) => moderationHandlers.chooseModerationAction(ctx, ctx.match[2], ctx.match[1], ctx.match[3] || null));
+bot.action(/^admin:reports:(\d+)$/, adminHandlers.requirePermission('reports.review'), (ctx) => reportHandlers.showReportsQueue(ctx, parseInt(ctx.match[1])));
+bot.action(/^admin:report:photo:(.+)$/, adminHandlers.requirePermission('reports.review'), (ctx) => reportHandlers.showReportPhoto(ctx, ctx.match[1]));
+bot.action(/^admin:report:(dismiss|warn|ban):(.+)$/, adminHandlers.requirePermission('reports.review'), (ctx) => reportHandlers.resolveReport(ctx, ctx.match[2], ctx.match[1]));
+bot.action('admin:scoring:list', adminHandlers.requirePermission('scoring.manage'), scoringHandlers.showScoringProfiles);
+bot.action('admin:scoring:new', adminHandlers.requirePermission('scoring.manage'), scoringHandlers.startProfileCreate);
+bot.action(/^admin:scoring:view:([a-f0-9]{24})$/, adminHandlers.requirePermission('scoring.manage'), (ctx) => scoringHandlers.showScoringProfile(ctx, ctx.match[1]));
+bot.action(/^admin:scoring:edit:([a-f0-9]{24}):(\w+)$/, adminHandlers.requirePermission('scoring.manage'), (ctx) => scoringHandlers.startWeightEdit(ctx, ctx.match[1], ctx.match[2]));
+bot.action(/^admin:scoring:activate:([a-f0-9]{24})$/, adminHandlers.requirePermission('scoring.manage'), (ctx) => scoringHandlers.activateProfile(ctx, ctx.match[1]));
+bot.action(/^admin:scoring:delete:([a-f0-9]{24})$/, adminHandlers.requirePermission('scoring.manage'), (ctx) => scoringHandlers.deleteProfile(ctx, ctx.match[1]));
+bot.action(/^admin:scoring:compare:([a-f0-9]{24})$/, adminHandlers.requirePermission('scoring.manage'), (ctx) => scoringHandlers.chooseComparison(ctx, ctx.match[1]));
+bot.action(/^admin:scmp:([a-f0-9]{24}):([a-f0-9]{24})$/, adminHandlers.requirePermission('scoring.manage'), (ctx) => scoringHandlers.compareProfiles(ctx, ctx.match[1], ctx.match[2]));
+bot.action('admin:staff:list', adminHandlers.requirePermission('staff.manage'), adminHandlers.showStaffList);
+bot.action('admin:staff:add', adminHandlers.requirePermission('staff.manage'), adminHandlers.startStaffGrant);
+bot.action(/^admin:staff:view:(\d+)$/, adminHandlers.requirePermission('staff.manage'), (ctx) => adminHandlers.showStaffMember(ctx, ctx.match[1]));
+bot.action(/^admin:staff:role:(\d+):(\w+)$/, adminHandlers.requirePermission('staff.manage'), (ctx) => adminHandlers.setStaffRole(ctx, ctx.match[1], ctx.match[2]));
+bot.action(/^admin:staff:revoke:(\d+)$/, adminHandlers.requirePermission('staff.manage'), (ctx) => adminHandlers.revokeStaff(ctx, ctx.match[1]));
+
+// Bot added to or removed from groups and channels
+bot.on('my_chat_member', groupHandlers.handleMyChatMember);
+
+// ==================== Inline Callback Handlers (Orders) ====================
+
+bot.action(/^order:place:(from|to):(\w+)$/, userMiddleware, (ctx) => orderHandlers.selectOrderPlace(ctx, ctx.match[1], ctx.match[2]));
+bot.action(/^order:cargo:(\w+)$/, userMiddleware, (ctx) => orderHandlers.selectCargoType(ctx, ctx.match[1]));
+bot.action(/^order:body:(\w+)$/, userMiddleware, (ctx) => orderHandlers.selectBodyType(ctx, ctx.match[1]));
+bot.action('order:skip', userMiddleware, orderHandlers.skipOrderStep);
+bot.action('order:privacy', userMiddleware, orderHandlers.cycleContactPrivacy);
+bot.action('order:confirm', userMiddleware, orderHandlers.confirmOrder);
+bot.action('order:cancel', userMiddleware, orderHandlers.cancelOrderCreation);
+bot.action(/^order:view:(.+)$/, userMiddleware, (ctx) => orderHandlers.viewOrderDetails(ctx, ctx.match[1]));
+bot.action(/^order:contact:(.+)$/, userMiddleware, (ctx) => orderHandlers.showOrderContact(ctx, ctx.match[1]));
+bot.action(/^order:interest:(.+)$/, userMiddleware, (ctx) => orderHandlers.showInterestInOrder(ctx, ctx.match[1]));
+bot.action(/^order:veh:(\w+):(\w+)$/, userMiddleware, (ctx) => orderHandlers.showInterestInOrder(ctx, ctx.match[1], ctx.match[2]));
+bot.action('bid:price:client', userMiddleware, bidHandlers.acceptClientPrice);
+bot.action(/^bid:pickup:(today|tomorrow|skip)$/, userMiddleware, (ctx) => bidHandlers.selectPickup(ctx, ctx.match[1]));
+bot.action('bid:note:skip', userMiddleware, bidHandlers.skipNote);
+bot.action('bid:submit', userMiddleware, bidHandlers.submitBid);
+bot.action('bid:cancel', userMiddleware, bidHandlers.cancelBid);
+bot.action(/^bid:counter:([^:]+)(?::(.+))?$/, userMiddleware, (ctx) => bidHandlers.startCounter(ctx, ctx.match[1], ctx.match[2]));
+bot.action(/^bid:agree:(.+)$/, userMiddleware, (ctx) => bidHandlers.agreeToCounter(ctx, ctx.match[1]));
+bot.action(/^bid:withdraw:(.+)$/, userMiddleware, (ctx) => bidHandlers.withdrawBid(ctx, ctx.match[1]));
+bot.action(/^chat:open:([^:]+)(?::(.+))?$/, userMiddleware, (ctx) => chatHandlers.openChat(ctx, ctx.match[1], ctx.match[2]));
+bot.action('chat:close', userMiddleware, chatHandlers.closeChat);
+
+// ==================== Inline Callback Handlers (Profile) ====================
+
+bot.action('profile:view', userMiddleware, async (ctx) => {
+    await ctx.answerCbQuery();
+    await profileHandlers.showProfile(ctx);
+});
+bot.action('profile:edit_location', userMiddleware, profileHandlers.startLocationEdit);
+bot.action(/^profile:place:(\w+)$/, userMiddleware, (ctx) => profileHandlers.selectLocationPlace(ctx, ctx.match[1]));
+
+// ==================== Inline Callback Handlers (Fleet) ====================
+
+bot.action('fleet:list', userMiddleware, fleetHandlers.showFleet);
+// Vehicle editor buttons in profile messages sent before fleets open the fleet
+bot.action(/^profile:(edit_vehicle|body:\w+|cargo:\w+|vehicle:\w+)$/, userMiddleware, fleetHandlers.showFleet);
+bot.action('fleet:add', userMiddleware, fleetHandlers.startVehicleAdd);
+bot.action(/^fleet:view:(\w+)$/, userMiddleware, (ctx) => fleetHandlers.viewVehicle(ctx, ctx.match[1]));
+bot.action(/^fleet:edit:(\w+):(plate|model|specs)$/, userMiddleware, (ctx) => fleetHandlers.startVehicleEdit(ctx, ctx.match[1], ctx.match[2]));
+bot.action(/^fleet:cat:(\w+)$/, userMiddleware, (ctx) => fleetHandlers.selectCategory(ctx, ctx.match[1]));
+bot.action(/^fleet:body:(\w+)$/, userMiddleware, (ctx) => fleetHandlers.selectBody(ctx, ctx.match[1]));
+bot.action('fleet:skip', userMiddleware, fleetHandlers.skipVolume);
+bot.action(/^fleet:cargo:(\w+)$/, userMiddleware, (ctx) => fleetHandlers.toggleCargoType(ctx, ctx.match[1]));
+bot.action('fleet:save', userMiddleware, fleetHandlers.saveVehicle);
+bot.action(/^fleet:photo:(\w+)$/, userMiddleware, (ctx) => fleetHandlers.startPhotoUpload(ctx, ctx.match[1]));
+bot.action(/^fleet:photos:(\w+)$/, userMiddleware, (ctx) => fleetHandlers.showVehiclePhotos(ctx, ctx.match[1]));
+bot.action(/^fleet:retire:(\w+)$/, userMiddleware, (ctx) => fleetHandlers.retireVehicle(ctx, ctx.match[1]));
+bot.action(/^fleet:retire_yes:(\w+)$/, userMiddleware, (ctx) => fleetHandlers.retireVehicle(ctx, ctx.match[1], true));
+
+// ==================== Inline Callback Handlers (Preferred Routes) ====================
+
+bot.action('routes:list', userMiddleware, routeHandlers.showRoutes);
+bot.action('routes:add', userMiddleware, routeHandlers.startRouteAdd);
+bot.action(/^routes:place:(\w+)$/, userMiddleware, (ctx) => routeHandlers.selectRoutePlace(ctx, ctx.match[1]));
+bot.action(/^routes:day:([0-6]|any)$/, userMiddleware, (ctx) => routeHandlers.toggleRouteDay(ctx, ctx.match[1]));
+bot.action('routes:save', userMiddleware, routeHandlers.saveRoute);
+bot.action(/^routes:del:(\w+)$/, userMiddleware, (ctx) => routeHandlers.removeRoute(ctx, ctx.match[1]));
+
+// ==================== Inline Callback Handlers (My Orders) ====================
+
+bot.action(/^myorders:(\d+)$/, userMiddleware, async (ctx) => {
+    await ctx.answerCbQuery();
+    await profileHandlers.showMyOrders(ctx, parseInt(ctx.match[1]));
+});
+bot.action(/^myorder:view:(.+)$/, userMiddleware, (ctx) => profileHandlers.viewMyOrder(ctx, ctx.match[1]));
+bot.action(/^myorder:drivers:(\w+)(?::(\d+))?$/, userMiddleware, (ctx) => profileHandlers.showInterestedDrivers(ctx, ctx.match[1], ctx.match[2] ? parseInt(ctx.match[2]) : 1));
+bot.action(/^myorder:why:([a-f0-9]{24}):([a-f0-9]{24})$/, userMiddleware, (ctx) => matchingHandlers.explainDriverMatch(ctx, ctx.match[1], ctx.match[2]));
+bot.action(/^myorder:select:(.+):(.+)$/, userMiddleware, (ctx) => profileHandlers.selectDriverForOrder(ctx, ctx.match[1], ctx.match[2]));
+bot.action(/^myorder:complete:(.+)$/, userMiddleware, (ctx) => profileHandlers.completeOrder(ctx, ctx.match[1]));
+bot.action(/^myorder:cancel:(.+)$/, userMiddleware, (ctx) => profileHandlers.cancelOrder(ctx, ctx.match[1]));
+
+// ==================== Inline Callback Handlers (Deals) ====================
+
+bot.action('deals:list', userMiddleware, matchingHandlers.showMyDeals);
+bot.action(/^deal:view:(.+)$/, userMiddleware, (ctx) => matchingHandlers.viewDeal(ctx, ctx.match[1]));
+bot.action(/^deal:start:(.+)$/, userMiddleware, (ctx) => matchingHandlers.startDeal(ctx, ctx.match[1]));
+bot.action(/^deal:complete:(.+)$/, userMiddleware, (ctx) => matchingHandlers.completeDeal(ctx, ctx.match[1]));
+bot.action(/^deal:cancel:(.+)$/, userMiddleware, (ctx) => matchingHandlers.cancelDeal(ctx, ctx.match[1]));
+bot.action(/^deal:cancelconfirm:(.+)$/, userMiddleware, (ctx) => matchingHandlers.confirmCancelDeal(ctx, ctx.match[1]));
+
+// ==================== Inline Callback Handlers (Tracking) ====================
+
+bot.action(/^track:share:(.+)$/, userMiddleware, (ctx) => trackingHandlers.startLiveSharing(ctx, ctx.match[1]));
+bot.action(/^track:where:(.+)$/, userMiddleware, (ctx) => trackingHandlers.showCargoLocation(ctx, ctx.match[1]));
+
+// ==================== Inline Callback Handlers (Reviews) ====================
+
+bot.action(/^review:start:(.+)$/, userMiddleware, (ctx) => reviewHandlers.startReview(ctx, ctx.match[1]));
+bot.action(/^review:rate:(.+):([1-5])$/, userMiddleware, (ctx) => reviewHandlers.handleRating(ctx, ctx.match[1], ctx.match[2]));
+bot.action(/^review:skip:(.+)$/, userMiddleware, (ctx) => reviewHandlers.skipReviewComment(ctx, ctx.match[1]));
+
+// ==================== Inline Callback Handlers (Offers) ====================
+
+bot.action('offer:skip', userMiddleware, driverHandlers.skipOfferStep);
+bot.action('offer:confirm', userMiddleware, driverHandlers.confirmOffer);
+bot.action('offer:cancel', userMiddleware, driverHandlers.cancelOfferCreation);
+bot.action(/^offer:category:(.+)$/, userMiddleware, (ctx) => driverHandlers.handleCategorySelection(ctx, ctx.match[1]));
+bot.action(/^offer:view:(.+)$/, userMiddleware, (ctx) => driverHandlers.viewMyOffer(ctx, ctx.match[1]));
+bot.action(/^offer:edit:(.+)$/, userMiddleware, (ctx) => driverHandlers.showOfferEditMenu(ctx, ctx.match[1]));
+bot.action(/^offer:editfield:(.+):(.+)$/, userMiddleware, (ctx) => driverHandlers.startOfferFieldEdit(ctx, ctx.match[1], ctx.match[2]));
+bot.action(/^offer:close:(.+)$/, userMiddleware, (ctx) => driverHandlers.closeOffer(ctx, ctx.match[1]));
+bot.action(/^offer:matches:(.+)$/, userMiddleware, (ctx) => driverHandlers.showMatchingOrders(ctx, ctx.match[1]));
+bot.action(/^myoffers:(\d+)$/, userMiddleware, async (ctx) => {
+    await ctx.answerCbQuery();
+    await driverHandlers.showMyOffers(ctx, parseInt(ctx.match[1]));
+});
+
+// ==================== Inline Callback Handlers (Reports) ====================
+
+bot.action(/^report:order:(.+)$/, userMiddleware, (ctx) => reportHandlers.startOrderReport(ctx, ctx.match[1]));
+bot.action(/^report:user:([^:]+)(?::(.+))?$/, userMiddleware, (ctx) => reportHandlers.startUserReport(ctx, ctx.match[1], ctx.match[2] || null));
+bot.action(/^report:cat:(\w+)$/, userMiddleware, (ctx) => reportHandlers.handleReportCategory(ctx, ctx.match[1]));
+bot.action('report:skip', userMiddleware, reportHandlers.skipReportPhoto);
+bot.action('report:cancel', userMiddleware, reportHandlers.cancelReport);
 
 // ==================== Message Handlers ====================
 
@@ -198,6 +394,49 @@ bot.on('contact', async (ctx) => {
     return;
 });
 
+// Photo handler (report evidence, vehicle photos, relay chat)
+bot.on('photo', userMiddleware, async (ctx, next) => {
+    const handled = await reportHandlers.handleReportPhoto(ctx);
+    if (handled) return;
+
+    const fleetHandled = await fleetHandlers.handleFleetPhoto(ctx);
+    if (fleetHandled) return;
+
+    const chatHandled = await chatHandlers.handleChatMessage(ctx);
+    if (!chatHandled) return next();
+});
+
+// Voice handler (relay chat)
+bot.on('voice', userMiddleware, async (ctx, next) => {
+    const chatHandled = await chatHandlers.handleChatMessage(ctx);
+    if (!chatHandled) return next();
+});
+
+// Location handler (live tracking, pins and venues for order places and driver location, relay chat)
+bot.on('location', userMiddleware, async (ctx, next) => {
+    if (!ctx.user || !ctx.user.registrationCompleted) return next();
+
+    const trackingHandled = await trackingHandlers.handleLiveLocationStart(ctx);
+    if (trackingHandled) return;
+
+    const orderHandled = await orderHandlers.handleOrderLocation(ctx);
+    if (orderHandled) return;
+
+    const profileHandled = await profileHandlers.handleLocationPin(ctx);
+    if (profileHandled) return;
+
+    const chatHandled = await chatHandlers.handleChatMessage(ctx);
+    if (!chatHandled) return next();
+});
+
+// Live location updates arrive as edits of the original message
+bot.on('edited_message', async (ctx, next) => {
+    if (!ctx.editedMessage.location) return next();
+
+    const handled = await trackingHandlers.handleLiveLocationUpdate(ctx);
+    if (!handled) return next();
+});
+
 // Text message handler
 bot.on('message', async (ctx, next) => {
     try {
@@ -207,10 +446,62 @@ bot.on('message', async (ctx, next) => {
         const messageText = ctx.message.text;
         const user = ctx.user;
 
+        // Handle admin input (granting roles)
+        const adminHandled = await adminHandlers.handleAdminInputStep(ctx);
+        if (adminHandled) return;
+
+        // Handle admin input for scoring profiles
+        const scoringHandled = await scoringHandlers.handleScoringInputStep(ctx);
+        if (scoringHandled) return;
+
+        // Handle moderator input (user lookup and reasons)
+        const moderationHandled = await moderationHandlers.handleModerationInputStep(ctx);
+        if (moderationHandled) return;
+
         // Handle keyboard menu selections for registered users
         if (user && user.registrationCompleted) {
             const handled = await keyboardMenus.handleKeyboardMenu(ctx);
             if (handled) return;
+
+            // Handle review comment step
+            const reviewHandled = await reviewHandlers.handleReviewCommentStep(ctx);
+            if (reviewHandled) return;
+
+            // Handle report text step
+            const reportHandled = await reportHandlers.handleReportTextStep(ctx);
+            if (reportHandled) return;
+
+            // Handle location editing
+            const locationHandled = await profileHandlers.handleLocationUpdate(ctx);
+            if (locationHandled) return;
+
+            // Handle vehicle adding and editing
+            const fleetHandled = await fleetHandlers.handleFleetInput(ctx);
+            if (fleetHandled) return;
+
+            // Handle preferred route adding
+            const routeHandled = await routeHandlers.handleRouteInput(ctx);
+            if (routeHandled) return;
+
+            // Handle bids and counter-offers from either side
+            const bidHandled = await bidHandlers.handleBidInput(ctx);
+            if (bidHandled) return;
+
+            // Handle offer creation and editing steps
+            if (user.isDriver()) {
+                const offerHandled = await driverHandlers.handleOfferCreationStep(ctx);
+                if (offerHandled) return;
+            }
+
+            // Handle order creation steps
+            if (user.isClient()) {
+                const orderHandled = await orderHandlers.handleOrderCreationStep(ctx);
+                if (orderHandled) return;
+            }
+
+            // Relay chat between client and driver, after every other step
+            const chatHandled = await chatHandlers.handleChatMessage(ctx);
+            if (chatHandled) return;
         }
 
         // Handle admin commands
@@ -260,6 +551,8 @@ process.once('SIGINT', async () => {
 
     try {
         await bot.stop('SIGINT');
+        reminderService.stop();
+        postingQueue.stop();
         await redisService.disconnect();
         await mongoose.connection.close();
         global.logger.logInfo('Graceful shutdown completed');
@@ -275,6 +568,8 @@ process.once('SIGTERM', async () => {
 
     try {
         await bot.stop('SIGTERM');
+        reminderService.stop();
+        postingQueue.stop();
         await redisService.disconnect();
         await mongoose.connection.close();
         global.logger.logInfo('Graceful shutdown completed');
@@ -292,6 +587,14 @@ const launchBot = async () => {
         // Initialize Redis first
         await initializeRedis();
 
+        // Seed group registry, posting settings and the first owner
+        await groupHandlers.reloadGroupsConfig();
+        await adminHandlers.bootstrapOwner();
+
+        // Start deal reminders and post retries before launch, which resolves only when the bot stops
+        reminderService.start(bot.telegram);
+        postingQueue.start(bot.telegram);
+
         // Launch bot
         await bot.launch();
         global.logger.logInfo('🤖 Bot started successfully');
@@ -0,0 +1,45 @@
+const User = require('../models/user');
+
+/**
+ * Block banned and suspended users from interacting with the bot
+ */
+const moderationMiddleware = async (ctx, next) => {
+    // Membership updates come from chat admins, not from the users themselves
+    if (!ctx.from || ctx.myChatMember) {
+        return next();
+    }
+
+    // Only the lookup is guarded, errors from later handlers go to the bot's error handler
+    let user = null;
+    try {
+        user = await User.findByTelegramId(ctx.from.id);
+    } catch (error) {
+        global.logger.logError(error, ctx, { context: 'Moderation middleware error' });
+    }
+
+    if (!user || !user.isBlocked()) {
+        return next();
+    }
+
+    const { moderation } = user;
+    const message = moderation.status === 'banned'
+        ? global.i18n.t(ctx, 'moderation.banned_notice', { reason: moderation.reason || '—' })
+        : global.i18n.t(ctx, 'moderation.suspended_notice', {
+            reason: moderation.reason || '—',
+            until: moderation.until ? moderation.until.toLocaleString('ru-RU') : '—'
+        });
+
+    if (ctx.callbackQuery) {
+        await ctx.answerCbQuery(message, { show_alert: true });
+    } else if (ctx.chat && ctx.chat.type === 'private') {
+        await ctx.reply(message);
+    }
+
+    global.logger.logAction('blocked_user_interaction', {
+        userId: user._id,
+        telegramId: ctx.from.id,
+        status: moderation.status
+    });
+};
+
+module.exports = { moderationMiddleware };
\ No newline at end of file
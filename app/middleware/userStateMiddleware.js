@@ -2,6 +2,8 @@ const redisService = require('../services/redisService');
 const User = require('../models/user');
 const basicRegistration = require('../handlers/basicRegistration');
 const keyboardManager = require('../utils/keyboardManager'); // New utility
+const { isStartCommand, parseStartPayload } = require('../utils/deepLinks');
+const { handleStartPayload, openPendingOrder } = require('../handlers/deepLinks');
 
 /**
  * Determine user's current state AND step based on existing data
@@ -197,9 +199,11 @@ const userStateMiddleware = async (ctx, next) => {
         // Add state to context
         ctx.userState = existingUserState;
 
-        // Special handling for /start command
-        if (ctx.message?.text === '/start') {
+        // Special handling for /start command, deep link payloads are routed after the greeting
+        if (isStartCommand(ctx.message?.text)) {
             await handleStartCommand(ctx, user, existingUserState);
+            await handleStartPayload(ctx, user, parseStartPayload(ctx.message.text));
+            await openPendingOrder(ctx, user);
             return;
         }
 
@@ -211,6 +215,10 @@ const userStateMiddleware = async (ctx, next) => {
         // Handle registration states
         const handled = await handleRegistrationStates(ctx, existingUserState);
         if (handled) {
+            // Registration finished with this step, show the order opened from a link before it
+            if (user.pendingOrderId) {
+                await openPendingOrder(ctx, await User.findById(user._id));
+            }
             return; // State handler took care of the message
         }
 
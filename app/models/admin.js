@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+const adminSchema = new mongoose.Schema({
+    telegramId: {
+        type: Number,
+        required: true,
+        unique: true,
+        index: true
+    },
+    role: {
+        type: String,
+        enum: ['owner', 'moderator', 'support'],
+        required: true
+    },
+
+    // Telegram ID of the owner who granted the role, empty for env bootstrap
+    grantedBy: {
+        type: Number
+    }
+}, {
+    timestamps: true
+});
+
+// Static methods
+adminSchema.statics.findByTelegramId = function (telegramId) {
+    return this.findOne({ telegramId });
+};
+
+adminSchema.statics.countOwners = function () {
+    return this.countDocuments({ role: 'owner' });
+};
+
+module.exports = mongoose.model('Admin', adminSchema);
\ No newline at end of file
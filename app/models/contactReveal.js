@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+// One attempt to see an order's phone, granted or not
+const contactRevealSchema = new mongoose.Schema({
+    // References
+    orderId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order',
+        required: true,
+        index: true
+    },
+    viewerId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null // Unregistered Telegram user
+    },
+    viewerTelegramId: {
+        type: Number,
+        required: true
+    },
+
+    // Where the button was pressed, deal is the phone shown to the assigned driver
+    source: {
+        type: String,
+        enum: ['group', 'bot', 'deal'],
+        required: true
+    },
+    groupId: {
+        type: Number
+    },
+
+    // Outcome
+    revealed: {
+        type: Boolean,
+        required: true
+    },
+    deniedReason: {
+        type: String,
+        enum: ['privacy', 'limit']
+    }
+}, {
+    timestamps: true
+});
+
+// Indexes
+contactRevealSchema.index({ viewerTelegramId: 1, createdAt: -1 });
+
+// Static methods
+// Phones of the viewer's own deals do not count towards the daily limit
+contactRevealSchema.statics.findRevealedOrderIds = function (viewerTelegramId, since) {
+    return this.distinct('orderId', { viewerTelegramId, revealed: true, source: { $ne: 'deal' }, createdAt: { $gte: since } });
+};
+
+contactRevealSchema.statics.countDenied = function (viewerTelegramId, reason, since) {
+    return this.countDocuments({ viewerTelegramId, deniedReason: reason, createdAt: { $gte: since } });
+};
+
+module.exports = mongoose.model('ContactReveal', contactRevealSchema);
\ No newline at end of file
@@ -0,0 +1,114 @@
+const mongoose = require('mongoose');
+const gazetteer = require('../services/gazetteer');
+
+const groupSchema = new mongoose.Schema({
+    // Telegram chat ID (negative for groups and channels)
+    chatId: {
+        type: Number,
+        required: true,
+        unique: true,
+        index: true
+    },
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    type: {
+        type: String,
+        enum: ['group', 'supergroup', 'channel'],
+        default: 'supergroup'
+    },
+    description: {
+        type: String,
+        trim: true
+    },
+
+    // Region tags, empty means all regions
+    regions: [{
+        type: String,
+        lowercase: true,
+        trim: true
+    }],
+
+    // Language of posts in this group
+    language: {
+        type: String,
+        enum: ['ru', 'uz', 'en'],
+        default: 'ru'
+    },
+
+    // Posting rules
+    postingRules: {
+        minPrice: {
+            type: Number,
+            min: 0,
+            default: 0
+        }
+    },
+
+    active: {
+        type: Boolean,
+        default: true,
+        index: true
+    },
+    addedBy: {
+        type: Number // Telegram ID of the admin
+    },
+    deactivatedAt: Date
+}, {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+// Indexes
+groupSchema.index({ active: 1, regions: 1 });
+
+// Virtual for region tags as a single line
+groupSchema.virtual('region').get(function () {
+    return this.regions.join(', ');
+});
+
+// Methods
+groupSchema.methods.matchesRegion = function (location) {
+    if (this.regions.length === 0) return true;
+    if (!location) return false;
+
+    // Same city in any spelling, or a district of the tagged city
+    const placeId = gazetteer.findPlace(location)?.id;
+    if (placeId && this.regions.some(region => gazetteer.isSameArea(gazetteer.findPlace(region)?.id, placeId))) {
+        return true;
+    }
+
+    const search = location.toLowerCase();
+    return this.regions.some(region => search.includes(region) || region.includes(search));
+};
+
+groupSchema.methods.acceptsOrder = function (order) {
+    const minPrice = this.postingRules?.minPrice || 0;
+    return !minPrice || !order.cargo.price || order.cargo.price >= minPrice;
+};
+
+groupSchema.methods.activate = function () {
+    this.active = true;
+    this.deactivatedAt = null;
+    return this.save();
+};
+
+groupSchema.methods.deactivate = function () {
+    this.active = false;
+    this.deactivatedAt = new Date();
+    return this.save();
+};
+
+// Static methods
+groupSchema.statics.findActiveGroups = function () {
+    return this.find({ active: true }).sort({ createdAt: 1 });
+};
+
+groupSchema.statics.findByChatId = function (chatId) {
+    return this.findOne({ chatId });
+};
+
+module.exports = mongoose.model('Group', groupSchema);
\ No newline at end of file
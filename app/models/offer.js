@@ -0,0 +1,143 @@
+const mongoose = require('mongoose');
+const gazetteer = require('../services/gazetteer');
+
+const offerSchema = new mongoose.Schema({
+    // References
+    driverId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+
+    // Route information
+    route: {
+        from: {
+            type: String,
+            required: true,
+            trim: true
+        },
+        to: {
+            type: String,
+            trim: true
+        },
+
+        // Gazetteer IDs resolved from the free-text locations
+        fromPlaceId: {
+            type: String,
+            default: null
+        },
+        toPlaceId: {
+            type: String,
+            default: null
+        }
+    },
+
+    // Availability window
+    availableFrom: {
+        type: Date
+    },
+    availableTo: {
+        type: Date
+    },
+
+    // Vehicle information
+    vehicleCategory: {
+        type: String,
+        enum: ['light', 'medium', 'heavy', 'special']
+    },
+    capacity: {
+        type: Number, // In tonnes
+        min: 0
+    },
+
+    // Price per trip
+    price: {
+        type: Number,
+        min: 0
+    },
+
+    // Offer status
+    status: {
+        type: String,
+        enum: ['open', 'closed'],
+        default: 'open',
+        index: true
+    },
+    closedAt: Date
+}, {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+// Indexes
+offerSchema.index({ status: 1, createdAt: -1 });
+offerSchema.index({ 'route.from': 1 });
+offerSchema.index({ availableFrom: 1, availableTo: 1 });
+
+// Resolve route places
+offerSchema.pre('save', function (next) {
+    if (this.isModified('route.from')) {
+        this.route.fromPlaceId = gazetteer.findPlace(this.route.from)?.id || null;
+    }
+    if (this.isModified('route.to')) {
+        this.route.toPlaceId = gazetteer.findPlace(this.route.to)?.id || null;
+    }
+
+    next();
+});
+
+// Virtual for offer summary
+offerSchema.virtual('summary').get(function () {
+    const fromTo = this.route.to ? `${this.route.from} → ${this.route.to}` : this.route.from;
+    const price = this.price ? ` (${this.price} сум)` : '';
+    return `${fromTo}${price}`;
+});
+
+// Methods
+offerSchema.methods.isOpen = function () {
+    return this.status === 'open';
+};
+
+offerSchema.methods.isAvailableOn = function (date) {
+    if (!date) return true;
+
+    const day = new Date(date);
+    if (this.availableFrom && day < this.availableFrom) return false;
+    if (this.availableTo && day > this.availableTo) return false;
+    return true;
+};
+
+offerSchema.methods.close = function () {
+    this.status = 'closed';
+    this.closedAt = new Date();
+    return this.save();
+};
+
+// Static methods
+offerSchema.statics.findOpenOffers = function () {
+    const now = new Date();
+
+    return this.find({
+        status: 'open',
+        $or: [
+            { availableTo: null },
+            { availableTo: { $gte: now } }
+        ]
+    })
+        .populate('driverId', 'profile reputation driverInfo telegramId')
+        .sort({ createdAt: -1 });
+};
+
+offerSchema.statics.findDriverOffers = function (driverId, status = null) {
+    const query = { driverId };
+
+    if (status) {
+        query.status = status;
+    }
+
+    return this.find(query).sort({ createdAt: -1 });
+};
+
+module.exports = mongoose.model('Offer', offerSchema);
\ No newline at end of file
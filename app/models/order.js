@@ -1,4 +1,11 @@
 const mongoose = require('mongoose');
+const gazetteer = require('../services/gazetteer');
+const { escapeRegex } = require('../utils/regex');
+const Track = require('./track');
+const { CARGO_TYPES, BODY_TYPES, parseWeightKg, parseVolumeM3 } = require('../utils/cargo');
+
+// Base delay before the first "did the deal happen?" reminder, doubled after each one
+const REMINDER_BASE_DELAY_MS = (parseFloat(process.env.REMINDER_BASE_DELAY_HOURS) || 24) * 60 * 60 * 1000;
 
 const orderSchema = new mongoose.Schema({
     // References
@@ -14,6 +21,11 @@ const orderSchema = new mongoose.Schema({
         default: null,
         index: true
     },
+    vehicleId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Vehicle',
+        default: null // Fleet vehicle the assigned driver responded with
+    },
 
     // Cargo information
     cargo: {
@@ -26,6 +38,26 @@ const orderSchema = new mongoose.Schema({
             type: String,
             trim: true
         },
+
+        // Gazetteer IDs resolved from the free-text locations
+        fromPlaceId: {
+            type: String,
+            default: null
+        },
+        toPlaceId: {
+            type: String,
+            default: null
+        },
+
+        // GeoJSON points from a shared location pin or the resolved place
+        fromCoordinates: {
+            type: { type: String, enum: ['Point'] },
+            coordinates: { type: [Number], default: undefined } // [longitude, latitude]
+        },
+        toCoordinates: {
+            type: { type: String, enum: ['Point'] },
+            coordinates: { type: [Number], default: undefined }
+        },
         scheduledDate: {
             type: Date
         },
@@ -45,6 +77,28 @@ const orderSchema = new mongoose.Schema({
         dimensions: {
             type: String,
             trim: true
+        },
+
+        // Structured cargo parsed from the texts above or entered in the order flow
+        weightKg: {
+            type: Number,
+            min: 0,
+            default: null
+        },
+        volumeM3: {
+            type: Number,
+            min: 0,
+            default: null
+        },
+        cargoType: {
+            type: String,
+            enum: CARGO_TYPES,
+            default: 'general'
+        },
+        bodyType: {
+            type: String,
+            enum: [...BODY_TYPES, null],
+            default: null // Any body
         }
     },
 
@@ -60,6 +114,19 @@ const orderSchema = new mongoose.Schema({
         }
     },
 
+    // Who may see the client's phone: anyone, registered drivers, or only the driver the client accepted
+    contactPrivacy: {
+        type: String,
+        enum: ['everyone', 'drivers', 'accepted'],
+        default: 'everyone'
+    },
+
+    // Client and drivers talk through the bot, set for orders that hide the phone until a driver is assigned
+    relayChat: {
+        type: Boolean,
+        default: false
+    },
+
     // Order status
     status: {
         type: String,
@@ -76,6 +143,32 @@ const orderSchema = new mongoose.Schema({
     groupMessageId: {
         type: Number
     },
+    groupMessages: [{
+        groupId: {
+            type: Number,
+            required: true
+        },
+        messageId: {
+            type: Number,
+            required: true
+        },
+        postedAt: {
+            type: Date,
+            default: Date.now
+        }
+    }],
+    failedGroupPosts: [{
+        groupId: {
+            type: Number,
+            required: true
+        },
+        attempts: {
+            type: Number,
+            default: 1
+        },
+        lastError: String,
+        nextRetryAt: Date
+    }],
 
     // Matching and responses
     interestedDrivers: [{
@@ -83,12 +176,89 @@ const orderSchema = new mongoose.Schema({
             type: mongoose.Schema.Types.ObjectId,
             ref: 'User'
         },
+        vehicleId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Vehicle',
+            default: null
+        },
         respondedAt: {
             type: Date,
             default: Date.now
-        }
+        },
+
+        // Driver's bid
+        price: {
+            type: Number,
+            min: 0
+        },
+        pickupAt: Date, // Earliest pickup
+        note: {
+            type: String,
+            trim: true,
+            maxlength: 300
+        },
+        status: {
+            type: String,
+            enum: ['pending', 'accepted', 'rejected', 'withdrawn'],
+            default: 'pending'
+        },
+
+        // Driver's score inputs when the bid was made, see getScoreInputs
+        scoreInputs: {
+            driverInfo: {
+                vehicleCategory: String,
+                currentLocation: String,
+                currentPlaceId: String,
+                currentCoordinates: {
+                    type: { type: String, enum: ['Point'] },
+                    coordinates: { type: [Number], default: undefined }
+                },
+                preferredRoutes: {
+                    type: [{
+                        from: String,
+                        to: String,
+                        fromPlaceId: String,
+                        toPlaceId: String,
+                        days: [Number]
+                    }],
+                    default: undefined
+                }
+            },
+            reputation: {
+                rating: Number,
+                completedDeals: Number
+            },
+            activeOrders: Number,
+            maxOrders: Number,
+            lastActivity: Date
+        },
+
+        // Negotiation history, the last offer is the price on the table
+        offers: [{
+            by: {
+                type: String,
+                enum: ['client', 'driver'],
+                required: true
+            },
+            price: {
+                type: Number,
+                min: 0,
+                required: true
+            },
+            createdAt: {
+                type: Date,
+                default: Date.now
+            }
+        }]
     }],
 
+    // Price of the accepted bid, cargo.price stays the client's asking price
+    agreedPrice: {
+        type: Number,
+        min: 0,
+        default: null
+    },
+
     // Deal completion
     dealCompletedBy: {
         client: { type: Boolean, default: false },
@@ -113,13 +283,19 @@ const orderSchema = new mongoose.Schema({
     matchedAt: Date,
     startedAt: Date,
     completedAt: Date,
+    cancelledAt: Date,
 
     // Auto-reminders
     remindersSent: {
         type: Number,
         default: 0
     },
-    lastReminderAt: Date
+    lastReminderAt: Date,
+    nextReminderAt: {
+        type: Date,
+        default: null
+    },
+    escalatedAt: Date
 }, {
     timestamps: true,
     toJSON: { virtuals: true },
@@ -129,8 +305,13 @@ const orderSchema = new mongoose.Schema({
 // Indexes
 orderSchema.index({ status: 1, createdAt: -1 });
 orderSchema.index({ 'cargo.from': 1 });
+orderSchema.index({ status: 1, 'cargo.fromPlaceId': 1 });
+orderSchema.index({ 'cargo.fromCoordinates': '2dsphere' });
 orderSchema.index({ 'cargo.scheduledDate': 1 });
+orderSchema.index({ status: 1, 'cargo.cargoType': 1, 'cargo.weightKg': 1 });
 orderSchema.index({ publishedToGroup: 1 });
+orderSchema.index({ status: 1, nextReminderAt: 1 });
+orderSchema.index({ status: 1, 'failedGroupPosts.nextRetryAt': 1 });
 
 // Virtual for order summary
 orderSchema.virtual('summary').get(function () {
@@ -139,6 +320,71 @@ orderSchema.virtual('summary').get(function () {
     return `${fromTo}${price}`;
 });
 
+/**
+ * Fill place ID and coordinates for a cargo location the handler did not resolve
+ * Typed places get the place centre, so 2dsphere queries see them too
+ * @param {string} field - from or to
+ */
+const resolveCargoLocation = (order, field) => {
+    const placePath = `cargo.${field}PlaceId`;
+    const pointPath = `cargo.${field}Coordinates`;
+
+    if (!order.isModified(`cargo.${field}`)) return;
+
+    if (!order.get(placePath) || !order.isModified(placePath)) {
+        order.set(placePath, gazetteer.findPlace(order.get(`cargo.${field}`))?.id || null);
+    }
+
+    if (!order.get(pointPath)?.coordinates?.length || !order.isModified(pointPath)) {
+        const place = gazetteer.getPlaceById(order.get(placePath));
+        order.set(pointPath, place ? gazetteer.toPoint(place) : undefined);
+    }
+};
+
+// Resolve places typed without picking a suggestion or sending a pin
+orderSchema.pre('save', function (next) {
+    resolveCargoLocation(this, 'from');
+    resolveCargoLocation(this, 'to');
+    next();
+});
+
+// Parse weight and volume of orders that only have text, e.g. from older flows
+orderSchema.pre('save', function (next) {
+    if (this.isModified('cargo.weight') && !this.cargo.weightKg) {
+        this.cargo.weightKg = parseWeightKg(this.cargo.weight);
+    }
+
+    if (this.isModified('cargo.dimensions') && !this.cargo.volumeM3) {
+        this.cargo.volumeM3 = parseVolumeM3(this.cargo.dimensions);
+    }
+
+    next();
+});
+
+// Keep the reminder schedule in sync with the deal state
+orderSchema.pre('save', function (next) {
+    if (this.isModified('status')) {
+        if (!this.isDealInProgress()) {
+            this.nextReminderAt = null;
+        } else if (!this.nextReminderAt && !this.escalatedAt) {
+            this.nextReminderAt = new Date(Date.now() + REMINDER_BASE_DELAY_MS);
+        }
+    }
+
+    // Only active orders are worth re-posting
+    if (this.isModified('status') && this.status !== 'active') {
+        this.failedGroupPosts = [];
+    }
+
+    // One party answered: restart the back-off for the party still pending
+    if (this.isDealInProgress() && this.isModified('dealCompletedBy')) {
+        this.remindersSent = 0;
+        this.nextReminderAt = new Date(Date.now() + REMINDER_BASE_DELAY_MS);
+    }
+
+    next();
+});
+
 // Methods
 orderSchema.methods.isActive = function () {
     return this.status === 'active';
@@ -148,12 +394,41 @@ orderSchema.methods.isCompleted = function () {
     return this.status === 'completed';
 };
 
+orderSchema.methods.addGroupMessage = function (groupId, messageId) {
+    this.groupMessages.push({ groupId, messageId });
+    this.publishedToGroup = true;
+
+    // Keep the first message ID for older code paths
+    if (!this.groupMessageId) {
+        this.groupMessageId = messageId;
+    }
+};
+
+orderSchema.methods.addFailedGroupPost = function (groupId, error, nextRetryAt) {
+    this.failedGroupPosts.push({ groupId, lastError: error, nextRetryAt });
+};
+
 orderSchema.methods.canBeMatched = function () {
     return this.status === 'active' && !this.driverId;
 };
 
+/**
+ * Assign a driver, their bid is accepted and the other pending bids are rejected
+ */
 orderSchema.methods.assignDriver = function (driverId) {
+    const interested = this.getBid(driverId);
+
+    this.interestedDrivers.forEach(bid => {
+        if (bid === interested) {
+            bid.status = 'accepted';
+        } else if (bid.status === 'pending') {
+            bid.status = 'rejected';
+        }
+    });
+
     this.driverId = driverId;
+    this.vehicleId = interested ? interested.vehicleId : null;
+    this.agreedPrice = interested && interested.price ? interested.price : null;
     this.status = 'matched';
     this.matchedAt = new Date();
     return this.save();
@@ -165,35 +440,102 @@ orderSchema.methods.startProgress = function () {
     return this.save();
 };
 
-orderSchema.methods.markCompleted = function () {
+orderSchema.methods.markCompleted = async function () {
     this.status = 'completed';
     this.completedAt = new Date();
-    return this.save();
+    await this.save();
+
+    // Live location is only shared while the cargo is on the way
+    await Track.stopForOrder(this._id, 'completed');
+    return this;
+};
+
+orderSchema.methods.markCancelled = async function () {
+    this.status = 'cancelled';
+    this.cancelledAt = new Date();
+    await this.save();
+
+    await Track.stopForOrder(this._id, 'cancelled');
+    return this;
 };
 
-orderSchema.methods.addInterestedDriver = function (driverId) {
+orderSchema.methods.isDealInProgress = function () {
+    return this.status === 'matched' || this.status === 'in_progress';
+};
+
+orderSchema.methods.isAwaitingConfirmation = function () {
+    return this.isDealInProgress() && this.dealCompletedBy.client !== this.dealCompletedBy.driver;
+};
+
+orderSchema.methods.getBid = function (driverId) {
+    return this.interestedDrivers.find(
+        driver => (driver.driverId._id || driver.driverId).toString() === driverId.toString()
+    ) || null;
+};
+
+/**
+ * Record a driver's response with their bid: { price, pickupAt, note }
+ */
+orderSchema.methods.addInterestedDriver = function (driverId, vehicleId = null, bid = {}) {
     const exists = this.interestedDrivers.some(
         driver => driver.driverId.toString() === driverId.toString()
     );
 
     if (!exists) {
-        this.interestedDrivers.push({ driverId });
+        const offers = bid.price ? [{ by: 'driver', price: bid.price }] : [];
+        this.interestedDrivers.push({ driverId, vehicleId, ...bid, offers });
         return this.save();
     }
     return Promise.resolve(this);
 };
 
+/**
+ * Put a counter-offer on a driver's bid
+ * @param {string} by - client or driver
+ */
+orderSchema.methods.addCounterOffer = function (driverId, by, price) {
+    const bid = this.getBid(driverId);
+
+    bid.offers.push({ by, price });
+    bid.price = price;
+    return this.save();
+};
+
+orderSchema.methods.withdrawBid = function (driverId) {
+    this.getBid(driverId).status = 'withdrawn';
+    return this.save();
+};
+
 // Static methods
+orderSchema.statics.getReminderDelay = function (remindersSent) {
+    return REMINDER_BASE_DELAY_MS * Math.pow(2, remindersSent);
+};
+
 orderSchema.statics.findActiveOrders = function () {
     return this.find({ status: 'active' })
         .populate('clientId', 'profile contactInfo')
         .sort({ createdAt: -1 });
 };
 
-orderSchema.statics.findOrdersByLocation = function (location) {
+orderSchema.statics.findOrdersByLocation = function (location, placeId = null) {
+    // Orders anywhere in the same city, falling back to text search for unknown places
+    const locationQuery = placeId
+        ? { 'cargo.fromPlaceId': { $in: gazetteer.getAreaPlaceIds(placeId) } }
+        : { 'cargo.from': new RegExp(escapeRegex(location), 'i') };
+
     return this.find({
         status: 'active',
-        'cargo.from': new RegExp(location, 'i')
+        ...locationQuery
+    }).populate('clientId', 'profile');
+};
+
+orderSchema.statics.findOrdersNear = function (point, maxDistanceKm) {
+    // $nearSphere returns the closest orders first
+    return this.find({
+        status: 'active',
+        'cargo.fromCoordinates': {
+            $nearSphere: { $geometry: point, $maxDistance: maxDistanceKm * 1000 }
+        }
     }).populate('clientId', 'profile');
 };
 
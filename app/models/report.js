@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+const reportSchema = new mongoose.Schema({
+    // References
+    reporterId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    targetUserId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    orderId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order',
+        default: null
+    },
+
+    // Complaint
+    category: {
+        type: String,
+        enum: ['fraud', 'no_show', 'payment', 'rude', 'spam', 'other'],
+        required: true
+    },
+    text: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 1000
+    },
+    photoFileId: {
+        type: String // Telegram file_id of the evidence photo
+    },
+
+    // Moderation outcome
+    status: {
+        type: String,
+        enum: ['pending', 'dismissed', 'warned', 'banned'],
+        default: 'pending',
+        index: true
+    },
+    resolvedBy: {
+        type: Number // Telegram ID of the admin
+    },
+    resolvedAt: Date
+}, {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+// Indexes
+reportSchema.index({ status: 1, createdAt: 1 });
+reportSchema.index({ reporterId: 1, targetUserId: 1, orderId: 1, status: 1 });
+
+// Methods
+reportSchema.methods.isPending = function () {
+    return this.status === 'pending';
+};
+
+// Static methods
+reportSchema.statics.findPending = function (skip = 0) {
+    return this.findOne({ status: 'pending' })
+        .sort({ createdAt: 1 })
+        .skip(skip)
+        .populate('reporterId', 'profile telegramId language')
+        .populate('targetUserId', 'profile telegramId reputation moderation moderationHistory');
+};
+
+module.exports = mongoose.model('Report', reportSchema);
\ No newline at end of file
@@ -0,0 +1,133 @@
+const mongoose = require('mongoose');
+
+// Points for each matching factor, the defaults reproduce the original hard-coded scoring
+const weightsSchema = new mongoose.Schema({
+    base: { type: Number, default: 10 },
+
+    // Location
+    locationSamePlace: { type: Number, default: 50 },
+    locationSameArea: { type: Number, default: 30 },
+    locationWithin50: { type: Number, default: 20 },
+    locationWithin150: { type: Number, default: 10 },
+    locationWithin300: { type: Number, default: 5 },
+
+    // Driver reputation and availability
+    ratingPerStar: { type: Number, default: 5 },
+    experiencePerDeal: { type: Number, default: 2 },
+    experienceMax: { type: Number, default: 20 },
+    availability: { type: Number, default: 10 },
+
+    // Order on one of the driver's preferred routes
+    routeMatch: { type: Number, default: 20 },
+
+    // Vehicle against cargo weight
+    vehicleBest: { type: Number, default: 15 },
+    vehicleGood: { type: Number, default: 10 },
+    vehicleFair: { type: Number, default: 5 },
+    vehicleUnsuitable: { type: Number, default: -10 },
+
+    // Driver's last activity
+    activityDay: { type: Number, default: 15 },
+    activityWeek: { type: Number, default: 10 },
+    activityMonth: { type: Number, default: 5 },
+
+    // Order attractiveness for drivers
+    priceTop: { type: Number, default: 20 },
+    priceHigh: { type: Number, default: 15 },
+    priceMedium: { type: Number, default: 10 },
+    priceLow: { type: Number, default: 5 },
+    urgencyDay: { type: Number, default: 15 },
+    urgencyThreeDays: { type: Number, default: 10 },
+    urgencyWeek: { type: Number, default: 5 },
+    orderFresh: { type: Number, default: 10 },
+    orderRecent: { type: Number, default: 5 },
+    orderStale: { type: Number, default: -5 }
+}, { _id: false });
+
+const WEIGHT_KEYS = Object.keys(weightsSchema.paths);
+
+const scoringProfileSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        unique: true,
+        trim: true,
+        maxlength: 40
+    },
+    weights: {
+        type: weightsSchema,
+        default: () => ({})
+    },
+
+    // Only one profile drives matching at a time
+    isActive: {
+        type: Boolean,
+        default: false,
+        index: true
+    },
+
+    // Telegram ID of the admin who created the profile
+    createdBy: {
+        type: Number
+    }
+}, {
+    timestamps: true
+});
+
+// Methods
+scoringProfileSchema.methods.getWeights = function () {
+    return this.weights.toObject();
+};
+
+/**
+ * Version string that changes whenever the profile is edited
+ */
+scoringProfileSchema.methods.getVersion = function () {
+    return this.updatedAt ? `${this._id}-${this.updatedAt.getTime()}` : 'default';
+};
+
+// Static methods
+scoringProfileSchema.statics.WEIGHT_KEYS = WEIGHT_KEYS;
+
+scoringProfileSchema.statics.getDefaultWeights = function () {
+    return new this({ name: 'default' }).getWeights();
+};
+
+/**
+ * Get the profile used for matching
+ * Falls back to an unsaved profile with default weights
+ */
+scoringProfileSchema.statics.getActive = async function () {
+    const profile = await this.findOne({ isActive: true });
+    return profile || new this({ name: 'default', isActive: true });
+};
+
+/**
+ * Create the default profile on first use
+ */
+scoringProfileSchema.statics.ensureDefault = async function () {
+    if (await this.exists({})) return;
+
+    try {
+        await this.create({ name: 'default', isActive: true });
+    } catch (error) {
+        // Another instance created it first
+        if (error.code !== 11000) throw error;
+    }
+};
+
+/**
+ * Make the profile the only active one
+ * The target is switched on first, so a missing profile leaves the current one active
+ * and matching never runs without an active profile in between
+ * @returns {Object|null} - activated profile, null if it does not exist
+ */
+scoringProfileSchema.statics.activate = async function (profileId) {
+    const profile = await this.findByIdAndUpdate(profileId, { $set: { isActive: true } }, { new: true });
+    if (!profile) return null;
+
+    await this.updateMany({ _id: { $ne: profile._id }, isActive: true }, { $set: { isActive: false } });
+    return profile;
+};
+
+module.exports = mongoose.model('ScoringProfile', scoringProfileSchema);
\ No newline at end of file
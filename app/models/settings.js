@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+// Key-value documents shared by all bot instances
+const settingsSchema = new mongoose.Schema({
+    key: {
+        type: String,
+        required: true,
+        unique: true,
+        index: true
+    },
+    value: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    }
+}, {
+    timestamps: true,
+    minimize: false
+});
+
+// Static methods
+settingsSchema.statics.getValue = async function (key, defaults = {}) {
+    const doc = await this.findOne({ key }).lean();
+    return { ...defaults, ...(doc?.value || {}) };
+};
+
+settingsSchema.statics.updateValue = async function (key, updates) {
+    const set = {};
+    Object.entries(updates).forEach(([name, value]) => {
+        set[`value.${name}`] = value;
+    });
+
+    const doc = await this.findOneAndUpdate(
+        { key },
+        { $set: set },
+        { new: true, upsert: true }
+    ).lean();
+
+    return doc.value;
+};
+
+// Add missing keys without overwriting values changed by admins
+settingsSchema.statics.seedValue = async function (key, defaults) {
+    const current = await this.findOne({ key }).lean();
+    const missing = {};
+
+    Object.entries(defaults).forEach(([name, value]) => {
+        if (!current || !(name in (current.value || {}))) {
+            missing[name] = value;
+        }
+    });
+
+    if (Object.keys(missing).length === 0) {
+        return current.value;
+    }
+
+    return this.updateValue(key, missing);
+};
+
+module.exports = mongoose.model('Settings', settingsSchema);
\ No newline at end of file
@@ -0,0 +1,112 @@
+const mongoose = require('mongoose');
+
+// Keep at most this many points per order, older ones are dropped
+const MAX_TRACK_POINTS = 500;
+
+const pointSchema = new mongoose.Schema({
+    type: {
+        type: String,
+        enum: ['Point'],
+        default: 'Point'
+    },
+    coordinates: {
+        type: [Number], // [longitude, latitude]
+        required: true
+    }
+}, { _id: false });
+
+const trackSchema = new mongoose.Schema({
+    // References
+    orderId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order',
+        required: true,
+        unique: true
+    },
+    driverId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+
+    // Driver's live location message, its edits carry new positions
+    chatId: {
+        type: Number
+    },
+    messageId: {
+        type: Number
+    },
+
+    // Tracking state
+    status: {
+        type: String,
+        enum: ['active', 'stopped'],
+        default: 'active',
+        index: true
+    },
+    stopReason: {
+        type: String,
+        enum: ['completed', 'cancelled', 'driver']
+    },
+    stoppedAt: Date,
+
+    // Positions
+    lastPosition: pointSchema,
+    lastUpdateAt: Date,
+    points: [{
+        position: pointSchema,
+        recordedAt: {
+            type: Date,
+            default: Date.now
+        }
+    }]
+}, {
+    timestamps: true
+});
+
+// Indexes
+trackSchema.index({ chatId: 1, messageId: 1 });
+
+// Methods
+trackSchema.methods.isActive = function () {
+    return this.status === 'active';
+};
+
+// Static methods
+trackSchema.statics.findActiveByMessage = function (chatId, messageId) {
+    return this.findOne({ chatId, messageId, status: 'active' });
+};
+
+/**
+ * Append a position, throttled to one stored point per minIntervalMs
+ * @returns {Object|null} - updated track, null when throttled or inactive
+ */
+trackSchema.statics.recordPosition = function (trackId, position, minIntervalMs) {
+    const now = new Date();
+
+    return this.findOneAndUpdate(
+        {
+            _id: trackId,
+            status: 'active',
+            $or: [
+                { lastUpdateAt: null },
+                { lastUpdateAt: { $lte: new Date(now.getTime() - minIntervalMs) } }
+            ]
+        },
+        {
+            $set: { lastPosition: position, lastUpdateAt: now },
+            $push: { points: { $each: [{ position, recordedAt: now }], $slice: -MAX_TRACK_POINTS } }
+        },
+        { new: true }
+    );
+};
+
+trackSchema.statics.stopForOrder = function (orderId, reason) {
+    return this.updateOne(
+        { orderId, status: 'active' },
+        { $set: { status: 'stopped', stopReason: reason, stoppedAt: new Date() } }
+    );
+};
+
+module.exports = mongoose.model('Track', trackSchema);
\ No newline at end of file
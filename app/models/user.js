@@ -1,4 +1,7 @@
 const mongoose = require('mongoose');
+const gazetteer = require('../services/gazetteer');
+const { BODY_TYPES, PERMIT_CARGO_TYPES } = require('../utils/cargo');
+const { escapeRegex } = require('../utils/regex');
 
 const userSchema = new mongoose.Schema({
     telegramId: {
@@ -47,13 +50,45 @@ const userSchema = new mongoose.Schema({
             enum: ['light', 'medium', 'heavy', 'special'],
             trim: true
         },
+
+        // Vehicle capability, matching skips cargo the vehicle cannot carry
+        payloadKg: {
+            type: Number,
+            min: 0
+        },
+        volumeM3: {
+            type: Number,
+            min: 0
+        },
+        bodyType: {
+            type: String,
+            enum: BODY_TYPES
+        },
+        cargoTypes: {
+            type: [{ type: String, enum: PERMIT_CARGO_TYPES }],
+            default: undefined // Special cargo the driver accepts
+        },
+        // Corridors the driver wants orders for, matched in both directions
         preferredRoutes: [{
             from: String,
-            to: String
+            to: String,
+            fromPlaceId: String,
+            toPlaceId: String,
+            days: [{ type: Number, min: 0, max: 6 }] // Weekdays, Sunday is 0; empty means any day
         }],
         currentLocation: {
             type: String,
             trim: true
+        },
+        currentPlaceId: {
+            type: String,
+            default: null
+        },
+
+        // GeoJSON point from a shared location pin or the resolved place
+        currentCoordinates: {
+            type: { type: String, enum: ['Point'] },
+            coordinates: { type: [Number], default: undefined } // [longitude, latitude]
         }
     },
 
@@ -85,6 +120,34 @@ const userSchema = new mongoose.Schema({
         default: 1 // Start with 1 for new users
     },
 
+    // Moderation
+    moderation: {
+        status: {
+            type: String,
+            enum: ['active', 'banned', 'suspended'],
+            default: 'active'
+        },
+        reason: String,
+        until: Date, // End of suspension
+        maxOrdersLimit: Number, // Cap that experience upgrades cannot exceed
+        updatedBy: Number, // Telegram ID of the admin
+        updatedAt: Date
+    },
+    moderationHistory: [{
+        action: {
+            type: String,
+            enum: ['ban', 'unban', 'suspend', 'limit', 'unlimit', 'warn']
+        },
+        reason: String,
+        until: Date,
+        maxOrders: Number,
+        adminId: Number,
+        createdAt: {
+            type: Date,
+            default: Date.now
+        }
+    }],
+
     // User settings
     language: {
         type: String,
@@ -103,6 +166,28 @@ const userSchema = new mongoose.Schema({
         default: 'start'
     },
 
+    // Where the user came from, recorded from the first deep link before registration
+    attribution: {
+        payload: String, // Raw /start payload
+        referredBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null
+        },
+        groupChatId: {
+            type: Number,
+            default: null
+        },
+        startedAt: Date
+    },
+
+    // Order opened from a deep link before registration, shown once it is done
+    pendingOrderId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order',
+        default: null
+    },
+
     // Timestamps
     lastActivity: {
         type: Date,
@@ -117,8 +202,37 @@ const userSchema = new mongoose.Schema({
 // Indexes
 userSchema.index({ 'profile.role': 1 });
 userSchema.index({ 'driverInfo.currentLocation': 1 });
+userSchema.index({ 'driverInfo.currentPlaceId': 1 });
+userSchema.index({ 'driverInfo.currentCoordinates': '2dsphere' });
+userSchema.index({ 'profile.role': 1, registrationCompleted: 1, 'driverInfo.currentPlaceId': 1, 'driverInfo.vehicleCategory': 1 });
+userSchema.index({ 'profile.role': 1, 'driverInfo.bodyType': 1, 'driverInfo.payloadKg': 1 });
+userSchema.index({ 'driverInfo.preferredRoutes.fromPlaceId': 1, 'driverInfo.preferredRoutes.toPlaceId': 1 });
 userSchema.index({ registrationCompleted: 1 });
 userSchema.index({ lastActivity: 1 });
+userSchema.index({ 'profile.phoneNumber': 1 });
+userSchema.index({ 'moderation.status': 1 });
+userSchema.index({ 'attribution.referredBy': 1 });
+
+// Resolve driver location typed without picking a suggestion or sending a pin
+userSchema.pre('save', function (next) {
+    if (!this.isModified('driverInfo.currentLocation')) {
+        return next();
+    }
+
+    const driverInfo = this.driverInfo;
+
+    if (!driverInfo.currentPlaceId || !this.isModified('driverInfo.currentPlaceId')) {
+        driverInfo.currentPlaceId = gazetteer.findPlace(driverInfo.currentLocation)?.id || null;
+    }
+
+    // Typed places get the place centre, so 2dsphere queries see them too
+    if (!driverInfo.currentCoordinates?.coordinates?.length || !this.isModified('driverInfo.currentCoordinates')) {
+        const place = gazetteer.getPlaceById(driverInfo.currentPlaceId);
+        driverInfo.currentCoordinates = place ? gazetteer.toPoint(place) : undefined;
+    }
+
+    next();
+});
 
 // Virtual for full name
 userSchema.virtual('profile.fullName').get(function () {
@@ -134,8 +248,33 @@ userSchema.methods.isClient = function () {
     return this.profile.role === 'client';
 };
 
+userSchema.methods.isBlocked = function () {
+    const moderation = this.moderation || {};
+
+    if (moderation.status === 'banned') return true;
+    return moderation.status === 'suspended' && (!moderation.until || moderation.until > new Date());
+};
+
+/**
+ * Orders a driver can run at once: experience tier plus one for each fleet vehicle after the first
+ * A limit set by moderators wins over both
+ */
+userSchema.methods.calculateMaxOrders = function (vehicleCount = 0) {
+    const completedDeals = this.reputation.completedDeals;
+    let maxOrders = completedDeals >= 25 ? 5 : completedDeals >= 10 ? 3 : 1;
+
+    maxOrders += Math.max(0, vehicleCount - 1);
+
+    const limit = this.moderation?.maxOrdersLimit;
+    if (limit !== undefined && limit !== null && maxOrders > limit) {
+        maxOrders = limit;
+    }
+
+    return maxOrders;
+};
+
 userSchema.methods.canTakeMoreOrders = function () {
-    return this.activeOrders < this.maxOrders;
+    return !this.isBlocked() && this.activeOrders < this.maxOrders;
 };
 
 userSchema.methods.updateLastActivity = function () {
@@ -148,10 +287,14 @@ userSchema.statics.findByTelegramId = function (telegramId) {
     return this.findOne({ telegramId });
 };
 
-userSchema.statics.getDriversByLocation = function (location) {
+userSchema.statics.getDriversByLocation = function (location, placeId = null) {
+    const locationQuery = placeId
+        ? { 'driverInfo.currentPlaceId': { $in: gazetteer.getAreaPlaceIds(placeId) } }
+        : { 'driverInfo.currentLocation': new RegExp(escapeRegex(location), 'i') };
+
     return this.find({
         'profile.role': 'driver',
-        'driverInfo.currentLocation': new RegExp(location, 'i'),
+        ...locationQuery,
         registrationCompleted: true
     });
 };
@@ -0,0 +1,112 @@
+const mongoose = require('mongoose');
+const { BODY_TYPES, PERMIT_CARGO_TYPES } = require('../utils/cargo');
+
+// Keep at most this many photos per vehicle
+const MAX_VEHICLE_PHOTOS = 5;
+
+const vehicleSchema = new mongoose.Schema({
+    // Driver or carrier who owns the vehicle
+    ownerId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+
+    // Vehicle details
+    plateNumber: {
+        type: String,
+        required: true,
+        trim: true,
+        uppercase: true,
+        maxlength: 15,
+        // "01 A 123 BC" and "01A123BC" are the same plate for the unique index
+        set: (value) => (typeof value === 'string' ? value.replace(/\s+/g, '') : value)
+    },
+    model: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 60
+    },
+    category: {
+        type: String,
+        enum: ['light', 'medium', 'heavy', 'special'],
+        required: true
+    },
+
+    // Capability, same meaning as in driverInfo
+    payloadKg: {
+        type: Number,
+        min: 0
+    },
+    volumeM3: {
+        type: Number,
+        min: 0
+    },
+    bodyType: {
+        type: String,
+        enum: BODY_TYPES
+    },
+    cargoTypes: [{
+        type: String,
+        enum: PERMIT_CARGO_TYPES
+    }],
+
+    // Telegram file_ids
+    photos: [{
+        type: String
+    }],
+
+    // Retired vehicles stay for order history
+    status: {
+        type: String,
+        enum: ['active', 'retired'],
+        default: 'active'
+    },
+    retiredAt: Date
+}, {
+    timestamps: true
+});
+
+// Indexes
+vehicleSchema.index({ ownerId: 1, status: 1 });
+vehicleSchema.index(
+    { plateNumber: 1 },
+    { unique: true, partialFilterExpression: { status: 'active' } }
+);
+
+// Virtual for button and list labels
+vehicleSchema.virtual('label').get(function () {
+    return `${this.model} (${this.plateNumber})`;
+});
+
+// Methods
+vehicleSchema.methods.isActive = function () {
+    return this.status === 'active';
+};
+
+vehicleSchema.methods.addPhoto = function (fileId) {
+    this.photos.push(fileId);
+    this.photos = this.photos.slice(-MAX_VEHICLE_PHOTOS);
+    return this.save();
+};
+
+vehicleSchema.methods.retire = function () {
+    this.status = 'retired';
+    this.retiredAt = new Date();
+    return this.save();
+};
+
+// Static methods
+vehicleSchema.statics.MAX_PHOTOS = MAX_VEHICLE_PHOTOS;
+
+vehicleSchema.statics.findActiveByOwner = function (ownerId) {
+    return this.find({ ownerId, status: 'active' }).sort({ createdAt: 1 });
+};
+
+vehicleSchema.statics.countActive = function (ownerId) {
+    return this.countDocuments({ ownerId, status: 'active' });
+};
+
+module.exports = mongoose.model('Vehicle', vehicleSchema);
\ No newline at end of file
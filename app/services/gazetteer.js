@@ -0,0 +1,291 @@
+const { places } = require('../data/places.json');
+
+const EARTH_RADIUS_KM = 6371;
+
+// Cyrillic (Russian and Uzbek) to Latin, close to the official Uzbek Latin alphabet
+const CYRILLIC_TO_LATIN = {
+    а: 'a', б: 'b', в: 'v', г: 'g', д: 'd', е: 'e', ж: 'j', з: 'z', и: 'i', й: 'y', к: 'k', л: 'l', м: 'm',
+    н: 'n', о: 'o', п: 'p', р: 'r', с: 's', т: 't', у: 'u', ф: 'f', х: 'x', ц: 'ts', ч: 'ch', ш: 'sh', щ: 'sh',
+    ъ: '', ы: 'i', ь: '', э: 'e', ю: 'yu', я: 'ya', ў: 'o', қ: 'q', ғ: 'g', ҳ: 'h'
+};
+
+// Spelling variants that sound the same, applied after transliteration
+const LATIN_FOLDS = [
+    [/dzh|dj|zh/g, 'j'],
+    [/kh/g, 'x'],
+    [/q/g, 'k'],
+    [/w/g, 'v'],
+    [/(.)\1/g, '$1']
+];
+
+const MAX_SUGGESTIONS = 5;
+
+// A shared pin further than this from every known place stays unresolved
+const NEAREST_PLACE_MAX_KM = 30;
+
+// Words that often surround a place name but are not part of it
+const NOISE_WORDS = new Set([
+    'г', 'город', 'гор', 'шахри', 'шаҳри', 'shahri', 'sh', 'city', 'район', 'р-н', 'тумани', 'tumani', 'district'
+]);
+
+/**
+ * Offline lookup of cities and districts with coordinates
+ */
+class Gazetteer {
+    constructor() {
+        this.places = places;
+        this.byId = new Map();
+        this.byName = new Map();
+        this.bySkeleton = [];
+
+        for (const place of places) {
+            this.byId.set(place.id, place);
+
+            const names = [...Object.values(place.names), ...place.aliases];
+            for (const name of names) {
+                const key = this.normalize(name);
+                if (key && !this.byName.has(key)) {
+                    this.byName.set(key, place);
+                    this.bySkeleton.push({ skeleton: this.toSkeleton(key), place });
+                }
+            }
+        }
+    }
+
+    /**
+     * Normalize a place name for comparison
+     * Uzbek apostrophes (o', g') are dropped so all spellings collapse to one key
+     */
+    normalize(name) {
+        if (!name || typeof name !== 'string') return '';
+
+        return name
+            .toLowerCase()
+            .replace(/ё/g, 'е')
+            .replace(/['`ʻʼ‘’]/g, '')
+            .replace(/[.,;:()"«»]/g, ' ')
+            .replace(/[-–—]/g, ' ')
+            .split(/\s+/)
+            .filter(word => word && !NOISE_WORDS.has(word))
+            .join(' ');
+    }
+
+    /**
+     * Reduce a normalized name to a script and spelling independent form
+     * "Тошкент", "Toshkent" and "Tashkent" differ only in one vowel afterwards
+     */
+    toSkeleton(normalized) {
+        let latin = '';
+        for (const char of normalized) {
+            latin += char in CYRILLIC_TO_LATIN ? CYRILLIC_TO_LATIN[char] : char;
+        }
+
+        return LATIN_FOLDS.reduce((text, [pattern, replacement]) => text.replace(pattern, replacement), latin);
+    }
+
+    /**
+     * Edit distance between two strings
+     */
+    levenshtein(a, b) {
+        let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+            }
+            previous = current;
+        }
+
+        return previous[b.length];
+    }
+
+    /**
+     * Suggest places for user input, closest first
+     * Matches across Cyrillic and Latin spellings and tolerates small typos
+     * @returns {Array<Object>} - up to `limit` distinct places
+     */
+    suggestPlaces(text, limit = MAX_SUGGESTIONS) {
+        const normalized = this.normalize(text);
+        if (normalized.length < 2) return [];
+
+        const query = this.toSkeleton(normalized);
+        const maxDistance = Math.max(1, Math.floor(query.length / 4));
+        const best = new Map();
+
+        for (const { skeleton, place } of this.bySkeleton) {
+            let distance;
+
+            if (skeleton === query) {
+                distance = 0;
+            } else if (query.length >= 3 && skeleton.startsWith(query)) {
+                distance = 1; // User is still typing the name
+            } else {
+                distance = this.levenshtein(query, skeleton);
+                if (distance > maxDistance) continue;
+            }
+
+            if (!best.has(place.id) || best.get(place.id) > distance) {
+                best.set(place.id, distance);
+            }
+        }
+
+        return [...best.entries()]
+            .sort((a, b) => a[1] - b[1])
+            .slice(0, limit)
+            .map(([id]) => this.byId.get(id));
+    }
+
+    /**
+     * Get place name in the user's language
+     */
+    getPlaceName(place, language = 'ru') {
+        return place.names[language] || place.names.ru;
+    }
+
+    /**
+     * Get IDs of a city and all of its districts
+     * A district resolves to its whole city
+     */
+    getAreaPlaceIds(placeId) {
+        const place = this.getPlaceById(placeId);
+        if (!place) return [];
+
+        const rootId = place.parent || place.id;
+        return [rootId, ...this.places.filter(item => item.parent === rootId).map(item => item.id)];
+    }
+
+    /**
+     * Get IDs of all places within radiusKm of a place, the place's city included
+     */
+    getPlaceIdsWithin(placeId, radiusKm) {
+        const place = this.getPlaceById(placeId);
+        if (!place) return [];
+
+        const nearby = this.places
+            .filter(item => this.haversine(place.lat, place.lng, item.lat, item.lng) <= radiusKm)
+            .map(item => item.id);
+
+        return [...new Set([...this.getAreaPlaceIds(placeId), ...nearby])];
+    }
+
+    /**
+     * Check whether two places are in the same city
+     */
+    isSameArea(placeIdA, placeIdB) {
+        return this.getAreaPlaceIds(placeIdA).includes(placeIdB);
+    }
+
+    /**
+     * Get place by gazetteer ID
+     */
+    getPlaceById(id) {
+        return this.byId.get(id) || null;
+    }
+
+    /**
+     * Find a place mentioned in free text
+     * Tries the whole text, then each comma separated part, then paired words
+     * Single words inside a phrase are not tried, "рынок Ош" is a market and not the city of Osh
+     * @returns {Object|null} - place or null when nothing is recognized
+     */
+    findPlace(text) {
+        const full = this.normalize(text);
+        if (!full) return null;
+
+        if (this.byName.has(full)) {
+            return this.byName.get(full);
+        }
+
+        // "Ташкент, Чиланзар" - prefer the most specific part
+        const parts = text.split(/[,;/]/).map(part => this.normalize(part)).filter(Boolean);
+        const fromParts = parts.map(part => this.byName.get(part)).filter(Boolean);
+        if (fromParts.length > 0) {
+            return fromParts.find(place => place.type === 'district') || fromParts[0];
+        }
+
+        // "Mirzo Ulug'bek 5-uy", a two-word name inside a longer text
+        const words = full.split(' ');
+        for (let i = 0; i < words.length - 1; i++) {
+            const pair = this.byName.get(`${words[i]} ${words[i + 1]}`);
+            if (pair) return pair;
+        }
+
+        return null;
+    }
+
+    /**
+     * Great-circle distance between two coordinates in kilometers
+     */
+    haversine(lat1, lng1, lat2, lng2) {
+        const toRadians = (degrees) => degrees * Math.PI / 180;
+        const dLat = toRadians(lat2 - lat1);
+        const dLng = toRadians(lng2 - lng1);
+
+        const a = Math.sin(dLat / 2) ** 2 +
+            Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+
+        return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+    }
+
+    /**
+     * Distance between two places in whole kilometers
+     * Accepts place objects or IDs
+     */
+    getPlaceDistance(placeA, placeB) {
+        if (typeof placeA === 'string') placeA = this.getPlaceById(placeA);
+        if (typeof placeB === 'string') placeB = this.getPlaceById(placeB);
+        if (!placeA || !placeB) return null;
+        if (placeA.id === placeB.id) return 0;
+
+        return Math.round(this.haversine(placeA.lat, placeA.lng, placeB.lat, placeB.lng));
+    }
+
+    /**
+     * Find the known place closest to a point
+     * @returns {Object|null} - place or null when nothing is within maxDistanceKm
+     */
+    findNearestPlace(lat, lng, maxDistanceKm = NEAREST_PLACE_MAX_KM) {
+        let nearest = null;
+        let nearestDistance = Infinity;
+
+        for (const place of this.places) {
+            const distance = this.haversine(lat, lng, place.lat, place.lng);
+            if (distance < nearestDistance) {
+                nearest = place;
+                nearestDistance = distance;
+            }
+        }
+
+        return nearestDistance <= maxDistanceKm ? nearest : null;
+    }
+
+    /**
+     * Convert a place to a GeoJSON point for 2dsphere queries
+     */
+    toPoint(place) {
+        return { type: 'Point', coordinates: [place.lng, place.lat] };
+    }
+
+    /**
+     * Distance between two GeoJSON points in whole kilometers
+     */
+    getPointDistance(pointA, pointB) {
+        if (!pointA?.coordinates?.length || !pointB?.coordinates?.length) return null;
+
+        const [lngA, latA] = pointA.coordinates;
+        const [lngB, latB] = pointB.coordinates;
+        return Math.round(this.haversine(latA, lngA, latB, lngB));
+    }
+
+    /**
+     * Distance between two free-text locations in whole kilometers
+     * @returns {number|null} - null when either location is unknown
+     */
+    getDistance(textA, textB) {
+        return this.getPlaceDistance(this.findPlace(textA), this.findPlace(textB));
+    }
+}
+
+module.exports = new Gazetteer();
\ No newline at end of file
@@ -0,0 +1,106 @@
+// How often to look for failed group posts to retry
+const RETRY_CHECK_INTERVAL_MS = parseInt(process.env.POSTING_RETRY_INTERVAL_MS) || 60 * 1000;
+
+// Attempts for a single send when Telegram answers 429
+const MAX_RATE_LIMIT_RETRIES = 3;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+class PostingQueue {
+    constructor() {
+        this.tail = Promise.resolve();
+        this.lastSentAt = 0;
+        this.timer = null;
+        this.isRetrying = false;
+    }
+
+    /**
+     * Send a message through the shared queue
+     * Sends from all orders are serialized and spaced by delayMs
+     * @returns {Promise<Object>} - sent message
+     */
+    send(telegram, chatId, text, extra = {}, delayMs = 0) {
+        const job = this.tail.then(() => this.sendWithRetry(telegram, chatId, text, extra, delayMs));
+
+        // Keep the chain alive after failed jobs
+        this.tail = job.catch(() => { });
+
+        return job;
+    }
+
+    /**
+     * Send a message, waiting out Telegram flood limits
+     */
+    async sendWithRetry(telegram, chatId, text, extra, delayMs) {
+        for (let attempt = 0; ; attempt++) {
+            const wait = this.lastSentAt + delayMs - Date.now();
+            if (wait > 0) {
+                await sleep(wait);
+            }
+
+            try {
+                const message = await telegram.sendMessage(chatId, text, extra);
+                this.lastSentAt = Date.now();
+                return message;
+            } catch (error) {
+                this.lastSentAt = Date.now();
+
+                const retryAfter = error.response?.parameters?.retry_after;
+
+                if (error.response?.error_code !== 429 || !retryAfter || attempt >= MAX_RATE_LIMIT_RETRIES) {
+                    throw error;
+                }
+
+                global.logger.logWarn('Telegram rate limit hit, waiting:', {}, { chatId, retryAfter });
+                await sleep(retryAfter * 1000);
+            }
+        }
+    }
+
+    /**
+     * Start periodic retries of failed group posts
+     * @param {Object} telegram - Telegraf telegram instance
+     */
+    start(telegram) {
+        if (this.timer) {
+            return;
+        }
+
+        this.timer = setInterval(() => this.retryFailedPosts(telegram), RETRY_CHECK_INTERVAL_MS);
+    }
+
+    /**
+     * Stop periodic retries
+     */
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Retry failed group posts, skipping the run if the previous one is still going
+     */
+    async retryFailedPosts(telegram) {
+        if (this.isRetrying) {
+            return;
+        }
+
+        this.isRetrying = true;
+
+        try {
+            const { retryFailedPosts } = require('../handlers/groups');
+            await retryFailedPosts(telegram);
+        } catch (error) {
+            global.logger.logError(error, {}, { context: 'Failed posts retry failed' });
+        } finally {
+            this.isRetrying = false;
+        }
+    }
+}
+
+// Create singleton instance
+const postingQueue = new PostingQueue();
+
+module.exports = postingQueue;
\ No newline at end of file
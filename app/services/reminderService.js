@@ -0,0 +1,222 @@
+const Order = require('../models/order');
+
+// How often to look for due reminders
+const CHECK_INTERVAL_MS = parseInt(process.env.REMINDER_CHECK_INTERVAL_MS) || 5 * 60 * 1000;
+
+// Unanswered reminders before the order is escalated to admins
+const MAX_UNANSWERED_REMINDERS = parseInt(process.env.REMINDER_MAX_UNANSWERED) || 4;
+
+// How long a claimed order is hidden from other instances while being processed
+const CLAIM_TIMEOUT_MS = 10 * 60 * 1000;
+
+// Orders processed per check
+const BATCH_SIZE = 50;
+
+class ReminderService {
+    constructor() {
+        this.telegram = null;
+        this.timer = null;
+        this.isProcessing = false;
+    }
+
+    /**
+     * Start periodic reminder checks
+     * The schedule itself lives in Order.nextReminderAt, so restarts lose nothing
+     * @param {Object} telegram - Telegraf telegram instance
+     */
+    start(telegram) {
+        this.telegram = telegram;
+
+        if (this.timer) {
+            return;
+        }
+
+        this.timer = setInterval(() => this.processDueReminders(), CHECK_INTERVAL_MS);
+        this.scheduleMissingReminders().then(() => this.processDueReminders());
+
+        global.logger.logInfo('Reminder scheduler started', {}, {
+            checkIntervalMs: CHECK_INTERVAL_MS,
+            maxUnanswered: MAX_UNANSWERED_REMINDERS
+        });
+    }
+
+    /**
+     * Schedule reminders for deals that started before reminders existed
+     * Orders get nextReminderAt on a status change, older deals in progress never had one
+     */
+    async scheduleMissingReminders() {
+        try {
+            const result = await Order.updateMany(
+                {
+                    status: { $in: ['matched', 'in_progress'] },
+                    nextReminderAt: null,
+                    escalatedAt: null
+                },
+                { $set: { nextReminderAt: new Date(Date.now() + Order.getReminderDelay(0)) } }
+            );
+
+            if (result.modifiedCount > 0) {
+                global.logger.logInfo('Reminders scheduled for existing deals', {}, { orders: result.modifiedCount });
+            }
+        } catch (error) {
+            global.logger.logError(error, {}, { context: 'Scheduling missing reminders failed' });
+        }
+    }
+
+    /**
+     * Stop periodic reminder checks
+     */
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Atomically claim the next due order so that several bot instances never
+     * remind about the same order twice
+     */
+    async claimNextDueOrder(now) {
+        return Order.findOneAndUpdate(
+            {
+                status: { $in: ['matched', 'in_progress'] },
+                nextReminderAt: { $lte: now },
+                escalatedAt: null
+            },
+            { $set: { nextReminderAt: new Date(now.getTime() + CLAIM_TIMEOUT_MS) } },
+            { new: true, sort: { nextReminderAt: 1 } }
+        )
+            .populate('clientId', 'profile telegramId language')
+            .populate('driverId', 'profile telegramId language');
+    }
+
+    /**
+     * Send all reminders that are due
+     */
+    async processDueReminders() {
+        if (this.isProcessing || !this.telegram) {
+            return;
+        }
+
+        this.isProcessing = true;
+
+        try {
+            const now = new Date();
+            let processed = 0;
+
+            while (processed < BATCH_SIZE) {
+                const order = await this.claimNextDueOrder(now);
+                if (!order) break;
+
+                if (order.remindersSent >= MAX_UNANSWERED_REMINDERS) {
+                    await this.escalateOrder(order);
+                } else {
+                    await this.sendReminder(order);
+                }
+
+                processed++;
+            }
+
+            if (processed > 0) {
+                global.logger.logAction('reminders_processed', { count: processed });
+            }
+        } catch (error) {
+            global.logger.logError(error, {}, { context: 'Reminder processing failed' });
+        } finally {
+            this.isProcessing = false;
+        }
+    }
+
+    /**
+     * Ask the parties that have not confirmed yet whether the deal happened
+     */
+    async sendReminder(order) {
+        const orderId = order._id.toString();
+        const recipients = [];
+
+        if (!order.dealCompletedBy.client && order.clientId) {
+            recipients.push(order.clientId);
+        }
+        if (!order.dealCompletedBy.driver && order.driverId) {
+            recipients.push(order.driverId);
+        }
+
+        for (const user of recipients) {
+            // Plain locale object stands in for ctx outside of updates
+            const ctx = { locale: user.language || 'ru' };
+
+            try {
+                await this.telegram.sendMessage(
+                    user.telegramId,
+                    global.i18n.t(ctx, 'notifications.order_reminder', { orderId: orderId.slice(-6) }) + '\n\n' + order.summary,
+                    {
+                        reply_markup: {
+                            inline_keyboard: [[
+                                { text: global.i18n.t(ctx, 'reminders.confirm_button'), callback_data: `deal:complete:${orderId}` },
+                                { text: global.i18n.t(ctx, 'reminders.cancel_button'), callback_data: `deal:cancel:${orderId}` }
+                            ]]
+                        }
+                    }
+                );
+            } catch (error) {
+                global.logger.logWarn('Failed to send order reminder:', {}, { orderId, userId: user._id, error: error.message });
+            }
+        }
+
+        const remindersSent = order.remindersSent + 1;
+
+        await Order.updateOne(
+            { _id: order._id },
+            {
+                $set: {
+                    remindersSent,
+                    lastReminderAt: new Date(),
+                    nextReminderAt: new Date(Date.now() + Order.getReminderDelay(remindersSent))
+                }
+            }
+        );
+
+        global.logger.logAction('order_reminder_sent', {
+            orderId,
+            remindersSent,
+            recipients: recipients.length
+        });
+    }
+
+    /**
+     * Hand an order nobody answers about over to admins
+     */
+    async escalateOrder(order) {
+        const orderId = order._id.toString();
+        const { notifyAdmins } = require('../handlers/admin');
+
+        const partyName = (party) => party ? `${party.profile.fullName} (${party.profile.phoneNumber || party.telegramId})` : '—';
+
+        const adminsNotified = await notifyAdmins(this.telegram, (ctx) => global.i18n.t(ctx, 'reminders.escalation', {
+            orderId: orderId.slice(-6),
+            fullOrderId: orderId,
+            summary: order.summary,
+            status: global.i18n.t(ctx, `status.${order.status}`),
+            client: partyName(order.clientId),
+            driver: partyName(order.driverId),
+            remindersSent: order.remindersSent
+        }));
+
+        await Order.updateOne(
+            { _id: order._id },
+            { $set: { escalatedAt: new Date(), nextReminderAt: null } }
+        );
+
+        global.logger.logAction('order_escalated_to_admins', {
+            orderId,
+            remindersSent: order.remindersSent,
+            adminsNotified
+        });
+    }
+}
+
+// Create singleton instance
+const reminderService = new ReminderService();
+
+module.exports = reminderService;
\ No newline at end of file
@@ -0,0 +1,194 @@
+const CARGO_TYPES = ['general', 'refrigerated', 'hazardous', 'oversized', 'livestock'];
+const BODY_TYPES = ['tent', 'refrigerator', 'flatbed', 'tanker'];
+
+// Cargo types a driver has to accept explicitly
+const PERMIT_CARGO_TYPES = ['hazardous', 'livestock'];
+
+// Body a cargo type needs when the client did not pick one
+const CARGO_TYPE_BODY = {
+    refrigerated: 'refrigerator',
+    oversized: 'flatbed'
+};
+
+// Cargo up to this weight fits a light vehicle, up to the next a medium one
+const LIGHT_MAX_KG = 1500;
+const MEDIUM_MAX_KG = 5000;
+
+// "5 т", "800 kg", "2,5 tonna"; a bare number is ambiguous and not accepted
+const WEIGHT_PATTERN = /(\d+(?:[.,]\d+)?)\s*(кг|kg|т|тн|тонн\S*|t|tn|ton\S*)(?![a-zа-я])/i;
+
+// "12 м3", "12 m³", "12 куб"; like weight, a bare number is not accepted
+const VOLUME_PATTERN = /(\d+(?:[.,]\d+)?)\s*(м3|м³|m3|m³|куб\S*|kub\S*|cbm)(?![a-zа-я])/i;
+
+// "2x1.5x1", "2м x 1.5м x 1м", "200*150*100 см"; a unit after the last side applies to all of them
+const DIMENSIONS_PATTERN = /(\d+(?:[.,]\d+)?)\s*(см|cm|м|m)?\s*[xх×*]\s*(\d+(?:[.,]\d+)?)\s*(см|cm|м|m)?\s*[xх×*]\s*(\d+(?:[.,]\d+)?)\s*(см|cm|м|m)?(?![a-zа-я0-9])/i;
+
+const toNumber = (text) => parseFloat(text.replace(',', '.'));
+
+/**
+ * Parse weight with a unit into kilograms
+ * @returns {number|null} - null when there is no amount with a unit
+ */
+const parseWeightKg = (text) => {
+    const match = (text || '').toLowerCase().match(WEIGHT_PATTERN);
+    if (!match) return null;
+
+    const value = toNumber(match[1]);
+    if (!(value > 0)) return null;
+
+    return Math.round(/^(кг|kg)$/.test(match[2]) ? value : value * 1000);
+};
+
+/**
+ * Parse volume in cubic meters, or length x width x height in meters or centimeters
+ * @returns {number|null}
+ */
+const parseVolumeM3 = (text) => {
+    const normalized = (text || '').toLowerCase();
+
+    const dimensions = normalized.match(DIMENSIONS_PATTERN);
+    if (dimensions) {
+        const toMeters = (value, unit) => toNumber(value) / (/^(см|cm)$/.test(unit || dimensions[6]) ? 100 : 1);
+        const volume = toMeters(dimensions[1], dimensions[2]) * toMeters(dimensions[3], dimensions[4]) * toMeters(dimensions[5], dimensions[6]);
+        return volume > 0 ? Math.round(volume * 100) / 100 : null;
+    }
+
+    const match = normalized.match(VOLUME_PATTERN);
+    if (!match) return null;
+
+    const value = toNumber(match[1]);
+    return value > 0 ? value : null;
+};
+
+/**
+ * Vehicle class needed for a cargo weight
+ * @returns {string} - light, medium or heavy
+ */
+const getWeightClass = (weightKg) => {
+    if (weightKg <= LIGHT_MAX_KG) return 'light';
+    if (weightKg <= MEDIUM_MAX_KG) return 'medium';
+    return 'heavy';
+};
+
+/**
+ * Drivers without a payload are judged by their vehicle category, a light vehicle cannot take heavy cargo
+ */
+const isLightVehicleOverloaded = (vehicle, weightKg) => {
+    return vehicle.vehicleCategory === 'light' && getWeightClass(weightKg) === 'heavy';
+};
+
+/**
+ * Body type an order needs, the client's choice wins over the cargo type
+ * @returns {string|null}
+ */
+const getRequiredBodyType = (cargo) => {
+    return cargo.bodyType || CARGO_TYPE_BODY[cargo.cargoType] || null;
+};
+
+/**
+ * Check whether a driver's vehicle can carry an order's cargo
+ * Capabilities the driver did not fill in do not exclude them
+ */
+const isVehicleCompatible = (driverInfo, cargo) => {
+    const vehicle = driverInfo || {};
+
+    if (cargo.weightKg && vehicle.payloadKg && cargo.weightKg > vehicle.payloadKg) return false;
+    if (cargo.weightKg && !vehicle.payloadKg && isLightVehicleOverloaded(vehicle, cargo.weightKg)) return false;
+    if (cargo.volumeM3 && vehicle.volumeM3 && cargo.volumeM3 > vehicle.volumeM3) return false;
+
+    const bodyType = getRequiredBodyType(cargo);
+    if (bodyType && vehicle.bodyType && vehicle.bodyType !== bodyType) return false;
+
+    if (PERMIT_CARGO_TYPES.includes(cargo.cargoType) && !(vehicle.cargoTypes || []).includes(cargo.cargoType)) return false;
+
+    return true;
+};
+
+/**
+ * Query conditions for drivers whose vehicle can carry the cargo, same rules as isVehicleCompatible
+ * @returns {Array<Object>} - conditions for $and
+ */
+const getDriverVehicleConditions = (cargo) => {
+    const conditions = [];
+
+    if (cargo.weightKg) {
+        const unknownPayload = getWeightClass(cargo.weightKg) === 'heavy'
+            ? { 'driverInfo.payloadKg': null, 'driverInfo.vehicleCategory': { $ne: 'light' } }
+            : { 'driverInfo.payloadKg': null };
+
+        conditions.push({ $or: [unknownPayload, { 'driverInfo.payloadKg': { $gte: cargo.weightKg } }] });
+    }
+    if (cargo.volumeM3) {
+        conditions.push({ $or: [{ 'driverInfo.volumeM3': null }, { 'driverInfo.volumeM3': { $gte: cargo.volumeM3 } }] });
+    }
+
+    const bodyType = getRequiredBodyType(cargo);
+    if (bodyType) {
+        conditions.push({ 'driverInfo.bodyType': { $in: [bodyType, null] } });
+    }
+
+    if (PERMIT_CARGO_TYPES.includes(cargo.cargoType)) {
+        conditions.push({ 'driverInfo.cargoTypes': cargo.cargoType });
+    }
+
+    return conditions;
+};
+
+/**
+ * Query conditions for orders a driver's vehicle can carry, same rules as isVehicleCompatible
+ * @returns {Array<Object>} - conditions for $and
+ */
+const getOrderVehicleConditions = (driverInfo) => {
+    const vehicle = driverInfo || {};
+    const conditions = [];
+
+    if (vehicle.payloadKg) {
+        conditions.push({ $or: [{ 'cargo.weightKg': null }, { 'cargo.weightKg': { $lte: vehicle.payloadKg } }] });
+    } else if (vehicle.vehicleCategory === 'light') {
+        conditions.push({ $or: [{ 'cargo.weightKg': null }, { 'cargo.weightKg': { $lte: MEDIUM_MAX_KG } }] });
+    }
+    if (vehicle.volumeM3) {
+        conditions.push({ $or: [{ 'cargo.volumeM3': null }, { 'cargo.volumeM3': { $lte: vehicle.volumeM3 } }] });
+    }
+
+    if (vehicle.bodyType) {
+        conditions.push({ 'cargo.bodyType': { $in: [vehicle.bodyType, null] } });
+
+        // Cargo types that need a body this vehicle does not have
+        const otherBodyCargo = Object.keys(CARGO_TYPE_BODY).filter(type => CARGO_TYPE_BODY[type] !== vehicle.bodyType);
+        conditions.push({ $or: [{ 'cargo.bodyType': vehicle.bodyType }, { 'cargo.cargoType': { $nin: otherBodyCargo } }] });
+    }
+
+    const forbidden = PERMIT_CARGO_TYPES.filter(type => !(vehicle.cargoTypes || []).includes(type));
+    if (forbidden.length > 0) {
+        conditions.push({ 'cargo.cargoType': { $nin: forbidden } });
+    }
+
+    return conditions;
+};
+
+/**
+ * Format kilograms for display in the user's language, tonnes from one tonne up
+ */
+const formatWeight = (ctx, weightKg) => {
+    return weightKg >= 1000
+        ? global.i18n.t(ctx, 'cargo.units.tonnes', { value: Math.round(weightKg / 100) / 10 })
+        : global.i18n.t(ctx, 'cargo.units.kg', { value: weightKg });
+};
+
+const formatVolume = (ctx, volumeM3) => global.i18n.t(ctx, 'cargo.units.cubic_meters', { value: volumeM3 });
+
+module.exports = {
+    CARGO_TYPES,
+    BODY_TYPES,
+    PERMIT_CARGO_TYPES,
+    parseWeightKg,
+    parseVolumeM3,
+    getWeightClass,
+    getRequiredBodyType,
+    isVehicleCompatible,
+    getDriverVehicleConditions,
+    getOrderVehicleConditions,
+    formatWeight,
+    formatVolume
+};
\ No newline at end of file
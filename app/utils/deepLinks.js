@@ -0,0 +1,51 @@
+// "/start" or "/start <payload>"; Telegram allows up to 64 characters of A-Z, a-z, 0-9, _ and -
+const START_COMMAND_PATTERN = /^\/start(?:@\w+)?(?:\s+([\w-]{1,64}))?\s*$/;
+
+// "order_<id>", "ref_<userId>", "review_<orderId>", "group_<chatId>"
+// Links from group posts add the group: "order_<id>_g<chatId>"
+const PAYLOAD_PATTERN = /^(order|ref|review|group)_([\w-]+?)(?:_g(-?\d+))?$/;
+
+/**
+ * Check whether a message is /start, with or without a payload
+ */
+const isStartCommand = (text) => START_COMMAND_PATTERN.test(text || '');
+
+/**
+ * Split a /start message into the deep link type and value
+ * @returns {Object|null} - { payload, type, value, groupChatId }, type is null for unknown payloads
+ */
+const parseStartPayload = (text) => {
+    const match = (text || '').match(START_COMMAND_PATTERN);
+    if (!match || !match[1]) return null;
+
+    const payload = match[1];
+    const parts = payload.match(PAYLOAD_PATTERN);
+
+    return {
+        payload,
+        type: parts ? parts[1] : null,
+        value: parts ? parts[2] : null,
+        groupChatId: parts && parts[3] ? parts[3] : null
+    };
+};
+
+/**
+ * Link opening the bot with a payload
+ */
+const getStartLink = (payload) => {
+    return `https://t.me/${process.env.BOT_USERNAME || 'your_bot_username'}?start=${payload}`;
+};
+
+/**
+ * Link opening an order, from a group post it also names the group
+ */
+const getOrderLink = (orderId, groupChatId = null) => {
+    return getStartLink(groupChatId ? `order_${orderId}_g${groupChatId}` : `order_${orderId}`);
+};
+
+module.exports = {
+    isStartCommand,
+    parseStartPayload,
+    getStartLink,
+    getOrderLink
+};
\ No newline at end of file
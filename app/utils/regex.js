@@ -0,0 +1,8 @@
+/**
+ * Escape user input for use inside a RegExp
+ */
+const escapeRegex = (text) => {
+    return String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+};
+
+module.exports = { escapeRegex };
\ No newline at end of file